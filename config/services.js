@@ -6,16 +6,78 @@
 module.exports = {
   // Strava API Configuration
   strava: {
-    accessToken: process.env.STRAVA_ACCESS_TOKEN,
-    // Note: For production, implement OAuth2 refresh flow
-    // refreshToken: process.env.STRAVA_REFRESH_TOKEN,
-    // clientId: process.env.STRAVA_CLIENT_ID,
-    // clientSecret: process.env.STRAVA_CLIENT_SECRET
+    // Background sync of activity history into MongoDB
+    syncIntervalMinutes: parseInt(process.env.STRAVA_SYNC_INTERVAL_MINUTES) || 60,
+    // Backfill pages (200 activities each) fetched per sync, to stay inside rate limits
+    backfillPagesPerRun: parseInt(process.env.STRAVA_BACKFILL_PAGES_PER_RUN) || 10,
+
+    // Max heart rate for training load estimates (threshold is taken as 90% of it)
+    maxHeartrate: parseInt(process.env.STRAVA_MAX_HEARTRATE) || 190,
+
+    // Push subscription (webhook) settings
+    webhook: {
+      verifyToken: process.env.STRAVA_WEBHOOK_VERIFY_TOKEN,
+      callbackUrl: process.env.STRAVA_WEBHOOK_CALLBACK_URL,
+      // When set, events from other subscriptions are rejected
+      subscriptionId: process.env.STRAVA_WEBHOOK_SUBSCRIPTION_ID || null
+    },
+
+    // OAuth authorization through /api/strava/oauth/authorize and /callback
+    oauth: {
+      clientId: process.env.STRAVA_CLIENT_ID,
+      clientSecret: process.env.STRAVA_CLIENT_SECRET,
+      // Must be on the app's Authorization Callback Domain (https://www.strava.com/settings/api)
+      redirectUri: process.env.STRAVA_REDIRECT_URI ||
+        `http://localhost:${process.env.PORT || 3000}/api/strava/oauth/callback`,
+      scope: 'read,activity:read_all'
+    },
+
+    // Athlete used when a request doesn't name one (default: the first athlete authorized)
+    defaultAthleteId: process.env.STRAVA_DEFAULT_ATHLETE_ID || null
+  },
+
+  // Google Calendar Configuration
+  calendar: {
+    // Calendars read when a request doesn't name any (comma-separated IDs)
+    calendarIds: (process.env.GOOGLE_CALENDAR_IDS || 'primary')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean),
+
+    // Timezone for day keys, day boundaries and offset-less event times
+    // (IANA name, default: the server's timezone)
+    timeZone: process.env.USER_TIMEZONE || null,
+
+    // Background sync into the local event mirror
+    syncIntervalMinutes: parseInt(process.env.CALENDAR_SYNC_INTERVAL_MINUTES) || 5,
+    syncPastDays: parseInt(process.env.CALENDAR_SYNC_PAST_DAYS) || 30,
+    syncFutureDays: parseInt(process.env.CALENDAR_SYNC_FUTURE_DAYS) || 180,
+
+    // Free slot search: working hours (HH:MM, user timezone), working days (0 = Sunday)
+    // and minutes kept free around each event
+    workingHours: {
+      start: process.env.CALENDAR_WORK_START || '09:00',
+      end: process.env.CALENDAR_WORK_END || '17:00',
+      days: (process.env.CALENDAR_WORK_DAYS || '1,2,3,4,5')
+        .split(',')
+        .map(day => parseInt(day))
+        .filter(day => day >= 0 && day <= 6)
+    },
+    bufferMinutes: parseInt(process.env.CALENDAR_BUFFER_MINUTES ?? '10'),
+
+    // Subscribable ICS feed (GET /api/calendar/feed.ics?token=...); disabled without a token
+    feedToken: process.env.CALENDAR_FEED_TOKEN || null,
+    feedPastDays: parseInt(process.env.CALENDAR_FEED_PAST_DAYS) || 7,
+    feedFutureDays: parseInt(process.env.CALENDAR_FEED_FUTURE_DAYS) || 60
   },
 
   // Pavlok API Configuration
   pavlok: {
-    token: process.env.PAVLOK_TOKEN
+    token: process.env.PAVLOK_TOKEN,
+    // "live" sends to the device, "simulated" records stimuli in-process
+    mode: process.env.PAVLOK_MODE === 'simulated' ? 'simulated' : 'live',
+    // Hard ceiling for shock intensity; stored limits can only go lower
+    maxShockIntensity: parseInt(process.env.PAVLOK_MAX_SHOCK_INTENSITY, 10) || 2
   },
 
   // Notion API Configuration
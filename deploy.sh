@@ -74,8 +74,8 @@ if [ -z "$TODOIST_TOKEN" ] || [ "$TODOIST_TOKEN" = "your_todoist_api_token_here"
   WARNINGS=$((WARNINGS + 1))
 fi
 
-if [ -z "$STRAVA_ACCESS_TOKEN" ] || [ "$STRAVA_ACCESS_TOKEN" = "your_strava_access_token_here" ]; then
-  echo -e "${YELLOW}⚠️  Warning: STRAVA_ACCESS_TOKEN not set (Strava features disabled)${NC}"
+if [ -z "$STRAVA_CLIENT_ID" ] || [ "$STRAVA_CLIENT_ID" = "your_strava_client_id_here" ]; then
+  echo -e "${YELLOW}⚠️  Warning: STRAVA_CLIENT_ID not set (Strava features disabled)${NC}"
   WARNINGS=$((WARNINGS + 1))
 fi
 
@@ -12,13 +12,31 @@ const { requestLogger, errorLogger } = require('./shared/middleware/logger');
 const { statsMiddleware, getStats, getMongoStats } = require('./shared/middleware/stats');
 const { performHealthCheck } = require('./shared/utils/healthCheck');
 const { cache } = require('./shared/middleware/cache');
-const { authenticateApiKey } = require('./shared/middleware/auth');
-const { router: calendarRouter, initializeCalendarService } = require('./services/calendar');
+const { authenticateApiKey, requireScope } = require('./shared/middleware/auth');
+const {
+  router: calendarRouter,
+  initializeCalendarService,
+  startSyncWorker: startCalendarSync,
+  stopSyncWorker: stopCalendarSync
+} = require('./services/calendar');
 const { router: memoryRouter } = require('./services/memory');
-const { router: stravaRouter } = require('./services/strava');
-const { router: pavlokRouter } = require('./services/pavlok');
+const {
+  router: stravaRouter,
+  isStravaConfigured,
+  importLegacyTokens: importLegacyStravaTokens,
+  startSyncWorker: startStravaSync,
+  stopSyncWorker: stopStravaSync
+} = require('./services/strava');
+const {
+  router: pavlokRouter,
+  startScheduler: startPavlokScheduler,
+  stopScheduler: stopPavlokScheduler,
+  recoverSequences: recoverPavlokSequences,
+  abortAllSequences: abortPavlokSequences
+} = require('./services/pavlok');
 const { router: notionRouter } = require('./services/notion');
 const { router: unifiedRouter } = require('./services/unified');
+const { router: adminRouter } = require('./services/admin');
 
 // Initialize Express app
 const app = express();
@@ -78,13 +96,14 @@ app.get('/', (req, res) => {
       strava: '/api/strava',
       pavlok: '/api/pavlok',
       notion: '/api/notion',
-      unified: '/api/unified'
+      unified: '/api/unified',
+      admin: '/api/admin'
     }
   });
 });
 
 // Stats endpoint
-app.get('/api/stats', async (req, res) => {
+app.get('/api/stats', authenticateApiKey, requireScope('admin'), async (req, res) => {
   try {
     const stats = getStats();
     const mongoStats = await getMongoStats();
@@ -110,8 +129,8 @@ app.get('/api/stats', async (req, res) => {
   }
 });
 
-// Global cache clear endpoint (requires auth)
-app.post('/api/cache/clear', authenticateApiKey, (req, res) => {
+// Global cache clear endpoint (requires admin scope)
+app.post('/api/cache/clear', authenticateApiKey, requireScope('admin'), (req, res) => {
   try {
     const keys = cache.keys();
     const count = keys.length;
@@ -142,6 +161,7 @@ app.use('/api/strava', stravaRouter);
 app.use('/api/pavlok', pavlokRouter);
 app.use('/api/notion', notionRouter);
 app.use('/api/unified', unifiedRouter);
+app.use('/api/admin', adminRouter);
 
 // 404 handler - must be after all routes
 app.use((req, res) => {
@@ -190,11 +210,48 @@ const startServer = async () => {
     // Initialize Calendar Service (optional)
     try {
       await initializeCalendarService();
+
+      // Start mirroring events into MongoDB (optional)
+      if (process.env.CALENDAR_SYNC_ENABLED !== 'false') {
+        startCalendarSync();
+      } else {
+        console.log('⚠️  Calendar sync worker disabled');
+      }
     } catch (error) {
       console.log('⚠️  Calendar service disabled:', error.message);
       console.log('   To enable: Set up Google OAuth credentials');
     }
 
+    // Move plaintext Strava tokens (old .strava-tokens.json, unencrypted athlete records) into the credential vault
+    try {
+      await importLegacyStravaTokens();
+    } catch (error) {
+      console.log('⚠️  Could not move Strava tokens into the credential vault:', error.message);
+    }
+
+    if (!await isStravaConfigured()) {
+      console.log('⚠️  No Strava athlete authorized yet');
+      console.log('   To add one: GET /api/strava/oauth/authorize');
+    }
+
+    // Store Strava activity history in MongoDB (optional); athletes authorized later are picked up too
+    if (process.env.STRAVA_SYNC_ENABLED !== 'false') {
+      startStravaSync();
+    } else {
+      console.log('⚠️  Strava sync worker disabled');
+    }
+
+    // Close Pavlok sequences cut off by the last shutdown
+    await recoverPavlokSequences();
+
+    // Start Pavlok rule scheduler (optional)
+    const pavlokAvailable = process.env.PAVLOK_TOKEN || process.env.PAVLOK_MODE === 'simulated';
+    if (pavlokAvailable && process.env.PAVLOK_SCHEDULER_ENABLED !== 'false') {
+      startPavlokScheduler();
+    } else {
+      console.log('⚠️  Pavlok rule scheduler disabled');
+    }
+
     // Start Express server
     const server = app.listen(PORT, '0.0.0.0', () => {
       console.log('');
@@ -221,6 +278,12 @@ const startServer = async () => {
       console.log('');
       console.log(`\n⚠️  ${signal} received, shutting down gracefully...`);
 
+      // Stop background jobs
+      stopPavlokScheduler();
+      abortPavlokSequences();
+      stopCalendarSync();
+      stopStravaSync();
+
       // Close server
       server.close(async () => {
         console.log('🛑 HTTP server closed');
@@ -0,0 +1,141 @@
+/**
+ * API Key Model
+ * Hashed API keys with labels, scopes, usage tracking and expiry
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Prefix makes issued keys recognizable in configs and logs
+const KEY_PREFIX = 'ls_';
+
+const apiKeySchema = new mongoose.Schema({
+  // Human-readable label (device or agent name)
+  label: {
+    type: String,
+    required: [true, 'Key label is required'],
+    trim: true
+  },
+
+  // SHA-256 hash of the key - the plaintext key is never stored
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+
+  // First characters of the key, for identifying it without exposing it
+  keyPrefix: {
+    type: String,
+    required: true
+  },
+
+  // Granted scopes (see SCOPES in shared/middleware/auth.js)
+  scopes: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: function(scopes) {
+        return scopes.length > 0;
+      },
+      message: 'At least one scope is required'
+    }
+  },
+
+  // Last time the key authenticated a request
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Optional expiry - null means the key never expires
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+
+  // Last time the key value was rotated
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Set when the key is revoked
+  revokedAt: {
+    type: Date,
+    default: null,
+    index: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual property for current key status
+apiKeySchema.virtual('status').get(function() {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt && this.expiresAt <= new Date()) return 'expired';
+  return 'active';
+});
+
+// Static method to hash a plaintext key
+apiKeySchema.statics.hashKey = function(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+// Static method to generate a new plaintext key
+apiKeySchema.statics.generateKey = function() {
+  return `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+};
+
+// Static method to issue a new key - returns { apiKey, key } where key is the plaintext
+apiKeySchema.statics.issue = async function({ label, scopes, expiresAt = null }) {
+  const key = this.generateKey();
+
+  const apiKey = new this({
+    label,
+    scopes,
+    expiresAt,
+    keyHash: this.hashKey(key),
+    keyPrefix: key.slice(0, KEY_PREFIX.length + 6)
+  });
+
+  await apiKey.save();
+  return { apiKey, key };
+};
+
+// Static method to find an active (not revoked, not expired) key by plaintext value
+apiKeySchema.statics.findActiveByKey = function(key) {
+  return this.findOne({
+    keyHash: this.hashKey(key),
+    revokedAt: null,
+    $or: [
+      { expiresAt: null },
+      { expiresAt: { $gt: new Date() } }
+    ]
+  });
+};
+
+// Instance method to replace the key value, keeping label and scopes
+apiKeySchema.methods.rotate = async function() {
+  const key = this.constructor.generateKey();
+
+  this.keyHash = this.constructor.hashKey(key);
+  this.keyPrefix = key.slice(0, KEY_PREFIX.length + 6);
+  this.rotatedAt = new Date();
+
+  await this.save();
+  return key;
+};
+
+// Instance method to revoke the key
+apiKeySchema.methods.revoke = function() {
+  this.revokedAt = new Date();
+  return this.save();
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
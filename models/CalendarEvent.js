@@ -0,0 +1,135 @@
+/**
+ * Calendar Event Model
+ * Local mirror of Google Calendar events, kept current by the sync worker
+ */
+
+const mongoose = require('mongoose');
+const { getDayBoundaries } = require('../services/calendar/utils');
+
+const calendarEventSchema = new mongoose.Schema({
+  // Google Calendar ID the event belongs to
+  calendarId: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // Google event ID (unique within a calendar)
+  eventId: {
+    type: String,
+    required: true
+  },
+
+  // Start and end as instants for range queries (all-day events use midnight in the user's timezone)
+  startAt: {
+    type: Date,
+    required: true
+  },
+
+  endAt: {
+    type: Date,
+    required: true
+  },
+
+  // Google event resource as returned by events.list
+  event: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // Recurring series (master) event, kept for its recurrence rule; its occurrences are separate documents
+  series: {
+    type: Boolean,
+    default: false
+  },
+
+  // When this document was last written by a sync
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+calendarEventSchema.index({ calendarId: 1, eventId: 1 }, { unique: true });
+calendarEventSchema.index({ calendarId: 1, startAt: 1, endAt: 1 });
+
+// Static method to find events overlapping a time window (occurrences, not series masters)
+calendarEventSchema.statics.findOverlapping = async function(calendarId, start, end) {
+  const docs = await this.find({
+    calendarId,
+    series: { $ne: true },
+    startAt: { $lte: end },
+    $or: [{ endAt: { $gt: start } }, { startAt: { $gte: start } }]
+  })
+    .sort({ startAt: 1 })
+    .lean();
+
+  return docs.map(doc => ({ ...doc.event, calendarId }));
+};
+
+// Static method to get the recurrence rules of mirrored series
+calendarEventSchema.statics.findRecurrences = async function(calendarId, seriesIds) {
+  const docs = await this.find({ calendarId, eventId: { $in: seriesIds }, series: true })
+    .select('eventId event.recurrence')
+    .lean();
+
+  return Object.fromEntries(docs.map(doc => [doc.eventId, doc.event.recurrence || null]));
+};
+
+// Static method to apply Google events to the mirror (cancelled events are removed)
+calendarEventSchema.statics.applyChanges = async function(calendarId, events, syncedAt = new Date()) {
+  if (events.length === 0) {
+    return { upserted: 0, deleted: 0 };
+  }
+
+  const operations = events.map(event => {
+    if (event.status === 'cancelled') {
+      return { deleteOne: { filter: { calendarId, eventId: event.id } } };
+    }
+
+    const { startAt, endAt } = getEventTimes(event);
+    return {
+      updateOne: {
+        filter: { calendarId, eventId: event.id },
+        update: { $set: { startAt, endAt, event, series: Boolean(event.recurrence), syncedAt } },
+        upsert: true
+      }
+    };
+  });
+
+  const result = await this.bulkWrite(operations, { ordered: false });
+
+  return {
+    upserted: result.upsertedCount + result.modifiedCount,
+    deleted: result.deletedCount
+  };
+};
+
+// Static method to drop events a full sync didn't see
+calendarEventSchema.statics.removeStale = function(calendarId, syncedBefore) {
+  return this.deleteMany({ calendarId, syncedAt: { $lt: syncedBefore } });
+};
+
+/**
+ * Get an event's start and end instants
+ * All-day dates are read as midnight in the user's timezone, matching getDayBoundaries.
+ * @param {Object} event - Google Calendar event
+ * @returns {Object} { startAt, endAt }
+ * @private
+ */
+function getEventTimes(event) {
+  const toInstant = time => (time?.dateTime
+    ? new Date(time.dateTime)
+    : getDayBoundaries(time.date).startOfDay);
+
+  const startAt = toInstant(event.start);
+  return { startAt, endAt: event.end ? toInstant(event.end) : startAt };
+}
+
+const CalendarEvent = mongoose.model('CalendarEvent', calendarEventSchema);
+
+module.exports = CalendarEvent;
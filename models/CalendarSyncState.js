@@ -0,0 +1,93 @@
+/**
+ * Calendar Sync State Model
+ * Per calendar sync token, mirrored window and last sync result
+ */
+
+const mongoose = require('mongoose');
+
+const calendarSyncStateSchema = new mongoose.Schema({
+  // Google Calendar ID
+  calendarId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Token for the next incremental sync (null forces a full sync)
+  syncToken: {
+    type: String,
+    default: null
+  },
+
+  // Dates covered by the mirror (YYYY-MM-DD, inclusive), set by the last full sync
+  windowStart: {
+    type: String,
+    default: null
+  },
+
+  windowEnd: {
+    type: String,
+    default: null
+  },
+
+  // Last successful sync of either kind
+  lastSyncAt: {
+    type: Date,
+    default: null
+  },
+
+  lastFullSyncAt: {
+    type: Date,
+    default: null
+  },
+
+  // Events changed by the last successful sync
+  lastChangeCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Last failure (cleared on success)
+  lastError: {
+    type: String,
+    default: null
+  },
+
+  lastErrorAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the mirror can serve reads
+calendarSyncStateSchema.virtual('isMirrored').get(function() {
+  return Boolean(this.lastFullSyncAt && this.windowStart && this.windowEnd);
+});
+
+// Static method to get states for several calendars, keyed by calendar ID
+calendarSyncStateSchema.statics.getByCalendar = async function(calendarIds) {
+  const states = await this.find({ calendarId: { $in: calendarIds } });
+
+  return states.reduce((byCalendar, state) => {
+    byCalendar[state.calendarId] = state;
+    return byCalendar;
+  }, {});
+};
+
+// Method to check whether the mirror covers a date range
+calendarSyncStateSchema.methods.covers = function(startKey, endKey) {
+  return this.isMirrored && startKey >= this.windowStart && endKey <= this.windowEnd;
+};
+
+// Method to check whether the last successful sync is older than maxAgeMs
+calendarSyncStateSchema.methods.isStale = function(maxAgeMs, now = new Date()) {
+  return !this.lastSyncAt || now.getTime() - this.lastSyncAt.getTime() > maxAgeMs;
+};
+
+const CalendarSyncState = mongoose.model('CalendarSyncState', calendarSyncStateSchema);
+
+module.exports = CalendarSyncState;
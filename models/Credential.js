@@ -0,0 +1,95 @@
+/**
+ * Credential Model
+ * Provider OAuth tokens encrypted by the credential vault, with their non-secret status
+ */
+
+const mongoose = require('mongoose');
+
+const credentialSchema = new mongoose.Schema({
+  // Provider the tokens are for
+  provider: {
+    type: String,
+    required: true,
+    enum: ['google', 'strava']
+  },
+
+  // Account within the provider ("default" for Google, the athlete ID for Strava)
+  accountId: {
+    type: String,
+    required: true
+  },
+
+  // Encrypted token payload - never returned by the API
+  ciphertext: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  // Fingerprint of the master key that encrypted the payload
+  keyId: {
+    type: String,
+    required: true
+  },
+
+  // Granted scopes
+  scopes: {
+    type: [String],
+    default: []
+  },
+
+  // Access token expiry
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+
+  // Whether the payload holds a refresh token
+  hasRefreshToken: {
+    type: Boolean,
+    default: false
+  },
+
+  // Last access token refresh
+  lastRefreshAt: {
+    type: Date,
+    default: null
+  },
+
+  // Last failed refresh (cleared by the next successful one)
+  lastRefreshError: {
+    type: String,
+    default: null
+  },
+
+  lastRefreshErrorAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+credentialSchema.index({ provider: 1, accountId: 1 }, { unique: true });
+
+// Virtual for whether the access token has expired
+credentialSchema.virtual('expired').get(function() {
+  return Boolean(this.expiresAt && this.expiresAt <= new Date());
+});
+
+// Static method to find a credential with its encrypted payload selected
+credentialSchema.statics.findWithSecret = function(provider, accountId) {
+  return this.findOne({ provider, accountId: String(accountId) }).select('+ciphertext');
+};
+
+// Static method to list credentials, optionally with their encrypted payloads
+credentialSchema.statics.findAll = function({ withSecret = false } = {}) {
+  const query = this.find().sort({ provider: 1, createdAt: 1 });
+  return withSecret ? query.select('+ciphertext') : query;
+};
+
+const Credential = mongoose.model('Credential', credentialSchema);
+
+module.exports = Credential;
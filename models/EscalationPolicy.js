@@ -0,0 +1,143 @@
+/**
+ * Escalation Policy Model
+ * Accountability policies that punish overdue Todoist tasks with Pavlok stimuli
+ */
+
+const mongoose = require('mongoose');
+
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const escalationStepSchema = new mongoose.Schema({
+  // Minutes a task must be overdue before this step fires
+  afterMinutes: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  // Stimulus to send
+  type: {
+    type: String,
+    enum: ['beep', 'vibrate', 'shock'],
+    required: true
+  },
+
+  // Intensity level (1-4)
+  intensity: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 4
+  }
+}, { _id: false });
+
+const escalationPolicySchema = new mongoose.Schema({
+  // Policy name
+  name: {
+    type: String,
+    required: [true, 'Policy name is required'],
+    trim: true
+  },
+
+  // Whether the scheduler evaluates this policy
+  enabled: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+
+  // Which overdue tasks the policy applies to (empty lists match everything)
+  match: {
+    // Unified task priorities (as returned by /api/unified/tasks)
+    priorities: {
+      type: [Number],
+      default: []
+    },
+    // Project names
+    projects: {
+      type: [String],
+      default: []
+    },
+    // Task labels (task needs at least one)
+    labels: {
+      type: [String],
+      default: []
+    }
+  },
+
+  // Escalation ladder, ordered by afterMinutes
+  steps: {
+    type: [escalationStepSchema],
+    validate: {
+      validator: function(steps) {
+        return steps.length > 0;
+      },
+      message: 'At least one escalation step is required'
+    }
+  },
+
+  // No stimuli between start and end (HH:MM, USER_TIMEZONE, may wrap midnight)
+  quietHours: {
+    start: {
+      type: String,
+      match: [TIME_REGEX, 'Quiet hours start must be in HH:MM format'],
+      default: null
+    },
+    end: {
+      type: String,
+      match: [TIME_REGEX, 'Quiet hours end must be in HH:MM format'],
+      default: null
+    }
+  },
+
+  // Maximum successful stimuli per day for this policy
+  dailyCap: {
+    type: Number,
+    min: 1,
+    default: 5
+  },
+
+  // Last time the policy fired
+  lastFiredAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Static method to get policies the scheduler should evaluate
+escalationPolicySchema.statics.findEnabled = function() {
+  return this.find({ enabled: true });
+};
+
+// Instance method to check whether a normalized task matches this policy
+escalationPolicySchema.methods.matchesTask = function(task) {
+  const { priorities, projects, labels } = this.match;
+
+  if (priorities.length > 0 && !priorities.includes(task.priority)) return false;
+  if (projects.length > 0 && !projects.includes(task.project)) return false;
+  if (labels.length > 0 && !(task.labels || []).some(label => labels.includes(label))) return false;
+
+  return true;
+};
+
+// Instance method to record a firing
+escalationPolicySchema.methods.markFired = function(date = new Date()) {
+  this.lastFiredAt = date;
+  return this.save();
+};
+
+// Pre-save hook to keep steps ordered
+escalationPolicySchema.pre('save', function(next) {
+  if (this.steps && this.steps.length > 1) {
+    this.steps.sort((a, b) => a.afterMinutes - b.afterMinutes);
+  }
+  next();
+});
+
+const EscalationPolicy = mongoose.model('EscalationPolicy', escalationPolicySchema);
+
+module.exports = EscalationPolicy;
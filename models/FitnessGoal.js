@@ -0,0 +1,80 @@
+/**
+ * Fitness Goal Model
+ * Volume goals per week, month or year, evaluated against Strava activities
+ */
+
+const mongoose = require('mongoose');
+
+const fitnessGoalSchema = new mongoose.Schema({
+  // Goal name, e.g. "Run 100 km this month"
+  name: {
+    type: String,
+    required: [true, 'Goal name is required'],
+    trim: true
+  },
+
+  // Whether the goal is reported
+  enabled: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+
+  // What is counted: distance (km), duration (minutes), elevation (m) or count (activities)
+  metric: {
+    type: String,
+    enum: ['distance', 'duration', 'elevation', 'count'],
+    required: true
+  },
+
+  // Amount to reach each period, in the metric's unit
+  target: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Target must be positive']
+  },
+
+  // Calendar period the target resets on (weeks run Sunday to Saturday, in the user's timezone)
+  period: {
+    type: String,
+    enum: ['week', 'month', 'year'],
+    required: true
+  },
+
+  // Activity types counted (normalizeActivity "type"), empty means every type
+  activityTypes: {
+    type: [String],
+    default: []
+  },
+
+  // Strava athlete whose activities count; null counts every authorized athlete combined
+  athleteId: {
+    type: String,
+    default: null,
+    index: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Static method to find goals that are reported (optionally only combined goals and these athletes' goals)
+fitnessGoalSchema.statics.findEnabled = function(athleteIds = null) {
+  const query = { enabled: true };
+
+  if (athleteIds) {
+    query.$or = [{ athleteId: null }, { athleteId: { $in: athleteIds } }];
+  }
+
+  return this.find(query).sort({ createdAt: 1 });
+};
+
+// Method to check whether an activity counts toward the goal
+fitnessGoalSchema.methods.matchesActivity = function(activity) {
+  return this.activityTypes.length === 0 || this.activityTypes.includes(activity.type);
+};
+
+const FitnessGoal = mongoose.model('FitnessGoal', fitnessGoalSchema);
+
+module.exports = FitnessGoal;
@@ -0,0 +1,125 @@
+/**
+ * Pavlok Limit Model
+ * Per stimulus type cooldown, hourly/daily caps and intensity ceiling
+ */
+
+const mongoose = require('mongoose');
+
+// Limits used for types that have no stored document
+const DEFAULT_LIMITS = {
+  beep: { cooldownSeconds: 5, hourlyCap: 60, dailyCap: 300, maxIntensity: 4 },
+  vibrate: { cooldownSeconds: 5, hourlyCap: 60, dailyCap: 300, maxIntensity: 4 },
+  shock: { cooldownSeconds: 30, hourlyCap: 5, dailyCap: 20, maxIntensity: 2 }
+};
+
+const LIMIT_FIELDS = ['cooldownSeconds', 'hourlyCap', 'dailyCap', 'maxIntensity'];
+
+const pavlokLimitSchema = new mongoose.Schema({
+  // Stimulus type the limits apply to
+  type: {
+    type: String,
+    enum: ['beep', 'vibrate', 'shock'],
+    required: true,
+    unique: true
+  },
+
+  // Minimum time between successful stimuli of this type
+  cooldownSeconds: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 24 * 60 * 60
+  },
+
+  // Maximum successful stimuli in any rolling hour
+  hourlyCap: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  // Maximum successful stimuli per calendar day (server time)
+  dailyCap: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  // Highest intensity allowed (shock is further capped by PAVLOK_MAX_SHOCK_INTENSITY)
+  maxIntensity: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 4
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Static method to get limits for one type, falling back to defaults
+pavlokLimitSchema.statics.getForType = async function(type) {
+  const stored = await this.findOne({ type }).lean();
+  return {
+    type,
+    ...DEFAULT_LIMITS[type],
+    ...(stored && pick(stored)),
+    isDefault: !stored
+  };
+};
+
+// Static method to get limits for every type
+pavlokLimitSchema.statics.getAll = async function() {
+  const stored = await this.find().lean();
+
+  return Object.keys(DEFAULT_LIMITS).map(type => {
+    const doc = stored.find(limit => limit.type === type);
+    return {
+      type,
+      ...DEFAULT_LIMITS[type],
+      ...(doc && pick(doc)),
+      isDefault: !doc
+    };
+  });
+};
+
+// Static method to store limits for a type (unspecified fields keep their current value)
+pavlokLimitSchema.statics.setForType = async function(type, values) {
+  const current = await this.getForType(type);
+  const update = pick({ ...current, ...values });
+
+  return this.findOneAndUpdate(
+    { type },
+    { $set: update },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Static method to drop stored limits for a type so defaults apply again
+pavlokLimitSchema.statics.resetForType = function(type) {
+  return this.deleteOne({ type });
+};
+
+/**
+ * Pick limit fields from an object
+ * @param {Object} source - Object with limit fields
+ * @returns {Object} Limit fields only
+ * @private
+ */
+function pick(source) {
+  const result = {};
+  LIMIT_FIELDS.forEach(field => {
+    if (source[field] !== undefined) {
+      result[field] = source[field];
+    }
+  });
+  return result;
+}
+
+const PavlokLimit = mongoose.model('PavlokLimit', pavlokLimitSchema);
+
+PavlokLimit.DEFAULT_LIMITS = DEFAULT_LIMITS;
+PavlokLimit.LIMIT_FIELDS = LIMIT_FIELDS;
+
+module.exports = PavlokLimit;
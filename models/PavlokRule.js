@@ -0,0 +1,113 @@
+/**
+ * Pavlok Rule Model
+ * Scheduled stimulus rules evaluated by the Pavlok scheduler
+ */
+
+const mongoose = require('mongoose');
+
+const pavlokRuleSchema = new mongoose.Schema({
+  // Rule name
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true
+  },
+
+  // Whether the scheduler evaluates this rule
+  enabled: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+
+  // Stimulus to send when the rule fires
+  type: {
+    type: String,
+    enum: ['beep', 'vibrate', 'shock'],
+    required: true
+  },
+
+  // Intensity level (1-4)
+  intensity: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 4
+  },
+
+  // Reason recorded on each firing (defaults to the rule name)
+  reason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  // When the rule fires
+  trigger: {
+    // "schedule": fixed time of day, "calendar": before calendar events
+    kind: {
+      type: String,
+      enum: ['schedule', 'calendar'],
+      required: true
+    },
+
+    // Schedule: time of day in HH:MM (24h, USER_TIMEZONE)
+    time: {
+      type: String,
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Time must be in HH:MM format'],
+      default: null
+    },
+
+    // Schedule: days of week (0=Sunday ... 6=Saturday), empty means every day
+    days: {
+      type: [Number],
+      default: [],
+      validate: {
+        validator: function(days) {
+          return days.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+        },
+        message: 'Days must be integers between 0 (Sunday) and 6 (Saturday)'
+      }
+    },
+
+    // Calendar: minutes before event start
+    minutesBefore: {
+      type: Number,
+      min: 0,
+      max: 24 * 60,
+      default: 10
+    },
+
+    // Calendar: only events whose summary contains this text (case-insensitive)
+    match: {
+      type: String,
+      trim: true,
+      default: null
+    }
+  },
+
+  // Last time the rule fired
+  lastFiredAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Static method to get rules the scheduler should evaluate
+pavlokRuleSchema.statics.findEnabled = function() {
+  return this.find({ enabled: true });
+};
+
+// Instance method to record a firing
+pavlokRuleSchema.methods.markFired = function(date = new Date()) {
+  this.lastFiredAt = date;
+  return this.save();
+};
+
+const PavlokRule = mongoose.model('PavlokRule', pavlokRuleSchema);
+
+module.exports = PavlokRule;
@@ -0,0 +1,170 @@
+/**
+ * Pavlok Sequence Model
+ * Parent history record for a stimulus pattern; each sent step is also a PavlokStimulus
+ */
+
+const mongoose = require('mongoose');
+
+const sequenceStepSchema = new mongoose.Schema({
+  // Stimulus type, or wait for a pause
+  type: {
+    type: String,
+    enum: ['beep', 'vibrate', 'shock', 'wait'],
+    required: true
+  },
+
+  // Intensity level (1-4, stimulus steps only)
+  intensity: {
+    type: Number,
+    min: 1,
+    max: 4,
+    default: null
+  },
+
+  // Pause length (wait steps only)
+  seconds: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+
+  // Step progress
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'sent', 'waited', 'failed', 'rate_limited', 'skipped'],
+    default: 'pending'
+  },
+
+  // Stimulus history record created by this step
+  stimulus: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PavlokStimulus',
+    default: null
+  },
+
+  // Error message if the step failed
+  error: {
+    type: String,
+    default: null
+  },
+
+  startedAt: {
+    type: Date,
+    default: null
+  },
+
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+const pavlokSequenceSchema = new mongoose.Schema({
+  // Optional name of the pattern
+  name: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  // Optional reason, copied to each stimulus
+  reason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  // Overall progress
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed', 'aborted', 'interrupted'],
+    default: 'running',
+    index: true
+  },
+
+  // Ordered pattern with per-step results
+  steps: {
+    type: [sequenceStepSchema],
+    validate: {
+      validator: function(steps) {
+        return steps.length > 0;
+      },
+      message: 'At least one step is required'
+    }
+  },
+
+  // Why the sequence stopped early
+  error: {
+    type: String,
+    default: null
+  },
+
+  // API key that started the sequence
+  startedBy: {
+    type: String,
+    default: null
+  },
+
+  startedAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for number of stimuli actually sent
+pavlokSequenceSchema.virtual('sentCount').get(function() {
+  return (this.steps || []).filter(step => step.status === 'sent').length;
+});
+
+// Static method to get recent sequences
+pavlokSequenceSchema.statics.getRecent = function(options = {}) {
+  const { limit = 20, skip = 0, status = null } = options;
+
+  const query = {};
+  if (status) {
+    query.status = status;
+  }
+
+  return this.find(query)
+    .sort({ startedAt: -1 })
+    .limit(limit)
+    .skip(skip);
+};
+
+// Static method to close sequences left running by a previous process
+pavlokSequenceSchema.statics.markInterrupted = function() {
+  return this.updateMany(
+    { status: 'running' },
+    { $set: { status: 'interrupted', error: 'Server stopped before the sequence finished', finishedAt: new Date() } }
+  );
+};
+
+// Instance method to finish the sequence
+pavlokSequenceSchema.methods.finish = function(status, error = null) {
+  this.status = status;
+  this.error = error;
+  this.finishedAt = new Date();
+
+  // Steps that never ran are skipped
+  this.steps.forEach(step => {
+    if (step.status === 'pending' || step.status === 'running') {
+      step.status = 'skipped';
+    }
+  });
+
+  return this.save();
+};
+
+const PavlokSequence = mongoose.model('PavlokSequence', pavlokSequenceSchema);
+
+module.exports = PavlokSequence;
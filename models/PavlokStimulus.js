@@ -42,6 +42,51 @@ const pavlokStimulusSchema = new mongoose.Schema({
     default: null
   },
 
+  // Recorded by the simulator instead of sent to the device
+  simulated: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+
+  // What caused the stimulus
+  source: {
+    type: String,
+    enum: ['api', 'rule', 'policy', 'sequence'],
+    default: 'api'
+  },
+
+  // Rule that fired this stimulus (scheduled stimuli only)
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PavlokRule',
+    default: null,
+    index: true
+  },
+
+  // Escalation policy that fired this stimulus (overdue task stimuli only)
+  policy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EscalationPolicy',
+    default: null,
+    index: true
+  },
+
+  // Sequence this stimulus was a step of
+  sequence: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PavlokSequence',
+    default: null,
+    index: true
+  },
+
+  // Identifies the occurrence that fired a rule or policy, so it only fires once
+  // e.g. "2025-01-06T07:00", "event:abc123:2025-01-06T14:00:00Z" or "task:todoist:123:2025-01-06:step:1"
+  triggerKey: {
+    type: String,
+    default: null
+  },
+
   // Timestamp of the action
   timestamp: {
     type: Date,
@@ -57,15 +102,29 @@ const pavlokStimulusSchema = new mongoose.Schema({
 // Index for efficient querying
 pavlokStimulusSchema.index({ timestamp: -1 });
 pavlokStimulusSchema.index({ type: 1, timestamp: -1 });
+pavlokStimulusSchema.index({ rule: 1, triggerKey: 1 });
+pavlokStimulusSchema.index({ policy: 1, triggerKey: 1 });
 
 // Static method to get recent history
 pavlokStimulusSchema.statics.getRecent = function(options = {}) {
-  const { limit = 50, skip = 0, type = null } = options;
+  const { limit = 50, skip = 0, type = null, rule = null, policy = null, sequence = null, simulated = null } = options;
 
   const query = {};
   if (type) {
     query.type = type;
   }
+  if (rule) {
+    query.rule = rule;
+  }
+  if (policy) {
+    query.policy = policy;
+  }
+  if (sequence) {
+    query.sequence = sequence;
+  }
+  if (simulated !== null) {
+    query.simulated = simulated ? true : { $ne: true };
+  }
 
   return this.find(query)
     .sort({ timestamp: -1 })
@@ -75,10 +134,15 @@ pavlokStimulusSchema.statics.getRecent = function(options = {}) {
 
 // Static method to get statistics
 pavlokStimulusSchema.statics.getStats = async function(options = {}) {
-  const { startDate = null, endDate = null } = options;
+  const { startDate = null, endDate = null, simulated = null } = options;
 
   const matchQuery = {};
 
+  // true = simulated only, false = device only, null = both
+  if (simulated !== null) {
+    matchQuery.simulated = simulated ? true : { $ne: true };
+  }
+
   if (startDate || endDate) {
     matchQuery.timestamp = {};
     if (startDate) matchQuery.timestamp.$gte = new Date(startDate);
@@ -106,6 +170,7 @@ pavlokStimulusSchema.statics.getStats = async function(options = {}) {
     total,
     byType,
     bySuccess,
+    simulated,
     period: {
       start: startDate,
       end: endDate
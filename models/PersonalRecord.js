@@ -0,0 +1,82 @@
+/**
+ * Personal Record Model
+ * Best result per athlete, activity type and record (fastest 5k, longest ride...)
+ */
+
+const mongoose = require('mongoose');
+
+const personalRecordSchema = new mongoose.Schema({
+  // Strava athlete ID
+  athleteId: {
+    type: String,
+    required: true
+  },
+
+  // Activity type the record is for (normalizeActivity "type")
+  activityType: {
+    type: String,
+    required: true
+  },
+
+  // Record key, e.g. fastest_5k or longest_distance
+  record: {
+    type: String,
+    required: true
+  },
+
+  // Best value: seconds for fastest_* records, meters or seconds for the others (see unit)
+  value: {
+    type: Number,
+    required: true
+  },
+
+  unit: {
+    type: String,
+    enum: ['seconds', 'meters'],
+    required: true
+  },
+
+  // Activity that set the record
+  activityId: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  activityName: {
+    type: String,
+    default: null
+  },
+
+  achievedAt: {
+    type: Date,
+    required: true
+  },
+
+  // Record this one replaced, if any
+  previous: {
+    value: { type: Number, default: null },
+    activityId: { type: String, default: null },
+    achievedAt: { type: Date, default: null }
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+personalRecordSchema.index({ athleteId: 1, activityType: 1, record: 1 }, { unique: true });
+
+// Static method to get an athlete's records keyed by "activityType:record"
+personalRecordSchema.statics.getByKey = async function(athleteId) {
+  const records = await this.find({ athleteId: String(athleteId) });
+
+  return records.reduce((byKey, record) => {
+    byKey[`${record.activityType}:${record.record}`] = record;
+    return byKey;
+  }, {});
+};
+
+const PersonalRecord = mongoose.model('PersonalRecord', personalRecordSchema);
+
+module.exports = PersonalRecord;
@@ -0,0 +1,205 @@
+/**
+ * Strava Activity Model
+ * Local history of Strava activities, filled by the backfill and kept current by sync and webhooks
+ */
+
+const mongoose = require('mongoose');
+const { normalizeActivity } = require('../shared/utils/normalize');
+
+const stravaActivitySchema = new mongoose.Schema({
+  // Strava activity ID
+  activityId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Strava athlete ID of the owner
+  athleteId: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // Activity type as reported by normalizeActivity (Run, Ride, Swim...)
+  type: {
+    type: String,
+    required: true
+  },
+
+  // Start instant, and the athlete's local start date (YYYY-MM-DD) for calendar queries
+  startDate: {
+    type: Date,
+    required: true
+  },
+
+  localDate: {
+    type: String,
+    required: true
+  },
+
+  // Totals used by aggregations (meters, seconds, meters)
+  distance: {
+    type: Number,
+    default: 0
+  },
+
+  duration: {
+    type: Number,
+    default: 0
+  },
+
+  elevationGain: {
+    type: Number,
+    default: 0
+  },
+
+  // Strava summary activity as returned by /athlete/activities
+  activity: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // When this document was last written by a sync
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+stravaActivitySchema.index({ athleteId: 1, localDate: -1 });
+stravaActivitySchema.index({ athleteId: 1, type: 1, localDate: -1 });
+stravaActivitySchema.index({ athleteId: 1, startDate: -1 });
+
+// Static method to store Strava activities (existing ones are replaced)
+stravaActivitySchema.statics.applyActivities = async function(athleteId, activities, syncedAt = new Date()) {
+  if (activities.length === 0) {
+    return { upserted: 0 };
+  }
+
+  const operations = activities.map(activity => {
+    const normalized = normalizeActivity(activity);
+
+    return {
+      updateOne: {
+        filter: { activityId: normalized.id },
+        update: {
+          $set: {
+            athleteId: String(athleteId),
+            type: normalized.type || 'Unknown',
+            startDate: new Date(activity.start_date),
+            // start_date_local is the athlete's wall clock time marked as UTC
+            localDate: (activity.start_date_local || activity.start_date).slice(0, 10),
+            distance: normalized.distance,
+            duration: normalized.duration,
+            elevationGain: normalized.elevation_gain,
+            activity,
+            syncedAt
+          }
+        },
+        upsert: true
+      }
+    };
+  });
+
+  const result = await this.bulkWrite(operations, { ordered: false });
+
+  return { upserted: result.upsertedCount + result.modifiedCount };
+};
+
+// Static method to find activities by type and local date range, newest first
+stravaActivitySchema.statics.findHistory = async function(athleteId, options = {}) {
+  const { type = null, start = null, end = null, limit = 50, skip = 0 } = options;
+  const filter = buildHistoryFilter(athleteId, { type, start, end });
+
+  const [docs, total] = await Promise.all([
+    this.find(filter).sort({ startDate: -1 }).skip(skip).limit(limit).lean(),
+    this.countDocuments(filter)
+  ]);
+
+  return { activities: docs.map(doc => normalizeActivity(doc.activity)), total };
+};
+
+// Static method to find every activity since a local date (null: all), oldest first
+stravaActivitySchema.statics.findSince = async function(athleteId, startKey) {
+  const docs = await this.find(buildHistoryFilter(athleteId, { start: startKey }))
+    .sort({ startDate: 1 })
+    .lean();
+
+  return docs.map(doc => normalizeActivity(doc.activity));
+};
+
+// Static method to total activities per period and type ('month': YYYY-MM, 'year': YYYY)
+stravaActivitySchema.statics.summarize = function(athleteId, options = {}) {
+  const { period = 'month', type = null, start = null, end = null } = options;
+  const periodLength = period === 'year' ? 4 : 7;
+
+  return this.aggregate([
+    { $match: buildHistoryFilter(athleteId, { type, start, end }) },
+    {
+      $group: {
+        _id: { period: { $substrBytes: ['$localDate', 0, periodLength] }, type: '$type' },
+        count: { $sum: 1 },
+        distance: { $sum: '$distance' },
+        duration: { $sum: '$duration' },
+        elevationGain: { $sum: '$elevationGain' }
+      }
+    },
+    { $sort: { '_id.period': 1, '_id.type': 1 } },
+    {
+      $project: {
+        _id: 0,
+        period: '$_id.period',
+        type: '$_id.type',
+        count: 1,
+        distance: 1,
+        duration: 1,
+        elevationGain: 1
+      }
+    }
+  ]);
+};
+
+// Static method to get the newest stored start (incremental sync resumes after it)
+stravaActivitySchema.statics.getLatestStart = async function(athleteId) {
+  const latest = await this.findOne({ athleteId: String(athleteId) }).sort({ startDate: -1 }).select('startDate').lean();
+  return latest ? latest.startDate : null;
+};
+
+// Static method to get the oldest stored start (backfill continues before it)
+stravaActivitySchema.statics.getEarliestStart = async function(athleteId) {
+  const earliest = await this.findOne({ athleteId: String(athleteId) }).sort({ startDate: 1 }).select('startDate').lean();
+  return earliest ? earliest.startDate : null;
+};
+
+/**
+ * Build a history query filter
+ * @param {string} athleteId - Strava athlete ID
+ * @param {Object} options - { type, start, end } (dates as YYYY-MM-DD, inclusive)
+ * @returns {Object} MongoDB filter
+ * @private
+ */
+function buildHistoryFilter(athleteId, { type, start, end }) {
+  const filter = { athleteId: String(athleteId) };
+
+  if (type) {
+    filter.type = type;
+  }
+
+  if (start || end) {
+    filter.localDate = {
+      ...(start && { $gte: start }),
+      ...(end && { $lte: end })
+    };
+  }
+
+  return filter;
+}
+
+const StravaActivity = mongoose.model('StravaActivity', stravaActivitySchema);
+
+module.exports = StravaActivity;
@@ -0,0 +1,93 @@
+/**
+ * Strava Athlete Model
+ * Athletes who authorized Lifestack (their OAuth tokens are in the credential vault,
+ * or on the athlete while CREDENTIAL_MASTER_KEY is not set)
+ */
+
+const mongoose = require('mongoose');
+
+const stravaAthleteSchema = new mongoose.Schema({
+  // Strava athlete ID
+  athleteId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Profile from the token exchange
+  firstname: {
+    type: String,
+    default: null
+  },
+
+  lastname: {
+    type: String,
+    default: null
+  },
+
+  username: {
+    type: String,
+    default: null
+  },
+
+  // Profile picture URL
+  profile: {
+    type: String,
+    default: null
+  },
+
+  // Plaintext OAuth tokens, only without CREDENTIAL_MASTER_KEY (moved into the vault once it is set)
+  accessToken: {
+    type: String,
+    select: false
+  },
+
+  refreshToken: {
+    type: String,
+    select: false
+  },
+
+  // Access token expiry (Unix timestamp, seconds)
+  expiresAt: {
+    type: Number
+  },
+
+  // Scopes the athlete granted, e.g. "read,activity:read_all"
+  scope: {
+    type: String
+  },
+
+  // Last authorization through the OAuth callback
+  authorizedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Last access token refresh of plaintext tokens
+  lastRefreshAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for the athlete's display name
+stravaAthleteSchema.virtual('name').get(function() {
+  return [this.firstname, this.lastname].filter(Boolean).join(' ') || this.username || this.athleteId;
+});
+
+// Static method to find an athlete with plaintext tokens selected
+stravaAthleteSchema.statics.findWithTokens = function(athleteId) {
+  return this.findOne({ athleteId: String(athleteId) }).select('+accessToken +refreshToken');
+};
+
+// Static method to list athletes, first authorized first
+stravaAthleteSchema.statics.findAll = function() {
+  return this.find().sort({ authorizedAt: 1 });
+};
+
+const StravaAthlete = mongoose.model('StravaAthlete', stravaAthleteSchema);
+
+module.exports = StravaAthlete;
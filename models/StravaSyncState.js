@@ -0,0 +1,68 @@
+/**
+ * Strava Sync State Model
+ * Per athlete backfill progress and last sync result
+ */
+
+const mongoose = require('mongoose');
+
+const stravaSyncStateSchema = new mongoose.Schema({
+  // Strava athlete ID
+  athleteId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Backfill walks back from the newest activity; set once it reaches the first one
+  backfillCompletedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Activities stored by the backfill so far
+  backfillCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Last successful sync
+  lastSyncAt: {
+    type: Date,
+    default: null
+  },
+
+  // Activities stored by the last successful sync
+  lastChangeCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Last failure (cleared on success)
+  lastError: {
+    type: String,
+    default: null
+  },
+
+  lastErrorAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the stored history reaches back to the first activity
+stravaSyncStateSchema.virtual('isBackfilled').get(function() {
+  return Boolean(this.backfillCompletedAt);
+});
+
+// Method to check whether the last successful sync is older than maxAgeMs
+stravaSyncStateSchema.methods.isStale = function(maxAgeMs, now = new Date()) {
+  return !this.lastSyncAt || now.getTime() - this.lastSyncAt.getTime() > maxAgeMs;
+};
+
+const StravaSyncState = mongoose.model('StravaSyncState', stravaSyncStateSchema);
+
+module.exports = StravaSyncState;
@@ -29,32 +29,42 @@ let failedTests = 0;
 
 /**
  * Test an endpoint
+ * Options: method, headers, data, expectStatus (default: any 2xx), check (data => boolean)
+ * Returns the response body if the test passed, otherwise null.
  */
 async function testEndpoint(name, url, options = {}) {
   try {
     const response = await axios({
       method: options.method || 'GET',
       url: `${BASE_URL}${url}`,
-      headers: options.headers || {},
+      headers: {
+        // All /api/* routes require an API key
+        ...(API_KEY && { 'x-api-key': API_KEY }),
+        ...options.headers
+      },
       data: options.data,
-      timeout: 10000
+      timeout: 10000,
+      validateStatus: () => true
     });
 
-    if (response.status >= 200 && response.status < 300) {
+    const statusOk = options.expectStatus
+      ? response.status === options.expectStatus
+      : response.status >= 200 && response.status < 300;
+
+    if (statusOk && (!options.check || options.check(response.data))) {
       console.log(`${colors.green}✓${colors.reset} ${name}`);
       passedTests++;
-      return true;
+      return response.data;
     } else {
-      console.log(`${colors.red}✗${colors.reset} ${name} - Status: ${response.status}`);
+      const message = response.data?.message || response.data?.error || '';
+      console.log(`${colors.red}✗${colors.reset} ${name} - Status: ${response.status} ${message}`);
       failedTests++;
-      return false;
+      return null;
     }
   } catch (error) {
-    const status = error.response?.status || 'Network Error';
-    const message = error.response?.data?.message || error.message;
-    console.log(`${colors.red}✗${colors.reset} ${name} - ${status}: ${message}`);
+    console.log(`${colors.red}✗${colors.reset} ${name} - Network Error: ${error.message}`);
     failedTests++;
-    return false;
+    return null;
   }
 }
 
@@ -76,8 +86,17 @@ async function runTests() {
   // Calendar API
   console.log(`\n${colors.yellow}Calendar API:${colors.reset}`);
   await testEndpoint('Calendar Health', '/api/calendar/health');
+  await testEndpoint('Calendar List', '/api/calendar/calendars');
   await testEndpoint('Calendar Today\'s Events', '/api/calendar/events/today');
+  const today = new Date().toISOString().split('T')[0];
+  const weekAhead = new Date(Date.now() + 6 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  await testEndpoint('Calendar Events Range', `/api/calendar/events?start=${today}&end=${weekAhead}`);
+  await testEndpoint('Calendar Free Slots', `/api/calendar/free-slots?start=${today}&end=${weekAhead}&duration=30`);
   await testEndpoint('Calendar Cache Stats', '/api/calendar/cache/stats');
+  await testEndpoint('Calendar Sync Status', '/api/calendar/sync/status');
+  if (process.env.CALENDAR_FEED_TOKEN) {
+    await testEndpoint('Calendar ICS Feed', `/api/calendar/feed.ics?token=${encodeURIComponent(process.env.CALENDAR_FEED_TOKEN)}`);
+  }
 
   // Memory API (requires auth)
   console.log(`\n${colors.yellow}Memory API (requires API key):${colors.reset}`);
@@ -98,17 +117,55 @@ async function runTests() {
   // Strava API
   console.log(`\n${colors.yellow}Strava API:${colors.reset}`);
   await testEndpoint('Strava Health', '/api/strava/health');
-  if (process.env.STRAVA_ACCESS_TOKEN && process.env.STRAVA_ACCESS_TOKEN !== 'your_strava_access_token_here') {
-    await testEndpoint('Strava Recent Activities', '/api/strava/recent?limit=5');
+  // Tokens are per athlete, so the data endpoints need an athlete who has authorized
+  const stravaAthletes = await testEndpoint('Strava Athletes', '/api/strava/athletes');
+  if (stravaAthletes?.count > 0) {
+    const athleteId = stravaAthletes.defaultAthleteId || stravaAthletes.athletes[0].athleteId;
+
+    await testEndpoint('Strava Athlete (athleteId)', `/api/strava/athlete?athleteId=${athleteId}`, {
+      check: data => data.athleteId === athleteId
+    });
+    await testEndpoint('Strava Rejects athleteId=all on a single athlete route', '/api/strava/athlete?athleteId=all', {
+      expectStatus: 400
+    });
+    const recent = await testEndpoint('Strava Recent Activities', `/api/strava/recent?limit=5&athleteId=${athleteId}`);
     await testEndpoint('Strava Cache Stats', '/api/strava/cache/stats');
+    await testEndpoint('Strava Sync Status', '/api/strava/sync/status');
+    await testEndpoint('Strava History', `/api/strava/history?limit=5&athleteId=${athleteId}`);
+    await testEndpoint('Strava Analytics', `/api/strava/analytics?weeks=4&athleteId=${athleteId}`);
+    await testEndpoint('Strava Goals', '/api/strava/goals');
+    await testEndpoint('Strava Personal Records', `/api/strava/records?athleteId=${athleteId}`);
+
+    const activityId = recent?.activities?.[0]?.id;
+    if (activityId) {
+      const streams = await testEndpoint('Strava Activity Streams', `/api/strava/activities/${activityId}/streams?athleteId=${athleteId}`, {
+        check: data => data.activityId === activityId
+      });
+
+      if (streams?.points > 0) {
+        // GPX needs positions; TCX works for any activity with samples
+        const format = streams.streams.latlng ? 'gpx' : 'tcx';
+        await testEndpoint(`Strava Activity Export (${format.toUpperCase()})`, `/api/strava/activities/${activityId}/export?format=${format}&athleteId=${athleteId}`, {
+          check: data => typeof data === 'string' && data.startsWith('<?xml')
+        });
+      } else {
+        console.log(`${colors.yellow}  Latest activity has no samples - skipping export${colors.reset}`);
+      }
+    } else {
+      console.log(`${colors.yellow}  No recent activities - skipping streams and export${colors.reset}`);
+    }
   } else {
-    console.log(`${colors.yellow}  Strava token not configured - skipping data endpoints${colors.reset}`);
+    console.log(`${colors.yellow}  No Strava athlete authorized (GET /api/strava/oauth/authorize) - skipping data endpoints${colors.reset}`);
   }
 
   // Pavlok API
   console.log(`\n${colors.yellow}Pavlok API:${colors.reset}`);
   await testEndpoint('Pavlok Health', '/api/pavlok/health');
   await testEndpoint('Pavlok Rate Limit Status', '/api/pavlok/rate-limit');
+  await testEndpoint('Pavlok Limits', '/api/pavlok/limits');
+  await testEndpoint('Pavlok Rules', '/api/pavlok/rules');
+  await testEndpoint('Pavlok Policies', '/api/pavlok/policies');
+  await testEndpoint('Pavlok Sequences', '/api/pavlok/sequences');
   if (API_KEY && API_KEY !== 'your_api_key_here') {
     await testEndpoint('Pavlok History', '/api/pavlok/history?limit=5', {
       headers: { 'x-api-key': API_KEY }
@@ -123,6 +180,16 @@ async function runTests() {
   // Unified API
   console.log(`\n${colors.yellow}Unified API:${colors.reset}`);
   await testEndpoint('Unified Health', '/api/unified/health');
+  await testEndpoint('Unified Quick Add (dryRun, "at 7")', '/api/unified/quick-add', {
+    method: 'POST',
+    data: { text: 'feed the cat at 7', dryRun: true },
+    check: data => data.interpretation?.title === 'feed the cat' && data.interpretation.time === '19:00'
+  });
+  await testEndpoint('Unified Quick Add (dryRun, "at 8 tonight")', '/api/unified/quick-add', {
+    method: 'POST',
+    data: { text: 'party at 8 tonight', dryRun: true },
+    check: data => data.interpretation?.title === 'party' && data.interpretation.time === '20:00' && data.interpretation.kind === 'event'
+  });
   if (process.env.TODOIST_TOKEN && process.env.TODOIST_TOKEN !== 'your_todoist_api_token_here') {
     await testEndpoint('Unified Tasks', '/api/unified/tasks?filter=all&limit=5');
     await testEndpoint('Unified Today Dashboard', '/api/unified/today');
@@ -131,6 +198,12 @@ async function runTests() {
     console.log(`${colors.yellow}  Todoist token not configured - skipping data endpoints${colors.reset}`);
   }
 
+  // Admin API
+  console.log(`\n${colors.yellow}Admin API:${colors.reset}`);
+  await testEndpoint('Admin - List Scopes', '/api/admin/scopes');
+  await testEndpoint('Admin - List Keys', '/api/admin/keys');
+  await testEndpoint('Admin - Credential Status', '/api/admin/credentials');
+
   // Summary
   console.log(`\n${colors.cyan}╔════════════════════════════════════════════╗${colors.reset}`);
   console.log(`${colors.cyan}║           Test Results                     ║${colors.reset}`);
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+
+/**
+ * Strava Webhook Test Script
+ * Plays the part of Strava against a local server: subscription validation,
+ * then create/update/delete activity events and an athlete deauthorization
+ *
+ * Usage: node scripts/test-strava-webhook.js (server running, STRAVA_WEBHOOK_VERIFY_TOKEN and STRAVA_WEBHOOK_SUBSCRIPTION_ID set)
+ */
+
+const axios = require('axios');
+
+// Load environment variables
+require('dotenv').config();
+
+const PORT = process.env.PORT || 3000;
+const WEBHOOK_URL = `http://localhost:${PORT}/api/strava/webhook`;
+const VERIFY_TOKEN = process.env.STRAVA_WEBHOOK_VERIFY_TOKEN;
+const SUBSCRIPTION_ID = Number(process.env.STRAVA_WEBHOOK_SUBSCRIPTION_ID);
+
+// Stub IDs; the events only touch the cache and hooks, so they need not exist on Strava
+const ACTIVITY_ID = 1000000001;
+const ATHLETE_ID = 2000000001;
+
+// Colors for output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+let passedTests = 0;
+let failedTests = 0;
+
+/**
+ * Send a request and check its status
+ */
+async function expectStatus(name, expectedStatus, request, check = () => true) {
+  try {
+    const response = await axios({ ...request, timeout: 10000, validateStatus: () => true });
+
+    if (response.status === expectedStatus && check(response.data)) {
+      console.log(`${colors.green}✓${colors.reset} ${name}`);
+      passedTests++;
+    } else {
+      console.log(`${colors.red}✗${colors.reset} ${name} - Status: ${response.status} ${JSON.stringify(response.data)}`);
+      failedTests++;
+    }
+  } catch (error) {
+    console.log(`${colors.red}✗${colors.reset} ${name} - Network Error: ${error.message}`);
+    failedTests++;
+  }
+}
+
+/**
+ * Build a Strava event body
+ */
+function stravaEvent(objectType, aspectType, objectId, updates = {}) {
+  return {
+    object_type: objectType,
+    object_id: objectId,
+    aspect_type: aspectType,
+    owner_id: ATHLETE_ID,
+    subscription_id: SUBSCRIPTION_ID,
+    event_time: Math.floor(Date.now() / 1000),
+    updates
+  };
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+  console.log(`\n${colors.cyan}╔════════════════════════════════════════════╗${colors.reset}`);
+  console.log(`${colors.cyan}║       Strava Webhook Test (local stub)    ║${colors.reset}`);
+  console.log(`${colors.cyan}╚════════════════════════════════════════════╝${colors.reset}\n`);
+
+  if (!VERIFY_TOKEN) {
+    console.log(`${colors.red}STRAVA_WEBHOOK_VERIFY_TOKEN is not set${colors.reset}\n`);
+    process.exit(1);
+  }
+
+  if (!SUBSCRIPTION_ID) {
+    console.log(`${colors.red}STRAVA_WEBHOOK_SUBSCRIPTION_ID is not set (the server rejects every event without it)${colors.reset}\n`);
+    process.exit(1);
+  }
+
+  console.log(`${colors.blue}Testing against: ${WEBHOOK_URL}${colors.reset}\n`);
+
+  console.log(`${colors.yellow}Subscription Validation:${colors.reset}`);
+  await expectStatus('Echoes the challenge', 200, {
+    method: 'GET',
+    url: WEBHOOK_URL,
+    params: { 'hub.mode': 'subscribe', 'hub.verify_token': VERIFY_TOKEN, 'hub.challenge': 'stub-challenge' }
+  }, data => data['hub.challenge'] === 'stub-challenge');
+  await expectStatus('Rejects a wrong verify token', 403, {
+    method: 'GET',
+    url: WEBHOOK_URL,
+    params: { 'hub.mode': 'subscribe', 'hub.verify_token': 'wrong', 'hub.challenge': 'stub-challenge' }
+  });
+
+  console.log(`\n${colors.yellow}Events:${colors.reset}`);
+  await expectStatus('Activity create', 200, {
+    method: 'POST', url: WEBHOOK_URL, data: stravaEvent('activity', 'create', ACTIVITY_ID)
+  });
+  await expectStatus('Activity update', 200, {
+    method: 'POST', url: WEBHOOK_URL, data: stravaEvent('activity', 'update', ACTIVITY_ID, { title: 'Stub ride' })
+  });
+  await expectStatus('Activity delete', 200, {
+    method: 'POST', url: WEBHOOK_URL, data: stravaEvent('activity', 'delete', ACTIVITY_ID)
+  });
+  await expectStatus('Athlete deauthorization', 200, {
+    method: 'POST', url: WEBHOOK_URL, data: stravaEvent('athlete', 'update', ATHLETE_ID, { authorized: 'false' })
+  });
+  await expectStatus('Rejects a malformed event', 400, {
+    method: 'POST', url: WEBHOOK_URL, data: { object_type: 'route' }
+  });
+  await expectStatus('Rejects an event from another subscription', 400, {
+    method: 'POST', url: WEBHOOK_URL, data: { ...stravaEvent('activity', 'create', ACTIVITY_ID), subscription_id: SUBSCRIPTION_ID + 1 }
+  });
+
+  // Summary
+  const total = passedTests + failedTests;
+  console.log(`\n${colors.green}Passed: ${passedTests}${colors.reset}`);
+  console.log(`${colors.red}Failed: ${failedTests}${colors.reset}`);
+  console.log(`Total:  ${total}\n`);
+
+  process.exit(failedTests === 0 ? 0 : 1);
+}
+
+// Run tests
+runTests().catch(error => {
+  console.error(`${colors.red}Fatal error running tests:${colors.reset}`, error.message);
+  process.exit(1);
+});
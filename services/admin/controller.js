@@ -0,0 +1,283 @@
+/**
+ * Admin Service - Controller
+ * API key issuance, rotation and revocation, and provider credential status
+ */
+
+const ApiKey = require('../../models/ApiKey');
+const { SCOPES } = require('../../shared/middleware/auth');
+const { isValidObjectId } = require('../memory/validation');
+const { validateKeyCreate } = require('./validation');
+const { ALGORITHM, isVaultConfigured, getCredentialStatus } = require('../../shared/utils/credentialVault');
+const { getTokenFileStatus } = require('../calendar/auth');
+const { getPlaintextTokenStatus } = require('../strava/tokenStore');
+
+/**
+ * Format an API key document for responses (never includes the hash)
+ * @param {Object} apiKey - ApiKey document
+ * @returns {Object} Public key representation
+ * @private
+ */
+function formatKey(apiKey) {
+  return {
+    id: apiKey._id.toString(),
+    label: apiKey.label,
+    keyPrefix: apiKey.keyPrefix,
+    scopes: apiKey.scopes,
+    status: apiKey.status,
+    createdAt: apiKey.createdAt,
+    lastUsedAt: apiKey.lastUsedAt,
+    expiresAt: apiKey.expiresAt,
+    rotatedAt: apiKey.rotatedAt,
+    revokedAt: apiKey.revokedAt
+  };
+}
+
+/**
+ * List issued API keys
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function listKeys(req, res) {
+  try {
+    const includeRevoked = req.query.includeRevoked === 'true';
+    const query = includeRevoked ? {} : { revokedAt: null };
+
+    const keys = await ApiKey.find(query).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: keys.length,
+      keys: keys.map(formatKey)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to list API keys');
+  }
+}
+
+/**
+ * Get a single API key
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getKey(req, res) {
+  try {
+    const apiKey = await findKeyOr404(req, res);
+    if (!apiKey) return;
+
+    res.json({
+      success: true,
+      key: formatKey(apiKey)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch API key');
+  }
+}
+
+/**
+ * Issue a new API key
+ * The plaintext key is only returned in this response
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function createKey(req, res) {
+  try {
+    const validation = validateKeyCreate(req.body);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: validation.errors
+      });
+    }
+
+    const { apiKey, key } = await ApiKey.issue({
+      label: req.body.label.trim(),
+      scopes: req.body.scopes,
+      expiresAt: req.body.expiresAt ? new Date(req.body.expiresAt) : null
+    });
+
+    console.log(`🔑 Issued API key "${apiKey.label}" (${apiKey.keyPrefix}...) by ${req.apiKey.name}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'API key issued. Store it now - it will not be shown again.',
+      apiKey: key,
+      key: formatKey(apiKey)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to issue API key');
+  }
+}
+
+/**
+ * Rotate an API key (new key value, same label and scopes)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function rotateKey(req, res) {
+  try {
+    const apiKey = await findKeyOr404(req, res);
+    if (!apiKey) return;
+
+    if (apiKey.revokedAt) {
+      return res.status(409).json({
+        success: false,
+        error: 'API key is revoked',
+        message: 'Revoked keys cannot be rotated. Issue a new key instead.'
+      });
+    }
+
+    const key = await apiKey.rotate();
+
+    console.log(`🔄 Rotated API key "${apiKey.label}" (${apiKey.keyPrefix}...) by ${req.apiKey.name}`);
+
+    res.json({
+      success: true,
+      message: 'API key rotated. The previous key no longer works.',
+      apiKey: key,
+      key: formatKey(apiKey)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to rotate API key');
+  }
+}
+
+/**
+ * Revoke an API key
+ * Takes effect on the next request made with the key
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function revokeKey(req, res) {
+  try {
+    const apiKey = await findKeyOr404(req, res);
+    if (!apiKey) return;
+
+    if (!apiKey.revokedAt) {
+      await apiKey.revoke();
+      console.log(`🗑️  Revoked API key "${apiKey.label}" (${apiKey.keyPrefix}...) by ${req.apiKey.name}`);
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully',
+      key: formatKey(apiKey)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to revoke API key');
+  }
+}
+
+/**
+ * List scopes that can be granted to keys
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+function listScopes(req, res) {
+  res.json({
+    success: true,
+    scopes: SCOPES,
+    wildcards: ['*', '<service>:*']
+  });
+}
+
+/**
+ * List stored provider credentials with their expiry, scopes and refresh status
+ * Tokens are never returned.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function listCredentials(req, res) {
+  try {
+    const credentials = await getCredentialStatus();
+
+    // A token.json that hasn't been moved into the vault (no master key, or not restarted since setup)
+    const googleFile = getTokenFileStatus();
+    if (googleFile) {
+      credentials.push(googleFile);
+    }
+
+    // Strava athletes whose tokens are still on their athlete record (no master key yet)
+    credentials.push(...await getPlaintextTokenStatus());
+
+    res.json({
+      success: true,
+      vault: {
+        configured: isVaultConfigured(),
+        algorithm: ALGORITHM
+      },
+      count: credentials.length,
+      credentials
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to list credentials');
+  }
+}
+
+/**
+ * Look up the key from req.params.id, responding 400/404 when not usable
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} ApiKey document or null if a response was sent
+ * @private
+ */
+async function findKeyOr404(req, res) {
+  const { id } = req.params;
+
+  if (!isValidObjectId(id)) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid key ID format'
+    });
+    return null;
+  }
+
+  const apiKey = await ApiKey.findById(id);
+
+  if (!apiKey) {
+    res.status(404).json({
+      success: false,
+      error: 'API key not found',
+      message: `No API key found with ID: ${id}`
+    });
+    return null;
+  }
+
+  return apiKey;
+}
+
+/**
+ * Handle errors consistently
+ * @param {Object} res - Express response
+ * @param {Error} error - Error object
+ * @param {string} message - Error message
+ * @private
+ */
+function handleError(res, error, message) {
+  console.error(`❌ ${message}:`, error.message);
+
+  const status = error.status || 500;
+
+  res.status(status).json({
+    success: false,
+    error: message,
+    message: error.message
+  });
+}
+
+module.exports = {
+  listKeys,
+  getKey,
+  createKey,
+  rotateKey,
+  revokeKey,
+  listScopes,
+  listCredentials
+};
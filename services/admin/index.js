@@ -0,0 +1,10 @@
+/**
+ * Admin Service - Main Entry Point
+ * Exports the admin service router
+ */
+
+const router = require('./routes');
+
+module.exports = {
+  router
+};
@@ -0,0 +1,71 @@
+/**
+ * Admin Service - API Routes
+ * API key management and credential status (requires admin scope)
+ */
+
+const express = require('express');
+const controller = require('./controller');
+const { authenticateApiKey, requireScope } = require('../../shared/middleware/auth');
+
+const router = express.Router();
+
+// Apply authentication and admin scope to all admin routes
+router.use(authenticateApiKey, requireScope('admin'));
+
+/**
+ * GET /keys
+ * List issued API keys (hashes and plaintext keys are never returned)
+ *
+ * Query params:
+ * - includeRevoked: true | false (default: false)
+ */
+router.get('/keys', controller.listKeys);
+
+/**
+ * POST /keys
+ * Issue a new API key for a device or agent
+ *
+ * Body:
+ * {
+ *   label: "string",               // Required: device or agent name
+ *   scopes: ["memory:read", ...],  // Required: granted scopes
+ *   expiresAt: "ISO date"          // Optional: expiry (default: never)
+ * }
+ *
+ * The plaintext key is returned once in `apiKey` and cannot be retrieved later.
+ */
+router.post('/keys', controller.createKey);
+
+/**
+ * GET /keys/:id
+ * Get a single API key's metadata
+ */
+router.get('/keys/:id', controller.getKey);
+
+/**
+ * POST /keys/:id/rotate
+ * Replace the key value, keeping label and scopes
+ * The old value stops working immediately
+ */
+router.post('/keys/:id/rotate', controller.rotateKey);
+
+/**
+ * DELETE /keys/:id
+ * Revoke an API key (takes effect on its next request)
+ */
+router.delete('/keys/:id', controller.revokeKey);
+
+/**
+ * GET /scopes
+ * List scopes that can be granted to keys
+ */
+router.get('/scopes', controller.listScopes);
+
+/**
+ * GET /credentials
+ * Status of stored provider tokens (Google, Strava athletes): expiry, scopes, last refresh
+ * Tokens are never returned; storage is "vault" (encrypted) or "file" (plaintext token.json)
+ */
+router.get('/credentials', controller.listCredentials);
+
+module.exports = router;
@@ -0,0 +1,49 @@
+/**
+ * Admin Service - Validation
+ * Validation utilities for API key management
+ */
+
+const { findUnknownScopes } = require('../../shared/middleware/auth');
+
+/**
+ * Validate API key issuance data
+ * @param {Object} data - Key data to validate
+ * @returns {Object} Validation result { valid: boolean, errors: Array }
+ */
+function validateKeyCreate(data) {
+  const errors = [];
+
+  // Label is required
+  if (!data.label || typeof data.label !== 'string' || data.label.trim().length === 0) {
+    errors.push('Key label is required');
+  }
+
+  // Scopes are required
+  if (!Array.isArray(data.scopes) || data.scopes.length === 0) {
+    errors.push('Scopes must be a non-empty array');
+  } else {
+    const unknown = findUnknownScopes(data.scopes);
+    if (unknown.length > 0) {
+      errors.push(`Unknown scopes: ${unknown.join(', ')}`);
+    }
+  }
+
+  // Expiry validation (optional)
+  if (data.expiresAt !== undefined && data.expiresAt !== null) {
+    const expiresAt = new Date(data.expiresAt);
+    if (isNaN(expiresAt.getTime())) {
+      errors.push('Invalid expiresAt format');
+    } else if (expiresAt <= new Date()) {
+      errors.push('expiresAt must be in the future');
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+module.exports = {
+  validateKeyCreate
+};
@@ -1,19 +1,88 @@
 /**
  * Calendar Service - Google OAuth Authentication
  * Handles Google Calendar API authentication and token management
+ * Tokens live in the credential vault; token.json (written by setup-auth.js) is imported and deleted.
+ * Without CREDENTIAL_MASTER_KEY, token.json keeps being used as is.
  */
 
 const { google } = require('googleapis');
 const fs = require('fs');
 const path = require('path');
+const { isVaultConfigured, storeCredential, loadCredential } = require('../../shared/utils/credentialVault');
 
 // Paths for credentials and token
 const CREDENTIALS_PATH = process.env.GOOGLE_CREDENTIALS_PATH || path.join(__dirname, '../../credentials.json');
 const TOKEN_PATH = process.env.GOOGLE_TOKEN_PATH || path.join(__dirname, '../../token.json');
 
+// Google tokens are stored as a single vault account
+const PROVIDER = 'google';
+const ACCOUNT_ID = 'default';
+
 let oAuth2Client = null;
 let calendarInstance = null;
 
+/**
+ * Read token.json
+ * @returns {Object} Token data
+ * @private
+ */
+function readTokenFile() {
+  return JSON.parse(fs.readFileSync(TOKEN_PATH));
+}
+
+/**
+ * Persist Google tokens to the vault, or to token.json without a master key
+ * @param {Object} token - Token data ({ access_token, refresh_token, scope, expiry_date, ... })
+ * @param {boolean} refreshed - True after an access token refresh
+ * @returns {Promise<void>}
+ * @private
+ */
+async function saveToken(token, refreshed = false) {
+  if (!isVaultConfigured()) {
+    fs.writeFileSync(TOKEN_PATH, JSON.stringify(token, null, 2), { mode: 0o600 });
+    return;
+  }
+
+  await storeCredential(PROVIDER, ACCOUNT_ID, token, {
+    scopes: token.scope ? token.scope.split(' ') : undefined,
+    expiresAt: token.expiry_date ? new Date(token.expiry_date) : null,
+    refreshed
+  });
+}
+
+/**
+ * Load Google tokens
+ * A token.json present alongside the vault is newer (setup-auth.js was run again), so it replaces the stored tokens.
+ * @returns {Promise<Object>} Token data
+ * @private
+ */
+async function loadToken() {
+  if (!isVaultConfigured()) {
+    if (!fs.existsSync(TOKEN_PATH)) {
+      throw new Error(`Token file not found at ${TOKEN_PATH}. Please run OAuth setup first.`);
+    }
+
+    console.warn(`⚠️  CREDENTIAL_MASTER_KEY not set: Google tokens stay in plaintext at ${TOKEN_PATH}`);
+    return readTokenFile();
+  }
+
+  if (fs.existsSync(TOKEN_PATH)) {
+    const token = readTokenFile();
+    await saveToken(token);
+    fs.unlinkSync(TOKEN_PATH);
+
+    console.log('🔐 Moved token.json into the credential vault (plaintext file deleted)');
+    return token;
+  }
+
+  const token = await loadCredential(PROVIDER, ACCOUNT_ID);
+  if (!token) {
+    throw new Error('No Google tokens in the credential vault. Please run OAuth setup first.');
+  }
+
+  return token;
+}
+
 /**
  * Initialize Google OAuth2 client
  * @returns {Promise<Object>} OAuth2 client instance
@@ -40,30 +109,26 @@ async function initializeGoogleAuth() {
     );
 
     // Load existing token
-    if (!fs.existsSync(TOKEN_PATH)) {
-      throw new Error(`Token file not found at ${TOKEN_PATH}. Please run OAuth setup first.`);
-    }
-
-    const token = JSON.parse(fs.readFileSync(TOKEN_PATH));
+    const token = await loadToken();
     oAuth2Client.setCredentials(token);
 
     // Auto-refresh token handling
     oAuth2Client.on('tokens', (tokens) => {
       console.log('🔄 Refreshing Google OAuth tokens...');
 
-      // Update token file with new access token
+      // Google only sends a refresh token when it changes
       if (tokens.refresh_token) {
         token.refresh_token = tokens.refresh_token;
       }
+      if (tokens.scope) {
+        token.scope = tokens.scope;
+      }
       token.access_token = tokens.access_token;
       token.expiry_date = tokens.expiry_date;
 
-      try {
-        fs.writeFileSync(TOKEN_PATH, JSON.stringify(token, null, 2));
-        console.log('✅ OAuth tokens refreshed and saved');
-      } catch (error) {
-        console.error('❌ Failed to save refreshed tokens:', error.message);
-      }
+      saveToken(token, true)
+        .then(() => console.log('✅ OAuth tokens refreshed and saved'))
+        .catch(error => console.error('❌ Failed to save refreshed tokens:', error.message));
     });
 
     // Initialize Calendar API instance
@@ -109,8 +174,41 @@ function isAuthenticated() {
   return oAuth2Client !== null && calendarInstance !== null;
 }
 
+/**
+ * Get the status of a plaintext token.json that hasn't been moved into the vault (never includes tokens)
+ * @returns {Object|null} Credential status, or null if there is no token file
+ */
+function getTokenFileStatus() {
+  if (!fs.existsSync(TOKEN_PATH)) {
+    return null;
+  }
+
+  try {
+    const token = readTokenFile();
+    const expiresAt = token.expiry_date ? new Date(token.expiry_date) : null;
+
+    return {
+      provider: PROVIDER,
+      accountId: ACCOUNT_ID,
+      storage: 'file',
+      scopes: token.scope ? token.scope.split(' ') : [],
+      expiresAt,
+      expired: Boolean(expiresAt && expiresAt <= new Date()),
+      hasRefreshToken: Boolean(token.refresh_token),
+      lastRefreshAt: null,
+      lastRefreshError: null,
+      lastRefreshErrorAt: null,
+      updatedAt: fs.statSync(TOKEN_PATH).mtime
+    };
+  } catch (error) {
+    console.error('❌ Failed to read token file status:', error.message);
+    return null;
+  }
+}
+
 module.exports = {
   initializeGoogleAuth,
+  getTokenFileStatus,
   getCalendar,
   getOAuth2Client,
   isAuthenticated
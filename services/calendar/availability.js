@@ -0,0 +1,128 @@
+/**
+ * Calendar Service - Availability
+ * Busy intervals and open slots from normalized events, working hours and buffers
+ */
+
+const { getDayBoundaries, getWeekday, zonedTime } = require('./utils');
+
+/**
+ * Convert HH:MM to minutes after midnight
+ * @param {string} time - Time in HH:MM format
+ * @returns {number} Minutes after midnight
+ * @private
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Get the working window for a day
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @param {Object} workingHours - { start: 'HH:MM', end: 'HH:MM', days: [0-6] }
+ * @returns {Object|null} { start, end } Dates, or null on a non-working day
+ */
+function getWorkingWindow(dateKey, workingHours) {
+  if (!workingHours.days.includes(getWeekday(dateKey))) {
+    return null;
+  }
+
+  return {
+    start: zonedTime(dateKey, toMinutes(workingHours.start)),
+    end: zonedTime(dateKey, toMinutes(workingHours.end))
+  };
+}
+
+/**
+ * Get busy intervals from normalized events
+ * Events marked free (transparent) and cancelled events never block. All-day
+ * events block their whole days unless ignoreAllDay is set.
+ * @param {Array} events - Normalized events (normalizeEvents)
+ * @param {Object} options - { ignoreAllDay }
+ * @returns {Array} Busy intervals [{ start, end, allDay, eventId, calendarId, summary }] in start order
+ */
+function getBusyIntervals(events, { ignoreAllDay = false } = {}) {
+  return events
+    .filter(event => event.status !== 'cancelled' && event.transparency !== 'transparent')
+    .filter(event => !(event.allDay && ignoreAllDay))
+    .map(event => ({
+      start: event.allDay ? getDayBoundaries(event.start.date).startOfDay : new Date(event.start.dateTime),
+      // All-day end dates are exclusive
+      end: event.allDay ? getDayBoundaries(event.end.date).startOfDay : new Date(event.end.dateTime),
+      allDay: event.allDay,
+      eventId: event.id,
+      calendarId: event.calendarId,
+      summary: event.summary
+    }))
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Find open slots across days
+ * Timed events are padded by the buffer on both sides; slots never start in the past.
+ * @param {Object} eventsByDay - Normalized events by date key
+ * @param {Object} options - { durationMinutes, workingHours, bufferMinutes, ignoreAllDay, now }
+ * @returns {Array} Slots [{ date, start, end, minutes }]
+ */
+function findFreeSlots(eventsByDay, {
+  durationMinutes,
+  workingHours,
+  bufferMinutes = 0,
+  ignoreAllDay = false,
+  now = new Date()
+}) {
+  const bufferMs = bufferMinutes * 60 * 1000;
+  const durationMs = durationMinutes * 60 * 1000;
+  const slots = [];
+
+  for (const [dateKey, events] of Object.entries(eventsByDay)) {
+    const window = getWorkingWindow(dateKey, workingHours);
+    if (!window) continue;
+
+    const busy = getBusyIntervals(events, { ignoreAllDay }).map(interval => ({
+      start: interval.allDay ? interval.start : new Date(interval.start.getTime() - bufferMs),
+      end: interval.allDay ? interval.end : new Date(interval.end.getTime() + bufferMs)
+    }));
+
+    let cursor = new Date(Math.max(window.start.getTime(), now.getTime()));
+
+    for (const interval of busy) {
+      if (interval.end <= cursor) continue;
+      if (interval.start >= window.end) break;
+
+      if (interval.start - cursor >= durationMs) {
+        slots.push(toSlot(dateKey, cursor, interval.start));
+      }
+      cursor = new Date(Math.max(cursor.getTime(), interval.end.getTime()));
+    }
+
+    if (window.end - cursor >= durationMs) {
+      slots.push(toSlot(dateKey, cursor, window.end));
+    }
+  }
+
+  return slots;
+}
+
+/**
+ * Build a slot response object
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @param {Date} start - Slot start
+ * @param {Date} end - Slot end
+ * @returns {Object} { date, start, end, minutes }
+ * @private
+ */
+function toSlot(dateKey, start, end) {
+  return {
+    date: dateKey,
+    start: start.toISOString(),
+    end: end.toISOString(),
+    minutes: Math.floor((end - start) / 60000)
+  };
+}
+
+module.exports = {
+  getWorkingWindow,
+  getBusyIntervals,
+  findFreeSlots
+};
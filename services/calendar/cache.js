@@ -1,6 +1,6 @@
 /**
  * Calendar Service - Cache Management
- * Handles caching of calendar events with date-based keys
+ * Handles caching of calendar events with calendar- and date-based keys
  */
 
 const { cache } = require('../../shared/middleware/cache');
@@ -8,48 +8,54 @@ const { cache } = require('../../shared/middleware/cache');
 // Cache configuration
 const CACHE_DURATION = parseInt(process.env.CALENDAR_CACHE_DURATION) || 15 * 60; // 15 minutes in seconds
 const CACHE_PREFIX = 'calendar:events:';
+const RECURRENCE_PREFIX = 'calendar:recurrence:';
+const CALENDAR_LIST_KEY = 'calendar:list';
+const CALENDAR_LIST_DURATION = 60 * 60; // 1 hour
 
 /**
- * Generate cache key for a specific date
+ * Generate cache key for a calendar and date
  * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @param {string} calendarId - Google Calendar ID
  * @returns {string} Cache key
  */
-function getCacheKey(dateKey) {
-  return `${CACHE_PREFIX}${dateKey}`;
+function getCacheKey(dateKey, calendarId = 'primary') {
+  return `${CACHE_PREFIX}${calendarId}:${dateKey}`;
 }
 
 /**
- * Get cached events for a specific date
+ * Get cached events for a calendar and date
  * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @param {string} calendarId - Google Calendar ID (default: primary)
  * @returns {Array|null} Cached events or null if not found/expired
  */
-function getCachedEvents(dateKey) {
-  const key = getCacheKey(dateKey);
+function getCachedEvents(dateKey, calendarId = 'primary') {
+  const key = getCacheKey(dateKey, calendarId);
   const cachedData = cache.get(key);
 
   if (cachedData) {
-    console.log(`✅ Cache hit for date: ${dateKey}`);
+    console.log(`✅ Cache hit for date: ${dateKey} (${calendarId})`);
     return cachedData;
   }
 
-  console.log(`⚠️  Cache miss for date: ${dateKey}`);
+  console.log(`⚠️  Cache miss for date: ${dateKey} (${calendarId})`);
   return null;
 }
 
 /**
- * Store events in cache for a specific date
+ * Store events in cache for a calendar and date
  * @param {string} dateKey - Date in YYYY-MM-DD format
  * @param {Array} events - Events to cache
+ * @param {string} calendarId - Google Calendar ID (default: primary)
  * @returns {boolean} Success status
  */
-function setCachedEvents(dateKey, events) {
-  const key = getCacheKey(dateKey);
+function setCachedEvents(dateKey, events, calendarId = 'primary') {
+  const key = getCacheKey(dateKey, calendarId);
   const success = cache.set(key, events, CACHE_DURATION);
 
   if (success) {
-    console.log(`✅ Cached ${events.length} events for date: ${dateKey} (TTL: ${CACHE_DURATION}s)`);
+    console.log(`✅ Cached ${events.length} events for date: ${dateKey} (${calendarId}, TTL: ${CACHE_DURATION}s)`);
   } else {
-    console.error(`❌ Failed to cache events for date: ${dateKey}`);
+    console.error(`❌ Failed to cache events for date: ${dateKey} (${calendarId})`);
   }
 
   return success;
@@ -58,22 +64,80 @@ function setCachedEvents(dateKey, events) {
 /**
  * Clear cache for a specific date
  * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @param {string} calendarId - Google Calendar ID (default: every calendar)
  * @returns {number} Number of keys deleted
  */
-function clearDateCache(dateKey) {
-  const key = getCacheKey(dateKey);
-  const deleted = cache.del(key);
-  console.log(`🗑️  Cleared cache for date: ${dateKey}`);
+function clearDateCache(dateKey, calendarId = null) {
+  const keys = calendarId
+    ? [getCacheKey(dateKey, calendarId)]
+    : cache.keys().filter(key => key.startsWith(CACHE_PREFIX) && key.endsWith(`:${dateKey}`));
+
+  const deleted = cache.del(keys);
+  console.log(`🗑️  Cleared cache for date: ${dateKey}${calendarId ? ` (${calendarId})` : ''}`);
+  return deleted;
+}
+
+/**
+ * Clear all cached events for one calendar
+ * @param {string} calendarId - Google Calendar ID
+ * @returns {number} Number of keys deleted
+ */
+function clearCalendarCache(calendarId) {
+  const prefixes = [`${CACHE_PREFIX}${calendarId}:`, `${RECURRENCE_PREFIX}${calendarId}:`];
+  const keys = cache.keys().filter(key => prefixes.some(prefix => key.startsWith(prefix)));
+
+  const deleted = cache.del(keys);
+  console.log(`🗑️  Cleared ${deleted} cache entries for calendar: ${calendarId}`);
   return deleted;
 }
 
+/**
+ * Get a series' cached recurrence rules
+ * @param {string} calendarId - Google Calendar ID
+ * @param {string} seriesId - Recurring event (master) ID
+ * @returns {Object|undefined} { recurrence } (recurrence may be null), or undefined if not cached
+ */
+function getCachedRecurrence(calendarId, seriesId) {
+  return cache.get(`${RECURRENCE_PREFIX}${calendarId}:${seriesId}`);
+}
+
+/**
+ * Store a series' recurrence rules
+ * @param {string} calendarId - Google Calendar ID
+ * @param {string} seriesId - Recurring event (master) ID
+ * @param {Array<string>|null} recurrence - Recurrence lines (null if the series has none)
+ * @returns {boolean} Success status
+ */
+function setCachedRecurrence(calendarId, seriesId, recurrence) {
+  return cache.set(`${RECURRENCE_PREFIX}${calendarId}:${seriesId}`, { recurrence }, CACHE_DURATION);
+}
+
+/**
+ * Get the cached calendar list
+ * @returns {Array|null} Calendars or null if not cached
+ */
+function getCachedCalendarList() {
+  return cache.get(CALENDAR_LIST_KEY) || null;
+}
+
+/**
+ * Store the calendar list
+ * @param {Array} calendars - Calendars to cache
+ * @returns {boolean} Success status
+ */
+function setCachedCalendarList(calendars) {
+  return cache.set(CALENDAR_LIST_KEY, calendars, CALENDAR_LIST_DURATION);
+}
+
 /**
  * Clear all calendar event caches
  * @returns {void}
  */
 function clearAllCalendarCache() {
   const keys = cache.keys();
-  const calendarKeys = keys.filter(key => key.startsWith(CACHE_PREFIX));
+  const calendarKeys = keys.filter(key => key.startsWith(CACHE_PREFIX) || key.startsWith(RECURRENCE_PREFIX));
+
+  cache.del(CALENDAR_LIST_KEY);
 
   if (calendarKeys.length > 0) {
     cache.del(calendarKeys);
@@ -92,9 +156,17 @@ function getCalendarCacheStats() {
   const keys = cache.keys();
   const calendarKeys = keys.filter(key => key.startsWith(CACHE_PREFIX));
 
+  // Keys are calendar:events:<calendarId>:<date>; calendar IDs may contain ":" themselves
+  const byCalendar = calendarKeys.reduce((acc, key) => {
+    const calendarId = key.slice(CACHE_PREFIX.length, key.lastIndexOf(':'));
+    acc[calendarId] = (acc[calendarId] || 0) + 1;
+    return acc;
+  }, {});
+
   return {
     totalKeys: stats.keys,
     calendarKeys: calendarKeys.length,
+    byCalendar,
     hits: stats.hits,
     misses: stats.misses,
     hitRate: stats.hits / (stats.hits + stats.misses) || 0,
@@ -106,7 +178,12 @@ module.exports = {
   getCachedEvents,
   setCachedEvents,
   clearDateCache,
+  clearCalendarCache,
   clearAllCalendarCache,
+  getCachedRecurrence,
+  setCachedRecurrence,
+  getCachedCalendarList,
+  setCachedCalendarList,
   getCalendarCacheStats,
   CACHE_DURATION
 };
@@ -0,0 +1,142 @@
+/**
+ * Calendar Service - Conflict Detection
+ * Finds events that overlap a new or moved event and suggests nearby free slots
+ */
+
+const { getCalendar } = require('./auth');
+const { getDefaultCalendarIds, getEventsForRange } = require('./events');
+const { getBusyIntervals, findFreeSlots } = require('./availability');
+const {
+  toDateKey,
+  addDays,
+  parseEventTime,
+  normalizeEvents,
+  buildEventResource
+} = require('./utils');
+const calendarConfig = require('../../config/services').calendar;
+
+// Days searched on each side of the requested date for alternative slots
+const SUGGESTION_DAYS = 3;
+
+// Alternative slots returned with a conflict
+const MAX_SUGGESTIONS = 3;
+
+/**
+ * Check a timed event against the calendars it would double-book
+ * Checks the target calendar plus the default calendars. All-day events are not
+ * checked, and for a recurring event only the given (first) occurrence is.
+ * @param {Object} eventData - Event data (checked with validateEventData)
+ * @param {Object} options - { calendarId, excludeEventId, excludeSeries }
+ * @returns {Promise<Object>} { conflicts, suggestions } (both empty when there is no conflict)
+ */
+async function checkConflicts(eventData, { calendarId = 'primary', excludeEventId = null, excludeSeries = false } = {}) {
+  if (buildEventResource(eventData).start.date) {
+    return { conflicts: [], suggestions: [] };
+  }
+
+  const start = parseEventTime(eventData.start);
+  const end = parseEventTime(eventData.end);
+
+  const excluded = await getExcludedIds(calendarId, excludeEventId, excludeSeries);
+  const calendarIds = [...new Set([calendarId, ...getDefaultCalendarIds()])];
+
+  const startKey = toDateKey(start);
+  const rangeStart = addDays(startKey, -SUGGESTION_DAYS);
+  const rangeEnd = addDays(toDateKey(new Date(end.getTime() - 1)), SUGGESTION_DAYS);
+  const rawByDay = await getEventsForRange(rangeStart, rangeEnd, calendarIds);
+
+  const eventsByDay = {};
+  for (const [dateKey, events] of Object.entries(rawByDay)) {
+    eventsByDay[dateKey] = normalizeEvents(events)
+      .filter(event => !excluded.has(event.id) && !excluded.has(event.recurringEventId));
+  }
+
+  // Multi-day events are listed under each day; report each once
+  const seen = new Set();
+  const conflicts = getBusyIntervals(Object.values(eventsByDay).flat())
+    .filter(interval => interval.start < end && interval.end > start)
+    .filter(interval => {
+      const key = `${interval.calendarId}:${interval.eventId}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map(interval => ({
+      eventId: interval.eventId,
+      calendarId: interval.calendarId,
+      summary: interval.summary,
+      start: interval.start.toISOString(),
+      end: interval.end.toISOString(),
+      allDay: interval.allDay
+    }));
+
+  if (conflicts.length === 0) {
+    return { conflicts, suggestions: [] };
+  }
+
+  return { conflicts, suggestions: suggestSlots(eventsByDay, start, end) };
+}
+
+/**
+ * Get the event IDs a check ignores (the event being updated, or its whole series)
+ * @param {string} calendarId - Google Calendar ID
+ * @param {string|null} eventId - Event or occurrence being updated
+ * @param {boolean} excludeSeries - Also ignore the other occurrences of its series
+ * @returns {Promise<Set>} Event and series IDs
+ * @private
+ */
+async function getExcludedIds(calendarId, eventId, excludeSeries) {
+  const excluded = new Set();
+  if (!eventId) return excluded;
+
+  excluded.add(eventId);
+
+  if (excludeSeries) {
+    const { data: event } = await getCalendar().events.get({ calendarId, eventId });
+    if (event.recurringEventId) {
+      excluded.add(event.recurringEventId);
+    }
+  }
+
+  return excluded;
+}
+
+/**
+ * Suggest the free slots nearest to the requested start
+ * Uses the configured working hours and buffer, like GET /free-slots.
+ * @param {Object} eventsByDay - Normalized events by date key
+ * @param {Date} start - Requested start
+ * @param {Date} end - Requested end
+ * @returns {Array} Slots [{ date, start, end }] of the requested length, nearest first
+ * @private
+ */
+function suggestSlots(eventsByDay, start, end) {
+  const durationMs = end - start;
+  const slots = findFreeSlots(eventsByDay, {
+    durationMinutes: Math.ceil(durationMs / 60000),
+    workingHours: calendarConfig.workingHours,
+    bufferMinutes: calendarConfig.bufferMinutes
+  });
+
+  return slots
+    .map(slot => {
+      // Place the event as close to the requested start as the slot allows
+      const earliest = new Date(slot.start).getTime();
+      const latest = new Date(slot.end).getTime() - durationMs;
+      const suggestedStart = Math.min(Math.max(start.getTime(), earliest), latest);
+
+      return {
+        date: slot.date,
+        start: new Date(suggestedStart).toISOString(),
+        end: new Date(suggestedStart + durationMs).toISOString(),
+        distance: Math.abs(suggestedStart - start.getTime())
+      };
+    })
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, MAX_SUGGESTIONS)
+    .map(({ distance, ...slot }) => slot);
+}
+
+module.exports = {
+  checkConflicts
+};
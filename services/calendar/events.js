@@ -0,0 +1,826 @@
+/**
+ * Calendar Service - Event Fetching
+ * Event reads from the local mirror or Google Calendar (with per-calendar, date-based caching), and event creation
+ */
+
+const CalendarEvent = require('../../models/CalendarEvent');
+const CalendarSyncState = require('../../models/CalendarSyncState');
+const { getCalendar } = require('./auth');
+const {
+  getCachedEvents,
+  setCachedEvents,
+  clearDateCache,
+  clearCalendarCache,
+  getCachedRecurrence,
+  setCachedRecurrence,
+  getCachedCalendarList,
+  setCachedCalendarList
+} = require('./cache');
+const {
+  getDayBoundaries,
+  toDateKey,
+  addDays,
+  parseEventTime,
+  getDateRange,
+  eventOverlapsDay,
+  validateEventData,
+  buildEventResource
+} = require('./utils');
+const { truncateRecurrence, remainingRecurrence } = require('./recurrence');
+const calendarConfig = require('../../config/services').calendar;
+
+// A mirror that hasn't synced for three worker intervals is reported as stale
+const SYNC_STALE_AFTER_MS = 3 * calendarConfig.syncIntervalMinutes * 60 * 1000;
+
+/**
+ * Get the calendars read when a request doesn't name any
+ * @returns {Array<string>} Calendar IDs (GOOGLE_CALENDAR_IDS, default: primary)
+ */
+function getDefaultCalendarIds() {
+  return calendarConfig?.calendarIds?.length > 0 ? calendarConfig.calendarIds : ['primary'];
+}
+
+/**
+ * List calendars visible to the authenticated account
+ * Cached for an hour.
+ * @returns {Promise<Array>} Calendars { id, summary, description, primary, accessRole, backgroundColor, timeZone, selected }
+ */
+async function listCalendars() {
+  const cached = getCachedCalendarList();
+  if (cached) {
+    return cached;
+  }
+
+  const calendar = getCalendar();
+  const response = await calendar.calendarList.list();
+  const defaultIds = getDefaultCalendarIds();
+
+  const calendars = (response.data.items || []).map(item => ({
+    id: item.id,
+    summary: item.summaryOverride || item.summary,
+    description: item.description || null,
+    primary: item.primary || false,
+    accessRole: item.accessRole,
+    backgroundColor: item.backgroundColor || null,
+    timeZone: item.timeZone || null,
+    // Read by default when no calendarId is given
+    selected: defaultIds.includes(item.id) || (item.primary === true && defaultIds.includes('primary'))
+  }));
+
+  setCachedCalendarList(calendars);
+  console.log(`✅ Fetched ${calendars.length} calendars from Google Calendar`);
+
+  return calendars;
+}
+
+/**
+ * Fetch events from Google Calendar API for a specific date
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @param {string} calendarId - Google Calendar ID (default: primary)
+ * @returns {Promise<Array>} Array of events
+ */
+async function fetchEventsFromGoogle(dateKey, calendarId = 'primary') {
+  const { startOfDay, endOfDay } = getDayBoundaries(dateKey);
+
+  console.log(`📅 Fetching events for ${dateKey} from ${calendarId} (${startOfDay.toISOString()} to ${endOfDay.toISOString()})`);
+
+  try {
+    const calendar = getCalendar();
+
+    const response = await calendar.events.list({
+      calendarId,
+      timeMin: startOfDay.toISOString(),
+      timeMax: endOfDay.toISOString(),
+      singleEvents: true,
+      orderBy: 'startTime',
+    });
+
+    const events = response.data.items || [];
+    console.log(`✅ Fetched ${events.length} events from Google Calendar`);
+
+    return events;
+
+  } catch (error) {
+    console.error('❌ Error fetching events from Google Calendar:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Fetch events for a date range from Google Calendar API in one query
+ * Follows pagination so long ranges aren't truncated.
+ * @param {string} startKey - First date (YYYY-MM-DD)
+ * @param {string} endKey - Last date (YYYY-MM-DD)
+ * @param {string} calendarId - Google Calendar ID (default: primary)
+ * @returns {Promise<Array>} Array of events
+ */
+async function fetchRangeFromGoogle(startKey, endKey, calendarId = 'primary') {
+  const { startOfDay } = getDayBoundaries(startKey);
+  const { endOfDay } = getDayBoundaries(endKey);
+
+  console.log(`📅 Fetching events for ${startKey}..${endKey} from ${calendarId}`);
+
+  try {
+    const calendar = getCalendar();
+    const events = [];
+    let pageToken;
+
+    do {
+      const response = await calendar.events.list({
+        calendarId,
+        timeMin: startOfDay.toISOString(),
+        timeMax: endOfDay.toISOString(),
+        singleEvents: true,
+        orderBy: 'startTime',
+        maxResults: 2500,
+        pageToken
+      });
+
+      events.push(...(response.data.items || []));
+      pageToken = response.data.nextPageToken;
+    } while (pageToken);
+
+    console.log(`✅ Fetched ${events.length} events from Google Calendar`);
+
+    return events;
+
+  } catch (error) {
+    console.error('❌ Error fetching events from Google Calendar:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get events with caching
+ * Events are tagged with the calendar they came from.
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @param {string} calendarId - Google Calendar ID (default: primary)
+ * @returns {Promise<Array>} Array of events
+ */
+async function getEventsWithCache(dateKey, calendarId = 'primary') {
+  // Try to get from cache first
+  const cachedEvents = getCachedEvents(dateKey, calendarId);
+
+  if (cachedEvents) {
+    return cachedEvents;
+  }
+
+  // Fetch from Google Calendar
+  const events = (await fetchEventsFromGoogle(dateKey, calendarId))
+    .map(event => ({ ...event, calendarId }));
+
+  // Cache the results
+  setCachedEvents(dateKey, events, calendarId);
+
+  return events;
+}
+
+/**
+ * Get sync states for calendars whose mirror covers a date range
+ * Falls back to Google (empty result) if the mirror can't be read.
+ * @param {Array<string>} calendarIds - Google Calendar IDs
+ * @param {string} startKey - First date (YYYY-MM-DD)
+ * @param {string} endKey - Last date (YYYY-MM-DD)
+ * @returns {Promise<Object>} Sync states by calendar ID (covering calendars only)
+ * @private
+ */
+async function getMirrorStates(calendarIds, startKey, endKey) {
+  try {
+    const states = await CalendarSyncState.getByCalendar(calendarIds);
+
+    return Object.fromEntries(
+      Object.entries(states).filter(([, state]) => state.covers(startKey, endKey))
+    );
+  } catch (error) {
+    console.warn('Could not read calendar mirror state:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Read a date range of events for one calendar from the mirror
+ * @param {Array<string>} dateKeys - Dates in the range (YYYY-MM-DD)
+ * @param {string} calendarId - Google Calendar ID
+ * @returns {Promise<Object>} Events by date key
+ * @private
+ */
+async function getMirrorRange(dateKeys, calendarId) {
+  const { startOfDay } = getDayBoundaries(dateKeys[0]);
+  const { endOfDay } = getDayBoundaries(dateKeys[dateKeys.length - 1]);
+  const events = await CalendarEvent.findOverlapping(calendarId, startOfDay, endOfDay);
+
+  return splitByDay(events, dateKeys);
+}
+
+/**
+ * Group events under each day they overlap
+ * @param {Array} events - Google Calendar events
+ * @param {Array<string>} dateKeys - Dates (YYYY-MM-DD)
+ * @returns {Object} Events by date key
+ * @private
+ */
+function splitByDay(events, dateKeys) {
+  return dateKeys.reduce((days, dateKey) => {
+    days[dateKey] = events.filter(event => eventOverlapsDay(event, dateKey));
+    return days;
+  }, {});
+}
+
+/**
+ * Describe where reads for a date range come from and how fresh they are
+ * @param {Array<string>} calendarIds - Google Calendar IDs
+ * @param {string} startKey - First date (YYYY-MM-DD)
+ * @param {string} endKey - Last date (YYYY-MM-DD)
+ * @returns {Promise<Array>} [{ calendarId, source: 'mirror'|'google', lastSyncAt, stale }]
+ */
+async function getEventSources(calendarIds, startKey, endKey) {
+  const mirrored = await getMirrorStates(calendarIds, startKey, endKey);
+
+  return calendarIds.map(calendarId => {
+    const state = mirrored[calendarId];
+
+    return state
+      ? { calendarId, source: 'mirror', lastSyncAt: state.lastSyncAt, stale: state.isStale(SYNC_STALE_AFTER_MS) }
+      : { calendarId, source: 'google', lastSyncAt: null, stale: false };
+  });
+}
+
+/**
+ * Write Google events to the mirror after a create, update or delete
+ * Best effort: the next sync repairs anything missed here.
+ * @param {string} calendarId - Google Calendar ID
+ * @param {Array} events - Google events (status 'cancelled' removes)
+ * @returns {Promise<void>}
+ */
+async function applyToMirror(calendarId, events) {
+  try {
+    await CalendarEvent.applyChanges(calendarId, events);
+  } catch (error) {
+    console.warn(`Could not update calendar mirror for ${calendarId}:`, error.message);
+  }
+}
+
+/**
+ * Get events for a date from several calendars, merged in start order
+ * Calendars whose mirror covers the date are read locally; others from Google.
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @param {Array<string>} calendarIds - Google Calendar IDs (default: configured calendars)
+ * @returns {Promise<Array>} Array of events tagged with calendarId and calendarName
+ */
+async function getEventsForCalendars(dateKey, calendarIds = getDefaultCalendarIds()) {
+  const mirrored = await getMirrorStates(calendarIds, dateKey, dateKey);
+  const eventsByCalendar = await Promise.all(
+    calendarIds.map(async calendarId => mirrored[calendarId]
+      ? (await getMirrorRange([dateKey], calendarId))[dateKey]
+      : getEventsWithCache(dateKey, calendarId))
+  );
+
+  const events = eventsByCalendar.flat();
+  const [names, recurrences] = await Promise.all([getCalendarNames(), loadRecurrences(events)]);
+
+  return decorateEvents(events, names, recurrences);
+}
+
+/**
+ * Get a date range of events for one calendar, using the per-day cache
+ * On any cache miss the whole range is fetched once and split into days.
+ * @param {Array<string>} dateKeys - Dates in the range (YYYY-MM-DD)
+ * @param {string} calendarId - Google Calendar ID
+ * @returns {Promise<Object>} Events by date key
+ * @private
+ */
+async function getRangeWithCache(dateKeys, calendarId) {
+  const cachedDays = {};
+  for (const dateKey of dateKeys) {
+    const cachedEvents = getCachedEvents(dateKey, calendarId);
+    if (!cachedEvents) break;
+    cachedDays[dateKey] = cachedEvents;
+  }
+
+  if (Object.keys(cachedDays).length === dateKeys.length) {
+    return cachedDays;
+  }
+
+  const events = (await fetchRangeFromGoogle(dateKeys[0], dateKeys[dateKeys.length - 1], calendarId))
+    .map(event => ({ ...event, calendarId }));
+
+  // Same per-day entries getEventsWithCache reads, so later day requests hit the cache
+  const days = splitByDay(events, dateKeys);
+  for (const dateKey of dateKeys) {
+    setCachedEvents(dateKey, days[dateKey], calendarId);
+  }
+
+  return days;
+}
+
+/**
+ * Get events for a date range from several calendars
+ * Calendars whose mirror covers the range are read locally; others from Google.
+ * Events spanning several days appear under each day.
+ * @param {string} startKey - First date (YYYY-MM-DD)
+ * @param {string} endKey - Last date (YYYY-MM-DD)
+ * @param {Array<string>} calendarIds - Google Calendar IDs (default: configured calendars)
+ * @returns {Promise<Object>} Events by date key, each list merged in start order
+ */
+async function getEventsForRange(startKey, endKey, calendarIds = getDefaultCalendarIds()) {
+  const dateKeys = getDateRange(startKey, endKey);
+  const mirrored = await getMirrorStates(calendarIds, startKey, endKey);
+  const daysByCalendar = await Promise.all(
+    calendarIds.map(calendarId => mirrored[calendarId]
+      ? getMirrorRange(dateKeys, calendarId)
+      : getRangeWithCache(dateKeys, calendarId))
+  );
+  const allEvents = daysByCalendar.flatMap(calendarDays => Object.values(calendarDays).flat());
+  const [names, recurrences] = await Promise.all([getCalendarNames(), loadRecurrences(allEvents)]);
+
+  return dateKeys.reduce((days, dateKey) => {
+    days[dateKey] = decorateEvents(daysByCalendar.flatMap(calendarDays => calendarDays[dateKey]), names, recurrences);
+    return days;
+  }, {});
+}
+
+/**
+ * Map calendar IDs to names
+ * Best effort: events are still returned if the list can't be fetched.
+ * @returns {Promise<Object>} Names by calendar ID ('primary' included)
+ * @private
+ */
+async function getCalendarNames() {
+  try {
+    return (await listCalendars()).reduce((names, cal) => {
+      names[cal.id] = cal.summary;
+      if (cal.primary) names.primary = cal.summary;
+      return names;
+    }, {});
+  } catch (error) {
+    console.warn('Could not fetch calendar names:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Look up recurrence rules for the series that occurrences belong to
+ * Occurrences from events.list don't carry the rule. It is read from the mirrored
+ * series event, else fetched from Google and cached. Best effort: unknown rules are
+ * left null, and failed lookups aren't cached so the next read tries again.
+ * @param {Array} events - Events tagged with calendarId
+ * @returns {Promise<Object>} Recurrence lines by "calendarId:seriesId"
+ * @private
+ */
+async function loadRecurrences(events) {
+  const seriesByCalendar = events
+    .filter(event => event.recurringEventId && !event.recurrence)
+    .reduce((series, event) => {
+      series[event.calendarId] = series[event.calendarId] || new Set();
+      series[event.calendarId].add(event.recurringEventId);
+      return series;
+    }, {});
+
+  const entries = await Promise.all(Object.entries(seriesByCalendar).map(async ([calendarId, seriesIds]) => {
+    const mirrored = await getMirroredRecurrences(calendarId, [...seriesIds]);
+
+    return Promise.all([...seriesIds].map(async seriesId => {
+      const key = `${calendarId}:${seriesId}`;
+
+      if (mirrored[seriesId] !== undefined) {
+        return [key, mirrored[seriesId]];
+      }
+
+      const cached = getCachedRecurrence(calendarId, seriesId);
+      if (cached) {
+        return [key, cached.recurrence];
+      }
+
+      try {
+        const response = await getCalendar().events.get({ calendarId, eventId: seriesId });
+        const recurrence = response.data.recurrence || null;
+        setCachedRecurrence(calendarId, seriesId, recurrence);
+        return [key, recurrence];
+      } catch (error) {
+        console.warn(`Could not fetch recurrence for series ${seriesId}:`, error.message);
+        return [key, null];
+      }
+    }));
+  }));
+
+  return Object.fromEntries(entries.flat());
+}
+
+/**
+ * Read recurrence rules of series in the mirror
+ * @param {string} calendarId - Google Calendar ID
+ * @param {Array<string>} seriesIds - Recurring event (master) IDs
+ * @returns {Promise<Object>} Recurrence lines by series ID (series not mirrored are left out)
+ * @private
+ */
+async function getMirroredRecurrences(calendarId, seriesIds) {
+  try {
+    return await CalendarEvent.findRecurrences(calendarId, seriesIds);
+  } catch (error) {
+    console.warn('Could not read series from the calendar mirror:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Tag events with their calendar's name and series rules, and sort them by start time
+ * @param {Array} events - Events tagged with calendarId
+ * @param {Object} names - Names by calendar ID
+ * @param {Object} recurrences - Recurrence lines by "calendarId:seriesId"
+ * @returns {Array} Decorated events in start order
+ * @private
+ */
+function decorateEvents(events, names, recurrences = {}) {
+  return events
+    .map(event => ({
+      ...event,
+      calendarName: names[event.calendarId] || null,
+      ...(event.recurringEventId && !event.recurrence && {
+        recurrence: recurrences[`${event.calendarId}:${event.recurringEventId}`] || null
+      })
+    }))
+    .sort((a, b) => getStartTime(a) - getStartTime(b));
+}
+
+/**
+ * Get an event's start time for sorting (all-day events sort first)
+ * @param {Object} event - Google Calendar event
+ * @returns {number} Epoch milliseconds
+ * @private
+ */
+function getStartTime(event) {
+  return event.start ? getInstant(event.start).getTime() : 0;
+}
+
+/**
+ * Create an event in Google Calendar and clear the cache for its date
+ * Expects data already checked with validateEventData.
+ * @param {Object} eventData - Event data { summary, start, end, ... }
+ * @param {string} calendarId - Google Calendar ID (default: primary)
+ * @returns {Promise<Object>} Created Google Calendar event
+ */
+async function createEvent(eventData, calendarId = 'primary') {
+  const event = buildEventResource(eventData);
+
+  const calendar = getCalendar();
+  const response = await calendar.events.insert({
+    calendarId,
+    resource: event,
+  });
+
+  clearEventDates(response.data, calendarId);
+  await applyToMirror(calendarId, [response.data]);
+
+  console.log(`✅ Created event: ${response.data.id} in ${calendarId}`);
+
+  return response.data;
+}
+
+/**
+ * Find an event by its iCalendar UID
+ * @param {string} iCalUID - UID from an ICS file
+ * @param {string} calendarId - Google Calendar ID
+ * @returns {Promise<Object|null>} Google Calendar event, or null if none
+ */
+async function findEventByICalUID(iCalUID, calendarId = 'primary') {
+  const calendar = getCalendar();
+  const response = await calendar.events.list({ calendarId, iCalUID, maxResults: 1 });
+
+  return response.data.items?.[0] || null;
+}
+
+/**
+ * Create events parsed from an ICS file, skipping UIDs the calendar already has
+ * Runs one event at a time; an invalid event doesn't stop the others.
+ * @param {Array} entries - Parsed events [{ uid, eventData }] (parseCalendar)
+ * @param {string} calendarId - Google Calendar ID (default: primary)
+ * @returns {Promise<Object>} { created, duplicates, invalid }
+ */
+async function importEvents(entries, calendarId = 'primary') {
+  const result = { created: [], duplicates: [], invalid: [] };
+
+  for (const { uid, eventData } of entries) {
+    const validation = validateEventData(eventData);
+    if (!validation.valid) {
+      result.invalid.push({ uid, errors: validation.errors });
+      continue;
+    }
+
+    const existing = await findEventByICalUID(uid, calendarId);
+    if (existing) {
+      result.duplicates.push({ uid, eventId: existing.id });
+      continue;
+    }
+
+    const created = await createEvent(eventData, calendarId);
+    result.created.push({ uid, eventId: created.id, summary: created.summary });
+  }
+
+  console.log(`📥 Imported ${result.created.length} events into ${calendarId} (${result.duplicates.length} duplicates, ${result.invalid.length} invalid)`);
+
+  return result;
+}
+
+/**
+ * Update an event, an occurrence, or part of a series
+ * Scopes: 'this' updates the given event or occurrence only; 'all' moves the whole
+ * series by the same amount the occurrence moved; 'following' ends the series
+ * before the occurrence and starts a new series from it.
+ * @param {string} eventId - Event or occurrence ID
+ * @param {Object} eventData - Event data (checked with validateEventData)
+ * @param {Object} options - { calendarId, scope }
+ * @returns {Promise<Object>} { scope, event, previousSeries }
+ */
+async function updateEvent(eventId, eventData, { calendarId = 'primary', scope = 'this' } = {}) {
+  const calendar = getCalendar();
+  const resource = buildEventResource(eventData);
+
+  if (scope === 'this') {
+    if (resource.recurrence) {
+      const { data: current } = await calendar.events.get({ calendarId, eventId });
+      if (current.recurringEventId) {
+        throw createRequestError('Recurrence can only be changed with scope "all" or "following"');
+      }
+    }
+
+    const response = await calendar.events.update({ calendarId, eventId, resource });
+
+    clearEventDates(response.data, calendarId);
+    await applyToMirror(calendarId, [response.data]);
+
+    console.log(`✅ Updated event: ${eventId} in ${calendarId}`);
+
+    return { scope, event: response.data, previousSeries: null };
+  }
+
+  const { occurrence, series } = await getSeries(calendarId, eventId);
+  const occurrenceStart = getOriginalStart(occurrence);
+  const seriesStart = getInstant(series.start);
+
+  let result;
+
+  if (scope === 'all' || occurrenceStart <= seriesStart) {
+    // Keep the series' first date; apply the occurrence's shift and new duration
+    const response = await calendar.events.update({
+      calendarId,
+      eventId: series.id,
+      resource: {
+        ...resource,
+        ...shiftSeriesTimes(resource, occurrence, series),
+        recurrence: resource.recurrence || series.recurrence
+      }
+    });
+
+    result = { scope, event: response.data, previousSeries: null };
+  } else {
+    const usedCount = await countOccurrencesBefore(calendarId, series, occurrenceStart);
+
+    const previous = await calendar.events.patch({
+      calendarId,
+      eventId: series.id,
+      resource: { recurrence: truncateRecurrence(series.recurrence, occurrence.originalStartTime || occurrence.start) }
+    });
+
+    const created = await calendar.events.insert({
+      calendarId,
+      resource: {
+        ...resource,
+        recurrence: resource.recurrence || remainingRecurrence(series.recurrence, usedCount),
+        start: withSeriesTimeZone(resource.start, series.start),
+        end: withSeriesTimeZone(resource.end, series.end)
+      }
+    });
+
+    result = { scope, event: created.data, previousSeries: previous.data };
+  }
+
+  clearCalendarCache(calendarId);
+
+  console.log(`✅ Updated series ${series.id} (${scope}) in ${calendarId}`);
+
+  return result;
+}
+
+/**
+ * Delete an event, an occurrence, or part of a series
+ * Scopes: 'this' deletes the given event or occurrence; 'all' deletes the series;
+ * 'following' ends the series before the occurrence.
+ * @param {string} eventId - Event or occurrence ID
+ * @param {Object} options - { calendarId, scope }
+ * @returns {Promise<Object>} { scope, deletedId, series }
+ */
+async function deleteEvent(eventId, { calendarId = 'primary', scope = 'this' } = {}) {
+  const calendar = getCalendar();
+
+  if (scope === 'this') {
+    await calendar.events.delete({ calendarId, eventId });
+
+    // Clear the calendar's cache since we don't know which date this event was on
+    clearCalendarCache(calendarId);
+    await applyToMirror(calendarId, [{ id: eventId, status: 'cancelled' }]);
+
+    console.log(`✅ Deleted event: ${eventId} from ${calendarId}`);
+
+    return { scope, deletedId: eventId, series: null };
+  }
+
+  const { occurrence, series } = await getSeries(calendarId, eventId);
+  const occurrenceStart = getOriginalStart(occurrence);
+
+  let result;
+
+  if (scope === 'all' || occurrenceStart <= getInstant(series.start)) {
+    await calendar.events.delete({ calendarId, eventId: series.id });
+    result = { scope, deletedId: series.id, series: null };
+  } else {
+    const response = await calendar.events.patch({
+      calendarId,
+      eventId: series.id,
+      resource: { recurrence: truncateRecurrence(series.recurrence, occurrence.originalStartTime || occurrence.start) }
+    });
+    result = { scope, deletedId: null, series: response.data };
+  }
+
+  clearCalendarCache(calendarId);
+
+  console.log(`✅ Deleted series ${series.id} (${scope}) from ${calendarId}`);
+
+  return result;
+}
+
+/**
+ * Get an occurrence and the series it belongs to
+ * Passing the series ID itself treats its first occurrence as the target.
+ * @param {string} calendarId - Google Calendar ID
+ * @param {string} eventId - Occurrence or series ID
+ * @returns {Promise<Object>} { occurrence, series }
+ * @private
+ */
+async function getSeries(calendarId, eventId) {
+  const calendar = getCalendar();
+  const { data: event } = await calendar.events.get({ calendarId, eventId });
+
+  if (event.recurringEventId) {
+    const { data: series } = await calendar.events.get({ calendarId, eventId: event.recurringEventId });
+    return { occurrence: event, series };
+  }
+
+  if (event.recurrence) {
+    return { occurrence: event, series: event };
+  }
+
+  throw createRequestError('Event is not part of a recurring series; use scope "this"');
+}
+
+/**
+ * Get the time an occurrence was originally scheduled for
+ * @param {Object} occurrence - Google event (occurrence or series)
+ * @returns {Date} Original start
+ * @private
+ */
+function getOriginalStart(occurrence) {
+  return getInstant(occurrence.originalStartTime || occurrence.start);
+}
+
+/**
+ * Convert a Google start/end to an instant (all-day dates are midnight in the user's timezone)
+ * @param {Object} time - { dateTime } or { date }
+ * @returns {Date} Instant
+ * @private
+ */
+function getInstant(time) {
+  return time.dateTime ? new Date(time.dateTime) : getDayBoundaries(time.date).startOfDay;
+}
+
+/**
+ * Get new series start/end from an edited occurrence
+ * The series start moves by the same amount the occurrence moved (whole days for
+ * all-day events) and takes the occurrence's new duration.
+ * @param {Object} resource - Event resource built from the request
+ * @param {Object} occurrence - Edited occurrence (or the series itself)
+ * @param {Object} series - Series event
+ * @returns {Object} { start, end } for the series resource
+ * @private
+ */
+function shiftSeriesTimes(resource, occurrence, series) {
+  if (resource.start.date) {
+    const shiftDays = daysBetween(toDateKey(getInstant(occurrence.start)), resource.start.date);
+    const startKey = addDays(toDateKey(getInstant(series.start)), shiftDays);
+
+    return {
+      start: { date: startKey },
+      end: { date: addDays(startKey, daysBetween(resource.start.date, resource.end.date)) }
+    };
+  }
+
+  const newStart = parseEventTime(resource.start.dateTime);
+  const shiftMs = newStart - getInstant(occurrence.start);
+  const durationMs = parseEventTime(resource.end.dateTime) - newStart;
+  const start = new Date(getInstant(series.start).getTime() + shiftMs);
+  const timeZone = resource.start.timeZone || series.start.timeZone;
+
+  return {
+    start: { dateTime: start.toISOString(), timeZone },
+    end: { dateTime: new Date(start.getTime() + durationMs).toISOString(), timeZone }
+  };
+}
+
+/**
+ * Keep a series' time zone on a timed start/end that doesn't set one
+ * @param {Object} time - { dateTime } or { date } from the request
+ * @param {Object} seriesTime - Series start or end
+ * @returns {Object} Start/end for the new series
+ * @private
+ */
+function withSeriesTimeZone(time, seriesTime) {
+  if (time.date) return time;
+  return { ...time, timeZone: time.timeZone || seriesTime.timeZone };
+}
+
+/**
+ * Count whole days between two date keys
+ * @param {string} startKey - Date in YYYY-MM-DD format
+ * @param {string} endKey - Date in YYYY-MM-DD format
+ * @returns {number} Days from start to end
+ * @private
+ */
+function daysBetween(startKey, endKey) {
+  return Math.round((Date.parse(endKey) - Date.parse(startKey)) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Clear the cached days an event spans
+ * @param {Object} event - Google Calendar event
+ * @param {string} calendarId - Google Calendar ID
+ * @private
+ */
+function clearEventDates(event, calendarId) {
+  const startKey = toDateKey(getInstant(event.start));
+  const endKey = event.end ? toDateKey(getInstant(event.end)) : startKey;
+
+  getDateRange(startKey, endKey).forEach(dateKey => clearDateCache(dateKey, calendarId));
+}
+
+/**
+ * Count a series' occurrences before a time (only needed for COUNT rules)
+ * @param {string} calendarId - Google Calendar ID
+ * @param {Object} series - Series event
+ * @param {Date} before - Split point
+ * @returns {Promise<number>} Occurrences before the split, including cancelled ones
+ * @private
+ */
+async function countOccurrencesBefore(calendarId, series, before) {
+  if (!(series.recurrence || []).some(line => /COUNT=/i.test(line))) {
+    return 0;
+  }
+
+  const calendar = getCalendar();
+  let count = 0;
+  let pageToken;
+
+  do {
+    const response = await calendar.events.instances({
+      calendarId,
+      eventId: series.id,
+      timeMax: before.toISOString(),
+      showDeleted: true,
+      maxResults: 2500,
+      pageToken
+    });
+
+    count += (response.data.items || []).length;
+    pageToken = response.data.nextPageToken;
+  } while (pageToken);
+
+  return count;
+}
+
+/**
+ * Create an error that routes report as 400
+ * @param {string} message - Error message
+ * @returns {Error} Error with status 400
+ * @private
+ */
+function createRequestError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+module.exports = {
+  SYNC_STALE_AFTER_MS,
+  getDefaultCalendarIds,
+  listCalendars,
+  fetchEventsFromGoogle,
+  fetchRangeFromGoogle,
+  getEventsWithCache,
+  getEventsForCalendars,
+  getEventsForRange,
+  getEventSources,
+  applyToMirror,
+  createEvent,
+  findEventByICalUID,
+  importEvents,
+  updateEvent,
+  deleteEvent
+};
@@ -0,0 +1,381 @@
+/**
+ * Calendar Service - iCalendar
+ * Builds ICS feeds from normalized events and tasks, and parses uploaded ICS files
+ */
+
+const PRODUCT_ID = '-//Lifestack//Calendar Feed//EN';
+
+// RFC 5545 limits content lines to 75 octets before folding
+const MAX_LINE_OCTETS = 75;
+
+// Unified priority (4 = urgent) to iCalendar priority (1 = highest, 9 = lowest)
+const TODO_PRIORITIES = { 4: 1, 3: 3, 2: 5, 1: 9 };
+
+/**
+ * Build an iCalendar feed
+ * @param {Object} data - { name, events: normalized events, tasks: unified tasks }
+ * @returns {string} ICS document with CRLF line endings
+ */
+function buildCalendarFeed({ name = 'Lifestack', events = [], tasks = [] }) {
+  const now = formatUtc(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  for (const event of events) {
+    lines.push(...buildEvent(event, now));
+  }
+
+  for (const task of tasks.filter(task => task.due)) {
+    lines.push(...buildTodo(task, now));
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Build VEVENT lines for a normalized event
+ * Occurrences of recurring events are exported one by one.
+ * @param {Object} event - Normalized event
+ * @param {string} stamp - DTSTAMP value
+ * @returns {Array<string>} Content lines
+ * @private
+ */
+function buildEvent(event, stamp) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.id}@${event.calendarId}`,
+    `DTSTAMP:${stamp}`,
+    formatTime('DTSTART', event.start),
+    formatTime('DTEND', event.end),
+    `SUMMARY:${escapeText(event.summary)}`
+  ];
+
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.htmlLink) lines.push(`URL:${event.htmlLink}`);
+  if (event.updated) lines.push(`LAST-MODIFIED:${formatUtc(new Date(event.updated))}`);
+  if (event.status === 'tentative') lines.push('STATUS:TENTATIVE');
+  if (event.transparency === 'transparent') lines.push('TRANSP:TRANSPARENT');
+
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Build VTODO lines for a unified task
+ * @param {Object} task - Unified task with a due date
+ * @param {string} stamp - DTSTAMP value
+ * @returns {Array<string>} Content lines
+ * @private
+ */
+function buildTodo(task, stamp) {
+  const lines = [
+    'BEGIN:VTODO',
+    `UID:${task.id}@lifestack`,
+    `DTSTAMP:${stamp}`,
+    task.due.includes('T')
+      ? `DUE:${task.due.replace(/[-:]/g, '').slice(0, 15)}${task.due.endsWith('Z') ? 'Z' : ''}`
+      : `DUE;VALUE=DATE:${task.due.replace(/-/g, '')}`,
+    `SUMMARY:${escapeText(task.title)}`,
+    `STATUS:${task.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`
+  ];
+
+  if (TODO_PRIORITIES[task.priority]) lines.push(`PRIORITY:${TODO_PRIORITIES[task.priority]}`);
+  if (task.labels?.length > 0) lines.push(`CATEGORIES:${task.labels.map(escapeText).join(',')}`);
+
+  lines.push('END:VTODO');
+  return lines;
+}
+
+/**
+ * Format a Google start/end as a DTSTART/DTEND line
+ * @param {string} name - Property name
+ * @param {Object} time - { date } or { dateTime }
+ * @returns {string} Content line
+ * @private
+ */
+function formatTime(name, time) {
+  return time.date
+    ? `${name};VALUE=DATE:${time.date.replace(/-/g, '')}`
+    : `${name}:${formatUtc(new Date(time.dateTime))}`;
+}
+
+/**
+ * Format an instant as an iCalendar UTC date-time
+ * @param {Date} date - Instant
+ * @returns {string} e.g. 20250106T140000Z
+ * @private
+ */
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape a TEXT value
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ * @private
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Unescape a TEXT value
+ * @param {string} value - Escaped text
+ * @returns {string} Raw text
+ * @private
+ */
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+}
+
+/**
+ * Fold a content line at 75 octets (continuation lines start with a space)
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ * @private
+ */
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+  const parts = [];
+  let current = '';
+
+  // Split by character so multi-byte characters are never cut
+  for (const char of line) {
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Parse the VEVENTs of an ICS document into event data
+ * Returns data in the shape POST /events accepts, plus the UID. Occurrence
+ * overrides (RECURRENCE-ID) are skipped because their series carries them.
+ * @param {string} text - ICS document
+ * @returns {Object} { events: [{ uid, eventData }], skipped: [{ uid, reason }] }
+ */
+function parseCalendar(text) {
+  const events = [];
+  const skipped = [];
+  let current = null;
+
+  for (const line of unfoldLines(text)) {
+    const property = parseProperty(line);
+    if (!property) continue;
+
+    if (property.name === 'BEGIN' && property.value === 'VEVENT') {
+      current = { recurrence: [], nested: 0 };
+    } else if (current && property.name === 'BEGIN') {
+      // VALARM and other sub-components have their own SUMMARY/DESCRIPTION
+      current.nested++;
+    } else if (current?.nested > 0 && property.name === 'END') {
+      current.nested--;
+    } else if (current && property.name === 'END' && property.value === 'VEVENT') {
+      if (current.recurrenceId) {
+        skipped.push({ uid: current.uid || null, reason: 'Occurrence overrides (RECURRENCE-ID) are not imported' });
+      } else if (!current.uid) {
+        skipped.push({ uid: null, reason: 'Event has no UID' });
+      } else {
+        events.push({ uid: current.uid, eventData: toEventData(current) });
+      }
+      current = null;
+    } else if (current && current.nested === 0) {
+      readEventProperty(current, property);
+    }
+  }
+
+  return { events, skipped };
+}
+
+/**
+ * Store a VEVENT property on the event being parsed
+ * @param {Object} event - Event being parsed
+ * @param {Object} property - { name, params, value }
+ * @private
+ */
+function readEventProperty(event, { name, params, value }) {
+  switch (name) {
+    case 'UID':
+      event.uid = value;
+      break;
+    case 'SUMMARY':
+      event.summary = unescapeText(value);
+      break;
+    case 'DESCRIPTION':
+      event.description = unescapeText(value);
+      break;
+    case 'LOCATION':
+      event.location = unescapeText(value);
+      break;
+    case 'DTSTART':
+      event.start = parseTime(value, params);
+      break;
+    case 'DTEND':
+      event.end = parseTime(value, params);
+      break;
+    case 'DURATION':
+      event.duration = value;
+      break;
+    case 'RECURRENCE-ID':
+      event.recurrenceId = value;
+      break;
+    case 'RRULE':
+    case 'EXDATE':
+    case 'RDATE':
+      event.recurrence.push(formatRecurrenceLine(name, params, value));
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Convert a parsed VEVENT to POST /events data
+ * @param {Object} event - Parsed event
+ * @returns {Object} { summary, start, end, timeZone, allDay, description, location, recurrence, iCalUID }
+ * @private
+ */
+function toEventData(event) {
+  const start = event.start || {};
+  const end = event.end || (event.duration && start.value ? addDuration(start, event.duration) : null);
+
+  return {
+    iCalUID: event.uid,
+    summary: event.summary || 'Untitled Event',
+    start: start.value,
+    ...(end && { end: end.value }),
+    ...(start.allDay && { allDay: true }),
+    ...(start.timeZone && { timeZone: start.timeZone }),
+    ...(event.description && { description: event.description }),
+    ...(event.location && { location: event.location }),
+    ...(event.recurrence.length > 0 && { recurrence: event.recurrence })
+  };
+}
+
+/**
+ * Parse a DATE or DATE-TIME value
+ * @param {string} value - e.g. 20250106, 20250106T140000Z, 20250106T140000
+ * @param {Object} params - Property parameters (VALUE, TZID)
+ * @returns {Object} { value, allDay, timeZone } where value is YYYY-MM-DD or an ISO date-time
+ * @private
+ */
+function parseTime(value, params) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/);
+  if (!match) {
+    return { value };
+  }
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  const date = `${year}-${month}-${day}`;
+
+  if (params.VALUE === 'DATE' || hours === undefined) {
+    return { value: date, allDay: true };
+  }
+
+  return {
+    value: `${date}T${hours}:${minutes}:${seconds}${utc}`,
+    ...(!utc && params.TZID && { timeZone: params.TZID })
+  };
+}
+
+/**
+ * Add an ICS duration (e.g. PT1H30M, P1D) to a parsed start
+ * @param {Object} start - Parsed start
+ * @param {string} duration - ICS duration
+ * @returns {Object|null} Parsed end, or null if the duration can't be read
+ * @private
+ */
+function addDuration(start, duration) {
+  const match = duration.match(/^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+
+  const [, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match.map(part => part && Number(part));
+  const totalDays = weeks * 7 + days;
+
+  if (start.allDay) {
+    const [year, month, day] = start.value.split('-').map(Number);
+    return { value: new Date(Date.UTC(year, month - 1, day + totalDays)).toISOString().split('T')[0] };
+  }
+
+  // Shift the wall-clock digits so floating and TZID times stay in their zone
+  const utc = start.value.endsWith('Z');
+  const wallClock = new Date(`${start.value.replace(/Z$/, '')}Z`);
+  const endMs = wallClock.getTime() + (((totalDays * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+  const end = new Date(endMs).toISOString().replace(/\.\d{3}Z$/, '');
+
+  return { value: utc ? `${end}Z` : end };
+}
+
+/**
+ * Rebuild an RRULE/EXDATE/RDATE line for Google (which accepts RFC 5545 lines)
+ * @param {string} name - Property name
+ * @param {Object} params - Property parameters
+ * @param {string} value - Property value
+ * @returns {string} Recurrence line
+ * @private
+ */
+function formatRecurrenceLine(name, params, value) {
+  const paramText = Object.entries(params).map(([key, param]) => `;${key}=${param}`).join('');
+  return `${name}${paramText}:${value}`;
+}
+
+/**
+ * Split an ICS document into unfolded content lines
+ * @param {string} text - ICS document
+ * @returns {Array<string>} Content lines
+ * @private
+ */
+function unfoldLines(text) {
+  return String(text)
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(line => line.trim() !== '');
+}
+
+/**
+ * Parse a content line into name, parameters and value
+ * @param {string} line - e.g. "DTSTART;TZID=Europe/London:20250106T090000"
+ * @returns {Object|null} { name, params, value }, or null if malformed
+ * @private
+ */
+function parseProperty(line) {
+  const match = line.match(/^([A-Za-z0-9-]+)((?:;[A-Za-z0-9-]+=(?:"[^"]*"|[^;:]*))*):(.*)$/);
+  if (!match) return null;
+
+  const [, name, paramText, value] = match;
+  const params = {};
+
+  for (const param of paramText.split(';').filter(Boolean)) {
+    const [key, ...rest] = param.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  }
+
+  return { name: name.toUpperCase(), params, value };
+}
+
+module.exports = {
+  buildCalendarFeed,
+  parseCalendar
+};
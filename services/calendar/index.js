@@ -1,10 +1,11 @@
 /**
  * Calendar Service - Main Entry Point
- * Exports the calendar service router and initialization function
+ * Exports the calendar service router, initialization function and sync worker controls
  */
 
 const { initializeGoogleAuth } = require('./auth');
 const router = require('./routes');
+const { startSyncWorker, stopSyncWorker } = require('./sync');
 
 /**
  * Initialize the calendar service
@@ -24,5 +25,7 @@ async function initializeCalendarService() {
 
 module.exports = {
   router,
-  initializeCalendarService
+  initializeCalendarService,
+  startSyncWorker,
+  stopSyncWorker
 };
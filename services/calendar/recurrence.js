@@ -0,0 +1,274 @@
+/**
+ * Calendar Service - Recurrence
+ * RRULE parsing, validation, human-readable summaries and series splitting
+ */
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const RULE_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'BYSETPOS', 'WKST'];
+const SCOPES = ['this', 'following', 'all'];
+
+const DAY_NAMES = {
+  MO: 'Monday',
+  TU: 'Tuesday',
+  WE: 'Wednesday',
+  TH: 'Thursday',
+  FR: 'Friday',
+  SA: 'Saturday',
+  SU: 'Sunday'
+};
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const ORDINALS = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', 5: 'fifth', '-1': 'last', '-2': 'second to last' };
+
+const BYDAY_REGEX = /^([+-]?[1-5])?(MO|TU|WE|TH|FR|SA|SU)$/;
+const UNTIL_REGEX = /^\d{8}(T\d{6}Z?)?$/;
+
+/**
+ * Normalize recurrence input to Google's list of RFC 5545 lines
+ * Accepts "FREQ=WEEKLY;BYDAY=MO", "RRULE:FREQ=WEEKLY;BYDAY=MO" or an array of lines.
+ * @param {string|Array<string>} recurrence - Recurrence input
+ * @returns {Array<string>} Lines such as ["RRULE:FREQ=WEEKLY;BYDAY=MO"]
+ */
+function normalizeRecurrence(recurrence) {
+  const lines = Array.isArray(recurrence) ? recurrence : [recurrence];
+
+  return lines.map(line => {
+    const trimmed = String(line).trim();
+    return /^(RRULE|EXRULE|RDATE|EXDATE)[:;]/i.test(trimmed) ? trimmed : `RRULE:${trimmed}`;
+  });
+}
+
+/**
+ * Parse an RRULE line into its parts
+ * @param {string} line - "RRULE:FREQ=WEEKLY;BYDAY=MO,WE" (prefix optional)
+ * @returns {Object} Parts keyed by name, e.g. { FREQ: 'WEEKLY', BYDAY: 'MO,WE' }
+ */
+function parseRRule(line) {
+  return line
+    .replace(/^RRULE:/i, '')
+    .split(';')
+    .filter(Boolean)
+    .reduce((parts, part) => {
+      const [key, value] = part.split('=');
+      parts[key.toUpperCase()] = (value || '').toUpperCase();
+      return parts;
+    }, {});
+}
+
+/**
+ * Format parsed RRULE parts back into a line
+ * @param {Object} parts - Parts from parseRRule
+ * @returns {string} RRULE line
+ * @private
+ */
+function formatRRule(parts) {
+  return `RRULE:${Object.entries(parts).map(([key, value]) => `${key}=${value}`).join(';')}`;
+}
+
+/**
+ * Validate recurrence input
+ * @param {string|Array<string>} recurrence - Recurrence input
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+function validateRecurrence(recurrence) {
+  const errors = [];
+  const isList = Array.isArray(recurrence);
+
+  if (!(typeof recurrence === 'string' || isList) ||
+      (isList && !recurrence.every(line => typeof line === 'string'))) {
+    return ['Recurrence must be an RRULE string or an array of RRULE/EXDATE/RDATE lines'];
+  }
+
+  const rules = normalizeRecurrence(recurrence).filter(line => /^RRULE:/i.test(line));
+
+  if (rules.length !== 1) {
+    return ['Recurrence must contain exactly one RRULE'];
+  }
+
+  const parts = parseRRule(rules[0]);
+
+  const unknown = Object.keys(parts).filter(key => !RULE_PARTS.includes(key));
+  if (unknown.length > 0) {
+    errors.push(`Unsupported RRULE parts: ${unknown.join(', ')}`);
+  }
+
+  if (!FREQUENCIES.includes(parts.FREQ)) {
+    errors.push(`RRULE FREQ must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+
+  if (parts.INTERVAL !== undefined && !isPositiveInteger(parts.INTERVAL)) {
+    errors.push('RRULE INTERVAL must be a positive integer');
+  }
+
+  if (parts.COUNT !== undefined && !isPositiveInteger(parts.COUNT)) {
+    errors.push('RRULE COUNT must be a positive integer');
+  }
+
+  if (parts.UNTIL !== undefined && !UNTIL_REGEX.test(parts.UNTIL)) {
+    errors.push('RRULE UNTIL must be YYYYMMDD or YYYYMMDDTHHMMSSZ');
+  }
+
+  if (parts.COUNT !== undefined && parts.UNTIL !== undefined) {
+    errors.push('RRULE cannot have both COUNT and UNTIL');
+  }
+
+  if (parts.BYDAY !== undefined && !parts.BYDAY.split(',').every(day => BYDAY_REGEX.test(day))) {
+    errors.push('RRULE BYDAY must be days such as MO,WE or 1MO,-1FR');
+  }
+
+  if (parts.BYMONTHDAY !== undefined && !parts.BYMONTHDAY.split(',').every(day => {
+    const value = Number(day);
+    return Number.isInteger(value) && value !== 0 && value >= -31 && value <= 31;
+  })) {
+    errors.push('RRULE BYMONTHDAY must be days between 1 and 31 (or -31 to -1)');
+  }
+
+  if (parts.BYMONTH !== undefined && !parts.BYMONTH.split(',').every(month => {
+    const value = Number(month);
+    return Number.isInteger(value) && value >= 1 && value <= 12;
+  })) {
+    errors.push('RRULE BYMONTH must be months between 1 and 12');
+  }
+
+  return errors;
+}
+
+/**
+ * Describe a recurrence in plain English
+ * @param {Array<string>|null} recurrence - Google recurrence lines
+ * @returns {string|null} e.g. "Every 2 weeks on Monday and Wednesday, 10 times"
+ */
+function describeRecurrence(recurrence) {
+  const rule = (recurrence || []).find(line => /^RRULE:/i.test(line));
+  if (!rule) return null;
+
+  const parts = parseRRule(rule);
+  const interval = parseInt(parts.INTERVAL) || 1;
+  const units = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' };
+  const adverbs = { DAILY: 'Daily', WEEKLY: 'Weekly', MONTHLY: 'Monthly', YEARLY: 'Yearly' };
+
+  if (!units[parts.FREQ]) return null;
+
+  let summary = interval === 1 ? adverbs[parts.FREQ] : `Every ${interval} ${units[parts.FREQ]}s`;
+
+  if (parts.BYDAY) {
+    const days = parts.BYDAY.split(',').map(describeDay);
+    const weekdays = ['MO', 'TU', 'WE', 'TH', 'FR'];
+    summary += parts.FREQ === 'WEEKLY' && parts.BYDAY.split(',').sort().join() === [...weekdays].sort().join()
+      ? ' on weekdays'
+      : ` on ${joinList(days)}`;
+  } else if (parts.BYMONTHDAY) {
+    const days = parts.BYMONTHDAY.split(',').map(day => (Number(day) === -1 ? 'the last day' : `day ${day}`));
+    summary += ` on ${joinList(days)}`;
+  }
+
+  if (parts.BYMONTH) {
+    summary += ` in ${joinList(parts.BYMONTH.split(',').map(month => MONTH_NAMES[Number(month) - 1]))}`;
+  }
+
+  if (parts.COUNT) {
+    summary += `, ${parts.COUNT} time${parts.COUNT === '1' ? '' : 's'}`;
+  } else if (parts.UNTIL) {
+    summary += `, until ${parts.UNTIL.slice(0, 4)}-${parts.UNTIL.slice(4, 6)}-${parts.UNTIL.slice(6, 8)}`;
+  }
+
+  if (recurrence.some(line => /^EXDATE/i.test(line))) {
+    summary += ' (with exceptions)';
+  }
+
+  return summary;
+}
+
+/**
+ * End a series before an occurrence (replaces COUNT/UNTIL with an UNTIL)
+ * @param {Array<string>} recurrence - Google recurrence lines
+ * @param {Object} occurrenceStart - Google start of the first occurrence to drop ({ date } or { dateTime })
+ * @returns {Array<string>} Recurrence lines ending before the occurrence
+ */
+function truncateRecurrence(recurrence, occurrenceStart) {
+  let until;
+
+  if (occurrenceStart.date) {
+    // All-day series end on the previous date
+    const [year, month, day] = occurrenceStart.date.split('-').map(Number);
+    until = new Date(Date.UTC(year, month - 1, day - 1)).toISOString().slice(0, 10).replace(/-/g, '');
+  } else {
+    const lastMoment = new Date(new Date(occurrenceStart.dateTime).getTime() - 1000);
+    until = lastMoment.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  return recurrence.map(line => {
+    if (!/^RRULE:/i.test(line)) return line;
+
+    const { COUNT, UNTIL, ...parts } = parseRRule(line);
+    return formatRRule({ ...parts, UNTIL: until });
+  });
+}
+
+/**
+ * Reduce a COUNT rule by the occurrences already used (for the second half of a split)
+ * @param {Array<string>} recurrence - Google recurrence lines
+ * @param {number} usedCount - Occurrences before the split
+ * @returns {Array<string>} Recurrence lines for the new series
+ */
+function remainingRecurrence(recurrence, usedCount) {
+  return recurrence.map(line => {
+    if (!/^RRULE:/i.test(line)) return line;
+
+    const parts = parseRRule(line);
+    if (parts.COUNT === undefined) return line;
+
+    return formatRRule({ ...parts, COUNT: String(Math.max(parseInt(parts.COUNT) - usedCount, 1)) });
+  });
+}
+
+/**
+ * Check if a string is a positive integer
+ * @param {string} value - Value to check
+ * @returns {boolean} True if positive integer
+ * @private
+ */
+function isPositiveInteger(value) {
+  return /^\d+$/.test(value) && parseInt(value) > 0;
+}
+
+/**
+ * Describe a BYDAY token
+ * @param {string} token - e.g. "MO", "1MO", "-1FR"
+ * @returns {string} e.g. "Monday", "the first Monday", "the last Friday"
+ * @private
+ */
+function describeDay(token) {
+  const match = token.match(BYDAY_REGEX);
+  if (!match) return token;
+
+  const [, ordinal, day] = match;
+  if (!ordinal) return DAY_NAMES[day];
+
+  const position = parseInt(ordinal);
+  return `the ${ORDINALS[position] || `#${position}`} ${DAY_NAMES[day]}`;
+}
+
+/**
+ * Join words as "a", "a and b" or "a, b and c"
+ * @param {Array<string>} items - Words
+ * @returns {string} Joined list
+ * @private
+ */
+function joinList(items) {
+  return items.length <= 1 ? items.join('') : `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+module.exports = {
+  SCOPES,
+  normalizeRecurrence,
+  parseRRule,
+  validateRecurrence,
+  describeRecurrence,
+  truncateRecurrence,
+  remainingRecurrence
+};
@@ -3,80 +3,119 @@
  * Handles all calendar-related endpoints
  */
 
+const crypto = require('crypto');
 const express = require('express');
-const { getCalendar } = require('./auth');
+const { authenticateApiKey, requireScope } = require('../../shared/middleware/auth');
+const {
+  getDefaultCalendarIds,
+  listCalendars,
+  getEventsForCalendars,
+  getEventsForRange,
+  getEventSources,
+  createEvent,
+  importEvents,
+  updateEvent,
+  deleteEvent
+} = require('./events');
+const { getBusyIntervals, findFreeSlots } = require('./availability');
+const { checkConflicts } = require('./conflicts');
+const { buildCalendarFeed, parseCalendar } = require('./ics');
+const { SCOPES } = require('./recurrence');
+const {
+  syncAll,
+  refreshMirror,
+  getSyncStatus,
+  isSyncWorkerRunning,
+  isSyncing
+} = require('./sync');
 const {
-  getCachedEvents,
-  setCachedEvents,
-  clearDateCache,
   clearAllCalendarCache,
   getCalendarCacheStats
 } = require('./cache');
 const {
   getTodayKey,
   getDateKey,
-  getDayBoundaries,
+  addDays,
   normalizeEvents,
   isValidDateString,
+  getDateRange,
+  parseCalendarIds,
   validateEventData,
-  buildEventResource
+  validateFreeSlotQuery
 } = require('./utils');
+const { fetchCalendarEventsRange, fetchTodoistTasks } = require('../unified/aggregator');
+const calendarConfig = require('../../config/services').calendar;
 
 const router = express.Router();
 
-/**
- * Fetch events from Google Calendar API for a specific date
- * @param {string} dateKey - Date in YYYY-MM-DD format
- * @returns {Promise<Array>} Array of events
- */
-async function fetchEventsFromGoogle(dateKey) {
-  const { startOfDay, endOfDay } = getDayBoundaries(dateKey);
+// Longest range GET /events will fetch in one call
+const MAX_RANGE_DAYS = 62;
 
-  console.log(`📅 Fetching events for ${dateKey} (${startOfDay.toISOString()} to ${endOfDay.toISOString()})`);
+// Most events POST /import creates from one file
+const MAX_IMPORT_EVENTS = 500;
 
+/**
+ * GET /feed.ics
+ * Subscribable iCalendar feed of upcoming events and dated Todoist tasks
+ * Calendar apps can't send headers, so this route takes a feed token instead of an API key.
+ * Query: token (CALENDAR_FEED_TOKEN), calendarId (optional, default: configured calendars)
+ */
+router.get('/feed.ics', async (req, res) => {
   try {
-    const calendar = getCalendar();
-
-    const response = await calendar.events.list({
-      calendarId: 'primary',
-      timeMin: startOfDay.toISOString(),
-      timeMax: endOfDay.toISOString(),
-      singleEvents: true,
-      orderBy: 'startTime',
-    });
+    if (!calendarConfig.feedToken) {
+      return res.status(404).json({
+        success: false,
+        error: 'Feed disabled',
+        message: 'Set CALENDAR_FEED_TOKEN to enable the ICS feed'
+      });
+    }
+
+    if (!isFeedToken(req.query.token)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid feed token'
+      });
+    }
 
-    const events = response.data.items || [];
-    console.log(`✅ Fetched ${events.length} events from Google Calendar`);
+    const today = getTodayKey();
+    const calendarIds = parseCalendarIds(req.query.calendarId) || getDefaultCalendarIds();
+
+    const events = await fetchCalendarEventsRange(
+      addDays(today, -calendarConfig.feedPastDays),
+      addDays(today, calendarConfig.feedFutureDays),
+      calendarIds
+    );
+
+    // The feed still serves events when Todoist is down or not configured
+    let tasks = [];
+    try {
+      tasks = (await fetchTodoistTasks()).filter(task => !task.completed);
+    } catch (error) {
+      console.warn('Could not add Todoist tasks to the calendar feed:', error.message);
+    }
 
-    return events;
+    res
+      .type('text/calendar; charset=utf-8')
+      .set('Content-Disposition', 'inline; filename="lifestack.ics"')
+      .send(buildCalendarFeed({ name: 'Lifestack', events, tasks }));
 
   } catch (error) {
-    console.error('❌ Error fetching events from Google Calendar:', error.message);
-    throw error;
-  }
-}
+    console.error('❌ Error building calendar feed:', error);
 
-/**
- * Get events with caching
- * @param {string} dateKey - Date in YYYY-MM-DD format
- * @returns {Promise<Array>} Array of events
- */
-async function getEventsWithCache(dateKey) {
-  // Try to get from cache first
-  const cachedEvents = getCachedEvents(dateKey);
+    if (error.code === 404) {
+      return calendarNotFound(res);
+    }
 
-  if (cachedEvents) {
-    return cachedEvents;
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build calendar feed',
+      message: error.message
+    });
   }
+});
 
-  // Fetch from Google Calendar
-  const events = await fetchEventsFromGoogle(dateKey);
-
-  // Cache the results
-  setCachedEvents(dateKey, events);
-
-  return events;
-}
+// Apply authentication to all other calendar routes
+router.use(authenticateApiKey);
 
 /**
  * GET /health
@@ -87,29 +126,227 @@ router.get('/health', (req, res) => {
     success: true,
     service: 'calendar',
     status: 'ok',
+    syncWorker: isSyncWorkerRunning() ? 'running' : 'stopped',
     timestamp: new Date().toISOString()
   });
 });
 
+/**
+ * GET /calendars
+ * List calendars available to the authenticated account
+ */
+router.get('/calendars', requireScope('calendar:read'), async (req, res) => {
+  try {
+    const calendars = await listCalendars();
+
+    res.json({
+      success: true,
+      count: calendars.length,
+      defaultCalendarIds: getDefaultCalendarIds(),
+      calendars
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching calendars:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch calendars',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /events
+ * Get calendar events for a date range, grouped by day
+ * Query: start, end (YYYY-MM-DD, inclusive), calendarId (comma-separated or repeated)
+ */
+router.get('/events', requireScope('calendar:read'), async (req, res) => {
+  try {
+    const { start, end } = req.query;
+
+    if (!isValidDateString(start) || !isValidDateString(end)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date range',
+        message: 'start and end are required in YYYY-MM-DD format'
+      });
+    }
+
+    const dateKeys = getDateRange(start, end);
+    if (dateKeys.length === 0 || dateKeys.length > MAX_RANGE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date range',
+        message: `end must be on or after start, and the range at most ${MAX_RANGE_DAYS} days`
+      });
+    }
+
+    const calendarIds = parseCalendarIds(req.query.calendarId) || getDefaultCalendarIds();
+    const [eventsByDay, sources] = await Promise.all([
+      getEventsForRange(start, end, calendarIds),
+      getEventSources(calendarIds, start, end)
+    ]);
+
+    const days = {};
+    const eventIds = new Set();
+    for (const dateKey of dateKeys) {
+      days[dateKey] = normalizeEvents(eventsByDay[dateKey]);
+      days[dateKey].forEach(event => eventIds.add(`${event.calendarId}:${event.id}`));
+    }
+
+    res.json({
+      success: true,
+      start,
+      end,
+      calendars: calendarIds,
+      count: eventIds.size,
+      sync: sources,
+      days
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching events range:', error);
+
+    if (error.code === 404) {
+      return calendarNotFound(res);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch events range',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /free-slots
+ * Find open slots of at least `duration` minutes inside working hours
+ * Query: start, end (YYYY-MM-DD), duration (default 30), calendarId, workStart, workEnd,
+ *        buffer (minutes around events), ignoreAllDay (true to let all-day events through)
+ */
+router.get('/free-slots', requireScope('calendar:read'), async (req, res) => {
+  try {
+    const validation = validateFreeSlotQuery(req.query);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: validation.errors
+      });
+    }
+
+    const { start, end } = req.query;
+    const dateKeys = getDateRange(start, end);
+    if (dateKeys.length > MAX_RANGE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date range',
+        message: `The range can be at most ${MAX_RANGE_DAYS} days`
+      });
+    }
+
+    const durationMinutes = req.query.duration !== undefined ? Number(req.query.duration) : 30;
+    const bufferMinutes = req.query.buffer !== undefined ? Number(req.query.buffer) : calendarConfig.bufferMinutes;
+    const ignoreAllDay = req.query.ignoreAllDay === 'true';
+    const workingHours = {
+      ...calendarConfig.workingHours,
+      ...(req.query.workStart && { start: req.query.workStart }),
+      ...(req.query.workEnd && { end: req.query.workEnd })
+    };
+
+    if (workingHours.end <= workingHours.start) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: ['Working hours must end after they start']
+      });
+    }
+
+    const calendarIds = parseCalendarIds(req.query.calendarId) || getDefaultCalendarIds();
+    const [rawByDay, sources] = await Promise.all([
+      getEventsForRange(start, end, calendarIds),
+      getEventSources(calendarIds, start, end)
+    ]);
+
+    const eventsByDay = {};
+    for (const dateKey of dateKeys) {
+      eventsByDay[dateKey] = normalizeEvents(rawByDay[dateKey]);
+    }
+
+    const slots = findFreeSlots(eventsByDay, { durationMinutes, workingHours, bufferMinutes, ignoreAllDay });
+
+    // Multi-day events are listed under each day; report each once
+    const seen = new Set();
+    const busy = getBusyIntervals(Object.values(eventsByDay).flat(), { ignoreAllDay })
+      .filter(interval => {
+        const key = `${interval.calendarId}:${interval.eventId}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+
+    res.json({
+      success: true,
+      start,
+      end,
+      durationMinutes,
+      bufferMinutes,
+      workingHours,
+      calendars: calendarIds,
+      count: slots.length,
+      sync: sources,
+      slots,
+      busy
+    });
+
+  } catch (error) {
+    console.error('❌ Error finding free slots:', error);
+
+    if (error.code === 404) {
+      return calendarNotFound(res);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to find free slots',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /events/today
  * Get today's calendar events
+ * Query: calendarId (comma-separated or repeated; default: configured calendars)
  */
-router.get('/events/today', async (req, res) => {
+router.get('/events/today', requireScope('calendar:read'), async (req, res) => {
   try {
     const dateKey = getTodayKey();
-    const events = await getEventsWithCache(dateKey);
+    const calendarIds = parseCalendarIds(req.query.calendarId) || getDefaultCalendarIds();
+    const [events, sources] = await Promise.all([
+      getEventsForCalendars(dateKey, calendarIds),
+      getEventSources(calendarIds, dateKey, dateKey)
+    ]);
     const normalizedEvents = normalizeEvents(events);
 
     res.json({
       success: true,
       date: dateKey,
+      calendars: calendarIds,
       count: normalizedEvents.length,
+      sync: sources,
       events: normalizedEvents
     });
 
   } catch (error) {
     console.error('❌ Error fetching today\'s events:', error);
+
+    if (error.code === 404) {
+      return calendarNotFound(res);
+    }
+
     res.status(500).json({
       success: false,
       error: 'Failed to fetch today\'s events',
@@ -121,8 +358,9 @@ router.get('/events/today', async (req, res) => {
 /**
  * GET /events/:date
  * Get calendar events for a specific date
+ * Query: calendarId (comma-separated or repeated; default: configured calendars)
  */
-router.get('/events/:date', async (req, res) => {
+router.get('/events/:date', requireScope('calendar:read'), async (req, res) => {
   try {
     const { date } = req.params;
 
@@ -136,18 +374,29 @@ router.get('/events/:date', async (req, res) => {
     }
 
     const dateKey = getDateKey(date);
-    const events = await getEventsWithCache(dateKey);
+    const calendarIds = parseCalendarIds(req.query.calendarId) || getDefaultCalendarIds();
+    const [events, sources] = await Promise.all([
+      getEventsForCalendars(dateKey, calendarIds),
+      getEventSources(calendarIds, dateKey, dateKey)
+    ]);
     const normalizedEvents = normalizeEvents(events);
 
     res.json({
       success: true,
       date: dateKey,
+      calendars: calendarIds,
       count: normalizedEvents.length,
+      sync: sources,
       events: normalizedEvents
     });
 
   } catch (error) {
     console.error(`❌ Error fetching events for ${req.params.date}:`, error);
+
+    if (error.code === 404) {
+      return calendarNotFound(res);
+    }
+
     res.status(500).json({
       success: false,
       error: `Failed to fetch events for ${req.params.date}`,
@@ -159,10 +408,15 @@ router.get('/events/:date', async (req, res) => {
 /**
  * POST /events
  * Create a new calendar event
+ * Body: calendarId (optional, default: primary)
+ * Query or body: allowConflicts (true to create even if it overlaps other events)
  */
-router.post('/events', async (req, res) => {
+router.post('/events', requireScope('calendar:write'), async (req, res) => {
   try {
-    const eventData = req.body;
+    const { calendarId: rawCalendarId, allowConflicts, ...eventData } = req.body;
+
+    const calendarId = getSingleCalendarId(res, rawCalendarId);
+    if (!calendarId) return;
 
     // Validate event data
     const validation = validateEventData(eventData);
@@ -174,30 +428,30 @@ router.post('/events', async (req, res) => {
       });
     }
 
-    // Build event resource
-    const event = buildEventResource(eventData);
-
-    // Create event in Google Calendar
-    const calendar = getCalendar();
-    const response = await calendar.events.insert({
-      calendarId: 'primary',
-      resource: event,
-    });
-
-    // Clear cache for the affected date
-    const eventDate = getDateKey(eventData.start);
-    clearDateCache(eventDate);
+    if (!isConflictOverride(req.query.allowConflicts ?? allowConflicts)) {
+      const check = await checkConflicts(eventData, { calendarId });
+      if (check.conflicts.length > 0) {
+        return conflictResponse(res, check);
+      }
+    }
 
-    console.log(`✅ Created event: ${response.data.id}`);
+    // Create event in Google Calendar (clears the cache for its date)
+    const created = await createEvent(eventData, calendarId);
 
     res.status(201).json({
       success: true,
-      eventId: response.data.id,
-      event: response.data
+      eventId: created.id,
+      calendarId,
+      event: created
     });
 
   } catch (error) {
     console.error('❌ Error creating event:', error);
+
+    if (error.code === 404) {
+      return calendarNotFound(res);
+    }
+
     res.status(500).json({
       success: false,
       error: 'Failed to create event',
@@ -206,14 +460,84 @@ router.post('/events', async (req, res) => {
   }
 });
 
+/**
+ * POST /import
+ * Create events from an ICS file, skipping UIDs the calendar already has
+ * Body: the .ics file (Content-Type: text/calendar), or JSON { ics }
+ * Query or body: calendarId (optional, default: primary)
+ */
+router.post('/import', requireScope('calendar:write'), express.text({ type: ['text/calendar', 'text/plain'], limit: '2mb' }), async (req, res) => {
+  try {
+    const ics = typeof req.body === 'string' ? req.body : req.body?.ics;
+
+    const calendarId = getSingleCalendarId(res, req.query.calendarId || req.body?.calendarId);
+    if (!calendarId) return;
+
+    if (!ics || typeof ics !== 'string' || !/BEGIN:VCALENDAR/i.test(ics)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: ['Body must be an iCalendar file (BEGIN:VCALENDAR ...)']
+      });
+    }
+
+    const { events, skipped } = parseCalendar(ics);
+    if (events.length > MAX_IMPORT_EVENTS) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: [`A file can contain at most ${MAX_IMPORT_EVENTS} events`]
+      });
+    }
+
+    // Imports don't go through conflict detection
+    const result = await importEvents(events, calendarId);
+
+    res.status(result.created.length > 0 ? 201 : 200).json({
+      success: true,
+      calendarId,
+      count: result.created.length,
+      ...result,
+      skipped
+    });
+
+  } catch (error) {
+    console.error('❌ Error importing events:', error);
+
+    if (error.code === 404) {
+      return calendarNotFound(res);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import events',
+      message: error.message
+    });
+  }
+});
+
 /**
  * PUT /events/:eventId
  * Update an existing calendar event
+ * Query or body: calendarId (optional, default: primary),
+ *                scope ('this' | 'following' | 'all', default: this) for recurring events,
+ *                allowConflicts (true to save even if it overlaps other events)
  */
-router.put('/events/:eventId', async (req, res) => {
+router.put('/events/:eventId', requireScope('calendar:write'), async (req, res) => {
   try {
     const { eventId } = req.params;
-    const eventData = req.body;
+    const {
+      calendarId: bodyCalendarId,
+      scope: bodyScope,
+      allowConflicts,
+      ...eventData
+    } = req.body;
+
+    const calendarId = getSingleCalendarId(res, req.query.calendarId || bodyCalendarId);
+    if (!calendarId) return;
+
+    const scope = getScope(res, req.query.scope || bodyScope);
+    if (!scope) return;
 
     // Validate event data
     const validation = validateEventData(eventData);
@@ -225,26 +549,30 @@ router.put('/events/:eventId', async (req, res) => {
       });
     }
 
-    // Build event resource
-    const event = buildEventResource(eventData);
-
-    // Update event in Google Calendar
-    const calendar = getCalendar();
-    const response = await calendar.events.update({
-      calendarId: 'primary',
-      eventId,
-      resource: event,
-    });
+    // The event itself (or its series) never conflicts with the update
+    if (!isConflictOverride(req.query.allowConflicts ?? allowConflicts)) {
+      const check = await checkConflicts(eventData, {
+        calendarId,
+        excludeEventId: eventId,
+        excludeSeries: scope !== 'this'
+      });
+      if (check.conflicts.length > 0) {
+        return conflictResponse(res, check);
+      }
+    }
 
-    // Clear cache for the affected date
-    const eventDate = getDateKey(eventData.start);
-    clearDateCache(eventDate);
+    // Update event in Google Calendar (clears the affected cache)
+    const result = await updateEvent(eventId, eventData, { calendarId, scope });
 
-    console.log(`✅ Updated event: ${eventId}`);
+    // Series changes touch occurrences we don't have; pull them into the mirror now
+    if (scope !== 'this') {
+      await refreshMirror(calendarId);
+    }
 
     res.json({
       success: true,
-      event: response.data
+      calendarId,
+      ...result
     });
 
   } catch (error) {
@@ -259,7 +587,7 @@ router.put('/events/:eventId', async (req, res) => {
       });
     }
 
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: 'Failed to update event',
       message: error.message
@@ -270,26 +598,31 @@ router.put('/events/:eventId', async (req, res) => {
 /**
  * DELETE /events/:eventId
  * Delete a calendar event
+ * Query or body: calendarId (optional, default: primary),
+ *                scope ('this' | 'following' | 'all', default: this) for recurring events
  */
-router.delete('/events/:eventId', async (req, res) => {
+router.delete('/events/:eventId', requireScope('calendar:write'), async (req, res) => {
   try {
     const { eventId } = req.params;
 
-    // Delete event from Google Calendar
-    const calendar = getCalendar();
-    await calendar.events.delete({
-      calendarId: 'primary',
-      eventId,
-    });
+    const calendarId = getSingleCalendarId(res, req.query.calendarId || req.body?.calendarId);
+    if (!calendarId) return;
 
-    // Clear entire cache since we don't know which date this event was on
-    clearAllCalendarCache();
+    const scope = getScope(res, req.query.scope || req.body?.scope);
+    if (!scope) return;
 
-    console.log(`✅ Deleted event: ${eventId}`);
+    // Delete from Google Calendar (clears the calendar's cache)
+    const result = await deleteEvent(eventId, { calendarId, scope });
+
+    if (scope !== 'this') {
+      await refreshMirror(calendarId);
+    }
 
     res.json({
       success: true,
-      message: 'Event deleted successfully'
+      message: scope === 'this' ? 'Event deleted successfully' : `Recurring series updated (${scope})`,
+      calendarId,
+      ...result
     });
 
   } catch (error) {
@@ -304,7 +637,7 @@ router.delete('/events/:eventId', async (req, res) => {
       });
     }
 
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: 'Failed to delete event',
       message: error.message
@@ -312,11 +645,81 @@ router.delete('/events/:eventId', async (req, res) => {
   }
 });
 
+/**
+ * GET /sync/status
+ * Get mirror sync status for calendars
+ * Query: calendarId (comma-separated or repeated; default: configured calendars)
+ */
+router.get('/sync/status', requireScope('calendar:read'), async (req, res) => {
+  try {
+    const calendarIds = parseCalendarIds(req.query.calendarId) || getDefaultCalendarIds();
+    const calendars = await getSyncStatus(calendarIds);
+
+    res.json({
+      success: true,
+      worker: isSyncWorkerRunning() ? 'running' : 'stopped',
+      syncing: isSyncing(),
+      calendars
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting sync status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get sync status',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /sync
+ * Sync calendars into the mirror now
+ * Body: calendarId (optional, string or array), full (optional, rebuild the mirror)
+ */
+router.post('/sync', requireScope('calendar:write'), async (req, res) => {
+  try {
+    const calendarIds = parseCalendarIds(req.body?.calendarId) || getDefaultCalendarIds();
+    const full = req.body?.full === true;
+
+    if (isSyncing()) {
+      return res.status(409).json({
+        success: false,
+        error: 'Sync already running',
+        message: 'Wait for the current sync to finish'
+      });
+    }
+
+    const results = await syncAll({ calendarIds, full });
+
+    if (!results) {
+      return res.status(503).json({
+        success: false,
+        error: 'Calendar service unavailable',
+        message: 'Google Calendar is not configured'
+      });
+    }
+
+    res.json({
+      success: results.every(result => !result.error),
+      results
+    });
+
+  } catch (error) {
+    console.error('❌ Error syncing calendars:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to sync calendars',
+      message: error.message
+    });
+  }
+});
+
 /**
  * POST /cache/clear
  * Clear all calendar event caches
  */
-router.post('/cache/clear', (req, res) => {
+router.post('/cache/clear', requireScope('calendar:write'), (req, res) => {
   try {
     clearAllCalendarCache();
 
@@ -339,7 +742,7 @@ router.post('/cache/clear', (req, res) => {
  * GET /cache/stats
  * Get calendar cache statistics
  */
-router.get('/cache/stats', (req, res) => {
+router.get('/cache/stats', requireScope('calendar:read'), (req, res) => {
   try {
     const stats = getCalendarCacheStats();
 
@@ -358,4 +761,101 @@ router.get('/cache/stats', (req, res) => {
   }
 });
 
+/**
+ * Resolve a single calendar ID for write routes, responding 400 on a list
+ * @param {Object} res - Express response
+ * @param {string|Array} value - Raw calendarId value
+ * @returns {string|null} Calendar ID (default: primary) or null if a response was sent
+ * @private
+ */
+function getSingleCalendarId(res, value) {
+  const ids = parseCalendarIds(value);
+
+  if (ids && ids.length > 1) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid calendarId',
+      message: 'Write operations take a single calendarId'
+    });
+    return null;
+  }
+
+  return ids ? ids[0] : 'primary';
+}
+
+/**
+ * Resolve the recurring-event scope for update/delete, responding 400 when invalid
+ * @param {Object} res - Express response
+ * @param {string} value - Raw scope value
+ * @returns {string|null} Scope (default: this) or null if a response was sent
+ * @private
+ */
+function getScope(res, value) {
+  const scope = value || 'this';
+
+  if (!SCOPES.includes(scope)) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid scope',
+      message: `scope must be one of: ${SCOPES.join(', ')}`
+    });
+    return null;
+  }
+
+  return scope;
+}
+
+/**
+ * Respond 404 for a calendar Google doesn't know about
+ * @param {Object} res - Express response
+ * @private
+ */
+function calendarNotFound(res) {
+  res.status(404).json({
+    success: false,
+    error: 'Calendar not found',
+    message: 'One or more calendarId values do not exist or are not shared with this account'
+  });
+}
+
+/**
+ * Check a feed token against CALENDAR_FEED_TOKEN in constant time
+ * @param {string} token - Token from the query string
+ * @returns {boolean} True if it matches
+ * @private
+ */
+function isFeedToken(token) {
+  if (typeof token !== 'string') return false;
+
+  const expected = Buffer.from(calendarConfig.feedToken);
+  const given = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Check whether a request opted out of conflict detection
+ * @param {*} value - allowConflicts from the query (string) or body (boolean or string)
+ * @returns {boolean} True if conflicts are allowed
+ * @private
+ */
+function isConflictOverride(value) {
+  return value === true || value === 'true';
+}
+
+/**
+ * Respond 409 with the overlapping events and nearby free slots
+ * @param {Object} res - Express response
+ * @param {Object} check - Result of checkConflicts
+ * @private
+ */
+function conflictResponse(res, { conflicts, suggestions }) {
+  res.status(409).json({
+    success: false,
+    error: 'Event conflicts with existing events',
+    message: 'Pass allowConflicts=true to save it anyway',
+    conflicts,
+    suggestions
+  });
+}
+
 module.exports = router;
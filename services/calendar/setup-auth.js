@@ -99,8 +99,8 @@ const server = http.createServer(async (req, res) => {
 
       const { tokens } = await oAuth2Client.getToken(code);
 
-      // Save tokens to file
-      fs.writeFileSync(TOKEN_PATH, JSON.stringify(tokens, null, 2));
+      // Save tokens to file (the server moves them into the credential vault on start)
+      fs.writeFileSync(TOKEN_PATH, JSON.stringify(tokens, null, 2), { mode: 0o600 });
 
       res.writeHead(200, { 'Content-Type': 'text/html' });
       res.end(`
@@ -112,6 +112,7 @@ const server = http.createServer(async (req, res) => {
       console.log('');
       console.log('✅ Success! Google Calendar OAuth setup complete');
       console.log(`📄 Tokens saved to: ${TOKEN_PATH}`);
+      console.log('🔐 With CREDENTIAL_MASTER_KEY set, the server encrypts them on start and deletes token.json');
       console.log('🔄 Tokens will auto-refresh when the API is used');
       console.log('');
       console.log('You can now start your Lifestack server with: npm start');
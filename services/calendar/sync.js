@@ -0,0 +1,327 @@
+/**
+ * Calendar Service - Sync Worker
+ * Mirrors Google Calendar events into MongoDB using incremental syncTokens
+ */
+
+const CalendarEvent = require('../../models/CalendarEvent');
+const CalendarSyncState = require('../../models/CalendarSyncState');
+const { getCalendar, isAuthenticated } = require('./auth');
+const { clearCalendarCache } = require('./cache');
+const { getDefaultCalendarIds, SYNC_STALE_AFTER_MS } = require('./events');
+const { toDateKey, addDays, getDayBoundaries } = require('./utils');
+const calendarConfig = require('../../config/services').calendar;
+
+// How often the worker syncs
+const SYNC_INTERVAL_MS = calendarConfig.syncIntervalMinutes * 60 * 1000;
+
+// How often the mirrored window is rebuilt with a full sync (moves the window forward)
+const FULL_SYNC_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+let syncTimer = null;
+let syncing = false;
+
+/**
+ * Get the date window a full sync mirrors
+ * @param {Date} now - Current time
+ * @returns {Object} { windowStart, windowEnd } as YYYY-MM-DD
+ * @private
+ */
+function getSyncWindow(now) {
+  const today = toDateKey(now);
+
+  return {
+    windowStart: addDays(today, -calendarConfig.syncPastDays),
+    windowEnd: addDays(today, calendarConfig.syncFutureDays)
+  };
+}
+
+/**
+ * Page through events.list, applying each page to the mirror
+ * @param {string} calendarId - Google Calendar ID
+ * @param {Object} params - events.list parameters (timeMin/timeMax or syncToken)
+ * @param {Date} syncedAt - Sync run timestamp
+ * @returns {Promise<Object>} { changes, nextSyncToken }
+ * @private
+ */
+async function pullChanges(calendarId, params, syncedAt) {
+  const calendar = getCalendar();
+  let changes = 0;
+  let pageToken;
+  let nextSyncToken = null;
+  const seriesIds = new Set();
+
+  do {
+    const response = await calendar.events.list({
+      calendarId,
+      singleEvents: true,
+      maxResults: 2500,
+      ...params,
+      pageToken
+    });
+
+    const items = response.data.items || [];
+    const result = await CalendarEvent.applyChanges(calendarId, items, syncedAt);
+    changes += result.upserted + result.deleted;
+
+    items.filter(item => item.recurringEventId).forEach(item => seriesIds.add(item.recurringEventId));
+
+    pageToken = response.data.nextPageToken;
+    nextSyncToken = response.data.nextSyncToken || nextSyncToken;
+  } while (pageToken);
+
+  await pullSeries(calendarId, [...seriesIds], syncedAt);
+
+  return { changes, nextSyncToken };
+}
+
+/**
+ * Mirror the series (master) events of changed occurrences
+ * Expanded occurrences don't carry the recurrence rule, so reads take it from the mirrored series.
+ * A series that can't be fetched keeps its previous copy until the next sync.
+ * @param {string} calendarId - Google Calendar ID
+ * @param {Array<string>} seriesIds - Recurring event (master) IDs
+ * @param {Date} syncedAt - Sync run timestamp
+ * @returns {Promise<void>}
+ * @private
+ */
+async function pullSeries(calendarId, seriesIds, syncedAt) {
+  const calendar = getCalendar();
+
+  for (const seriesId of seriesIds) {
+    try {
+      const response = await calendar.events.get({ calendarId, eventId: seriesId });
+      await CalendarEvent.applyChanges(calendarId, [response.data], syncedAt);
+    } catch (error) {
+      if (error.code === 404 || error.code === 410) {
+        await CalendarEvent.applyChanges(calendarId, [{ id: seriesId, status: 'cancelled' }], syncedAt);
+      } else {
+        console.warn(`Could not mirror series ${seriesId}:`, error.message);
+      }
+    }
+  }
+}
+
+/**
+ * Rebuild a calendar's mirror for the configured window
+ * @param {string} calendarId - Google Calendar ID
+ * @returns {Promise<Object>} State fields to store
+ * @private
+ */
+async function fullSync(calendarId) {
+  const syncedAt = new Date();
+  const { windowStart, windowEnd } = getSyncWindow(syncedAt);
+
+  const { changes, nextSyncToken } = await pullChanges(calendarId, {
+    timeMin: getDayBoundaries(windowStart).startOfDay.toISOString(),
+    timeMax: getDayBoundaries(windowEnd).endOfDay.toISOString()
+  }, syncedAt);
+
+  // Anything not seen by this sync was deleted or moved out of the window
+  const removed = await CalendarEvent.removeStale(calendarId, syncedAt);
+
+  return {
+    syncToken: nextSyncToken,
+    windowStart,
+    windowEnd,
+    lastSyncAt: syncedAt,
+    lastFullSyncAt: syncedAt,
+    lastChangeCount: changes + removed.deletedCount
+  };
+}
+
+/**
+ * Pull changes since the stored syncToken
+ * @param {string} calendarId - Google Calendar ID
+ * @param {string} syncToken - Token from the previous sync
+ * @returns {Promise<Object>} State fields to store
+ * @private
+ */
+async function incrementalSync(calendarId, syncToken) {
+  const syncedAt = new Date();
+  const { changes, nextSyncToken } = await pullChanges(calendarId, { syncToken }, syncedAt);
+
+  return {
+    syncToken: nextSyncToken || syncToken,
+    lastSyncAt: syncedAt,
+    lastChangeCount: changes
+  };
+}
+
+/**
+ * Sync one calendar into the mirror
+ * Incremental when a syncToken is stored; full on first run, daily, when Google
+ * expires the token (410), or when forced.
+ * @param {string} calendarId - Google Calendar ID
+ * @param {Object} options - { full: boolean }
+ * @returns {Promise<Object>} { calendarId, mode, changes }
+ */
+async function syncCalendar(calendarId, { full = false } = {}) {
+  const state = await CalendarSyncState.findOne({ calendarId });
+  const fullDue = !state?.syncToken ||
+    !state.lastFullSyncAt ||
+    Date.now() - state.lastFullSyncAt.getTime() > FULL_SYNC_INTERVAL_MS;
+
+  let mode = full || fullDue ? 'full' : 'incremental';
+  let update;
+
+  try {
+    if (mode === 'incremental') {
+      try {
+        update = await incrementalSync(calendarId, state.syncToken);
+      } catch (error) {
+        if (error.code !== 410) throw error;
+        console.log(`⚠️  Sync token expired for ${calendarId}, running full sync`);
+        mode = 'full';
+      }
+    }
+
+    if (mode === 'full') {
+      update = await fullSync(calendarId);
+    }
+  } catch (error) {
+    await CalendarSyncState.updateOne(
+      { calendarId },
+      { $set: { lastError: error.message, lastErrorAt: new Date() } },
+      { upsert: true }
+    );
+    throw error;
+  }
+
+  await CalendarSyncState.updateOne(
+    { calendarId },
+    { $set: { ...update, lastError: null, lastErrorAt: null } },
+    { upsert: true }
+  );
+
+  // Live reads outside the mirrored window may have cached the old version
+  if (update.lastChangeCount > 0) {
+    clearCalendarCache(calendarId);
+  }
+
+  console.log(`🔄 Calendar ${calendarId} synced (${mode}, ${update.lastChangeCount} changes)`);
+
+  return { calendarId, mode, changes: update.lastChangeCount };
+}
+
+/**
+ * Pull recent changes into a calendar's mirror after a write, if it has one
+ * Best effort: failures are logged and the worker catches up later.
+ * @param {string} calendarId - Google Calendar ID
+ * @returns {Promise<void>}
+ */
+async function refreshMirror(calendarId) {
+  try {
+    const state = await CalendarSyncState.findOne({ calendarId });
+    if (state?.syncToken) {
+      await syncCalendar(calendarId);
+    }
+  } catch (error) {
+    console.warn(`Could not refresh calendar mirror for ${calendarId}:`, error.message);
+  }
+}
+
+/**
+ * Sync every configured calendar, skipping if a sync is already running
+ * @param {Object} options - { calendarIds, full }
+ * @returns {Promise<Array|null>} Per calendar results, or null if skipped
+ */
+async function syncAll({ calendarIds = getDefaultCalendarIds(), full = false } = {}) {
+  if (syncing || !isAuthenticated()) return null;
+  syncing = true;
+
+  try {
+    const results = [];
+
+    // One calendar at a time keeps load low on the Pi
+    for (const calendarId of calendarIds) {
+      try {
+        results.push(await syncCalendar(calendarId, { full }));
+      } catch (error) {
+        console.error(`❌ Calendar sync failed for ${calendarId}:`, error.message);
+        results.push({ calendarId, error: error.message });
+      }
+    }
+
+    return results;
+  } finally {
+    syncing = false;
+  }
+}
+
+/**
+ * Get sync status for calendars
+ * @param {Array<string>} calendarIds - Google Calendar IDs (default: configured calendars)
+ * @returns {Promise<Array>} Per calendar status
+ */
+async function getSyncStatus(calendarIds = getDefaultCalendarIds()) {
+  const states = await CalendarSyncState.getByCalendar(calendarIds);
+
+  return calendarIds.map(calendarId => {
+    const state = states[calendarId];
+
+    return {
+      calendarId,
+      mirrored: state?.isMirrored || false,
+      windowStart: state?.windowStart || null,
+      windowEnd: state?.windowEnd || null,
+      lastSyncAt: state?.lastSyncAt || null,
+      lastFullSyncAt: state?.lastFullSyncAt || null,
+      lastChangeCount: state?.lastChangeCount || 0,
+      stale: state ? state.isStale(SYNC_STALE_AFTER_MS) : true,
+      lastError: state?.lastError || null,
+      lastErrorAt: state?.lastErrorAt || null
+    };
+  });
+}
+
+/**
+ * Start the sync worker
+ */
+function startSyncWorker() {
+  if (syncTimer) return;
+
+  syncTimer = setInterval(() => syncAll(), SYNC_INTERVAL_MS);
+  syncAll();
+
+  console.log(`🔄 Calendar sync worker started (every ${SYNC_INTERVAL_MS / 60000}m)`);
+}
+
+/**
+ * Stop the sync worker
+ */
+function stopSyncWorker() {
+  if (!syncTimer) return;
+
+  clearInterval(syncTimer);
+  syncTimer = null;
+
+  console.log('🛑 Calendar sync worker stopped');
+}
+
+/**
+ * Check if the sync worker is running
+ * @returns {boolean} True if running
+ */
+function isSyncWorkerRunning() {
+  return syncTimer !== null;
+}
+
+/**
+ * Check if a sync is in progress
+ * @returns {boolean} True while syncing
+ */
+function isSyncing() {
+  return syncing;
+}
+
+module.exports = {
+  SYNC_INTERVAL_MS,
+  syncCalendar,
+  refreshMirror,
+  syncAll,
+  getSyncStatus,
+  startSyncWorker,
+  stopSyncWorker,
+  isSyncWorkerRunning,
+  isSyncing
+};
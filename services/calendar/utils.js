@@ -3,9 +3,20 @@
  * Date formatting and event processing helpers
  */
 
+const { normalizeRecurrence, validateRecurrence, describeRecurrence } = require('./recurrence');
+
+const calendarConfig = require('../../config/services').calendar;
+
+// YYYY-MM-DD, and date-times without a UTC offset (read as user-timezone wall time)
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const NAIVE_DATE_TIME_REGEX = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/;
+
+let resolvedTimeZone = null;
+const zoneFormatters = {};
+
 /**
  * Format date to YYYY-MM-DD string
- * Uses local date to avoid timezone issues
+ * Uses the server's local date (see toDateKey for the user's timezone)
  * @param {Date} date - Date object to format
  * @returns {string} Formatted date string
  */
@@ -17,37 +28,214 @@ function formatDate(date) {
 }
 
 /**
- * Get today's date as YYYY-MM-DD string
+ * Get the user's timezone (USER_TIMEZONE, default: the server's)
+ * An unknown zone name falls back to the server's zone with a warning.
+ * @returns {string} IANA timezone name
+ */
+function getTimeZone() {
+  if (resolvedTimeZone) {
+    return resolvedTimeZone;
+  }
+
+  const serverZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  resolvedTimeZone = calendarConfig?.timeZone || serverZone;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: resolvedTimeZone });
+  } catch (error) {
+    console.warn(`⚠️  Unknown timezone "${resolvedTimeZone}", using ${serverZone}`);
+    resolvedTimeZone = serverZone;
+  }
+
+  return resolvedTimeZone;
+}
+
+/**
+ * Get wall-clock parts of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Object} { year, month, day, hour, minute, second } (month is 1-12)
+ * @private
+ */
+function getZonedParts(date, timeZone) {
+  if (!zoneFormatters[timeZone]) {
+    zoneFormatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+  }
+
+  return zoneFormatters[timeZone].formatToParts(date).reduce((parts, part) => {
+    if (part.type !== 'literal') {
+      parts[part.type] = Number(part.value);
+    }
+    return parts;
+  }, {});
+}
+
+/**
+ * Convert a wall-clock time in the user's timezone to an instant
+ * Handles DST: the offset is re-checked at the result.
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @param {number} minutes - Minutes after midnight (may exceed a day)
+ * @returns {Date} Instant
+ */
+function zonedTime(dateKey, minutes = 0) {
+  const timeZone = getTimeZone();
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day) + minutes * 60 * 1000;
+
+  const offsetAt = instant => {
+    const parts = getZonedParts(new Date(instant), timeZone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(instant / 1000) * 1000;
+  };
+
+  const guess = wallClock - offsetAt(wallClock);
+  const offset = offsetAt(guess);
+
+  return new Date(wallClock - offset);
+}
+
+/**
+ * Format an instant as YYYY-MM-DD in the user's timezone
+ * @param {Date} date - Instant
+ * @returns {string} Date key
+ */
+function toDateKey(date) {
+  const { year, month, day } = getZonedParts(date, getTimeZone());
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Get the time of day of an instant in the user's timezone
+ * @param {Date} date - Instant
+ * @returns {number} Minutes after midnight (0-1439)
+ */
+function getMinutesOfDay(date) {
+  const { hour, minute } = getZonedParts(date, getTimeZone());
+  return hour * 60 + minute;
+}
+
+/**
+ * Add days to a date key (calendar arithmetic, no timezone involved)
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Date key
+ */
+function addDays(dateKey, days) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+}
+
+/**
+ * Get the weekday of a date key
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @returns {number} 0 (Sunday) to 6 (Saturday)
+ */
+function getWeekday(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+/**
+ * Get today's date as YYYY-MM-DD string in the user's timezone
  * @returns {string} Today's date key
  */
 function getTodayKey() {
-  return formatDate(new Date());
+  return toDateKey(new Date());
 }
 
 /**
  * Get date key from date string
+ * Dates and date-times without an offset are taken as written (user's timezone).
  * @param {string} dateString - Date string to parse
  * @returns {string} Formatted date key
  */
 function getDateKey(dateString) {
-  return formatDate(new Date(dateString));
+  if (typeof dateString === 'string' &&
+      (DATE_ONLY_REGEX.test(dateString) || NAIVE_DATE_TIME_REGEX.test(dateString))) {
+    return dateString.slice(0, 10);
+  }
+  return toDateKey(new Date(dateString));
 }
 
 /**
- * Get start and end of day in local timezone
+ * Parse an event time from request data into an instant
+ * Dates are midnight and offset-less date-times are wall time, both in the user's timezone.
+ * @param {string} value - YYYY-MM-DD, YYYY-MM-DDTHH:MM[:SS] or an ISO string with offset
+ * @returns {Date} Instant (invalid Date if unparseable)
+ */
+function parseEventTime(value) {
+  if (typeof value === 'string' && DATE_ONLY_REGEX.test(value)) {
+    return zonedTime(value);
+  }
+
+  if (typeof value === 'string' && NAIVE_DATE_TIME_REGEX.test(value)) {
+    const [hours, minutes, seconds = '0'] = value.slice(11).split(':');
+    const instant = zonedTime(value.slice(0, 10), Number(hours) * 60 + Number(minutes));
+    return new Date(instant.getTime() + Math.round(parseFloat(seconds) * 1000));
+  }
+
+  return new Date(value);
+}
+
+/**
+ * Get start and end of day in the user's timezone
  * @param {string} dateKey - Date in YYYY-MM-DD format
  * @returns {Object} Object with startOfDay and endOfDay Date objects
  */
 function getDayBoundaries(dateKey) {
-  // Parse date in local timezone to avoid UTC confusion
-  const [year, month, day] = dateKey.split('-').map(Number);
-
-  const startOfDay = new Date(year, month - 1, day, 0, 0, 0, 0);
-  const endOfDay = new Date(year, month - 1, day, 23, 59, 59, 999);
+  const startOfDay = zonedTime(dateKey);
+  // Next midnight minus 1ms (days can be 23 or 25 hours around DST changes)
+  const endOfDay = new Date(zonedTime(addDays(dateKey, 1)).getTime() - 1);
 
   return { startOfDay, endOfDay };
 }
 
+/**
+ * List every date key from start to end, inclusive
+ * @param {string} startKey - First date (YYYY-MM-DD)
+ * @param {string} endKey - Last date (YYYY-MM-DD)
+ * @returns {Array<string>} Date keys in order
+ */
+function getDateRange(startKey, endKey) {
+  const dateKeys = [];
+
+  for (let dateKey = startKey; dateKey <= endKey; dateKey = addDays(dateKey, 1)) {
+    dateKeys.push(dateKey);
+  }
+
+  return dateKeys;
+}
+
+/**
+ * Check whether an event overlaps a day (same rule as an events.list query for that day)
+ * @param {Object} event - Raw event from Google Calendar API
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @returns {boolean} True if the event falls on the day
+ */
+function eventOverlapsDay(event, dateKey) {
+  const { startOfDay, endOfDay } = getDayBoundaries(dateKey);
+
+  // All-day events use dates; their end date is exclusive
+  const start = event.start?.dateTime
+    ? new Date(event.start.dateTime)
+    : getDayBoundaries(event.start.date).startOfDay;
+  const end = event.end?.dateTime
+    ? new Date(event.end.dateTime)
+    : getDayBoundaries(event.end?.date || event.start.date).startOfDay;
+
+  // Zero-length events count on the day they start
+  return start <= endOfDay && (end > startOfDay || start >= startOfDay);
+}
+
 /**
  * Normalize event data for API response
  * @param {Object} event - Raw event from Google Calendar API
@@ -56,9 +244,17 @@ function getDayBoundaries(dateKey) {
 function normalizeEvent(event) {
   return {
     id: event.id,
+    calendarId: event.calendarId || 'primary',
+    ...(event.calendarName && { calendarName: event.calendarName }),
     summary: event.summary || 'Untitled Event',
     start: event.start,
     end: event.end,
+    allDay: Boolean(event.start?.date),
+    transparency: event.transparency || 'opaque',
+    recurringEventId: event.recurringEventId || null,
+    recurrence: event.recurrence || null,
+    recurrenceSummary: describeRecurrence(event.recurrence),
+    taskId: event.extendedProperties?.private?.taskId || null,
     description: event.description || null,
     location: event.location || null,
     status: event.status,
@@ -101,8 +297,28 @@ function isValidDateString(dateString) {
   return !isNaN(date.getTime());
 }
 
+/**
+ * Parse calendar IDs from a query or body value
+ * Accepts a comma-separated string or an array (repeated query params).
+ * @param {string|Array} value - Raw calendarId value
+ * @returns {Array<string>|null} Calendar IDs, or null if none were given
+ */
+function parseCalendarIds(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const ids = (Array.isArray(value) ? value : [value])
+    .flatMap(item => String(item).split(','))
+    .map(id => id.trim())
+    .filter(Boolean);
+
+  return ids.length > 0 ? [...new Set(ids)] : null;
+}
+
 /**
  * Validate event creation/update data
+ * All-day events (allDay: true or a YYYY-MM-DD start) take dates; others take date-times.
  * @param {Object} eventData - Event data to validate
  * @returns {Object} Validation result { valid: boolean, errors: Array }
  */
@@ -113,32 +329,94 @@ function validateEventData(eventData) {
     errors.push('Event summary is required');
   }
 
-  if (!eventData.start) {
-    errors.push('Event start time is required');
+  if (isAllDayEvent(eventData)) {
+    // All-day end dates are exclusive, as in Google Calendar (default: the next day)
+    if (!isValidDateString(eventData.start)) {
+      errors.push('All-day events need a start date in YYYY-MM-DD format');
+    } else if (eventData.end !== undefined && eventData.end !== null) {
+      if (!isValidDateString(eventData.end)) {
+        errors.push('All-day events need an end date in YYYY-MM-DD format');
+      } else if (eventData.end <= eventData.start) {
+        errors.push('All-day end date is exclusive and must be after the start date');
+      }
+    }
   } else {
-    const startDate = new Date(eventData.start);
-    if (isNaN(startDate.getTime())) {
+    const startDate = eventData.start ? parseEventTime(eventData.start) : null;
+
+    if (!eventData.start) {
+      errors.push('Event start time is required');
+    } else if (isNaN(startDate.getTime())) {
       errors.push('Invalid start time format');
     }
-  }
 
-  if (!eventData.end) {
-    errors.push('Event end time is required');
-  } else {
-    const endDate = new Date(eventData.end);
-    if (isNaN(endDate.getTime())) {
-      errors.push('Invalid end time format');
-    }
+    if (!eventData.end) {
+      errors.push('Event end time is required');
+    } else if (DATE_ONLY_REGEX.test(eventData.end)) {
+      errors.push('Event end must be a date-time when start is a date-time');
+    } else {
+      const endDate = parseEventTime(eventData.end);
+      if (isNaN(endDate.getTime())) {
+        errors.push('Invalid end time format');
+      }
 
-    // Check if end is after start
-    if (eventData.start) {
-      const startDate = new Date(eventData.start);
-      if (endDate <= startDate) {
+      // Check if end is after start
+      if (startDate && endDate <= startDate) {
         errors.push('Event end time must be after start time');
       }
     }
   }
 
+  if (eventData.timeZone !== undefined && !isValidTimeZone(eventData.timeZone)) {
+    errors.push('timeZone must be an IANA timezone such as Europe/London');
+  }
+
+  if (eventData.recurrence !== undefined && eventData.recurrence !== null) {
+    errors.push(...validateRecurrence(eventData.recurrence));
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate free slot query parameters
+ * @param {Object} query - { start, end, duration, workStart, workEnd, buffer }
+ * @returns {Object} Validation result { valid: boolean, errors: Array }
+ */
+function validateFreeSlotQuery(query) {
+  const errors = [];
+  const timeRegex = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+  if (!isValidDateString(query.start) || !isValidDateString(query.end)) {
+    errors.push('start and end are required in YYYY-MM-DD format');
+  } else if (query.end < query.start) {
+    errors.push('end must be on or after start');
+  }
+
+  if (query.duration !== undefined) {
+    const duration = Number(query.duration);
+    if (!Number.isInteger(duration) || duration < 5 || duration > 8 * 60) {
+      errors.push('duration must be a whole number of minutes between 5 and 480');
+    }
+  }
+
+  if (query.workStart !== undefined && !timeRegex.test(query.workStart)) {
+    errors.push('workStart must be in HH:MM format');
+  }
+
+  if (query.workEnd !== undefined && !timeRegex.test(query.workEnd)) {
+    errors.push('workEnd must be in HH:MM format');
+  }
+
+  if (query.buffer !== undefined) {
+    const buffer = Number(query.buffer);
+    if (!Number.isInteger(buffer) || buffer < 0 || buffer > 120) {
+      errors.push('buffer must be a whole number of minutes between 0 and 120');
+    }
+  }
+
   return {
     valid: errors.length === 0,
     errors
@@ -155,19 +433,29 @@ function buildEventResource(eventData) {
     summary: eventData.summary
   };
 
-  // Handle start time
-  if (eventData.start) {
-    event.start = { dateTime: eventData.start };
-    if (eventData.timeZone) {
-      event.start.timeZone = eventData.timeZone;
+  if (isAllDayEvent(eventData)) {
+    // All-day events use dates; the end date is exclusive
+    event.start = { date: eventData.start };
+    event.end = { date: eventData.end || addDays(eventData.start, 1) };
+  } else {
+    // Date-times without an offset are wall time in the user's timezone
+    const timeZone = eventData.timeZone ||
+      (NAIVE_DATE_TIME_REGEX.test(eventData.start) ? getTimeZone() : null);
+
+    // Handle start time
+    if (eventData.start) {
+      event.start = { dateTime: withSeconds(eventData.start) };
+      if (timeZone) {
+        event.start.timeZone = timeZone;
+      }
     }
-  }
 
-  // Handle end time
-  if (eventData.end) {
-    event.end = { dateTime: eventData.end };
-    if (eventData.timeZone) {
-      event.end.timeZone = eventData.timeZone;
+    // Handle end time
+    if (eventData.end) {
+      event.end = { dateTime: withSeconds(eventData.end) };
+      if (timeZone) {
+        event.end.timeZone = timeZone;
+      }
     }
   }
 
@@ -188,17 +476,84 @@ function buildEventResource(eventData) {
     event.reminders = eventData.reminders;
   }
 
+  // Set by ICS imports so re-importing the same file can be detected
+  if (eventData.iCalUID) {
+    event.iCalUID = eventData.iCalUID;
+  }
+
+  // Links a focus block to the unified task it was planned for
+  if (eventData.taskId) {
+    event.extendedProperties = { private: { taskId: eventData.taskId } };
+  }
+
+  if (eventData.recurrence) {
+    event.recurrence = normalizeRecurrence(eventData.recurrence);
+
+    // Google needs a time zone to expand timed recurring events
+    if (event.start.dateTime) {
+      const timeZone = eventData.timeZone || getTimeZone();
+      event.start.timeZone = timeZone;
+      event.end.timeZone = timeZone;
+    }
+  }
+
   return event;
 }
 
+/**
+ * Check whether request data describes an all-day event
+ * @param {Object} eventData - Event data from request
+ * @returns {boolean} True if allDay is set or start is a date
+ * @private
+ */
+function isAllDayEvent(eventData) {
+  return eventData.allDay === true || DATE_ONLY_REGEX.test(eventData.start || '');
+}
+
+/**
+ * Add seconds to an HH:MM date-time (Google expects full RFC 3339 times)
+ * @param {string} dateTime - Date-time from request data
+ * @returns {string} Date-time with seconds
+ * @private
+ */
+function withSeconds(dateTime) {
+  return /T\d{2}:\d{2}$/.test(dateTime) ? `${dateTime}:00` : dateTime;
+}
+
+/**
+ * Check whether a string is a timezone Intl understands
+ * @param {string} timeZone - IANA timezone name
+ * @returns {boolean} True if valid
+ * @private
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return typeof timeZone === 'string';
+  } catch (error) {
+    return false;
+  }
+}
+
 module.exports = {
   formatDate,
+  getTimeZone,
+  zonedTime,
+  toDateKey,
+  getMinutesOfDay,
+  addDays,
+  getWeekday,
   getTodayKey,
   getDateKey,
+  parseEventTime,
   getDayBoundaries,
   normalizeEvent,
   normalizeEvents,
   isValidDateString,
+  getDateRange,
+  eventOverlapsDay,
+  parseCalendarIds,
   validateEventData,
+  validateFreeSlotQuery,
   buildEventResource
 };
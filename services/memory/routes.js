@@ -5,7 +5,7 @@
 
 const express = require('express');
 const Memory = require('../../models/Memory');
-const { authenticateApiKey } = require('../../shared/middleware/auth');
+const { authenticateApiKey, requireScope } = require('../../shared/middleware/auth');
 const {
   validateMemoryCreate,
   validateMemoryUpdate,
@@ -24,7 +24,7 @@ router.use(authenticateApiKey);
  * POST /
  * Create a new memory
  */
-router.post('/', async (req, res) => {
+router.post('/', requireScope('memory:write'), async (req, res) => {
   try {
     // Validate request data
     const validation = validateMemoryCreate(req.body);
@@ -76,7 +76,7 @@ router.post('/', async (req, res) => {
  * GET /
  * Get all memories with pagination and filtering
  */
-router.get('/', async (req, res) => {
+router.get('/', requireScope('memory:read'), async (req, res) => {
   try {
     const { limit, skip } = validatePagination(req.query);
 
@@ -154,7 +154,7 @@ router.get('/', async (req, res) => {
  * GET /recent
  * Get the most recent N memories
  */
-router.get('/recent', async (req, res) => {
+router.get('/recent', requireScope('memory:read'), async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 10;
 
@@ -186,7 +186,7 @@ router.get('/recent', async (req, res) => {
  * GET /search
  * Search memories by text content
  */
-router.get('/search', async (req, res) => {
+router.get('/search', requireScope('memory:read'), async (req, res) => {
   try {
     const { q } = req.query;
 
@@ -230,7 +230,7 @@ router.get('/search', async (req, res) => {
  * GET /:id
  * Get a specific memory by ID
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requireScope('memory:read'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -271,7 +271,7 @@ router.get('/:id', async (req, res) => {
  * PUT /:id
  * Update a specific memory
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireScope('memory:write'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -339,7 +339,7 @@ router.put('/:id', async (req, res) => {
  * DELETE /:id
  * Delete a specific memory
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireScope('memory:write'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -383,7 +383,7 @@ router.delete('/:id', async (req, res) => {
  * GET /stats
  * Get memory statistics
  */
-router.get('/stats/summary', async (req, res) => {
+router.get('/stats/summary', requireScope('memory:read'), async (req, res) => {
   try {
     const total = await Memory.countDocuments();
 
@@ -5,9 +5,13 @@
 
 const express = require('express');
 const controller = require('./controller');
+const { authenticateApiKey, requireScope } = require('../../shared/middleware/auth');
 
 const router = express.Router();
 
+// Apply authentication to all notion routes
+router.use(authenticateApiKey);
+
 /**
  * POST /search
  * Search for pages and databases in Notion
@@ -27,7 +31,7 @@ const router = express.Router();
  *   page_size: 100                   // Optional: results per page (max 100)
  * }
  */
-router.post('/search', controller.search);
+router.post('/search', requireScope('notion:read'), controller.search);
 
 /**
  * POST /quick-search
@@ -51,14 +55,14 @@ router.post('/search', controller.search);
  *   }
  * ]
  */
-router.post('/quick-search', controller.quickSearch);
+router.post('/quick-search', requireScope('notion:read'), controller.quickSearch);
 
 /**
  * GET /databases/:id
  * Get database schema and properties
  * Cached for 30 minutes
  */
-router.get('/databases/:id', controller.getDatabase);
+router.get('/databases/:id', requireScope('notion:read'), controller.getDatabase);
 
 /**
  * POST /databases/:id/query
@@ -81,7 +85,7 @@ router.get('/databases/:id', controller.getDatabase);
  *   start_cursor: "cursor-id"        // Optional: for pagination
  * }
  */
-router.post('/databases/:id/query', controller.queryDatabase);
+router.post('/databases/:id/query', requireScope('notion:read'), controller.queryDatabase);
 
 /**
  * GET /databases/:id/recent
@@ -91,14 +95,14 @@ router.post('/databases/:id/query', controller.queryDatabase);
  * Query params:
  * - limit: Number of entries (default: 10, max: 100)
  */
-router.get('/databases/:id/recent', controller.getRecentEntries);
+router.get('/databases/:id/recent', requireScope('notion:read'), controller.getRecentEntries);
 
 /**
  * GET /pages/:id
  * Get page metadata and properties
  * Cached for 10 minutes
  */
-router.get('/pages/:id', controller.getPage);
+router.get('/pages/:id', requireScope('notion:read'), controller.getPage);
 
 /**
  * GET /pages/:id/content
@@ -109,19 +113,19 @@ router.get('/pages/:id', controller.getPage);
  * - page_size: Number of blocks (max 100)
  * - start_cursor: Pagination cursor
  */
-router.get('/pages/:id/content', controller.getPageContent);
+router.get('/pages/:id/content', requireScope('notion:read'), controller.getPageContent);
 
 /**
  * POST /cache/clear
  * Clear all Notion cache entries
  */
-router.post('/cache/clear', controller.clearCache);
+router.post('/cache/clear', requireScope('notion:write'), controller.clearCache);
 
 /**
  * GET /cache/stats
  * Get Notion cache statistics
  */
-router.get('/cache/stats', controller.getCacheStats);
+router.get('/cache/stats', requireScope('notion:read'), controller.getCacheStats);
 
 /**
  * GET /health
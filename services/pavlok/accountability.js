@@ -0,0 +1,226 @@
+/**
+ * Pavlok Service - Accountability
+ * Escalation policies that fire stimuli for overdue Todoist tasks
+ */
+
+const EscalationPolicy = require('../../models/EscalationPolicy');
+const PavlokStimulus = require('../../models/PavlokStimulus');
+const todoistConfig = require('../../config/services').todoist;
+const { fetchTodoistTasks } = require('../unified/aggregator');
+const {
+  zonedTime,
+  toDateKey,
+  getMinutesOfDay,
+  addDays,
+  parseEventTime
+} = require('../calendar/utils');
+const { fireStimulus } = require('./stimulus');
+
+// Steps sent but not recorded in history ("<policy>:<triggerKey>" -> sent at, ms),
+// so they aren't fired again on every evaluation and still count towards the daily cap
+const unrecordedSteps = new Map();
+
+/**
+ * Convert HH:MM to minutes since midnight
+ * @param {string} time - Time in HH:MM format
+ * @returns {number} Minutes since midnight
+ * @private
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Check whether a time falls inside quiet hours (read in the user's timezone)
+ * @param {Object} quietHours - { start: 'HH:MM', end: 'HH:MM' }
+ * @param {Date} now - Time to check
+ * @returns {boolean} True if inside quiet hours
+ */
+function isWithinQuietHours(quietHours, now) {
+  if (!quietHours?.start || !quietHours?.end) {
+    return false;
+  }
+
+  const current = getMinutesOfDay(now);
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+
+  // Window wraps past midnight, e.g. 22:00-07:00
+  if (start > end) {
+    return current >= start || current < end;
+  }
+
+  return current >= start && current < end;
+}
+
+/**
+ * Get the moment a task became overdue
+ * Timed tasks are overdue at their due time; date-only due dates at the end of that day.
+ * Offset-less times and dates are read in the user's timezone.
+ * @param {Object} task - Normalized task
+ * @returns {Date} Overdue-since time
+ */
+function getOverdueSince(task) {
+  if (task.due.includes('T')) {
+    return parseEventTime(task.due);
+  }
+
+  return zonedTime(addDays(task.due, 1));
+}
+
+/**
+ * Find the highest escalation step reached by a task
+ * @param {Array} steps - Policy steps ordered by afterMinutes
+ * @param {number} overdueMinutes - Minutes the task has been overdue
+ * @returns {number} Step index or -1 if none reached
+ */
+function getReachedStep(steps, overdueMinutes) {
+  let reached = -1;
+  steps.forEach((step, index) => {
+    if (overdueMinutes >= step.afterMinutes) {
+      reached = index;
+    }
+  });
+  return reached;
+}
+
+/**
+ * Evaluate one policy against overdue tasks
+ * Only the highest reached step fires; skipped lower steps are not replayed.
+ * @param {Object} policy - EscalationPolicy document
+ * @param {Array} overdueTasks - Normalized overdue tasks
+ * @param {Date} now - Evaluation time
+ * @param {boolean} dryRun - Report actions without firing
+ * @returns {Promise<Array>} Actions taken (or planned)
+ * @private
+ */
+async function evaluatePolicy(policy, overdueTasks, now, dryRun) {
+  const actions = [];
+
+  if (isWithinQuietHours(policy.quietHours, now)) {
+    return actions;
+  }
+
+  const startOfDay = zonedTime(toDateKey(now));
+
+  let firedToday = await PavlokStimulus.countDocuments({
+    policy: policy._id,
+    success: true,
+    timestamp: { $gte: startOfDay }
+  });
+
+  for (const [stepKey, sentAt] of unrecordedSteps) {
+    if (stepKey.startsWith(`${policy._id}:`) && sentAt >= startOfDay.getTime()) {
+      firedToday++;
+    }
+  }
+
+  for (const task of overdueTasks.filter(t => policy.matchesTask(t))) {
+    const overdueMinutes = Math.floor((now - getOverdueSince(task)) / 60000);
+    const stepIndex = getReachedStep(policy.steps, overdueMinutes);
+    if (stepIndex === -1) continue;
+
+    const step = policy.steps[stepIndex];
+    // Due date is part of the key so a rescheduled task escalates again
+    const triggerKey = `task:${task.id}:${task.due}:step:${stepIndex}`;
+
+    const stepKey = `${policy._id}:${triggerKey}`;
+    const alreadyFired = unrecordedSteps.has(stepKey) ||
+      await PavlokStimulus.exists({ policy: policy._id, triggerKey });
+    if (alreadyFired) continue;
+
+    if (firedToday >= policy.dailyCap) {
+      console.log(`ℹ️  Policy "${policy.name}" reached its daily cap of ${policy.dailyCap}`);
+      break;
+    }
+
+    const action = {
+      policy: policy.name,
+      task: { id: task.id, title: task.title, due: task.due },
+      overdueMinutes,
+      step: stepIndex,
+      type: step.type,
+      intensity: step.intensity
+    };
+
+    if (dryRun) {
+      actions.push(action);
+      firedToday++;
+      continue;
+    }
+
+    console.log(`⏰ Policy "${policy.name}" firing ${step.type} for overdue task ${task.id}`);
+
+    const result = await fireStimulus(step.type, step.intensity, {
+      reason: `Overdue task: "${task.title}" (${task.id})`,
+      source: 'policy',
+      policy: policy._id,
+      triggerKey
+    });
+
+    if (result.rateLimited) {
+      // Nothing was logged, so the task is picked up again on the next evaluation
+      console.warn(`⚠️  Policy "${policy.name}" rate limited, deferring remaining tasks`);
+      break;
+    }
+
+    actions.push({ ...action, success: result.success, error: result.error || null });
+
+    if (result.sent) {
+      unrecordedSteps.set(stepKey, now.getTime());
+    }
+
+    if (result.success || result.sent) {
+      firedToday++;
+      await policy.markFired(now);
+    }
+  }
+
+  return actions;
+}
+
+/**
+ * Evaluate all enabled escalation policies
+ * @param {Date} now - Evaluation time (default: now)
+ * @param {Object} options - { dryRun: boolean }
+ * @returns {Promise<Array>} Actions taken (or planned when dryRun)
+ */
+async function evaluatePolicies(now = new Date(), options = {}) {
+  const { dryRun = false } = options;
+
+  if (!todoistConfig?.token) {
+    return [];
+  }
+
+  const policies = await EscalationPolicy.findEnabled();
+  if (policies.length === 0) {
+    return [];
+  }
+
+  const tasks = await fetchTodoistTasks();
+  // A task due at 09:00 today is overdue from 09:00, not from tomorrow
+  const overdueTasks = tasks.filter(task => task.due && !task.completed && getOverdueSince(task) <= now);
+
+  // Forget unrecorded steps of tasks that are no longer overdue (or were rescheduled)
+  const overdueKeys = overdueTasks.map(task => `task:${task.id}:${task.due}:`);
+  for (const stepKey of unrecordedSteps.keys()) {
+    if (!overdueKeys.some(key => stepKey.includes(`:${key}`))) {
+      unrecordedSteps.delete(stepKey);
+    }
+  }
+
+  const actions = [];
+  for (const policy of policies) {
+    actions.push(...await evaluatePolicy(policy, overdueTasks, now, dryRun));
+  }
+
+  return actions;
+}
+
+module.exports = {
+  isWithinQuietHours,
+  getOverdueSince,
+  getReachedStep,
+  evaluatePolicies
+};
@@ -1,10 +1,11 @@
 /**
  * Pavlok API Client
- * Wrapper for Pavlok API v1
+ * Wrapper for Pavlok API v1, with a simulated transport for testing
  */
 
 const { createApiClient } = require('../../shared/utils/apiClient');
 const pavlokConfig = require('../../config/services').pavlok;
+const { getSimulator } = require('./simulator');
 
 // Pavlok API configuration
 const PAVLOK_BASE_URL = 'https://pavlok-mvp.herokuapp.com/api/v1';
@@ -13,9 +14,16 @@ const PAVLOK_BASE_URL = 'https://pavlok-mvp.herokuapp.com/api/v1';
  * Pavlok API Client Class
  */
 class PavlokClient {
-  constructor(token = null) {
+  constructor(token = null, options = {}) {
     // Use provided token or get from config
     this.token = token || pavlokConfig?.token;
+    this.simulated = options.simulated ?? isSimulated();
+
+    if (this.simulated) {
+      // Record stimuli instead of sending them; no token needed
+      this.client = getSimulator();
+      return;
+    }
 
     if (!this.token) {
       throw new Error('Pavlok token is required. Please set PAVLOK_TOKEN in environment variables.');
@@ -86,6 +94,7 @@ class PavlokClient {
         success: true,
         type,
         intensity,
+        simulated: this.simulated,
         response: response.data
       };
 
@@ -143,6 +152,13 @@ class PavlokClient {
         throw formattedError;
       }
 
+      // Handle device-side rate limiting
+      if (status === 429) {
+        const formattedError = new Error('Pavlok API rate limit exceeded');
+        formattedError.status = 429;
+        throw formattedError;
+      }
+
       // Handle bad request
       if (status === 400) {
         const formattedError = new Error(pavlokError.message || 'Invalid request parameters');
@@ -157,6 +173,13 @@ class PavlokClient {
       throw formattedError;
     }
 
+    // Timeouts
+    if (error.code === 'ECONNABORTED') {
+      const formattedError = new Error(`${message}: Pavlok API timed out`);
+      formattedError.status = 504;
+      throw formattedError;
+    }
+
     // Network or other errors
     const formattedError = new Error(message);
     formattedError.status = 500;
@@ -165,6 +188,14 @@ class PavlokClient {
   }
 }
 
+/**
+ * Check whether stimuli go to the simulator instead of the device
+ * @returns {boolean} True in simulated mode (PAVLOK_MODE=simulated)
+ */
+function isSimulated() {
+  return pavlokConfig?.mode === 'simulated';
+}
+
 /**
  * Create a Pavlok client instance
  * @param {string} token - Optional token override
@@ -176,5 +207,6 @@ function createPavlokClient(token = null) {
 
 module.exports = {
   PavlokClient,
-  createPavlokClient
+  createPavlokClient,
+  isSimulated
 };
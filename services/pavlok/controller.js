@@ -1,79 +1,21 @@
 /**
  * Pavlok Service - Controller
- * Request handlers with safety checks and rate limiting
+ * Request handlers with safety checks and persistent rate limiting
  */
 
-const { createPavlokClient } = require('./client');
+const { createPavlokClient, isSimulated } = require('./client');
+const { getSimulator } = require('./simulator');
 const PavlokStimulus = require('../../models/PavlokStimulus');
-
-// Rate limiting: Track last action time per type
-const lastActionTime = {
-  beep: 0,
-  vibrate: 0,
-  shock: 0
-};
-
-// Rate limit duration (5 seconds in milliseconds)
-const RATE_LIMIT_MS = 5000;
-
-/**
- * Check if action is rate limited
- * @param {string} type - Stimulus type
- * @returns {Object} { allowed: boolean, timeRemaining?: number }
- * @private
- */
-function checkRateLimit(type) {
-  const now = Date.now();
-  const timeSinceLastAction = now - lastActionTime[type];
-
-  if (timeSinceLastAction < RATE_LIMIT_MS) {
-    const timeRemaining = Math.ceil((RATE_LIMIT_MS - timeSinceLastAction) / 1000);
-    return {
-      allowed: false,
-      timeRemaining
-    };
-  }
-
-  return { allowed: true };
-}
-
-/**
- * Update rate limit tracker
- * @param {string} type - Stimulus type
- * @private
- */
-function updateRateLimit(type) {
-  lastActionTime[type] = Date.now();
-}
-
-/**
- * Log stimulus action to database
- * @param {string} type - Stimulus type
- * @param {number} intensity - Intensity level
- * @param {string} reason - Optional reason
- * @param {boolean} success - Whether the action succeeded
- * @param {string} error - Error message if failed
- * @returns {Promise<Object>} Saved stimulus record
- * @private
- */
-async function logStimulus(type, intensity, reason, success, error = null) {
-  try {
-    const stimulus = new PavlokStimulus({
-      type,
-      intensity,
-      reason: reason || null,
-      success,
-      error
-    });
-
-    await stimulus.save();
-    return stimulus;
-  } catch (err) {
-    console.error('❌ Failed to log stimulus to database:', err.message);
-    // Don't throw - logging failure shouldn't break the stimulus action
-    return null;
-  }
-}
+const PavlokLimit = require('../../models/PavlokLimit');
+const {
+  STIMULUS_TYPES,
+  getBudget,
+  getLimits,
+  getMaxShockIntensity,
+  fireStimulus
+} = require('./stimulus');
+const { isValidObjectId } = require('../memory/validation');
+const { validateLimitUpdate, validateFailureInjection } = require('./validation');
 
 /**
  * Trigger a beep stimulus
@@ -95,27 +37,13 @@ async function triggerBeep(req, res) {
       });
     }
 
-    // Check rate limit
-    const rateLimit = checkRateLimit('beep');
-    if (!rateLimit.allowed) {
-      return res.status(429).json({
-        success: false,
-        error: 'Rate limit exceeded',
-        message: `Please wait ${rateLimit.timeRemaining} seconds before triggering another beep`,
-        timeRemaining: rateLimit.timeRemaining
-      });
+    // Checks the intensity ceiling, cooldown and caps, then sends and logs (one beep at a time)
+    const result = await fireStimulus('beep', intensity, { reason });
+    if (!result.success) {
+      return rejectFailedStimulus(res, result, 'Failed to trigger beep');
     }
 
-    // Send stimulus
-    console.log(`🔔 Triggering beep - Intensity: ${intensity}${reason ? `, Reason: ${reason}` : ''}`);
-
-    const result = await pavlokClient.beep(intensity);
-
-    // Update rate limit
-    updateRateLimit('beep');
-
-    // Log to database
-    await logStimulus('beep', intensity, reason, true);
+    console.log(`🔔 Beep triggered - Intensity: ${intensity}${reason ? `, Reason: ${reason}` : ''}`);
 
     res.json({
       success: true,
@@ -126,8 +54,6 @@ async function triggerBeep(req, res) {
     });
 
   } catch (error) {
-    // Log failure to database
-    await logStimulus('beep', req.body.intensity, req.body.reason, false, error.message);
     handleError(res, error, 'Failed to trigger beep');
   }
 }
@@ -152,27 +78,13 @@ async function triggerVibration(req, res) {
       });
     }
 
-    // Check rate limit
-    const rateLimit = checkRateLimit('vibrate');
-    if (!rateLimit.allowed) {
-      return res.status(429).json({
-        success: false,
-        error: 'Rate limit exceeded',
-        message: `Please wait ${rateLimit.timeRemaining} seconds before triggering another vibration`,
-        timeRemaining: rateLimit.timeRemaining
-      });
+    // Checks the intensity ceiling, cooldown and caps, then sends and logs (one vibrate at a time)
+    const result = await fireStimulus('vibrate', intensity, { reason });
+    if (!result.success) {
+      return rejectFailedStimulus(res, result, 'Failed to trigger vibration');
     }
 
-    // Send stimulus
-    console.log(`📳 Triggering vibration - Intensity: ${intensity}${reason ? `, Reason: ${reason}` : ''}`);
-
-    const result = await pavlokClient.vibrate(intensity);
-
-    // Update rate limit
-    updateRateLimit('vibrate');
-
-    // Log to database
-    await logStimulus('vibrate', intensity, reason, true);
+    console.log(`📳 Vibration triggered - Intensity: ${intensity}${reason ? `, Reason: ${reason}` : ''}`);
 
     res.json({
       success: true,
@@ -183,8 +95,6 @@ async function triggerVibration(req, res) {
     });
 
   } catch (error) {
-    // Log failure to database
-    await logStimulus('vibrate', req.body.intensity, req.body.reason, false, error.message);
     handleError(res, error, 'Failed to trigger vibration');
   }
 }
@@ -218,28 +128,16 @@ async function triggerShock(req, res) {
       });
     }
 
-    // Check rate limit
-    const rateLimit = checkRateLimit('shock');
-    if (!rateLimit.allowed) {
-      return res.status(429).json({
-        success: false,
-        error: 'Rate limit exceeded',
-        message: `Please wait ${rateLimit.timeRemaining} seconds before triggering another shock`,
-        timeRemaining: rateLimit.timeRemaining
-      });
-    }
-
-    // Send stimulus with extra logging for shocks
-    console.log(`⚡ SHOCK TRIGGERED - Intensity: ${intensity}${reason ? `, Reason: ${reason}` : ''}`);
     console.log('⚠️  Safety confirmation received');
 
-    const result = await pavlokClient.shock(intensity);
-
-    // Update rate limit
-    updateRateLimit('shock');
+    // Checks the intensity ceiling, cooldown and caps, then sends and logs (one shock at a time)
+    const result = await fireStimulus('shock', intensity, { reason });
+    if (!result.success) {
+      return rejectFailedStimulus(res, result, 'Failed to trigger shock');
+    }
 
-    // Log to database
-    await logStimulus('shock', intensity, reason, true);
+    // Extra logging for shocks
+    console.log(`⚡ SHOCK TRIGGERED - Intensity: ${intensity}${reason ? `, Reason: ${reason}` : ''}`);
 
     res.json({
       success: true,
@@ -250,8 +148,6 @@ async function triggerShock(req, res) {
     });
 
   } catch (error) {
-    // Log failure to database
-    await logStimulus('shock', req.body.intensity, req.body.reason, false, error.message);
     handleError(res, error, 'Failed to trigger shock');
   }
 }
@@ -266,16 +162,32 @@ async function getHistory(req, res) {
     const limit = Math.min(parseInt(req.query.limit) || 50, 200);
     const skip = parseInt(req.query.skip) || 0;
     const type = req.query.type || null;
+    const rule = req.query.rule || null;
+    const policy = req.query.policy || null;
+    const sequence = req.query.sequence || null;
 
-    const options = { limit, skip };
+    const options = { limit, skip, simulated: parseSimulatedFilter(req.query.simulated, null) };
     if (type && ['beep', 'vibrate', 'shock'].includes(type)) {
       options.type = type;
     }
+    if (rule && isValidObjectId(rule)) {
+      options.rule = rule;
+    }
+    if (policy && isValidObjectId(policy)) {
+      options.policy = policy;
+    }
+    if (sequence && isValidObjectId(sequence)) {
+      options.sequence = sequence;
+    }
 
     const history = await PavlokStimulus.getRecent(options);
-    const total = await PavlokStimulus.countDocuments(
-      options.type ? { type: options.type } : {}
-    );
+    const total = await PavlokStimulus.countDocuments({
+      ...(options.type && { type: options.type }),
+      ...(options.rule && { rule: options.rule }),
+      ...(options.policy && { policy: options.policy }),
+      ...(options.sequence && { sequence: options.sequence }),
+      ...(options.simulated !== null && { simulated: options.simulated ? true : { $ne: true } })
+    });
 
     res.json({
       success: true,
@@ -306,9 +218,11 @@ async function getStats(req, res) {
   try {
     const { startDate, endDate } = req.query;
 
+    // Simulated stimuli are left out of stats unless asked for
     const stats = await PavlokStimulus.getStats({
       startDate: startDate || null,
-      endDate: endDate || null
+      endDate: endDate || null,
+      simulated: parseSimulatedFilter(req.query.simulated, false)
     });
 
     res.json({
@@ -327,35 +241,271 @@ async function getStats(req, res) {
 }
 
 /**
- * Get rate limit status
+ * Get rate limit status and remaining budget
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getRateLimitStatus(req, res) {
+  try {
+    const budgets = await Promise.all(STIMULUS_TYPES.map(type => getBudget(type)));
+    const status = {};
+
+    STIMULUS_TYPES.forEach((type, index) => {
+      const budget = budgets[index];
+
+      status[type] = {
+        canTrigger: budget.cooldownRemaining === 0 &&
+          budget.hourly.remaining > 0 &&
+          budget.daily.remaining > 0,
+        lastTriggered: budget.lastTriggered,
+        timeRemaining: budget.cooldownRemaining,
+        cooldownSeconds: budget.limits.cooldownSeconds,
+        maxIntensity: budget.limits.maxIntensity,
+        hourly: budget.hourly,
+        daily: budget.daily
+      };
+    });
+
+    res.json({
+      success: true,
+      maxShockIntensity: getMaxShockIntensity(),
+      status
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch rate limit status');
+  }
+}
+
+/**
+ * Get configured limits for all stimulus types
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getLimitSettings(req, res) {
+  try {
+    const limits = await Promise.all(STIMULUS_TYPES.map(type => getLimits(type)));
+
+    res.json({
+      success: true,
+      maxShockIntensity: getMaxShockIntensity(),
+      limits
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch limits');
+  }
+}
+
+/**
+ * Update limits for a stimulus type
  * @param {Object} req - Express request
  * @param {Object} res - Express response
  */
-function getRateLimitStatus(req, res) {
-  const now = Date.now();
-
-  const status = {
-    beep: {
-      canTrigger: checkRateLimit('beep').allowed,
-      lastTriggered: lastActionTime.beep > 0 ? new Date(lastActionTime.beep).toISOString() : null,
-      timeRemaining: checkRateLimit('beep').timeRemaining || 0
-    },
-    vibrate: {
-      canTrigger: checkRateLimit('vibrate').allowed,
-      lastTriggered: lastActionTime.vibrate > 0 ? new Date(lastActionTime.vibrate).toISOString() : null,
-      timeRemaining: checkRateLimit('vibrate').timeRemaining || 0
-    },
-    shock: {
-      canTrigger: checkRateLimit('shock').allowed,
-      lastTriggered: lastActionTime.shock > 0 ? new Date(lastActionTime.shock).toISOString() : null,
-      timeRemaining: checkRateLimit('shock').timeRemaining || 0
+async function updateLimitSettings(req, res) {
+  try {
+    const { type } = req.params;
+
+    if (!STIMULUS_TYPES.includes(type)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unknown stimulus type',
+        message: `Type must be one of: ${STIMULUS_TYPES.join(', ')}`
+      });
     }
-  };
+
+    const validation = validateLimitUpdate(type, req.body);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: validation.errors
+      });
+    }
+
+    const values = {};
+    PavlokLimit.LIMIT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        values[field] = req.body[field];
+      }
+    });
+
+    await PavlokLimit.setForType(type, values);
+
+    console.log(`✅ Updated Pavlok ${type} limits`);
+
+    res.json({
+      success: true,
+      message: 'Limits updated successfully',
+      limits: await getLimits(type)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to update limits');
+  }
+}
+
+/**
+ * Reset limits for a stimulus type to the defaults
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function resetLimitSettings(req, res) {
+  try {
+    const { type } = req.params;
+
+    if (!STIMULUS_TYPES.includes(type)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unknown stimulus type',
+        message: `Type must be one of: ${STIMULUS_TYPES.join(', ')}`
+      });
+    }
+
+    await PavlokLimit.resetForType(type);
+
+    console.log(`✅ Reset Pavlok ${type} limits to defaults`);
+
+    res.json({
+      success: true,
+      message: 'Limits reset to defaults',
+      limits: await getLimits(type)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to reset limits');
+  }
+}
+
+/**
+ * Get simulator state: recorded calls and pending failures
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+function getSimulatorState(req, res) {
+  if (rejectUnlessSimulated(res)) return;
+
+  res.json({
+    success: true,
+    mode: 'simulated',
+    ...getSimulator().getState()
+  });
+}
+
+/**
+ * Queue failures for the next simulated stimuli
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+function injectSimulatorFailure(req, res) {
+  if (rejectUnlessSimulated(res)) return;
+
+  const validation = validateFailureInjection(req.body);
+
+  if (!validation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      errors: validation.errors
+    });
+  }
+
+  const { failure, times = 1, delayMs = 1000 } = req.body;
+  getSimulator().injectFailure(String(failure), times, delayMs);
+
+  console.log(`🧪 Simulator will fail the next ${times} stimulus call(s) with ${failure}`);
 
   res.json({
     success: true,
-    rateLimitMs: RATE_LIMIT_MS,
-    status
+    message: 'Failure queued',
+    pendingFailures: getSimulator().getState().pendingFailures
+  });
+}
+
+/**
+ * Clear simulator calls and pending failures
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+function resetSimulator(req, res) {
+  if (rejectUnlessSimulated(res)) return;
+
+  getSimulator().reset();
+
+  res.json({
+    success: true,
+    message: 'Simulator reset'
+  });
+}
+
+/**
+ * Simulator routes only exist in simulated mode
+ * @param {Object} res - Express response
+ * @returns {boolean} True if a response was sent (request rejected)
+ * @private
+ */
+function rejectUnlessSimulated(res) {
+  if (isSimulated()) return false;
+
+  res.status(409).json({
+    success: false,
+    error: 'Simulator disabled',
+    message: 'Set PAVLOK_MODE=simulated to use the simulator'
+  });
+  return true;
+}
+
+/**
+ * Parse the simulated query filter
+ * @param {string} value - include | exclude | only
+ * @param {boolean|null} defaultValue - Filter when not given
+ * @returns {boolean|null} true = simulated only, false = device only, null = both
+ * @private
+ */
+function parseSimulatedFilter(value, defaultValue) {
+  if (value === 'include') return null;
+  if (value === 'exclude') return false;
+  if (value === 'only') return true;
+  return defaultValue;
+}
+
+/**
+ * Respond to a stimulus that wasn't sent (or was sent but not recorded)
+ * @param {Object} res - Express response
+ * @param {Object} result - Result of fireStimulus
+ * @param {string} message - Error message for failed sends
+ * @private
+ */
+function rejectFailedStimulus(res, result, message) {
+  if (result.reason === 'intensity') {
+    return res.status(400).json({
+      success: false,
+      error: 'Intensity limit exceeded',
+      message: result.error,
+      maxIntensity: result.budget.limits.maxIntensity
+    });
+  }
+
+  if (result.rateLimited) {
+    return res.status(429).json({
+      success: false,
+      error: 'Rate limit exceeded',
+      message: result.error,
+      reason: result.reason,
+      timeRemaining: result.timeRemaining,
+      hourly: result.budget.hourly,
+      daily: result.budget.daily
+    });
+  }
+
+  console.error(`❌ ${message}:`, result.error);
+
+  res.status(500).json({
+    success: false,
+    error: message,
+    message: result.error,
+    sent: Boolean(result.sent)
   });
 }
 
@@ -384,5 +534,11 @@ module.exports = {
   triggerShock,
   getHistory,
   getStats,
-  getRateLimitStatus
+  getRateLimitStatus,
+  getLimitSettings,
+  updateLimitSettings,
+  resetLimitSettings,
+  getSimulatorState,
+  injectSimulatorFailure,
+  resetSimulator
 };
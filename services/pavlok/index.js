@@ -1,10 +1,16 @@
 /**
  * Pavlok Service - Main Entry Point
- * Exports the Pavlok service router
+ * Exports the Pavlok service router, rule scheduler and sequence controls
  */
 
 const router = require('./routes');
+const { startScheduler, stopScheduler } = require('./scheduler');
+const { recoverSequences, abortAllSequences } = require('./sequence');
 
 module.exports = {
-  router
+  router,
+  startScheduler,
+  stopScheduler,
+  recoverSequences,
+  abortAllSequences
 };
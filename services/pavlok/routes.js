@@ -5,9 +5,17 @@
 
 const express = require('express');
 const controller = require('./controller');
+const ruleController = require('./ruleController');
+const sequenceController = require('./sequenceController');
+const { getMaxShockIntensity } = require('./stimulus');
+const { isSimulated } = require('./client');
+const { authenticateApiKey, requireScope } = require('../../shared/middleware/auth');
 
 const router = express.Router();
 
+// Apply authentication to all pavlok routes
+router.use(authenticateApiKey);
+
 /**
  * POST /beep
  * Trigger a beep stimulus
@@ -18,9 +26,9 @@ const router = express.Router();
  *   reason: "string"     // Optional: Reason for the beep
  * }
  *
- * Rate limit: 1 beep per 5 seconds
+ * Rate limits: per-type cooldown plus hourly and daily caps (see GET /limits)
  */
-router.post('/beep', controller.triggerBeep);
+router.post('/beep', requireScope('pavlok:beep'), controller.triggerBeep);
 
 /**
  * POST /vibrate
@@ -32,9 +40,9 @@ router.post('/beep', controller.triggerBeep);
  *   reason: "string"     // Optional: Reason for the vibration
  * }
  *
- * Rate limit: 1 vibration per 5 seconds
+ * Rate limits: per-type cooldown plus hourly and daily caps (see GET /limits)
  */
-router.post('/vibrate', controller.triggerVibration);
+router.post('/vibrate', requireScope('pavlok:vibrate'), controller.triggerVibration);
 
 /**
  * POST /shock
@@ -49,9 +57,57 @@ router.post('/vibrate', controller.triggerVibration);
  *   reason: "string"     // Optional: Reason for the shock
  * }
  *
- * Rate limit: 1 shock per 5 seconds
+ * Rate limits: per-type cooldown plus hourly and daily caps (see GET /limits)
+ * Intensity is capped by the shock limit and PAVLOK_MAX_SHOCK_INTENSITY
+ */
+router.post('/shock', requireScope('pavlok:shock'), controller.triggerShock);
+
+/**
+ * POST /sequence
+ * Run an ordered stimulus pattern in the background (one sequence at a time)
+ *
+ * Body:
+ * {
+ *   name: "string",                         // Optional: Pattern name
+ *   reason: "string",                       // Optional: Reason logged on each stimulus
+ *   steps: [                                // Required: up to 20 steps
+ *     { type: "beep", intensity: 2 },
+ *     { type: "wait", seconds: 3 },         // Pause, up to 60s (5 minutes in total)
+ *     { type: "vibrate", intensity: 3 },
+ *     { type: "wait", seconds: 3 },
+ *     { type: "shock", intensity: 1 }
+ *   ],
+ *   confirm: true                           // Required if any step shocks
+ * }
+ *
+ * Needs the trigger scope of every stimulus type used. Steps respect rate limits:
+ * short cooldowns are waited out, otherwise the sequence stops as failed.
+ * Responds 202 with the sequence record; poll GET /sequences/:id for progress.
+ */
+router.post('/sequence', requireScope('pavlok:beep', 'pavlok:vibrate', 'pavlok:shock'), sequenceController.createSequence);
+
+/**
+ * GET /sequences
+ * List recent sequences
+ *
+ * Query params:
+ * - limit: Number of records (default: 20, max: 100)
+ * - skip: Number of records to skip (default: 0)
+ * - status: running | completed | failed | aborted | interrupted
+ */
+router.get('/sequences', requireScope('pavlok:read'), sequenceController.listSequences);
+
+/**
+ * GET /sequences/:id
+ * Get a sequence with per-step results (see GET /history?sequence=:id for its stimuli)
  */
-router.post('/shock', controller.triggerShock);
+router.get('/sequences/:id', requireScope('pavlok:read'), sequenceController.getSequence);
+
+/**
+ * POST /sequences/:id/abort
+ * Abort a running sequence; the current step finishes and no further stimuli are sent
+ */
+router.post('/sequences/:id/abort', requireScope('pavlok:beep', 'pavlok:vibrate', 'pavlok:shock'), sequenceController.abortRunningSequence);
 
 /**
  * GET /history
@@ -61,8 +117,12 @@ router.post('/shock', controller.triggerShock);
  * - limit: Number of records (default: 50, max: 200)
  * - skip: Number of records to skip (default: 0)
  * - type: Filter by type (beep|vibrate|shock)
+ * - rule: Filter by rule ID (stimuli fired by a scheduled rule)
+ * - policy: Filter by escalation policy ID (stimuli fired for overdue tasks)
+ * - sequence: Filter by sequence ID (stimuli sent as sequence steps)
+ * - simulated: include | exclude | only (default: include; entries carry a simulated flag)
  */
-router.get('/history', controller.getHistory);
+router.get('/history', requireScope('pavlok:read'), controller.getHistory);
 
 /**
  * GET /stats
@@ -71,14 +131,185 @@ router.get('/history', controller.getHistory);
  * Query params:
  * - startDate: ISO date string (optional)
  * - endDate: ISO date string (optional)
+ * - simulated: include | exclude | only (default: exclude)
  */
-router.get('/stats', controller.getStats);
+router.get('/stats', requireScope('pavlok:read'), controller.getStats);
 
 /**
  * GET /rate-limit
- * Get current rate limit status for all stimulus types
+ * Get cooldown and remaining hourly/daily budget for all stimulus types
+ * Computed from successful stimuli in history, so it survives restarts.
+ */
+router.get('/rate-limit', requireScope('pavlok:read'), controller.getRateLimitStatus);
+
+/**
+ * GET /limits
+ * Get configured limits for all stimulus types
+ */
+router.get('/limits', requireScope('pavlok:read'), controller.getLimitSettings);
+
+/**
+ * PUT /limits/:type
+ * Update limits for a stimulus type (beep|vibrate|shock)
+ *
+ * Body (any of):
+ * {
+ *   cooldownSeconds: 5,    // Minimum time between successful stimuli
+ *   hourlyCap: 60,         // Max successful stimuli in any rolling hour
+ *   dailyCap: 300,         // Max successful stimuli per day (server time)
+ *   maxIntensity: 4        // Highest allowed intensity (shock: up to PAVLOK_MAX_SHOCK_INTENSITY)
+ * }
+ */
+router.put('/limits/:type', requireScope('admin'), controller.updateLimitSettings);
+
+/**
+ * DELETE /limits/:type
+ * Reset limits for a stimulus type to the defaults
+ */
+router.delete('/limits/:type', requireScope('admin'), controller.resetLimitSettings);
+
+/**
+ * GET /rules
+ * List scheduled stimulus rules
+ *
+ * Query params:
+ * - enabled: true | false (optional)
+ */
+router.get('/rules', requireScope('pavlok:read'), ruleController.listRules);
+
+/**
+ * POST /rules
+ * Create a scheduled stimulus rule
+ *
+ * Body:
+ * {
+ *   name: "string",              // Required: Rule name
+ *   type: "beep|vibrate|shock",  // Required: Stimulus type
+ *   intensity: 1-4,              // Required: Stimulus intensity
+ *   reason: "string",            // Optional: Reason logged on each firing (default: name)
+ *   enabled: true,               // Optional: default true
+ *   confirm: true,               // Required for shock rules (plus pavlok:shock scope)
+ *   trigger: {
+ *     kind: "schedule",          // Fixed time of day
+ *     time: "07:00",             // HH:MM, server time
+ *     days: [1, 2, 3, 4, 5]      // Optional: 0=Sunday ... 6=Saturday (default: every day)
+ *   }
+ *   // or
+ *   trigger: {
+ *     kind: "calendar",          // Before every calendar event
+ *     minutesBefore: 10,         // Optional: default 10
+ *     match: "standup"           // Optional: only events whose summary contains this
+ *   }
+ * }
+ *
+ * Firings are logged to history with the rule's ID and respect the stimulus rate limit.
+ */
+router.post('/rules', requireScope('pavlok:rules'), ruleController.createRule);
+
+/**
+ * GET /rules/:id
+ * Get a rule (see GET /history?rule=:id for its firings)
+ */
+router.get('/rules/:id', requireScope('pavlok:read'), ruleController.getRule);
+
+/**
+ * PUT /rules/:id
+ * Update a rule (trigger is replaced as a whole)
+ */
+router.put('/rules/:id', requireScope('pavlok:rules'), ruleController.updateRule);
+
+/**
+ * DELETE /rules/:id
+ * Delete a rule
+ */
+router.delete('/rules/:id', requireScope('pavlok:rules'), ruleController.deleteRule);
+
+/**
+ * GET /policies
+ * List accountability escalation policies for overdue Todoist tasks
+ *
+ * Query params:
+ * - enabled: true | false (optional)
+ */
+router.get('/policies', requireScope('pavlok:read'), ruleController.listPolicies);
+
+/**
+ * POST /policies
+ * Create an escalation policy
+ *
+ * Body:
+ * {
+ *   name: "string",                    // Required: Policy name
+ *   match: {                           // Optional: which overdue tasks (empty = all)
+ *     priorities: [4],                 // Unified task priorities
+ *     projects: ["Work"],              // Project names
+ *     labels: ["habit"]                // Task has any of these labels
+ *   },
+ *   steps: [                           // Required: escalation ladder
+ *     { afterMinutes: 0, type: "beep", intensity: 2 },
+ *     { afterMinutes: 120, type: "vibrate", intensity: 3 },
+ *     { afterMinutes: 360, type: "shock", intensity: 1 }
+ *   ],
+ *   quietHours: { start: "22:00", end: "07:00" },  // Optional: no stimuli (server time)
+ *   dailyCap: 5,                       // Optional: max stimuli per day (default: 5)
+ *   enabled: true,                     // Optional: default true
+ *   confirm: true                      // Required if any step shocks (plus pavlok:shock scope)
+ * }
+ *
+ * Policies are evaluated every 5 minutes. Each overdue task fires the highest step it has
+ * reached, once per step. The stimulus reason records the task.
+ */
+router.post('/policies', requireScope('pavlok:rules'), ruleController.createPolicy);
+
+/**
+ * GET /policies/preview
+ * Show what enabled policies would fire right now, without firing
+ */
+router.get('/policies/preview', requireScope('pavlok:read'), ruleController.previewPolicies);
+
+/**
+ * GET /policies/:id
+ * Get a policy (see GET /history?policy=:id for its firings)
+ */
+router.get('/policies/:id', requireScope('pavlok:read'), ruleController.getPolicy);
+
+/**
+ * PUT /policies/:id
+ * Update a policy (match, steps and quietHours are replaced as a whole)
+ */
+router.put('/policies/:id', requireScope('pavlok:rules'), ruleController.updatePolicy);
+
+/**
+ * DELETE /policies/:id
+ * Delete a policy
+ */
+router.delete('/policies/:id', requireScope('pavlok:rules'), ruleController.deletePolicy);
+
+/**
+ * GET /simulator
+ * Recorded simulated stimuli (newest first) and pending injected failures
+ * Only available with PAVLOK_MODE=simulated
+ */
+router.get('/simulator', requireScope('pavlok:read'), controller.getSimulatorState);
+
+/**
+ * POST /simulator/failures
+ * Make the next simulated stimuli fail
+ *
+ * Body:
+ * {
+ *   failure: 401 | 403 | 429 | 500 | 503 | "timeout",  // Required
+ *   times: 1,                                          // Optional: calls to fail (default: 1)
+ *   delayMs: 1000                                      // Optional: timeout delay (default: 1000)
+ * }
+ */
+router.post('/simulator/failures', requireScope('admin'), controller.injectSimulatorFailure);
+
+/**
+ * DELETE /simulator
+ * Clear recorded calls and pending failures
  */
-router.get('/rate-limit', controller.getRateLimitStatus);
+router.delete('/simulator', requireScope('admin'), controller.resetSimulator);
 
 /**
  * GET /health
@@ -89,11 +320,16 @@ router.get('/health', (req, res) => {
     success: true,
     service: 'pavlok',
     status: 'ok',
+    mode: isSimulated() ? 'simulated' : 'live',
     timestamp: new Date().toISOString(),
     safetyFeatures: {
       shockConfirmationRequired: true,
-      rateLimitSeconds: 5,
-      historyLogging: true
+      persistentRateLimits: true,
+      maxShockIntensity: getMaxShockIntensity(),
+      historyLogging: true,
+      scheduledRules: true,
+      accountabilityPolicies: true,
+      sequences: true
     }
   });
 });
@@ -0,0 +1,449 @@
+/**
+ * Pavlok Service - Rule Controller
+ * CRUD handlers for scheduled stimulus rules and escalation policies
+ */
+
+const PavlokRule = require('../../models/PavlokRule');
+const EscalationPolicy = require('../../models/EscalationPolicy');
+const { hasScope } = require('../../shared/middleware/auth');
+const { isValidObjectId } = require('../memory/validation');
+const {
+  validateRuleCreate,
+  validateRuleUpdate,
+  validatePolicyCreate,
+  validatePolicyUpdate
+} = require('./validation');
+const { isSchedulerRunning } = require('./scheduler');
+const { evaluatePolicies } = require('./accountability');
+
+/**
+ * Shock rules, policies and sequences need the same safety confirmation and scope as a manual shock
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Array<string>} types - Stimulus types the rule, policy or sequence can send
+ * @returns {boolean} True if a response was sent (request rejected)
+ */
+function rejectUnconfirmedShock(req, res, types) {
+  if (!types.includes('shock')) return false;
+
+  if (!hasScope(req.apiKey?.scopes, 'pavlok:shock')) {
+    res.status(403).json({
+      success: false,
+      error: 'Insufficient scope',
+      message: 'Rules, policies and sequences that shock require the pavlok:shock scope',
+      requiredScopes: ['pavlok:shock']
+    });
+    return true;
+  }
+
+  if (req.body.confirm !== true) {
+    res.status(400).json({
+      success: false,
+      error: 'Safety confirmation required',
+      message: 'Rules, policies and sequences that shock require explicit confirmation. Set "confirm: true" in request body.'
+    });
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * List rules
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function listRules(req, res) {
+  try {
+    const query = {};
+    if (req.query.enabled === 'true') query.enabled = true;
+    if (req.query.enabled === 'false') query.enabled = false;
+
+    const rules = await PavlokRule.find(query).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: rules.length,
+      schedulerRunning: isSchedulerRunning(),
+      rules
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch rules');
+  }
+}
+
+/**
+ * Get a rule by ID
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getRule(req, res) {
+  try {
+    const rule = await findOr404(PavlokRule, 'rule', req, res);
+    if (!rule) return;
+
+    res.json({
+      success: true,
+      rule
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch rule');
+  }
+}
+
+/**
+ * Create a rule
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function createRule(req, res) {
+  try {
+    const validation = validateRuleCreate(req.body);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: validation.errors
+      });
+    }
+
+    if (rejectUnconfirmedShock(req, res, [req.body.type])) return;
+
+    const { name, enabled, type, intensity, reason, trigger } = req.body;
+
+    const rule = new PavlokRule({
+      name,
+      enabled,
+      type,
+      intensity,
+      reason: reason || null,
+      trigger
+    });
+    await rule.save();
+
+    console.log(`✅ Created Pavlok rule: ${rule.name} (${rule._id})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Rule created successfully',
+      rule
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to create rule');
+  }
+}
+
+/**
+ * Update a rule
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function updateRule(req, res) {
+  try {
+    const validation = validateRuleUpdate(req.body);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: validation.errors
+      });
+    }
+
+    const rule = await findOr404(PavlokRule, 'rule', req, res);
+    if (!rule) return;
+
+    // Re-confirm whenever the result is a shock rule with changed stimulus settings
+    const resultingType = req.body.type || rule.type;
+    const stimulusChanged = req.body.type !== undefined || req.body.intensity !== undefined;
+    if (stimulusChanged && rejectUnconfirmedShock(req, res, [resultingType])) return;
+
+    ['name', 'enabled', 'type', 'intensity', 'reason', 'trigger'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        rule[field] = req.body[field];
+      }
+    });
+    await rule.save();
+
+    console.log(`✅ Updated Pavlok rule: ${rule._id}`);
+
+    res.json({
+      success: true,
+      message: 'Rule updated successfully',
+      rule
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to update rule');
+  }
+}
+
+/**
+ * Delete a rule
+ * History entries keep their reference to the deleted rule
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function deleteRule(req, res) {
+  try {
+    const rule = await findOr404(PavlokRule, 'rule', req, res);
+    if (!rule) return;
+
+    await rule.deleteOne();
+
+    console.log(`✅ Deleted Pavlok rule: ${rule._id}`);
+
+    res.json({
+      success: true,
+      message: 'Rule deleted successfully',
+      deletedRule: rule
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to delete rule');
+  }
+}
+
+/**
+ * List escalation policies
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function listPolicies(req, res) {
+  try {
+    const query = {};
+    if (req.query.enabled === 'true') query.enabled = true;
+    if (req.query.enabled === 'false') query.enabled = false;
+
+    const policies = await EscalationPolicy.find(query).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: policies.length,
+      schedulerRunning: isSchedulerRunning(),
+      policies
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch policies');
+  }
+}
+
+/**
+ * Get an escalation policy by ID
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getPolicy(req, res) {
+  try {
+    const policy = await findOr404(EscalationPolicy, 'policy', req, res);
+    if (!policy) return;
+
+    res.json({
+      success: true,
+      policy
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch policy');
+  }
+}
+
+/**
+ * Create an escalation policy
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function createPolicy(req, res) {
+  try {
+    const validation = validatePolicyCreate(req.body);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: validation.errors
+      });
+    }
+
+    if (rejectUnconfirmedShock(req, res, req.body.steps.map(step => step.type))) return;
+
+    const { name, enabled, match, steps, quietHours, dailyCap } = req.body;
+
+    const policy = new EscalationPolicy({ name, enabled, match, steps, quietHours, dailyCap });
+    await policy.save();
+
+    console.log(`✅ Created escalation policy: ${policy.name} (${policy._id})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Policy created successfully',
+      policy
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to create policy');
+  }
+}
+
+/**
+ * Update an escalation policy
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function updatePolicy(req, res) {
+  try {
+    const validation = validatePolicyUpdate(req.body);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: validation.errors
+      });
+    }
+
+    const policy = await findOr404(EscalationPolicy, 'policy', req, res);
+    if (!policy) return;
+
+    if (req.body.steps !== undefined &&
+        rejectUnconfirmedShock(req, res, req.body.steps.map(step => step.type))) return;
+
+    ['name', 'enabled', 'match', 'steps', 'quietHours', 'dailyCap'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        policy[field] = req.body[field];
+      }
+    });
+    await policy.save();
+
+    console.log(`✅ Updated escalation policy: ${policy._id}`);
+
+    res.json({
+      success: true,
+      message: 'Policy updated successfully',
+      policy
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to update policy');
+  }
+}
+
+/**
+ * Delete an escalation policy
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function deletePolicy(req, res) {
+  try {
+    const policy = await findOr404(EscalationPolicy, 'policy', req, res);
+    if (!policy) return;
+
+    await policy.deleteOne();
+
+    console.log(`✅ Deleted escalation policy: ${policy._id}`);
+
+    res.json({
+      success: true,
+      message: 'Policy deleted successfully',
+      deletedPolicy: policy
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to delete policy');
+  }
+}
+
+/**
+ * Preview what enabled policies would fire right now, without firing
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function previewPolicies(req, res) {
+  try {
+    const actions = await evaluatePolicies(new Date(), { dryRun: true });
+
+    res.json({
+      success: true,
+      count: actions.length,
+      actions
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to preview policies');
+  }
+}
+
+/**
+ * Look up a document from req.params.id, responding 400/404 when not usable
+ * @param {Object} Model - Mongoose model
+ * @param {string} label - Name used in error messages
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} Document or null if a response was sent
+ * @private
+ */
+async function findOr404(Model, label, req, res) {
+  const { id } = req.params;
+  const title = label.charAt(0).toUpperCase() + label.slice(1);
+
+  if (!isValidObjectId(id)) {
+    res.status(400).json({
+      success: false,
+      error: `Invalid ${label} ID format`
+    });
+    return null;
+  }
+
+  const doc = await Model.findById(id);
+
+  if (!doc) {
+    res.status(404).json({
+      success: false,
+      error: `${title} not found`,
+      message: `No ${label} found with ID: ${id}`
+    });
+    return null;
+  }
+
+  return doc;
+}
+
+/**
+ * Handle errors consistently
+ * @param {Object} res - Express response
+ * @param {Error} error - Error object
+ * @param {string} message - Error message
+ * @private
+ */
+function handleError(res, error, message) {
+  console.error(`❌ ${message}:`, error.message);
+
+  // Mongoose validation errors are client errors
+  const status = error.name === 'ValidationError' ? 400 : (error.status || 500);
+
+  res.status(status).json({
+    success: false,
+    error: message,
+    message: error.message
+  });
+}
+
+module.exports = {
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  listPolicies,
+  getPolicy,
+  createPolicy,
+  updatePolicy,
+  deletePolicy,
+  previewPolicies,
+  rejectUnconfirmedShock
+};
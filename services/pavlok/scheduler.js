@@ -0,0 +1,269 @@
+/**
+ * Pavlok Service - Rule Scheduler
+ * In-process scheduler that evaluates stimulus rules and escalation policies
+ */
+
+const PavlokRule = require('../../models/PavlokRule');
+const PavlokStimulus = require('../../models/PavlokStimulus');
+const { fireStimulus } = require('./stimulus');
+const { evaluatePolicies } = require('./accountability');
+const { isAuthenticated } = require('../calendar/auth');
+const { getEventsForCalendars } = require('../calendar/events');
+const { zonedTime, toDateKey, getWeekday } = require('../calendar/utils');
+
+// How often rules are evaluated
+const SCHEDULER_INTERVAL_MS = 30 * 1000;
+
+// How often escalation policies are evaluated (each run fetches Todoist tasks)
+const POLICY_INTERVAL_MS = 5 * 60 * 1000;
+
+// How late a trigger may still fire (covers restarts, rate limits and slow ticks)
+const FIRE_WINDOW_MS = 5 * 60 * 1000;
+
+let schedulerTimer = null;
+let policyTimer = null;
+let evaluating = false;
+let evaluatingPolicies = false;
+
+// Occurrences sent but not recorded in history ("<rule>:<triggerKey>" -> sent at, ms),
+// so they aren't fired again on every tick of their window
+const unrecordedOccurrences = new Map();
+
+/**
+ * Check whether a trigger time is inside the firing window
+ * @param {Date} fireAt - When the trigger is due
+ * @param {Date} now - Current time
+ * @returns {boolean} True if the trigger should fire now
+ * @private
+ */
+function isDue(fireAt, now) {
+  const elapsed = now.getTime() - fireAt.getTime();
+  return elapsed >= 0 && elapsed < FIRE_WINDOW_MS;
+}
+
+/**
+ * Get due occurrences for a schedule rule
+ * Time and days are read in the user's timezone.
+ * @param {Object} rule - PavlokRule document
+ * @param {Date} now - Current time
+ * @returns {Array<Object>} Due occurrences [{ triggerKey, reason }]
+ */
+function getScheduleOccurrences(rule, now) {
+  const { time, days } = rule.trigger;
+  if (!time) return [];
+
+  const today = toDateKey(now);
+  if (days.length > 0 && !days.includes(getWeekday(today))) {
+    return [];
+  }
+
+  const [hours, minutes] = time.split(':').map(Number);
+  const fireAt = zonedTime(today, hours * 60 + minutes);
+
+  if (!isDue(fireAt, now)) {
+    return [];
+  }
+
+  return [{
+    triggerKey: `${today}T${time}`,
+    reason: rule.reason || rule.name
+  }];
+}
+
+/**
+ * Get due occurrences for a calendar rule
+ * @param {Object} rule - PavlokRule document
+ * @param {Array} events - Raw Google Calendar events
+ * @param {Date} now - Current time
+ * @returns {Array<Object>} Due occurrences [{ triggerKey, reason }]
+ */
+function getCalendarOccurrences(rule, events, now) {
+  const { minutesBefore, match } = rule.trigger;
+  const matchText = match ? match.toLowerCase() : null;
+
+  return events
+    .filter(event => event.start?.dateTime) // All-day events have no start time
+    .filter(event => !matchText || (event.summary || '').toLowerCase().includes(matchText))
+    .filter(event => {
+      const fireAt = new Date(new Date(event.start.dateTime).getTime() - minutesBefore * 60 * 1000);
+      return isDue(fireAt, now);
+    })
+    .map(event => ({
+      triggerKey: `event:${event.id}:${new Date(event.start.dateTime).toISOString()}`,
+      reason: `${rule.reason || rule.name}: ${event.summary || 'Untitled Event'}`
+    }));
+}
+
+/**
+ * Fetch calendar events that calendar rules could fire for
+ * Covers today plus the day reached by the largest lead time
+ * @param {Array} rules - Calendar rules
+ * @param {Date} now - Current time
+ * @returns {Promise<Array>} Raw Google Calendar events
+ * @private
+ */
+async function fetchUpcomingEvents(rules, now) {
+  const maxLeadMs = Math.max(...rules.map(rule => rule.trigger.minutesBefore)) * 60 * 1000;
+  const dateKeys = [...new Set([
+    toDateKey(now),
+    toDateKey(new Date(now.getTime() + maxLeadMs))
+  ])];
+
+  const eventsByDay = await Promise.all(dateKeys.map(dateKey => getEventsForCalendars(dateKey)));
+  return eventsByDay.flat();
+}
+
+/**
+ * Fire a rule occurrence unless it already fired
+ * @param {Object} rule - PavlokRule document
+ * @param {Object} occurrence - { triggerKey, reason }
+ * @returns {Promise<void>}
+ * @private
+ */
+async function fireOccurrence(rule, occurrence) {
+  const occurrenceKey = `${rule._id}:${occurrence.triggerKey}`;
+  if (unrecordedOccurrences.has(occurrenceKey)) return;
+
+  const alreadyFired = await PavlokStimulus.exists({
+    rule: rule._id,
+    triggerKey: occurrence.triggerKey
+  });
+
+  if (alreadyFired) return;
+
+  console.log(`⏰ Rule "${rule.name}" firing ${rule.type} (${occurrence.triggerKey})`);
+
+  const result = await fireStimulus(rule.type, rule.intensity, {
+    reason: occurrence.reason,
+    source: 'rule',
+    rule: rule._id,
+    triggerKey: occurrence.triggerKey
+  });
+
+  if (result.rateLimited) {
+    // Nothing was logged, so the next tick retries while still inside the window
+    console.warn(`⚠️  Rule "${rule.name}" rate limited, retrying in ${result.timeRemaining}s`);
+    return;
+  }
+
+  if (result.sent) {
+    unrecordedOccurrences.set(occurrenceKey, Date.now());
+  }
+
+  if (!result.success) {
+    console.error(`❌ Rule "${rule.name}" failed: ${result.error}`);
+  }
+
+  await rule.markFired();
+}
+
+/**
+ * Evaluate all enabled rules once
+ * @param {Date} now - Evaluation time (default: now)
+ * @returns {Promise<void>}
+ */
+async function evaluateRules(now = new Date()) {
+  // Skip if the previous tick is still running
+  if (evaluating) return;
+  evaluating = true;
+
+  // Past the firing window an occurrence can't fire again
+  for (const [occurrenceKey, sentAt] of unrecordedOccurrences) {
+    if (now.getTime() - sentAt > FIRE_WINDOW_MS) {
+      unrecordedOccurrences.delete(occurrenceKey);
+    }
+  }
+
+  try {
+    const rules = await PavlokRule.findEnabled();
+    const scheduleRules = rules.filter(rule => rule.trigger.kind === 'schedule');
+    const calendarRules = rules.filter(rule => rule.trigger.kind === 'calendar');
+
+    for (const rule of scheduleRules) {
+      for (const occurrence of getScheduleOccurrences(rule, now)) {
+        await fireOccurrence(rule, occurrence);
+      }
+    }
+
+    if (calendarRules.length > 0 && isAuthenticated()) {
+      const events = await fetchUpcomingEvents(calendarRules, now);
+
+      for (const rule of calendarRules) {
+        for (const occurrence of getCalendarOccurrences(rule, events, now)) {
+          await fireOccurrence(rule, occurrence);
+        }
+      }
+    }
+
+  } catch (error) {
+    console.error('❌ Pavlok scheduler error:', error.message);
+  } finally {
+    evaluating = false;
+  }
+}
+
+/**
+ * Run one escalation policy evaluation, skipping if the previous one is still running
+ * @returns {Promise<void>}
+ * @private
+ */
+async function runPolicyEvaluation() {
+  if (evaluatingPolicies) return;
+  evaluatingPolicies = true;
+
+  try {
+    await evaluatePolicies();
+  } catch (error) {
+    console.error('❌ Escalation policy error:', error.message);
+  } finally {
+    evaluatingPolicies = false;
+  }
+}
+
+/**
+ * Start the rule scheduler
+ */
+function startScheduler() {
+  if (schedulerTimer) return;
+
+  schedulerTimer = setInterval(() => evaluateRules(), SCHEDULER_INTERVAL_MS);
+  policyTimer = setInterval(() => runPolicyEvaluation(), POLICY_INTERVAL_MS);
+  evaluateRules();
+  runPolicyEvaluation();
+
+  console.log(`⏰ Pavlok scheduler started (rules every ${SCHEDULER_INTERVAL_MS / 1000}s, policies every ${POLICY_INTERVAL_MS / 60000}m)`);
+}
+
+/**
+ * Stop the rule scheduler
+ */
+function stopScheduler() {
+  if (!schedulerTimer) return;
+
+  clearInterval(schedulerTimer);
+  clearInterval(policyTimer);
+  schedulerTimer = null;
+  policyTimer = null;
+
+  console.log('🛑 Pavlok scheduler stopped');
+}
+
+/**
+ * Check if the scheduler is running
+ * @returns {boolean} True if running
+ */
+function isSchedulerRunning() {
+  return schedulerTimer !== null;
+}
+
+module.exports = {
+  SCHEDULER_INTERVAL_MS,
+  POLICY_INTERVAL_MS,
+  FIRE_WINDOW_MS,
+  getScheduleOccurrences,
+  getCalendarOccurrences,
+  evaluateRules,
+  startScheduler,
+  stopScheduler,
+  isSchedulerRunning
+};
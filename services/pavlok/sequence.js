@@ -0,0 +1,284 @@
+/**
+ * Pavlok Service - Sequences
+ * Runs ordered stimulus patterns (e.g. beep, wait, vibrate, wait, shock) with abort support
+ */
+
+const PavlokSequence = require('../../models/PavlokSequence');
+const { fireStimulus, getBudget } = require('./stimulus');
+
+// Longest cooldown a step waits out before the sequence fails as rate limited
+const MAX_COOLDOWN_WAIT_SECONDS = 60;
+
+// Running sequences by ID: { aborted, wake }
+const activeSequences = new Map();
+
+// Key holding the running slot while a start request checks its budget
+const RESERVED = 'reserved';
+
+/**
+ * Sleep unless the sequence is aborted first
+ * @param {number} ms - Milliseconds to sleep
+ * @param {Object} control - Active sequence control { aborted, wake }
+ * @returns {Promise<void>}
+ * @private
+ */
+function interruptibleSleep(ms, control) {
+  return new Promise(resolve => {
+    const timer = setTimeout(() => {
+      control.wake = null;
+      resolve();
+    }, ms);
+
+    control.wake = () => {
+      clearTimeout(timer);
+      control.wake = null;
+      resolve();
+    };
+  });
+}
+
+/**
+ * Check a pattern against limits before starting it
+ * Every stimulus step must fit the intensity ceiling and remaining hourly/daily budget.
+ * @param {Array} steps - Sequence steps
+ * @returns {Promise<Object>} { allowed, reason?, message? }
+ */
+async function checkSequenceBudget(steps) {
+  const stimulusSteps = steps.filter(step => step.type !== 'wait');
+  const types = [...new Set(stimulusSteps.map(step => step.type))];
+
+  for (const type of types) {
+    const budget = await getBudget(type);
+    const typeSteps = stimulusSteps.filter(step => step.type === type);
+
+    const tooIntense = typeSteps.find(step => step.intensity > budget.limits.maxIntensity);
+    if (tooIntense) {
+      return {
+        allowed: false,
+        reason: 'intensity',
+        message: `${type} intensity is capped at ${budget.limits.maxIntensity}`
+      };
+    }
+
+    if (typeSteps.length > budget.hourly.remaining) {
+      return {
+        allowed: false,
+        reason: 'hourly',
+        message: `Sequence needs ${typeSteps.length} ${type} but only ${budget.hourly.remaining} remain this hour`
+      };
+    }
+
+    if (typeSteps.length > budget.daily.remaining) {
+      return {
+        allowed: false,
+        reason: 'daily',
+        message: `Sequence needs ${typeSteps.length} ${type} but only ${budget.daily.remaining} remain today`
+      };
+    }
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Send one stimulus step, waiting out a short cooldown if needed
+ * @param {Object} sequence - PavlokSequence document
+ * @param {Object} step - Step subdocument
+ * @param {Object} control - Active sequence control
+ * @returns {Promise<Object>} fireStimulus result
+ * @private
+ */
+async function sendStep(sequence, step, control) {
+  const options = {
+    reason: sequence.reason || sequence.name || 'Sequence',
+    source: 'sequence',
+    sequence: sequence._id
+  };
+
+  let result = await fireStimulus(step.type, step.intensity, options);
+
+  if (result.rateLimited && result.reason === 'cooldown' && result.timeRemaining <= MAX_COOLDOWN_WAIT_SECONDS) {
+    await interruptibleSleep(result.timeRemaining * 1000, control);
+    if (control.aborted) return null;
+    result = await fireStimulus(step.type, step.intensity, options);
+  }
+
+  return result;
+}
+
+/**
+ * Run a sequence to completion, failure or abort
+ * Stops at the first step that fails or is rate limited.
+ * @param {Object} sequence - PavlokSequence document
+ * @param {Object} control - Active sequence control
+ * @returns {Promise<void>}
+ * @private
+ */
+async function runSequence(sequence, control) {
+  for (const step of sequence.steps) {
+    if (control.aborted) break;
+
+    step.status = 'running';
+    step.startedAt = new Date();
+    await sequence.save();
+
+    if (step.type === 'wait') {
+      await interruptibleSleep(step.seconds * 1000, control);
+      if (control.aborted) break;
+
+      step.status = 'waited';
+      step.finishedAt = new Date();
+      await sequence.save();
+      continue;
+    }
+
+    console.log(`🎵 Sequence ${sequence._id} step: ${step.type} ${step.intensity}`);
+
+    const result = await sendStep(sequence, step, control);
+    if (!result) break;
+
+    step.finishedAt = new Date();
+    step.stimulus = result.stimulus?._id || null;
+
+    if (result.rateLimited) {
+      step.status = 'rate_limited';
+      step.error = result.error;
+      return sequence.finish('failed', `Step ${step.type} rate limited: ${result.error}`);
+    }
+
+    if (!result.success) {
+      step.status = 'failed';
+      step.error = result.error;
+      return sequence.finish('failed', `Step ${step.type} failed: ${result.error}`);
+    }
+
+    step.status = 'sent';
+    await sequence.save();
+  }
+
+  if (control.aborted) {
+    console.log(`🛑 Sequence ${sequence._id} aborted`);
+    return sequence.finish('aborted', 'Aborted by request');
+  }
+
+  console.log(`✅ Sequence ${sequence._id} completed`);
+  return sequence.finish('completed');
+}
+
+/**
+ * Start a sequence in the background
+ * @param {Object} data - { name, reason, steps, startedBy }
+ * @returns {Promise<Object>} Created PavlokSequence document (status: running)
+ */
+async function startSequence(data) {
+  const { name = null, reason = null, steps, startedBy = null } = data;
+
+  const sequence = new PavlokSequence({
+    name,
+    reason,
+    startedBy,
+    steps: steps.map(step => ({
+      type: step.type,
+      intensity: step.type === 'wait' ? null : step.intensity,
+      seconds: step.type === 'wait' ? step.seconds : null
+    }))
+  });
+  await sequence.save();
+
+  const control = { aborted: false, wake: null };
+  const id = sequence._id.toString();
+  activeSequences.set(id, control);
+
+  console.log(`🎵 Starting sequence ${id} (${steps.length} steps)`);
+
+  runSequence(sequence, control)
+    .catch(async error => {
+      console.error(`❌ Sequence ${id} error:`, error.message);
+      try {
+        await sequence.finish('failed', error.message);
+      } catch (saveError) {
+        console.error(`❌ Failed to save sequence ${id}:`, saveError.message);
+      }
+    })
+    .finally(() => activeSequences.delete(id));
+
+  return sequence;
+}
+
+/**
+ * Reserve the running slot before starting a sequence
+ * Synchronous, so two requests can't both find no sequence running while they await their budget checks.
+ * @returns {boolean} True if reserved, false if a sequence is running or reserved
+ */
+function reserveSequence() {
+  if (activeSequences.size > 0) return false;
+
+  activeSequences.set(RESERVED, { aborted: false, wake: null });
+  return true;
+}
+
+/**
+ * Release the reserved slot (startSequence has registered the sequence by then, or it wasn't started)
+ */
+function releaseSequence() {
+  activeSequences.delete(RESERVED);
+}
+
+/**
+ * Abort a running sequence
+ * The current step finishes; no further stimuli are sent.
+ * @param {string} id - Sequence ID
+ * @returns {boolean} True if the sequence was running in this process
+ */
+function abortSequence(id) {
+  const control = activeSequences.get(id);
+  if (!control) return false;
+
+  control.aborted = true;
+  if (control.wake) control.wake();
+
+  return true;
+}
+
+/**
+ * Abort every running sequence (used on shutdown)
+ */
+function abortAllSequences() {
+  for (const id of activeSequences.keys()) {
+    abortSequence(id);
+  }
+}
+
+/**
+ * Check whether any sequence is running
+ * @returns {boolean} True if a sequence is running
+ */
+function isSequenceRunning() {
+  return activeSequences.size > 0;
+}
+
+/**
+ * Mark sequences left running by a previous process as interrupted
+ * @returns {Promise<number>} Number of sequences updated
+ */
+async function recoverSequences() {
+  const result = await PavlokSequence.markInterrupted();
+
+  if (result.modifiedCount > 0) {
+    console.log(`⚠️  Marked ${result.modifiedCount} unfinished Pavlok sequence(s) as interrupted`);
+  }
+
+  return result.modifiedCount;
+}
+
+module.exports = {
+  MAX_COOLDOWN_WAIT_SECONDS,
+  checkSequenceBudget,
+  reserveSequence,
+  releaseSequence,
+  startSequence,
+  abortSequence,
+  abortAllSequences,
+  isSequenceRunning,
+  recoverSequences
+};
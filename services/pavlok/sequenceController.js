@@ -0,0 +1,230 @@
+/**
+ * Pavlok Service - Sequence Controller
+ * Handlers for starting, inspecting and aborting stimulus sequences
+ */
+
+const PavlokSequence = require('../../models/PavlokSequence');
+const { hasScope } = require('../../shared/middleware/auth');
+const { isValidObjectId } = require('../memory/validation');
+const { validateSequence } = require('./validation');
+const { rejectUnconfirmedShock } = require('./ruleController');
+const {
+  checkSequenceBudget,
+  reserveSequence,
+  releaseSequence,
+  startSequence,
+  abortSequence,
+  isSequenceRunning
+} = require('./sequence');
+
+/**
+ * Start a stimulus sequence
+ * Returns immediately; poll GET /sequences/:id for progress.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function createSequence(req, res) {
+  try {
+    const validation = validateSequence(req.body);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: validation.errors
+      });
+    }
+
+    const { name, reason, steps } = req.body;
+    const types = [...new Set(steps.map(step => step.type).filter(type => type !== 'wait'))];
+
+    // Each stimulus in the pattern needs its own trigger scope
+    const missingScope = types
+      .filter(type => type !== 'shock')
+      .find(type => !hasScope(req.apiKey?.scopes, `pavlok:${type}`));
+
+    if (missingScope) {
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient scope',
+        message: `Sequences with ${missingScope} steps require the pavlok:${missingScope} scope`,
+        requiredScopes: [`pavlok:${missingScope}`]
+      });
+    }
+
+    if (rejectUnconfirmedShock(req, res, types)) return;
+
+    // Held through the budget check and start, so concurrent requests can't both start a sequence
+    if (!reserveSequence()) {
+      return res.status(409).json({
+        success: false,
+        error: 'Sequence already running',
+        message: 'Abort the running sequence or wait for it to finish'
+      });
+    }
+
+    let sequence;
+    try {
+      const budget = await checkSequenceBudget(steps);
+      if (!budget.allowed) {
+        return res.status(budget.reason === 'intensity' ? 400 : 429).json({
+          success: false,
+          error: budget.reason === 'intensity' ? 'Intensity limit exceeded' : 'Rate limit exceeded',
+          message: budget.message,
+          reason: budget.reason
+        });
+      }
+
+      sequence = await startSequence({
+        name,
+        reason,
+        steps,
+        startedBy: req.apiKey?.name || null
+      });
+    } finally {
+      releaseSequence();
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Sequence started',
+      sequence
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to start sequence');
+  }
+}
+
+/**
+ * List recent sequences
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function listSequences(req, res) {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = parseInt(req.query.skip) || 0;
+    const status = req.query.status || null;
+
+    const sequences = await PavlokSequence.getRecent({ limit, skip, status });
+
+    res.json({
+      success: true,
+      count: sequences.length,
+      running: isSequenceRunning(),
+      sequences
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch sequences');
+  }
+}
+
+/**
+ * Get a sequence with its step results
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getSequence(req, res) {
+  try {
+    const sequence = await findSequenceOr404(req, res);
+    if (!sequence) return;
+
+    res.json({
+      success: true,
+      sequence
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch sequence');
+  }
+}
+
+/**
+ * Abort a running sequence
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function abortRunningSequence(req, res) {
+  try {
+    const sequence = await findSequenceOr404(req, res);
+    if (!sequence) return;
+
+    if (!abortSequence(sequence._id.toString())) {
+      return res.status(409).json({
+        success: false,
+        error: 'Sequence not running',
+        message: `Sequence is ${sequence.status}`
+      });
+    }
+
+    console.log(`🛑 Abort requested for sequence ${sequence._id} by "${req.apiKey?.name}"`);
+
+    res.status(202).json({
+      success: true,
+      message: 'Abort requested. No further steps will be sent.'
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to abort sequence');
+  }
+}
+
+/**
+ * Look up the sequence from req.params.id, responding 400/404 when not usable
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} Sequence document or null if a response was sent
+ * @private
+ */
+async function findSequenceOr404(req, res) {
+  const { id } = req.params;
+
+  if (!isValidObjectId(id)) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid sequence ID format'
+    });
+    return null;
+  }
+
+  const sequence = await PavlokSequence.findById(id);
+
+  if (!sequence) {
+    res.status(404).json({
+      success: false,
+      error: 'Sequence not found',
+      message: `No sequence found with ID: ${id}`
+    });
+    return null;
+  }
+
+  return sequence;
+}
+
+/**
+ * Handle errors consistently
+ * @param {Object} res - Express response
+ * @param {Error} error - Error object
+ * @param {string} message - Error message
+ * @private
+ */
+function handleError(res, error, message) {
+  console.error(`❌ ${message}:`, error.message);
+
+  const status = error.status || 500;
+
+  res.status(status).json({
+    success: false,
+    error: message,
+    message: error.message
+  });
+}
+
+module.exports = {
+  createSequence,
+  listSequences,
+  getSequence,
+  abortRunningSequence
+};
@@ -0,0 +1,137 @@
+/**
+ * Pavlok Service - Simulator
+ * Mock device transport that records stimuli instead of sending them and can inject failures
+ */
+
+// Number of recorded calls kept in memory
+const MAX_RECORDED_CALLS = 100;
+
+// Failures the simulator can inject
+const FAILURE_KINDS = {
+  401: { status: 401, data: { message: 'Simulated: invalid token' } },
+  403: { status: 403, data: { message: 'Simulated: forbidden' } },
+  429: { status: 429, data: { message: 'Simulated: too many requests' } },
+  500: { status: 500, data: { message: 'Simulated: device service error' } },
+  503: { status: 503, data: { message: 'Simulated: device unavailable' } }
+};
+
+/**
+ * Simulated transport with the same post() signature as the Axios client
+ */
+class PavlokSimulator {
+  constructor() {
+    this.calls = [];
+    this.failures = [];
+    this.timeoutMs = 10000;
+  }
+
+  /**
+   * Record a stimulus request, or fail with the next queued failure
+   * @param {string} url - Stimulus URL (/stimuli/:type/:intensity)
+   * @param {*} data - Request body (unused)
+   * @param {Object} config - Request config (token in params is never recorded)
+   * @returns {Promise<Object>} Axios-like response { status, data }
+   */
+  async post(url, data, config = {}) {
+    const [, , type, intensity] = url.split('/');
+    const failure = this.failures.shift() || null;
+
+    const call = {
+      id: this.calls.length > 0 ? this.calls[this.calls.length - 1].id + 1 : 1,
+      type,
+      intensity: parseInt(intensity),
+      timestamp: new Date().toISOString(),
+      outcome: failure ? failure.kind : 'ok'
+    };
+    this.calls.push(call);
+    if (this.calls.length > MAX_RECORDED_CALLS) {
+      this.calls.shift();
+    }
+
+    console.log(`🧪 Simulated ${type} stimulus (intensity ${intensity}): ${call.outcome}`);
+
+    if (!failure) {
+      return {
+        status: 200,
+        data: { simulated: true, type, intensity: call.intensity }
+      };
+    }
+
+    if (failure.kind === 'timeout') {
+      // Same shape as an Axios timeout, after waiting out the delay
+      await new Promise(resolve => setTimeout(resolve, failure.delayMs));
+      const error = new Error(`timeout of ${this.timeoutMs}ms exceeded`);
+      error.code = 'ECONNABORTED';
+      error.request = {};
+      throw error;
+    }
+
+    const { status, data: body } = FAILURE_KINDS[failure.kind];
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status, data: body };
+    throw error;
+  }
+
+  /**
+   * Queue failures for the next calls
+   * @param {string} kind - HTTP status ('401', '429', ...) or 'timeout'
+   * @param {number} times - Number of calls to fail (default: 1)
+   * @param {number} delayMs - Delay before a timeout fails (default: 1000)
+   * @returns {Array} Pending failures
+   */
+  injectFailure(kind, times = 1, delayMs = 1000) {
+    for (let i = 0; i < times; i++) {
+      this.failures.push({ kind: String(kind), delayMs });
+    }
+    return this.failures;
+  }
+
+  /**
+   * Clear recorded calls and pending failures
+   */
+  reset() {
+    this.calls = [];
+    this.failures = [];
+  }
+
+  /**
+   * Get recorded calls and pending failures
+   * @returns {Object} { calls, pendingFailures }
+   */
+  getState() {
+    return {
+      calls: [...this.calls].reverse(),
+      pendingFailures: this.failures.map(failure => failure.kind)
+    };
+  }
+}
+
+// Shared instance so recorded calls survive across client instances
+let simulator = null;
+
+/**
+ * Get the shared simulator
+ * @returns {PavlokSimulator} Simulator instance
+ */
+function getSimulator() {
+  if (!simulator) {
+    simulator = new PavlokSimulator();
+  }
+  return simulator;
+}
+
+/**
+ * Check whether a failure kind can be injected
+ * @param {string} kind - Failure kind
+ * @returns {boolean} True if supported
+ */
+function isValidFailureKind(kind) {
+  return kind === 'timeout' || Object.prototype.hasOwnProperty.call(FAILURE_KINDS, kind);
+}
+
+module.exports = {
+  FAILURE_KINDS,
+  PavlokSimulator,
+  getSimulator,
+  isValidFailureKind
+};
@@ -0,0 +1,302 @@
+/**
+ * Pavlok Service - Stimulus Dispatch
+ * Persistent rate limits, history logging and delivery shared by API handlers and the scheduler
+ */
+
+const { createPavlokClient, isSimulated } = require('./client');
+const PavlokStimulus = require('../../models/PavlokStimulus');
+const PavlokLimit = require('../../models/PavlokLimit');
+const pavlokConfig = require('../../config/services').pavlok;
+const { zonedTime, toDateKey, addDays } = require('../calendar/utils');
+
+// Stimulus types (history/rate-limit names)
+const STIMULUS_TYPES = ['beep', 'vibrate', 'shock'];
+
+// Window for hourly caps (rolling)
+const HOUR_MS = 60 * 60 * 1000;
+
+// Tail of the queue of fires per stimulus type
+const fireQueues = {};
+
+// Stimuli sent but not written to history (e.g. while MongoDB writes fail), per type.
+// Limits are read from history, so these are counted in memory instead.
+const unrecordedFires = {};
+
+/**
+ * Get the effective limits for a stimulus type
+ * Shock intensity never exceeds the configured hard maximum, whatever is stored.
+ * @param {string} type - Stimulus type
+ * @returns {Promise<Object>} { type, cooldownSeconds, hourlyCap, dailyCap, maxIntensity, isDefault }
+ */
+async function getLimits(type) {
+  const limits = await PavlokLimit.getForType(type);
+
+  if (type === 'shock') {
+    limits.maxIntensity = Math.min(limits.maxIntensity, getMaxShockIntensity());
+  }
+
+  return limits;
+}
+
+/**
+ * Get the hard maximum shock intensity (1-4)
+ * @returns {number} Maximum shock intensity
+ */
+function getMaxShockIntensity() {
+  return Math.min(Math.max(pavlokConfig?.maxShockIntensity || 1, 1), 4);
+}
+
+/**
+ * Get the times of sent but unrecorded stimuli of a type still inside the hourly or daily window
+ * @param {string} type - Stimulus type
+ * @param {number} since - Oldest time still counted (ms)
+ * @returns {Array<number>} Send times (ms) in the current simulated/device mode
+ * @private
+ */
+function getUnrecordedFires(type, since) {
+  unrecordedFires[type] = (unrecordedFires[type] || []).filter(fire => fire.at >= since);
+
+  return unrecordedFires[type]
+    .filter(fire => fire.simulated === isSimulated())
+    .map(fire => fire.at);
+}
+
+/**
+ * Get the remaining budget for a stimulus type from stimulus history
+ * Only successful stimuli count towards cooldowns and caps, so limits survive restarts.
+ * Stimuli that were sent but couldn't be recorded count too, until the process restarts.
+ * Simulated and device stimuli have separate budgets. Daily caps reset at midnight in the user's timezone.
+ * @param {string} type - Stimulus type
+ * @param {Date} now - Reference time (default: now)
+ * @returns {Promise<Object>} Limits, last trigger, cooldown and hourly/daily usage
+ */
+async function getBudget(type, now = new Date()) {
+  const limits = await getLimits(type);
+
+  const hourAgo = new Date(now.getTime() - HOUR_MS);
+  const today = toDateKey(now);
+  const startOfDay = zonedTime(today);
+  const endOfDay = zonedTime(addDays(today, 1));
+
+  const successful = { type, success: true, simulated: isSimulated() ? true : { $ne: true } };
+
+  const [last, oldestThisHour, recordedThisHour, recordedToday] = await Promise.all([
+    PavlokStimulus.findOne(successful).sort({ timestamp: -1 }).select('timestamp'),
+    PavlokStimulus.findOne({ ...successful, timestamp: { $gt: hourAgo } }).sort({ timestamp: 1 }).select('timestamp'),
+    PavlokStimulus.countDocuments({ ...successful, timestamp: { $gt: hourAgo } }),
+    PavlokStimulus.countDocuments({ ...successful, timestamp: { $gte: startOfDay } })
+  ]);
+
+  const unrecorded = getUnrecordedFires(type, Math.min(hourAgo.getTime(), startOfDay.getTime()));
+  const unrecordedThisHour = unrecorded.filter(at => at > hourAgo.getTime());
+  const usedThisHour = recordedThisHour + unrecordedThisHour.length;
+  const usedToday = recordedToday + unrecorded.filter(at => at >= startOfDay.getTime()).length;
+
+  const lastAt = Math.max(last ? last.timestamp.getTime() : 0, ...unrecorded);
+  const oldestAt = Math.min(oldestThisHour ? oldestThisHour.timestamp.getTime() : Infinity, ...unrecordedThisHour);
+
+  const cooldownEndsAt = lastAt ? lastAt + limits.cooldownSeconds * 1000 : 0;
+  const hourlyResetsAt = oldestAt !== Infinity ? oldestAt + HOUR_MS : now.getTime();
+
+  return {
+    limits,
+    lastTriggered: lastAt ? new Date(lastAt).toISOString() : null,
+    cooldownRemaining: Math.max(0, Math.ceil((cooldownEndsAt - now.getTime()) / 1000)),
+    hourly: {
+      cap: limits.hourlyCap,
+      used: usedThisHour,
+      remaining: Math.max(0, limits.hourlyCap - usedThisHour),
+      resetsIn: Math.max(0, Math.ceil((hourlyResetsAt - now.getTime()) / 1000))
+    },
+    daily: {
+      cap: limits.dailyCap,
+      used: usedToday,
+      remaining: Math.max(0, limits.dailyCap - usedToday),
+      resetsAt: endOfDay.toISOString(),
+      resetsIn: Math.ceil((endOfDay.getTime() - now.getTime()) / 1000)
+    }
+  };
+}
+
+/**
+ * Check if a stimulus is allowed by the intensity ceiling, cooldown and caps
+ * @param {string} type - Stimulus type
+ * @param {number} intensity - Requested intensity
+ * @returns {Promise<Object>} { allowed, reason?, message?, timeRemaining?, budget }
+ */
+async function checkRateLimit(type, intensity) {
+  const budget = await getBudget(type);
+  const { limits } = budget;
+
+  if (intensity > limits.maxIntensity) {
+    return {
+      allowed: false,
+      reason: 'intensity',
+      message: `${type} intensity is capped at ${limits.maxIntensity}`,
+      budget
+    };
+  }
+
+  if (budget.cooldownRemaining > 0) {
+    return {
+      allowed: false,
+      reason: 'cooldown',
+      message: `Please wait ${budget.cooldownRemaining} seconds before triggering another ${type}`,
+      timeRemaining: budget.cooldownRemaining,
+      budget
+    };
+  }
+
+  if (budget.hourly.remaining === 0) {
+    return {
+      allowed: false,
+      reason: 'hourly',
+      message: `Hourly ${type} cap of ${limits.hourlyCap} reached`,
+      timeRemaining: budget.hourly.resetsIn,
+      budget
+    };
+  }
+
+  if (budget.daily.remaining === 0) {
+    return {
+      allowed: false,
+      reason: 'daily',
+      message: `Daily ${type} cap of ${limits.dailyCap} reached`,
+      timeRemaining: budget.daily.resetsIn,
+      budget
+    };
+  }
+
+  return { allowed: true, budget };
+}
+
+/**
+ * Log stimulus action to database
+ * @param {string} type - Stimulus type
+ * @param {number} intensity - Intensity level
+ * @param {string} reason - Optional reason
+ * @param {boolean} success - Whether the action succeeded
+ * @param {string} error - Error message if failed
+ * @param {Object} context - Optional origin { source, rule, policy, sequence, triggerKey }
+ * @returns {Promise<Object>} Saved stimulus record
+ */
+async function logStimulus(type, intensity, reason, success, error = null, context = {}) {
+  try {
+    const stimulus = new PavlokStimulus({
+      type,
+      intensity,
+      reason: reason || null,
+      success,
+      error,
+      simulated: isSimulated(),
+      source: context.source || 'api',
+      rule: context.rule || null,
+      policy: context.policy || null,
+      sequence: context.sequence || null,
+      triggerKey: context.triggerKey || null
+    });
+
+    await stimulus.save();
+    return stimulus;
+  } catch (err) {
+    console.error('❌ Failed to log stimulus to database:', err.message);
+    // Don't throw - logging failure shouldn't break the stimulus action
+    return null;
+  }
+}
+
+/**
+ * Run fires of one stimulus type one at a time
+ * The limit check, the device call and the history entry that counts towards the limits
+ * span several awaits, so concurrent fires would otherwise all pass the same check.
+ * @param {string} type - Stimulus type
+ * @param {Function} task - Async function to run
+ * @returns {Promise<*>} Result of task
+ * @private
+ */
+function runExclusive(type, task) {
+  const run = (fireQueues[type] || Promise.resolve()).then(task);
+  fireQueues[type] = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Send a stimulus with rate limiting and history logging
+ * Used by API handlers and automated triggers. Fires of the same type are serialized.
+ * @param {string} type - Stimulus type (beep|vibrate|shock)
+ * @param {number} intensity - Intensity level (1-4)
+ * @param {Object} options - { reason, source, rule, policy, sequence, triggerKey }
+ * @returns {Promise<Object>} { success, rateLimited?, reason?, timeRemaining?, budget?, sent?, error?, stimulus? }
+ */
+function fireStimulus(type, intensity, options = {}) {
+  if (!STIMULUS_TYPES.includes(type)) {
+    return Promise.resolve({ success: false, error: `Unknown stimulus type: ${type}` });
+  }
+
+  return runExclusive(type, () => sendStimulus(type, intensity, options));
+}
+
+/**
+ * Check limits, send a stimulus and record it (callers hold the type's queue)
+ * @param {string} type - Stimulus type
+ * @param {number} intensity - Intensity level
+ * @param {Object} options - { reason, source, rule, policy, sequence, triggerKey }
+ * @returns {Promise<Object>} fireStimulus result
+ * @private
+ */
+async function sendStimulus(type, intensity, options) {
+  const { reason = null, ...context } = options;
+
+  const rateLimit = await checkRateLimit(type, intensity);
+
+  if (rateLimit.reason === 'intensity') {
+    // Automated triggers log it as a failure so they don't retry a stimulus that can never be sent
+    const stimulus = context.source
+      ? await logStimulus(type, intensity, reason, false, rateLimit.message, context)
+      : null;
+    return { success: false, reason: 'intensity', error: rateLimit.message, budget: rateLimit.budget, stimulus };
+  }
+
+  if (!rateLimit.allowed) {
+    return {
+      success: false,
+      rateLimited: true,
+      reason: rateLimit.reason,
+      error: rateLimit.message,
+      timeRemaining: rateLimit.timeRemaining,
+      budget: rateLimit.budget
+    };
+  }
+
+  try {
+    const pavlokClient = createPavlokClient();
+    await pavlokClient[type](intensity);
+  } catch (error) {
+    const stimulus = await logStimulus(type, intensity, reason, false, error.message, context);
+    return { success: false, error: error.message, stimulus };
+  }
+
+  const stimulus = await logStimulus(type, intensity, reason, true, null, context);
+
+  if (!stimulus) {
+    // Counted in memory so cooldowns and caps still apply; callers must not retry it
+    (unrecordedFires[type] = unrecordedFires[type] || []).push({ at: Date.now(), simulated: isSimulated() });
+    return {
+      success: false,
+      sent: true,
+      error: `${type} was sent but could not be recorded in history`
+    };
+  }
+
+  return { success: true, stimulus };
+}
+
+module.exports = {
+  STIMULUS_TYPES,
+  getLimits,
+  getMaxShockIntensity,
+  getBudget,
+  checkRateLimit,
+  logStimulus,
+  fireStimulus
+};
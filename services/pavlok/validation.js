@@ -0,0 +1,409 @@
+/**
+ * Pavlok Service - Validation
+ * Validation utilities for stimulus rules, escalation policies, limits, sequences and the simulator
+ */
+
+const { STIMULUS_TYPES, getMaxShockIntensity } = require('./stimulus');
+const { FAILURE_KINDS, isValidFailureKind } = require('./simulator');
+
+const TRIGGER_KINDS = ['schedule', 'calendar'];
+
+// Sequence bounds
+const MAX_SEQUENCE_STEPS = 20;
+const MAX_WAIT_SECONDS = 60;
+const MAX_SEQUENCE_SECONDS = 5 * 60;
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Validate stimulus type and intensity
+ * @param {Object} data - { type, intensity }
+ * @param {Array} errors - Error list to append to
+ * @private
+ */
+function validateStimulusFields(data, errors) {
+  if (data.type !== undefined && !STIMULUS_TYPES.includes(data.type)) {
+    errors.push(`Type must be one of: ${STIMULUS_TYPES.join(', ')}`);
+  }
+
+  if (data.intensity !== undefined) {
+    if (!Number.isInteger(data.intensity) || data.intensity < 1 || data.intensity > 4) {
+      errors.push('Intensity must be an integer between 1 and 4');
+    } else if (data.type === 'shock' && data.intensity > getMaxShockIntensity()) {
+      errors.push(`Shock intensity cannot exceed ${getMaxShockIntensity()}`);
+    }
+  }
+}
+
+/**
+ * Validate rule trigger definition
+ * @param {Object} trigger - Trigger definition
+ * @param {Array} errors - Error list to append to
+ * @private
+ */
+function validateTrigger(trigger, errors) {
+  if (!trigger || typeof trigger !== 'object' || Array.isArray(trigger)) {
+    errors.push('Trigger must be an object');
+    return;
+  }
+
+  if (!TRIGGER_KINDS.includes(trigger.kind)) {
+    errors.push(`Trigger kind must be one of: ${TRIGGER_KINDS.join(', ')}`);
+    return;
+  }
+
+  if (trigger.kind === 'schedule') {
+    if (!trigger.time || !TIME_REGEX.test(trigger.time)) {
+      errors.push('Schedule trigger requires time in HH:MM format');
+    }
+
+    if (trigger.days !== undefined) {
+      const validDays = Array.isArray(trigger.days) &&
+        trigger.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+      if (!validDays) {
+        errors.push('Trigger days must be an array of integers between 0 (Sunday) and 6 (Saturday)');
+      }
+    }
+  }
+
+  if (trigger.kind === 'calendar') {
+    if (trigger.minutesBefore !== undefined) {
+      const valid = Number.isInteger(trigger.minutesBefore) &&
+        trigger.minutesBefore >= 0 && trigger.minutesBefore <= 24 * 60;
+      if (!valid) {
+        errors.push('Trigger minutesBefore must be an integer between 0 and 1440');
+      }
+    }
+
+    if (trigger.match !== undefined && trigger.match !== null && typeof trigger.match !== 'string') {
+      errors.push('Trigger match must be a string');
+    }
+  }
+}
+
+/**
+ * Validate rule creation data
+ * @param {Object} data - Rule data to validate
+ * @returns {Object} Validation result { valid: boolean, errors: Array }
+ */
+function validateRuleCreate(data) {
+  const errors = [];
+
+  if (!data.name || typeof data.name !== 'string' || data.name.trim().length === 0) {
+    errors.push('Rule name is required');
+  }
+
+  if (data.type === undefined) {
+    errors.push('Stimulus type is required');
+  }
+
+  if (data.intensity === undefined) {
+    errors.push('Intensity is required');
+  }
+
+  validateStimulusFields(data, errors);
+  validateTrigger(data.trigger, errors);
+
+  if (data.enabled !== undefined && typeof data.enabled !== 'boolean') {
+    errors.push('Enabled must be a boolean');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate rule update data
+ * @param {Object} data - Rule data to validate
+ * @returns {Object} Validation result { valid: boolean, errors: Array }
+ */
+function validateRuleUpdate(data) {
+  const errors = [];
+
+  const updateFields = ['name', 'enabled', 'type', 'intensity', 'reason', 'trigger'];
+  const hasUpdateField = updateFields.some(field => data.hasOwnProperty(field));
+
+  if (!hasUpdateField) {
+    errors.push('At least one field must be provided for update');
+  }
+
+  if (data.name !== undefined && (typeof data.name !== 'string' || data.name.trim().length === 0)) {
+    errors.push('Rule name cannot be empty');
+  }
+
+  validateStimulusFields(data, errors);
+
+  if (data.trigger !== undefined) {
+    validateTrigger(data.trigger, errors);
+  }
+
+  if (data.enabled !== undefined && typeof data.enabled !== 'boolean') {
+    errors.push('Enabled must be a boolean');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate stimulus limit update data
+ * @param {string} type - Stimulus type being updated
+ * @param {Object} data - Limit data to validate
+ * @returns {Object} Validation result { valid: boolean, errors: Array }
+ */
+function validateLimitUpdate(type, data) {
+  const errors = [];
+
+  const updateFields = ['cooldownSeconds', 'hourlyCap', 'dailyCap', 'maxIntensity'];
+  const hasUpdateField = updateFields.some(field => data.hasOwnProperty(field));
+
+  if (!hasUpdateField) {
+    errors.push(`At least one of ${updateFields.join(', ')} must be provided`);
+  }
+
+  if (data.cooldownSeconds !== undefined) {
+    const valid = Number.isInteger(data.cooldownSeconds) &&
+      data.cooldownSeconds >= 0 && data.cooldownSeconds <= 24 * 60 * 60;
+    if (!valid) {
+      errors.push('Cooldown must be an integer between 0 and 86400 seconds');
+    }
+  }
+
+  ['hourlyCap', 'dailyCap'].forEach(field => {
+    if (data[field] !== undefined && (!Number.isInteger(data[field]) || data[field] < 0)) {
+      errors.push(`${field} must be a non-negative integer`);
+    }
+  });
+
+  if (data.maxIntensity !== undefined) {
+    const ceiling = type === 'shock' ? getMaxShockIntensity() : 4;
+    if (!Number.isInteger(data.maxIntensity) || data.maxIntensity < 1 || data.maxIntensity > ceiling) {
+      errors.push(`Max intensity must be an integer between 1 and ${ceiling}`);
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate simulator failure injection data
+ * @param {Object} data - { failure, times, delayMs }
+ * @returns {Object} Validation result { valid: boolean, errors: Array }
+ */
+function validateFailureInjection(data) {
+  const errors = [];
+
+  if (data.failure === undefined || !isValidFailureKind(String(data.failure))) {
+    errors.push(`Failure must be one of: ${[...Object.keys(FAILURE_KINDS), 'timeout'].join(', ')}`);
+  }
+
+  if (data.times !== undefined && (!Number.isInteger(data.times) || data.times < 1 || data.times > 100)) {
+    errors.push('Times must be an integer between 1 and 100');
+  }
+
+  if (data.delayMs !== undefined && (!Number.isInteger(data.delayMs) || data.delayMs < 0 || data.delayMs > 30000)) {
+    errors.push('delayMs must be an integer between 0 and 30000');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate sequence data
+ * @param {Object} data - Sequence data to validate
+ * @returns {Object} Validation result { valid: boolean, errors: Array }
+ */
+function validateSequence(data) {
+  const errors = [];
+
+  if (data.name !== undefined && data.name !== null && typeof data.name !== 'string') {
+    errors.push('Name must be a string');
+  }
+
+  if (data.reason !== undefined && data.reason !== null && typeof data.reason !== 'string') {
+    errors.push('Reason must be a string');
+  }
+
+  if (!Array.isArray(data.steps) || data.steps.length === 0) {
+    errors.push('Steps must be a non-empty array');
+    return { valid: false, errors };
+  }
+
+  if (data.steps.length > MAX_SEQUENCE_STEPS) {
+    errors.push(`Sequences are limited to ${MAX_SEQUENCE_STEPS} steps`);
+  }
+
+  let totalWait = 0;
+
+  data.steps.forEach((step, index) => {
+    if (step?.type === 'wait') {
+      if (typeof step.seconds !== 'number' || step.seconds <= 0 || step.seconds > MAX_WAIT_SECONDS) {
+        errors.push(`Step ${index + 1}: wait seconds must be a number between 0 and ${MAX_WAIT_SECONDS}`);
+      } else {
+        totalWait += step.seconds;
+      }
+      return;
+    }
+
+    if (!STIMULUS_TYPES.includes(step?.type)) {
+      errors.push(`Step ${index + 1}: type must be one of: ${STIMULUS_TYPES.join(', ')}, wait`);
+      return;
+    }
+
+    if (!Number.isInteger(step.intensity) || step.intensity < 1 || step.intensity > 4) {
+      errors.push(`Step ${index + 1}: intensity must be an integer between 1 and 4`);
+    } else if (step.type === 'shock' && step.intensity > getMaxShockIntensity()) {
+      errors.push(`Step ${index + 1}: shock intensity cannot exceed ${getMaxShockIntensity()}`);
+    }
+  });
+
+  if (totalWait > MAX_SEQUENCE_SECONDS) {
+    errors.push(`Total wait time cannot exceed ${MAX_SEQUENCE_SECONDS} seconds`);
+  }
+
+  if (!data.steps.some(step => STIMULUS_TYPES.includes(step?.type))) {
+    errors.push('Sequence must contain at least one stimulus step');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate policy match, steps, quiet hours and cap
+ * @param {Object} data - Policy data
+ * @param {Array} errors - Error list to append to
+ * @private
+ */
+function validatePolicyFields(data, errors) {
+  if (data.match !== undefined) {
+    if (!data.match || typeof data.match !== 'object' || Array.isArray(data.match)) {
+      errors.push('Match must be an object');
+    } else {
+      const { priorities, projects, labels } = data.match;
+
+      if (priorities !== undefined) {
+        const valid = Array.isArray(priorities) &&
+          priorities.every(p => Number.isInteger(p) && p >= 1 && p <= 4);
+        if (!valid) {
+          errors.push('Match priorities must be an array of integers between 1 and 4');
+        }
+      }
+
+      [['projects', projects], ['labels', labels]].forEach(([field, value]) => {
+        if (value !== undefined && (!Array.isArray(value) || !value.every(v => typeof v === 'string'))) {
+          errors.push(`Match ${field} must be an array of strings`);
+        }
+      });
+    }
+  }
+
+  if (data.steps !== undefined) {
+    if (!Array.isArray(data.steps) || data.steps.length === 0) {
+      errors.push('Steps must be a non-empty array');
+    } else {
+      data.steps.forEach((step, index) => {
+        if (!Number.isInteger(step?.afterMinutes) || step.afterMinutes < 0) {
+          errors.push(`Step ${index + 1}: afterMinutes must be a non-negative integer`);
+        }
+        if (!STIMULUS_TYPES.includes(step?.type)) {
+          errors.push(`Step ${index + 1}: type must be one of: ${STIMULUS_TYPES.join(', ')}`);
+        }
+        if (!Number.isInteger(step?.intensity) || step.intensity < 1 || step.intensity > 4) {
+          errors.push(`Step ${index + 1}: intensity must be an integer between 1 and 4`);
+        } else if (step.type === 'shock' && step.intensity > getMaxShockIntensity()) {
+          errors.push(`Step ${index + 1}: shock intensity cannot exceed ${getMaxShockIntensity()}`);
+        }
+      });
+    }
+  }
+
+  if (data.quietHours !== undefined && data.quietHours !== null) {
+    const { start, end } = data.quietHours;
+    if (!TIME_REGEX.test(start || '') || !TIME_REGEX.test(end || '')) {
+      errors.push('Quiet hours require start and end in HH:MM format');
+    }
+  }
+
+  if (data.dailyCap !== undefined) {
+    if (!Number.isInteger(data.dailyCap) || data.dailyCap < 1) {
+      errors.push('Daily cap must be a positive integer');
+    }
+  }
+
+  if (data.enabled !== undefined && typeof data.enabled !== 'boolean') {
+    errors.push('Enabled must be a boolean');
+  }
+}
+
+/**
+ * Validate escalation policy creation data
+ * @param {Object} data - Policy data to validate
+ * @returns {Object} Validation result { valid: boolean, errors: Array }
+ */
+function validatePolicyCreate(data) {
+  const errors = [];
+
+  if (!data.name || typeof data.name !== 'string' || data.name.trim().length === 0) {
+    errors.push('Policy name is required');
+  }
+
+  if (data.steps === undefined) {
+    errors.push('Steps are required');
+  }
+
+  validatePolicyFields(data, errors);
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate escalation policy update data
+ * @param {Object} data - Policy data to validate
+ * @returns {Object} Validation result { valid: boolean, errors: Array }
+ */
+function validatePolicyUpdate(data) {
+  const errors = [];
+
+  const updateFields = ['name', 'enabled', 'match', 'steps', 'quietHours', 'dailyCap'];
+  const hasUpdateField = updateFields.some(field => data.hasOwnProperty(field));
+
+  if (!hasUpdateField) {
+    errors.push('At least one field must be provided for update');
+  }
+
+  if (data.name !== undefined && (typeof data.name !== 'string' || data.name.trim().length === 0)) {
+    errors.push('Policy name cannot be empty');
+  }
+
+  validatePolicyFields(data, errors);
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+module.exports = {
+  validateLimitUpdate,
+  validateSequence,
+  validateFailureInjection,
+  validateRuleCreate,
+  validateRuleUpdate,
+  validatePolicyCreate,
+  validatePolicyUpdate
+};
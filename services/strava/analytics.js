@@ -0,0 +1,332 @@
+/**
+ * Strava Service - Analytics
+ * Training load and trend calculations over normalized activities, grouped by activity type
+ */
+
+const { toDateKey, addDays, getWeekday } = require('../calendar/utils');
+
+// Exponentially weighted load time constants (days): fatigue and fitness
+const ATL_DAYS = 7;
+const CTL_DAYS = 42;
+
+// Threshold heart rate as a share of max heart rate (intensity 1.0)
+const THRESHOLD_HEARTRATE_RATIO = 0.9;
+
+// Intensity assumed for activities without heart rate (a steady aerobic effort)
+const DEFAULT_INTENSITY = 0.75;
+
+/**
+ * Estimate an activity's training load
+ * TSS-style: one hour at threshold heart rate scores 100. Activities without heart
+ * rate are scored at DEFAULT_INTENSITY.
+ * @param {Object} activity - Normalized activity
+ * @param {number} maxHeartrate - Athlete's max heart rate
+ * @returns {number} Load points
+ */
+function getActivityLoad(activity, maxHeartrate) {
+  const hours = (activity.duration || 0) / 3600;
+  const intensity = activity.average_heartrate
+    ? activity.average_heartrate / (maxHeartrate * THRESHOLD_HEARTRATE_RATIO)
+    : DEFAULT_INTENSITY;
+
+  return hours * intensity * intensity * 100;
+}
+
+/**
+ * Get the Sunday that starts an activity date's week (weeks run Sunday to Saturday, like the unified week view)
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD of the week's Sunday
+ * @private
+ */
+function getWeekStart(dateKey) {
+  return addDays(dateKey, -getWeekday(dateKey));
+}
+
+/**
+ * Create an empty volume total
+ * @returns {Object} { count, distance, duration, elevationGain, load }
+ * @private
+ */
+function emptyTotals() {
+  return { count: 0, distance: 0, duration: 0, elevationGain: 0, load: 0 };
+}
+
+/**
+ * Add an activity to a volume total
+ * @param {Object} totals - Volume total (emptyTotals)
+ * @param {Object} activity - Normalized activity with its load
+ * @private
+ */
+function addToTotals(totals, activity) {
+  totals.count++;
+  totals.distance += activity.distance || 0;
+  totals.duration += activity.duration || 0;
+  totals.elevationGain += activity.elevation_gain || 0;
+  totals.load += activity.load;
+}
+
+/**
+ * Round a volume total for output
+ * @param {Object} totals - Volume total
+ * @returns {Object} Totals with whole meters/seconds and load to one decimal
+ * @private
+ */
+function roundTotals(totals) {
+  return {
+    count: totals.count,
+    distance: Math.round(totals.distance),
+    duration: Math.round(totals.duration),
+    elevationGain: Math.round(totals.elevationGain),
+    load: round(totals.load)
+  };
+}
+
+/**
+ * Round to one decimal place
+ * @param {number|null} value - Value
+ * @returns {number|null} Rounded value
+ * @private
+ */
+function round(value) {
+  return value === null ? null : Math.round(value * 10) / 10;
+}
+
+/**
+ * Sum activity volume per week and type
+ * @param {Array} activities - Activities with dateKey and load
+ * @param {Array<string>} weeks - Week start keys to report
+ * @returns {Array} [{ week, total, byType: { [type]: totals } }]
+ * @private
+ */
+function getWeeklyVolume(activities, weeks) {
+  const byWeek = new Map(weeks.map(week => [week, { total: emptyTotals(), byType: {} }]));
+
+  for (const activity of activities) {
+    const entry = byWeek.get(getWeekStart(activity.dateKey));
+    if (!entry) continue;
+
+    entry.byType[activity.type] = entry.byType[activity.type] || emptyTotals();
+    addToTotals(entry.byType[activity.type], activity);
+    addToTotals(entry.total, activity);
+  }
+
+  return weeks.map(week => {
+    const entry = byWeek.get(week);
+    const byType = {};
+    for (const [type, totals] of Object.entries(entry.byType)) {
+      byType[type] = roundTotals(totals);
+    }
+
+    return { week, total: roundTotals(entry.total), byType };
+  });
+}
+
+/**
+ * Compute acute (ATL) and chronic (CTL) training load and balance (TSB = CTL - ATL)
+ * Loads are exponentially weighted daily totals; days before startKey only warm the averages up.
+ * @param {Array} activities - Activities with dateKey and load
+ * @param {string} warmupKey - First day to accumulate from
+ * @param {string} startKey - First day to report
+ * @param {string} endKey - Last day to report
+ * @returns {Object} { current: { atl, ctl, tsb }, daily: [{ date, load, atl, ctl, tsb }] }
+ * @private
+ */
+function getTrainingLoad(activities, warmupKey, startKey, endKey) {
+  const dailyLoad = new Map();
+  for (const activity of activities) {
+    dailyLoad.set(activity.dateKey, (dailyLoad.get(activity.dateKey) || 0) + activity.load);
+  }
+
+  const atlFactor = 1 - Math.exp(-1 / ATL_DAYS);
+  const ctlFactor = 1 - Math.exp(-1 / CTL_DAYS);
+  let atl = 0;
+  let ctl = 0;
+  const daily = [];
+
+  for (let date = warmupKey; date <= endKey; date = addDays(date, 1)) {
+    const load = dailyLoad.get(date) || 0;
+    atl += (load - atl) * atlFactor;
+    ctl += (load - ctl) * ctlFactor;
+
+    if (date >= startKey) {
+      daily.push({ date, load: round(load), atl: round(atl), ctl: round(ctl), tsb: round(ctl - atl) });
+    }
+  }
+
+  const last = daily[daily.length - 1] || { atl: 0, ctl: 0, tsb: 0 };
+
+  return {
+    current: { atl: last.atl, ctl: last.ctl, tsb: last.tsb },
+    daily
+  };
+}
+
+/**
+ * Least squares slope of a series against its index
+ * @param {Array<number|null>} values - Series (nulls are skipped)
+ * @returns {number|null} Change per step, or null with fewer than two values
+ * @private
+ */
+function getSlope(values) {
+  const points = values
+    .map((value, index) => ({ x: index, y: value }))
+    .filter(point => point.y !== null);
+
+  if (points.length < 2) return null;
+
+  const meanX = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+  const meanY = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+  const numerator = points.reduce((sum, point) => sum + (point.x - meanX) * (point.y - meanY), 0);
+  const denominator = points.reduce((sum, point) => sum + (point.x - meanX) ** 2, 0);
+
+  return numerator / denominator;
+}
+
+/**
+ * Weekly pace and heart rate per type, with their trend
+ * Pace is distance weighted (seconds per km); heart rate is duration weighted.
+ * @param {Array} activities - Activities with dateKey
+ * @param {Array<string>} weeks - Week start keys to report
+ * @returns {Object} { [type]: { weekly: [{ week, count, pace, heartrate }], paceChangePerWeek, heartrateChangePerWeek } }
+ * @private
+ */
+function getTrends(activities, weeks) {
+  const byType = {};
+
+  for (const activity of activities) {
+    const week = getWeekStart(activity.dateKey);
+    if (!weeks.includes(week)) continue;
+
+    byType[activity.type] = byType[activity.type] || {};
+    const entry = byType[activity.type][week] = byType[activity.type][week] ||
+      { count: 0, distance: 0, paceDuration: 0, hrDuration: 0, hrWeighted: 0 };
+
+    entry.count++;
+    if (activity.distance > 0 && activity.duration > 0) {
+      entry.distance += activity.distance;
+      entry.paceDuration += activity.duration;
+    }
+    if (activity.average_heartrate && activity.duration > 0) {
+      entry.hrDuration += activity.duration;
+      entry.hrWeighted += activity.average_heartrate * activity.duration;
+    }
+  }
+
+  const trends = {};
+  for (const [type, byWeek] of Object.entries(byType)) {
+    const weekly = weeks.map(week => {
+      const entry = byWeek[week];
+      return {
+        week,
+        count: entry?.count || 0,
+        pace: entry?.distance ? round(entry.paceDuration / (entry.distance / 1000)) : null,
+        heartrate: entry?.hrDuration ? round(entry.hrWeighted / entry.hrDuration) : null
+      };
+    });
+
+    trends[type] = {
+      weekly,
+      // Negative pace change means getting faster
+      paceChangePerWeek: round(getSlope(weekly.map(week => week.pace))),
+      heartrateChangePerWeek: round(getSlope(weekly.map(week => week.heartrate)))
+    };
+  }
+
+  return trends;
+}
+
+/**
+ * Find the longest and current run of consecutive active days
+ * The current streak counts if the last active day is today or yesterday.
+ * @param {Array<string>} dateKeys - Active days (any order, duplicates allowed)
+ * @param {string} todayKey - Today's date key
+ * @returns {Object} { longest: { days, start, end }, current: { days, start } }
+ * @private
+ */
+function getStreak(dateKeys, todayKey) {
+  const days = [...new Set(dateKeys)].sort();
+  let longest = { days: 0, start: null, end: null };
+  let runStart = null;
+
+  for (let i = 0; i < days.length; i++) {
+    if (i === 0 || addDays(days[i - 1], 1) !== days[i]) {
+      runStart = i;
+    }
+
+    const length = i - runStart + 1;
+    if (length > longest.days) {
+      longest = { days: length, start: days[runStart], end: days[i] };
+    }
+  }
+
+  const last = days[days.length - 1];
+  const current = last && (last === todayKey || last === addDays(todayKey, -1))
+    ? { days: days.length - runStart, start: days[runStart] }
+    : { days: 0, start: null };
+
+  return { longest, current };
+}
+
+/**
+ * Compute training analytics
+ * @param {Array} activities - Normalized activities (from warmupKey on)
+ * @param {Object} options - { weeks, todayKey, maxHeartrate }
+ * @returns {Object} { range, weeklyVolume, load, trends, streaks }
+ */
+function calculateAnalytics(activities, { weeks = 12, todayKey, maxHeartrate }) {
+  const { startKey, warmupKey } = getAnalyticsRange(weeks, todayKey);
+  const weekKeys = Array.from({ length: weeks }, (_, i) => addDays(startKey, i * 7));
+
+  const enriched = activities
+    .filter(activity => activity.date)
+    .map(activity => ({
+      ...activity,
+      type: activity.type || 'Unknown',
+      dateKey: toDateKey(new Date(activity.date)),
+      load: getActivityLoad(activity, maxHeartrate)
+    }))
+    .filter(activity => activity.dateKey >= warmupKey && activity.dateKey <= todayKey);
+
+  const inRange = enriched.filter(activity => activity.dateKey >= startKey);
+
+  const streaksByType = {};
+  for (const type of new Set(inRange.map(activity => activity.type))) {
+    streaksByType[type] = getStreak(inRange.filter(activity => activity.type === type).map(activity => activity.dateKey), todayKey);
+  }
+
+  return {
+    range: { start: startKey, end: todayKey, weeks },
+    weeklyVolume: getWeeklyVolume(inRange, weekKeys),
+    load: {
+      model: { atlDays: ATL_DAYS, ctlDays: CTL_DAYS, maxHeartrate },
+      ...getTrainingLoad(enriched, warmupKey, startKey, todayKey)
+    },
+    trends: getTrends(inRange, weekKeys),
+    streaks: {
+      overall: getStreak(inRange.map(activity => activity.dateKey), todayKey),
+      byType: streaksByType
+    }
+  };
+}
+
+/**
+ * Get the days an analytics window covers
+ * The window is whole weeks ending with the current week; load needs CTL_DAYS of warm-up before it.
+ * @param {number} weeks - Weeks to report
+ * @param {string} todayKey - Today's date key
+ * @returns {Object} { startKey, warmupKey } as YYYY-MM-DD
+ */
+function getAnalyticsRange(weeks, todayKey) {
+  const startKey = addDays(getWeekStart(todayKey), -(weeks - 1) * 7);
+
+  return {
+    startKey,
+    warmupKey: addDays(startKey, -CTL_DAYS)
+  };
+}
+
+module.exports = {
+  getActivityLoad,
+  getAnalyticsRange,
+  calculateAnalytics
+};
@@ -0,0 +1,252 @@
+/**
+ * Strava Service - Athlete Controller
+ * OAuth authorization, authorized athletes, and the athleteId resolver for other routes
+ */
+
+const StravaActivity = require('../../models/StravaActivity');
+const StravaSyncState = require('../../models/StravaSyncState');
+const PersonalRecord = require('../../models/PersonalRecord');
+const { cache } = require('../../shared/middleware/cache');
+const { listAthletes: findAthletes, getDefaultAthleteId, resolveAthleteIds } = require('./tokenStore');
+const {
+  isOAuthConfigured,
+  createAuthorizationUrl,
+  consumeState,
+  exchangeCode,
+  deauthorizeAthlete
+} = require('./oauth');
+const { syncAll, isSyncWorkerRunning } = require('./sync');
+
+const ATHLETE_ID_REGEX = /^\d+$/;
+
+/**
+ * Resolve the athlete a request is for into req.athleteId
+ * Query (or body): athleteId (default: the default athlete)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function resolveAthlete(req, res, next) {
+  try {
+    const requested = req.query.athleteId ?? req.body?.athleteId;
+
+    if (requested !== undefined && !ATHLETE_ID_REGEX.test(String(requested))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid athlete ID',
+        message: 'athleteId must be a Strava athlete ID (see GET /api/strava/athletes)'
+      });
+    }
+
+    const { athleteIds, unknown } = await resolveAthleteIds(requested);
+
+    if (unknown.length > 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Athlete not authorized',
+        message: `Strava athlete ${unknown[0]} has not authorized Lifestack (see GET /api/strava/athletes)`
+      });
+    }
+
+    if (athleteIds.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No Strava athlete authorized',
+        message: 'Authorize an athlete first: GET /api/strava/oauth/authorize'
+      });
+    }
+
+    req.athleteId = athleteIds[0];
+    next();
+
+  } catch (error) {
+    handleError(res, error, 'Failed to resolve Strava athlete');
+  }
+}
+
+/**
+ * Create a link that authorizes an athlete
+ * Strava redirects the athlete to GET /oauth/callback once they approve.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+function authorize(req, res) {
+  if (!isOAuthConfigured()) {
+    return res.status(503).json({
+      success: false,
+      error: 'Strava OAuth not configured',
+      message: 'Set STRAVA_CLIENT_ID and STRAVA_CLIENT_SECRET (https://www.strava.com/settings/api)'
+    });
+  }
+
+  const authorization = createAuthorizationUrl();
+
+  console.log('🔗 Strava authorization link created');
+
+  res.json({
+    success: true,
+    message: `Open authorizeUrl in the athlete's browser within ${authorization.expiresIn / 60} minutes`,
+    ...authorization
+  });
+}
+
+/**
+ * Handle Strava's redirect after the athlete approves (or denies) access
+ * Opened in the athlete's browser, so it responds with a page rather than JSON.
+ * Query: code, scope, state, error
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function oauthCallback(req, res) {
+  const { code, scope, state, error } = req.query;
+
+  if (error) {
+    console.error('❌ Strava authorization denied:', error);
+    return res.status(400).send(renderPage('Authorization Failed', 'Access was not granted. You can close this window.'));
+  }
+
+  if (!consumeState(state)) {
+    return res.status(403).send(renderPage('Link Expired', 'This authorization link is invalid or has expired. Request a new one.'));
+  }
+
+  if (!code) {
+    return res.status(400).send(renderPage('Missing Code', 'Strava did not send an authorization code.'));
+  }
+
+  try {
+    const athlete = await exchangeCode(code, scope || null);
+
+    // Start the new athlete's history now rather than at the next scheduled sync
+    if (isSyncWorkerRunning()) {
+      syncAll({ athleteIds: [athlete.athleteId] });
+    }
+
+    res.send(renderPage(
+      '✅ Authorization Successful!',
+      `${escapeHtml(athlete.name)} (athlete ${athlete.athleteId}) is connected. You can close this window.`
+    ));
+
+  } catch (exchangeError) {
+    console.error('❌ Failed to exchange Strava code for tokens:', exchangeError.response?.data || exchangeError.message);
+    res.status(502).send(renderPage('Token Exchange Failed', 'Check the server log for details.'));
+  }
+}
+
+/**
+ * List authorized athletes (tokens are never returned)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function listAthletes(req, res) {
+  try {
+    const [athletes, defaultAthleteId] = await Promise.all([findAthletes(), getDefaultAthleteId()]);
+
+    res.json({
+      success: true,
+      count: athletes.length,
+      defaultAthleteId,
+      athletes
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to list Strava athletes');
+  }
+}
+
+/**
+ * Disconnect an athlete: revoke access at Strava and remove their tokens
+ * Query: purge (true also deletes their stored history, sync state and records)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function disconnectAthlete(req, res) {
+  try {
+    const { athleteId } = req.params;
+    const purge = req.query.purge === 'true';
+
+    const result = await deauthorizeAthlete(athleteId);
+
+    if (!result.removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Athlete not found',
+        message: `Strava athlete ${athleteId} has not authorized Lifestack`
+      });
+    }
+
+    if (purge) {
+      await Promise.all([
+        StravaActivity.deleteMany({ athleteId }),
+        StravaSyncState.deleteOne({ athleteId }),
+        PersonalRecord.deleteMany({ athleteId })
+      ]);
+    }
+
+    const stravaKeys = cache.keys().filter(key => key.startsWith('strava:'));
+    if (stravaKeys.length > 0) {
+      cache.del(stravaKeys);
+    }
+
+    res.json({
+      success: true,
+      message: purge ? 'Athlete disconnected and stored history deleted' : 'Athlete disconnected',
+      athleteId,
+      revoked: result.revoked,
+      purged: purge
+    });
+
+  } catch (error) {
+    handleError(res, error, `Failed to disconnect Strava athlete ${req.params.athleteId}`);
+  }
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ * @private
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render a minimal page for the browser that followed the OAuth redirect
+ * @param {string} title - Heading
+ * @param {string} message - Paragraph (HTML, already escaped)
+ * @returns {string} HTML
+ * @private
+ */
+function renderPage(title, message) {
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>Lifestack - Strava</title></head>` +
+    `<body><h1>${title}</h1><p>${message}</p></body></html>`;
+}
+
+/**
+ * Handle errors consistently
+ * @param {Object} res - Express response
+ * @param {Error} error - Error object
+ * @param {string} message - Error message
+ * @private
+ */
+function handleError(res, error, message) {
+  console.error(`❌ ${message}:`, error.message);
+
+  res.status(error.status || 500).json({
+    success: false,
+    error: message,
+    message: error.message
+  });
+}
+
+module.exports = {
+  resolveAthlete,
+  authorize,
+  oauthCallback,
+  listAthletes,
+  disconnectAthlete
+};
@@ -3,41 +3,53 @@
  * Wrapper for Strava API v3 with OAuth 2.0 token refresh
  */
 
-const axios = require('axios');
 const { createApiClient } = require('../../shared/utils/apiClient');
-const { loadTokens, saveTokens } = require('./tokenStore');
+const { normalizeActivity } = require('../../shared/utils/normalize');
+const { loadTokens, saveTokens, recordRefreshError, getDefaultAthleteId } = require('./tokenStore');
+const { refreshAccessToken } = require('./oauth');
+
+// Streams fetched for an activity (distance is needed for TCX export)
+const STREAM_KEYS = ['time', 'latlng', 'altitude', 'heartrate', 'cadence', 'distance'];
 
 // Strava API configuration
 const STRAVA_BASE_URL = 'https://www.strava.com/api/v3';
-const STRAVA_TOKEN_URL = 'https://www.strava.com/oauth/token';
 const TOKEN_REFRESH_BUFFER = 300; // Refresh if expires in 5 minutes
 
+/**
+ * Normalize activity streams to arrays keyed by stream type
+ * @param {Object|Array} streams - Strava streams (keyed by type, or the array form)
+ * @returns {Object} { time: [...], latlng: [[lat, lng], ...], ... } (missing streams omitted)
+ */
+function normalizeStreams(streams) {
+  const list = Array.isArray(streams) ? streams : Object.entries(streams || {}).map(([type, stream]) => ({ type, ...stream }));
+
+  return list.reduce((byType, stream) => {
+    if (Array.isArray(stream.data)) {
+      byType[stream.type] = stream.data;
+    }
+    return byType;
+  }, {});
+}
+
 /**
  * Strava API Client Class
+ * Tokens are loaded from the token store on the first request, so creating a client is cheap.
  */
 class StravaClient {
-  constructor(accessToken = null) {
+  constructor(athleteId = null, accessToken = null) {
     // If explicit token provided, use it (for testing/override)
     if (accessToken) {
+      this.athleteId = athleteId ? String(athleteId) : null;
       this.accessToken = accessToken;
       this.manualToken = true;
       this._initializeClient();
       return;
     }
 
-    // Load tokens from file
-    const tokens = loadTokens();
-    if (!tokens) {
-      throw new Error('Strava tokens not found. Run: node services/strava/oauth-setup.js');
-    }
-
-    this.accessToken = tokens.access_token;
-    this.refreshToken = tokens.refresh_token;
-    this.expiresAt = tokens.expires_at;
+    // null means the default athlete, resolved when tokens are loaded
+    this.athleteId = athleteId ? String(athleteId) : null;
+    this.accessToken = null;
     this.manualToken = false;
-
-    // Initialize API client
-    this._initializeClient();
   }
 
   /**
@@ -54,6 +66,31 @@ class StravaClient {
     });
   }
 
+  /**
+   * Load the athlete's tokens from the token store
+   * @private
+   */
+  async _loadTokens() {
+    const athleteId = this.athleteId || await getDefaultAthleteId();
+    const tokens = athleteId ? await loadTokens(athleteId) : null;
+
+    if (!tokens) {
+      const error = new Error(athleteId
+        ? `Strava athlete ${athleteId} has not authorized Lifestack. Authorize: GET /api/strava/oauth/authorize`
+        : 'No Strava athlete authorized. Authorize one: GET /api/strava/oauth/authorize');
+      error.status = 401;
+      error.needsAuthorization = true;
+      throw error;
+    }
+
+    this.athleteId = athleteId;
+    this.accessToken = tokens.access_token;
+    this.refreshToken = tokens.refresh_token;
+    this.expiresAt = tokens.expires_at;
+
+    this._initializeClient();
+  }
+
   /**
    * Check if token needs refresh and refresh if necessary
    * @private
@@ -64,12 +101,16 @@ class StravaClient {
       return;
     }
 
+    if (!this.accessToken) {
+      await this._loadTokens();
+    }
+
     const now = Math.floor(Date.now() / 1000);
     const timeUntilExpiry = this.expiresAt - now;
 
     // Refresh if expires in less than 5 minutes
     if (timeUntilExpiry < TOKEN_REFRESH_BUFFER) {
-      console.log('🔄 Strava token expiring soon, refreshing...');
+      console.log(`🔄 Strava token for athlete ${this.athleteId} expiring soon, refreshing...`);
       await this._refreshToken();
     }
   }
@@ -80,22 +121,11 @@ class StravaClient {
    */
   async _refreshToken() {
     try {
-      const response = await axios.post(STRAVA_TOKEN_URL, {
-        client_id: process.env.STRAVA_CLIENT_ID,
-        client_secret: process.env.STRAVA_CLIENT_SECRET,
-        refresh_token: this.refreshToken,
-        grant_type: 'refresh_token'
-      });
-
       // Update tokens (both access and refresh tokens change!)
-      const tokenData = {
-        access_token: response.data.access_token,
-        refresh_token: response.data.refresh_token,
-        expires_at: response.data.expires_at
-      };
+      const tokenData = await refreshAccessToken(this.refreshToken);
 
-      // Save to file
-      saveTokens(tokenData);
+      // Save to the token store
+      await saveTokens(this.athleteId, tokenData);
 
       // Update instance variables
       this.accessToken = tokenData.access_token;
@@ -108,10 +138,23 @@ class StravaClient {
       console.log('✅ Strava token refreshed successfully');
     } catch (error) {
       console.error('❌ Failed to refresh Strava token:', error.response?.data || error.message);
-      throw new Error('Token refresh failed. You may need to re-authorize: node services/strava/oauth-setup.js');
+      await recordRefreshError(this.athleteId, error.response?.data?.message || error.message).catch(() => {});
+      const formattedError = new Error('Token refresh failed. The athlete may need to re-authorize: GET /api/strava/oauth/authorize');
+      formattedError.status = 401;
+      formattedError.needsAuthorization = true;
+      throw formattedError;
     }
   }
 
+  /**
+   * Get the athlete this client acts for (resolves the default athlete)
+   * @returns {Promise<string|null>} Strava athlete ID (null for a manual token without one)
+   */
+  async getAthleteId() {
+    await this._ensureValidToken();
+    return this.athleteId;
+  }
+
   /**
    * Get current authenticated athlete profile
    * @returns {Promise<Object>} Athlete data
@@ -176,6 +219,28 @@ class StravaClient {
     }
   }
 
+  /**
+   * Get an activity's streams (per sample time, position, altitude, heart rate, cadence, distance)
+   * @param {string|number} activityId - Activity ID
+   * @param {Array<string>} keys - Stream types (default: STREAM_KEYS)
+   * @returns {Promise<Object>} Streams keyed by type ({ time: { data, ... }, ... })
+   */
+  async getActivityStreams(activityId, keys = STREAM_KEYS) {
+    await this._ensureValidToken();
+    try {
+      const response = await this.client.get(`/activities/${activityId}/streams`, {
+        params: {
+          keys: keys.join(','),
+          key_by_type: true
+        }
+      });
+
+      return response.data;
+    } catch (error) {
+      this._handleError(error, `Failed to fetch streams for activity ${activityId}`);
+    }
+  }
+
   /**
    * Get athlete statistics
    * @param {string|number} athleteId - Athlete ID (use 'current' for authenticated athlete)
@@ -204,21 +269,7 @@ class StravaClient {
    * @returns {Object} Normalized activity
    */
   normalizeActivity(activity) {
-    return {
-      id: activity.id?.toString(),
-      name: activity.name,
-      type: activity.type || activity.sport_type,
-      date: activity.start_date || activity.start_date_local,
-      distance: activity.distance || 0, // meters
-      duration: activity.moving_time || activity.elapsed_time || 0, // seconds
-      elevation_gain: activity.total_elevation_gain || 0, // meters
-      average_speed: activity.average_speed || 0, // meters/second
-      max_speed: activity.max_speed || 0, // meters/second
-      average_heartrate: activity.average_heartrate || null,
-      max_heartrate: activity.max_heartrate || null,
-      calories: activity.calories || null,
-      source: 'strava'
-    };
+    return normalizeActivity(activity);
   }
 
   /**
@@ -288,14 +339,16 @@ class StravaClient {
 
 /**
  * Create a Strava client instance
+ * @param {string|null} athleteId - Athlete to act for (default: the default athlete)
  * @param {string} accessToken - Optional access token override
  * @returns {StravaClient} Strava client instance
  */
-function createStravaClient(accessToken = null) {
-  return new StravaClient(accessToken);
+function createStravaClient(athleteId = null, accessToken = null) {
+  return new StravaClient(athleteId, accessToken);
 }
 
 module.exports = {
   StravaClient,
-  createStravaClient
+  createStravaClient,
+  normalizeStreams
 };
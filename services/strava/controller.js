@@ -4,24 +4,36 @@
  */
 
 const { cache } = require('../../shared/middleware/cache');
-const { createStravaClient } = require('./client');
+const { createStravaClient, normalizeStreams } = require('./client');
+const { EXPORT_FORMATS, getExportProblem, buildExport } = require('./export');
+const { getAnalyticsRange, calculateAnalytics } = require('./analytics');
+const { loadActivitiesSince } = require('./sync');
+const { getTodayKey } = require('../calendar/utils');
+const stravaConfig = require('../../config/services').strava;
 
 // Cache duration constants (in seconds)
 const CACHE_DURATIONS = {
   ATHLETE: 60 * 60,        // 1 hour
   ACTIVITIES: 15 * 60,     // 15 minutes
   ACTIVITY: 60 * 60,       // 1 hour
-  STATS: 60 * 60          // 1 hour
+  STATS: 60 * 60,         // 1 hour
+  ANALYTICS: 15 * 60,      // 15 minutes
+  STREAMS: 60 * 60         // 1 hour
 };
 
-// Cache key prefixes
+// Cache key prefixes (followed by the athlete ID)
 const CACHE_KEYS = {
   ATHLETE: 'strava:athlete',
   ACTIVITIES: 'strava:activities',
   ACTIVITY: 'strava:activity',
-  STATS: 'strava:stats'
+  STATS: 'strava:stats',
+  ANALYTICS: 'strava:analytics',
+  STREAMS: 'strava:streams'
 };
 
+// Longest analytics window (weeks)
+const MAX_ANALYTICS_WEEKS = 104;
+
 /**
  * Get cached data or fetch from Strava
  * @param {string} cacheKey - Cache key
@@ -57,10 +69,10 @@ async function getCachedOrFetch(cacheKey, duration, fetchFn) {
  */
 async function getAthlete(req, res) {
   try {
-    const stravaClient = createStravaClient();
+    const stravaClient = createStravaClient(req.athleteId);
 
     const result = await getCachedOrFetch(
-      CACHE_KEYS.ATHLETE,
+      `${CACHE_KEYS.ATHLETE}:${req.athleteId}`,
       CACHE_DURATIONS.ATHLETE,
       () => stravaClient.getAthlete()
     );
@@ -68,6 +80,7 @@ async function getAthlete(req, res) {
     res.json({
       success: true,
       fromCache: result.fromCache,
+      athleteId: req.athleteId,
       athlete: result.data
     });
 
@@ -83,7 +96,7 @@ async function getAthlete(req, res) {
  */
 async function getActivities(req, res) {
   try {
-    const stravaClient = createStravaClient();
+    const stravaClient = createStravaClient(req.athleteId);
 
     // Parse query parameters
     const params = {
@@ -94,7 +107,7 @@ async function getActivities(req, res) {
     };
 
     // Create cache key based on query params
-    const cacheKey = `${CACHE_KEYS.ACTIVITIES}:${JSON.stringify(params)}`;
+    const cacheKey = `${CACHE_KEYS.ACTIVITIES}:${req.athleteId}:${JSON.stringify(params)}`;
 
     const result = await getCachedOrFetch(
       cacheKey,
@@ -108,6 +121,7 @@ async function getActivities(req, res) {
     res.json({
       success: true,
       fromCache: result.fromCache,
+      athleteId: req.athleteId,
       count: normalized.length,
       page: params.page,
       per_page: params.per_page,
@@ -127,7 +141,7 @@ async function getActivities(req, res) {
 async function getActivity(req, res) {
   try {
     const { id } = req.params;
-    const stravaClient = createStravaClient();
+    const stravaClient = createStravaClient(req.athleteId);
 
     // Validate activity ID
     if (!id || isNaN(id)) {
@@ -137,7 +151,7 @@ async function getActivity(req, res) {
       });
     }
 
-    const cacheKey = `${CACHE_KEYS.ACTIVITY}:${id}`;
+    const cacheKey = `${CACHE_KEYS.ACTIVITY}:${req.athleteId}:${id}`;
 
     const result = await getCachedOrFetch(
       cacheKey,
@@ -151,6 +165,7 @@ async function getActivity(req, res) {
     res.json({
       success: true,
       fromCache: result.fromCache,
+      athleteId: req.athleteId,
       activity: normalized,
       raw: result.data // Include raw data for additional details
     });
@@ -167,20 +182,20 @@ async function getActivity(req, res) {
  */
 async function getAthleteStats(req, res) {
   try {
-    const stravaClient = createStravaClient();
-    const athleteId = req.query.athleteId || 'current';
+    const stravaClient = createStravaClient(req.athleteId);
 
-    const cacheKey = `${CACHE_KEYS.STATS}:${athleteId}`;
+    const cacheKey = `${CACHE_KEYS.STATS}:${req.athleteId}`;
 
     const result = await getCachedOrFetch(
       cacheKey,
       CACHE_DURATIONS.STATS,
-      () => stravaClient.getAthleteStats(athleteId)
+      () => stravaClient.getAthleteStats(req.athleteId)
     );
 
     res.json({
       success: true,
       fromCache: result.fromCache,
+      athleteId: req.athleteId,
       stats: result.data
     });
 
@@ -196,10 +211,10 @@ async function getAthleteStats(req, res) {
  */
 async function getRecentActivities(req, res) {
   try {
-    const stravaClient = createStravaClient();
+    const stravaClient = createStravaClient(req.athleteId);
     const limit = Math.min(parseInt(req.query.limit) || 10, 50);
 
-    const cacheKey = `${CACHE_KEYS.ACTIVITIES}:recent:${limit}`;
+    const cacheKey = `${CACHE_KEYS.ACTIVITIES}:${req.athleteId}:recent:${limit}`;
 
     const result = await getCachedOrFetch(
       cacheKey,
@@ -213,6 +228,7 @@ async function getRecentActivities(req, res) {
     res.json({
       success: true,
       fromCache: result.fromCache,
+      athleteId: req.athleteId,
       count: normalized.length,
       limit,
       activities: normalized
@@ -223,6 +239,142 @@ async function getRecentActivities(req, res) {
   }
 }
 
+/**
+ * Get training analytics: weekly volume, training load, pace/heart rate trends and streaks per type
+ * Reads stored history when it covers the window, otherwise fetches from Strava.
+ * Query: weeks (1-104, default: 12)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getAnalytics(req, res) {
+  try {
+    const weeks = req.query.weeks === undefined ? 12 : parseInt(req.query.weeks);
+
+    if (!Number.isInteger(weeks) || weeks < 1 || weeks > MAX_ANALYTICS_WEEKS) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid weeks',
+        message: `weeks must be between 1 and ${MAX_ANALYTICS_WEEKS}`
+      });
+    }
+
+    const todayKey = getTodayKey();
+    const cacheKey = `${CACHE_KEYS.ANALYTICS}:${req.athleteId}:${weeks}:${todayKey}`;
+
+    const result = await getCachedOrFetch(cacheKey, CACHE_DURATIONS.ANALYTICS, async () => {
+      const { warmupKey } = getAnalyticsRange(weeks, todayKey);
+      const { activities, source } = await loadActivitiesSince(req.athleteId, warmupKey);
+
+      return {
+        athleteId: req.athleteId,
+        source,
+        ...calculateAnalytics(activities, { weeks, todayKey, maxHeartrate: stravaConfig.maxHeartrate })
+      };
+    });
+
+    res.json({
+      success: true,
+      fromCache: result.fromCache,
+      ...result.data
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to calculate analytics');
+  }
+}
+
+/**
+ * Get an activity's streams (time, latlng, altitude, heartrate, cadence, distance)
+ * Streams are arrays with one entry per sample; types the activity didn't record are omitted.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getActivityStreams(req, res) {
+  try {
+    const { id } = req.params;
+
+    // Validate activity ID
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid activity ID'
+      });
+    }
+
+    const result = await fetchStreams(createStravaClient(req.athleteId), req.athleteId, id);
+
+    res.json({
+      success: true,
+      fromCache: result.fromCache,
+      athleteId: req.athleteId,
+      activityId: id,
+      points: result.data.time ? result.data.time.length : 0,
+      streams: result.data
+    });
+
+  } catch (error) {
+    handleError(res, error, `Failed to fetch streams for activity ${req.params.id}`);
+  }
+}
+
+/**
+ * Export an activity as a GPX or TCX file built from its streams
+ * Query: format (gpx | tcx, default: gpx)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function exportActivity(req, res) {
+  try {
+    const { id } = req.params;
+    const format = (req.query.format || 'gpx').toLowerCase();
+
+    // Validate activity ID
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid activity ID'
+      });
+    }
+
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid format',
+        message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      });
+    }
+
+    const stravaClient = createStravaClient(req.athleteId);
+
+    const activity = await getCachedOrFetch(
+      `${CACHE_KEYS.ACTIVITY}:${req.athleteId}:${id}`,
+      CACHE_DURATIONS.ACTIVITY,
+      () => stravaClient.getActivity(id)
+    );
+    const streams = await fetchStreams(stravaClient, req.athleteId, id);
+
+    const problem = getExportProblem(format, streams.data);
+    if (problem) {
+      return res.status(422).json({
+        success: false,
+        error: `Cannot export activity ${id} as ${format.toUpperCase()}`,
+        message: problem
+      });
+    }
+
+    const file = buildExport(format, activity.data, streams.data);
+
+    console.log(`📤 Exported activity ${id} as ${format.toUpperCase()} (${streams.data.time.length} points)`);
+
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(file.body);
+
+  } catch (error) {
+    handleError(res, error, `Failed to export activity ${req.params.id}`);
+  }
+}
+
 /**
  * Clear Strava cache
  * @param {Object} req - Express request
@@ -285,6 +437,22 @@ function getCacheStats(req, res) {
   }
 }
 
+/**
+ * Get an activity's normalized streams, cached
+ * @param {StravaClient} stravaClient - Strava client
+ * @param {string} athleteId - Strava athlete ID
+ * @param {string} id - Activity ID
+ * @returns {Promise<Object>} { data: streams keyed by type, fromCache }
+ * @private
+ */
+function fetchStreams(stravaClient, athleteId, id) {
+  return getCachedOrFetch(
+    `${CACHE_KEYS.STREAMS}:${athleteId}:${id}`,
+    CACHE_DURATIONS.STREAMS,
+    async () => normalizeStreams(await stravaClient.getActivityStreams(id))
+  );
+}
+
 /**
  * Handle errors consistently
  * @param {Object} res - Express response
@@ -313,7 +481,11 @@ function handleError(res, error, message) {
 
   if (error.needsRefresh) {
     response.needsRefresh = true;
-    response.message = 'Strava access token needs to be refreshed. Run: node services/strava/oauth-setup.js';
+    response.message = 'Strava access token was rejected. The athlete may need to re-authorize: GET /api/strava/oauth/authorize';
+  }
+
+  if (error.needsAuthorization) {
+    response.needsAuthorization = true;
   }
 
   res.status(status).json(response);
@@ -325,6 +497,9 @@ module.exports = {
   getActivity,
   getAthleteStats,
   getRecentActivities,
+  getAnalytics,
+  getActivityStreams,
+  exportActivity,
   clearCache,
   getCacheStats
 };
@@ -0,0 +1,207 @@
+/**
+ * Strava Service - Activity Export
+ * Builds GPX 1.1 and TCX v2 files from an activity and its streams
+ */
+
+// Content type and file extension per export format
+const EXPORT_FORMATS = {
+  gpx: { contentType: 'application/gpx+xml', extension: 'gpx' },
+  tcx: { contentType: 'application/vnd.garmin.tcx+xml', extension: 'tcx' }
+};
+
+// TCX Sport values (anything else is "Other")
+const TCX_SPORTS = {
+  Run: 'Running',
+  TrailRun: 'Running',
+  VirtualRun: 'Running',
+  Walk: 'Running',
+  Hike: 'Running',
+  Ride: 'Biking',
+  VirtualRide: 'Biking',
+  EBikeRide: 'Biking',
+  MountainBikeRide: 'Biking',
+  GravelRide: 'Biking'
+};
+
+/**
+ * Escape text for XML content and attributes
+ * @param {*} value - Value
+ * @returns {string} Escaped text
+ * @private
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Format a sample's timestamp (activity start plus the sample's time offset)
+ * @param {number} startMs - Activity start in milliseconds
+ * @param {number} offsetSeconds - Time stream value
+ * @returns {string} ISO 8601 timestamp without milliseconds
+ * @private
+ */
+function sampleTime(startMs, offsetSeconds) {
+  return new Date(startMs + offsetSeconds * 1000).toISOString().replace('.000Z', 'Z');
+}
+
+/**
+ * Check that an activity can be exported in a format
+ * @param {string} format - 'gpx' | 'tcx'
+ * @param {Object} streams - Normalized streams
+ * @returns {string|null} Reason it can't, or null
+ */
+function getExportProblem(format, streams) {
+  if (!streams.time || streams.time.length === 0) {
+    return 'Activity has no time stream (manual activities have no samples)';
+  }
+
+  if (format === 'gpx' && !streams.latlng) {
+    return 'Activity has no GPS data; GPX needs positions, export as TCX instead';
+  }
+
+  return null;
+}
+
+/**
+ * Build a GPX 1.1 track (heart rate and cadence use Garmin's TrackPointExtension)
+ * Samples without a position are skipped, since GPX track points need one.
+ * @param {Object} activity - Raw Strava activity (summary or detail)
+ * @param {Object} streams - Normalized streams
+ * @returns {string} GPX document
+ */
+function buildGpx(activity, streams) {
+  const startMs = Date.parse(activity.start_date);
+  const points = [];
+
+  streams.time.forEach((offset, i) => {
+    const position = streams.latlng?.[i];
+    if (!position) return;
+
+    const extensions = [
+      streams.heartrate?.[i] !== undefined ? `<gpxtpx:hr>${Math.round(streams.heartrate[i])}</gpxtpx:hr>` : null,
+      streams.cadence?.[i] !== undefined ? `<gpxtpx:cad>${Math.round(streams.cadence[i])}</gpxtpx:cad>` : null
+    ].filter(Boolean);
+
+    points.push([
+      `      <trkpt lat="${position[0]}" lon="${position[1]}">`,
+      streams.altitude?.[i] !== undefined ? `        <ele>${streams.altitude[i]}</ele>` : null,
+      `        <time>${sampleTime(startMs, offset)}</time>`,
+      extensions.length > 0
+        ? `        <extensions><gpxtpx:TrackPointExtension>${extensions.join('')}</gpxtpx:TrackPointExtension></extensions>`
+        : null,
+      '      </trkpt>'
+    ].filter(Boolean).join('\n'));
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Lifestack" xmlns="http://www.topografix.com/GPX/1/1"',
+    '     xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1">',
+    '  <metadata>',
+    `    <name>${escapeXml(activity.name || 'Strava activity')}</name>`,
+    `    <time>${sampleTime(startMs, 0)}</time>`,
+    '  </metadata>',
+    '  <trk>',
+    `    <name>${escapeXml(activity.name || 'Strava activity')}</name>`,
+    `    <type>${escapeXml(activity.sport_type || activity.type || 'Workout')}</type>`,
+    '    <trkseg>',
+    ...points,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Build a TCX v2 activity with a single lap
+ * @param {Object} activity - Raw Strava activity (summary or detail)
+ * @param {Object} streams - Normalized streams
+ * @returns {string} TCX document
+ */
+function buildTcx(activity, streams) {
+  const startMs = Date.parse(activity.start_date);
+  const startTime = sampleTime(startMs, 0);
+  const sport = TCX_SPORTS[activity.sport_type] || TCX_SPORTS[activity.type] || 'Other';
+
+  // Elements must follow the schema's order
+  const trackpoints = streams.time.map((offset, i) => {
+    const position = streams.latlng?.[i];
+    return [
+      '          <Trackpoint>',
+      `            <Time>${sampleTime(startMs, offset)}</Time>`,
+      position
+        ? `            <Position><LatitudeDegrees>${position[0]}</LatitudeDegrees><LongitudeDegrees>${position[1]}</LongitudeDegrees></Position>`
+        : null,
+      streams.altitude?.[i] !== undefined ? `            <AltitudeMeters>${streams.altitude[i]}</AltitudeMeters>` : null,
+      streams.distance?.[i] !== undefined ? `            <DistanceMeters>${streams.distance[i]}</DistanceMeters>` : null,
+      streams.heartrate?.[i] !== undefined
+        ? `            <HeartRateBpm><Value>${Math.round(streams.heartrate[i])}</Value></HeartRateBpm>`
+        : null,
+      streams.cadence?.[i] !== undefined ? `            <Cadence>${Math.min(Math.round(streams.cadence[i]), 254)}</Cadence>` : null,
+      '          </Trackpoint>'
+    ].filter(Boolean).join('\n');
+  });
+
+  const lastDistance = streams.distance?.[streams.distance.length - 1];
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2">',
+    '  <Activities>',
+    `    <Activity Sport="${sport}">`,
+    `      <Id>${startTime}</Id>`,
+    `      <Lap StartTime="${startTime}">`,
+    `        <TotalTimeSeconds>${activity.elapsed_time || streams.time[streams.time.length - 1]}</TotalTimeSeconds>`,
+    `        <DistanceMeters>${activity.distance ?? lastDistance ?? 0}</DistanceMeters>`,
+    activity.max_speed ? `        <MaximumSpeed>${activity.max_speed}</MaximumSpeed>` : null,
+    `        <Calories>${Math.round(activity.calories || 0)}</Calories>`,
+    activity.average_heartrate
+      ? `        <AverageHeartRateBpm><Value>${Math.round(activity.average_heartrate)}</Value></AverageHeartRateBpm>`
+      : null,
+    activity.max_heartrate
+      ? `        <MaximumHeartRateBpm><Value>${Math.round(activity.max_heartrate)}</Value></MaximumHeartRateBpm>`
+      : null,
+    '        <Intensity>Active</Intensity>',
+    '        <TriggerMethod>Manual</TriggerMethod>',
+    '        <Track>',
+    ...trackpoints,
+    '        </Track>',
+    '      </Lap>',
+    `      <Notes>${escapeXml(activity.name || 'Strava activity')}</Notes>`,
+    '    </Activity>',
+    '  </Activities>',
+    '</TrainingCenterDatabase>',
+    ''
+  ].filter(line => line !== null).join('\n');
+}
+
+/**
+ * Build an export file
+ * @param {string} format - 'gpx' | 'tcx'
+ * @param {Object} activity - Raw Strava activity
+ * @param {Object} streams - Normalized streams
+ * @returns {Object} { body, contentType, filename }
+ */
+function buildExport(format, activity, streams) {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+
+  return {
+    body: format === 'gpx' ? buildGpx(activity, streams) : buildTcx(activity, streams),
+    contentType,
+    filename: `strava-${activity.id}.${extension}`
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  getExportProblem,
+  buildGpx,
+  buildTcx,
+  buildExport
+};
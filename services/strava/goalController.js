@@ -0,0 +1,297 @@
+/**
+ * Strava Service - Goal Controller
+ * CRUD handlers for fitness goals, with progress, and personal records
+ */
+
+const FitnessGoal = require('../../models/FitnessGoal');
+const { cache } = require('../../shared/middleware/cache');
+const { isValidObjectId } = require('../memory/validation');
+const { validateGoalCreate, validateGoalUpdate } = require('./validation');
+const { evaluateGoals } = require('./goals');
+const { listRecords: findRecords } = require('./records');
+const { resolveAthleteIds } = require('./tokenStore');
+
+/**
+ * List goals with progress for their current period
+ * Query: enabled (true | false), athleteId (that athlete's goals)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function listGoals(req, res) {
+  try {
+    const query = {};
+    if (req.query.enabled === 'true') query.enabled = true;
+    if (req.query.enabled === 'false') query.enabled = false;
+    if (req.query.athleteId) query.athleteId = String(req.query.athleteId);
+
+    const goals = await FitnessGoal.find(query).sort({ createdAt: 1 });
+    const result = await evaluateGoals(goals);
+
+    res.json({
+      success: true,
+      count: result.goals.length,
+      sources: result.sources,
+      goals: result.goals
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch goals');
+  }
+}
+
+/**
+ * Get a goal with progress
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getGoal(req, res) {
+  try {
+    const goal = await findGoalOr404(req, res);
+    if (!goal) return;
+
+    const result = await evaluateGoals([goal]);
+
+    res.json({
+      success: true,
+      sources: result.sources,
+      goal: result.goals[0]
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch goal');
+  }
+}
+
+/**
+ * Create a goal
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function createGoal(req, res) {
+  try {
+    const validation = validateGoalCreate(req.body);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: validation.errors
+      });
+    }
+
+    if (!await checkGoalAthlete(req, res)) return;
+
+    const { name, enabled, metric, target, period, activityTypes, athleteId } = req.body;
+
+    const goal = new FitnessGoal({
+      name, enabled, metric, target, period, activityTypes,
+      athleteId: athleteId ? String(athleteId) : null
+    });
+    await goal.save();
+    invalidateFitnessSummary();
+
+    console.log(`✅ Created fitness goal: ${goal.name} (${goal._id})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Goal created successfully',
+      goal
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to create goal');
+  }
+}
+
+/**
+ * Update a goal
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function updateGoal(req, res) {
+  try {
+    const validation = validateGoalUpdate(req.body);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: validation.errors
+      });
+    }
+
+    if (!await checkGoalAthlete(req, res)) return;
+
+    const goal = await findGoalOr404(req, res);
+    if (!goal) return;
+
+    ['name', 'enabled', 'metric', 'target', 'period', 'activityTypes'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        goal[field] = req.body[field];
+      }
+    });
+    if (req.body.athleteId !== undefined) {
+      goal.athleteId = req.body.athleteId ? String(req.body.athleteId) : null;
+    }
+    await goal.save();
+    invalidateFitnessSummary();
+
+    console.log(`✅ Updated fitness goal: ${goal._id}`);
+
+    res.json({
+      success: true,
+      message: 'Goal updated successfully',
+      goal
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to update goal');
+  }
+}
+
+/**
+ * Delete a goal
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function deleteGoal(req, res) {
+  try {
+    const goal = await findGoalOr404(req, res);
+    if (!goal) return;
+
+    await goal.deleteOne();
+    invalidateFitnessSummary();
+
+    console.log(`✅ Deleted fitness goal: ${goal._id}`);
+
+    res.json({
+      success: true,
+      message: 'Goal deleted successfully',
+      goal
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to delete goal');
+  }
+}
+
+/**
+ * List personal records for an athlete (req.athleteId)
+ * Records are detected as activities are stored, so an athlete has none before their first sync.
+ * Query: type (activity type, e.g. Run), athleteId
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function listRecords(req, res) {
+  try {
+    const { athleteId } = req;
+    const records = await findRecords(athleteId, { activityType: req.query.type || null });
+
+    res.json({
+      success: true,
+      athleteId,
+      count: records.length,
+      records
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch personal records');
+  }
+}
+
+/**
+ * Find a goal by req.params.id, responding 400/404 when it can't
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} Goal document or null if a response was sent
+ * @private
+ */
+async function findGoalOr404(req, res) {
+  const { id } = req.params;
+
+  if (!isValidObjectId(id)) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid goal ID format'
+    });
+    return null;
+  }
+
+  const goal = await FitnessGoal.findById(id);
+
+  if (!goal) {
+    res.status(404).json({
+      success: false,
+      error: 'Goal not found',
+      message: `No goal found with ID: ${id}`
+    });
+    return null;
+  }
+
+  return goal;
+}
+
+/**
+ * Check that a goal's athleteId (if any) belongs to an authorized athlete, responding 400 if not
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<boolean>} False if a response was sent
+ * @private
+ */
+async function checkGoalAthlete(req, res) {
+  if (!req.body.athleteId) return true;
+
+  const { unknown } = await resolveAthleteIds(String(req.body.athleteId));
+
+  if (unknown.length > 0) {
+    res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      errors: [`Strava athlete ${unknown[0]} has not authorized Lifestack`]
+    });
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Drop the cached unified fitness summaries (every athlete selection), which include goal progress
+ * @private
+ */
+function invalidateFitnessSummary() {
+  const keys = cache.keys().filter(key => key.startsWith('unified:fitness:'));
+
+  if (keys.length > 0) {
+    cache.del(keys);
+  }
+}
+
+/**
+ * Handle errors consistently
+ * @param {Object} res - Express response
+ * @param {Error} error - Error object
+ * @param {string} message - Error message
+ * @private
+ */
+function handleError(res, error, message) {
+  console.error(`❌ ${message}:`, error.message);
+
+  // Mongoose validation errors are client errors
+  const status = error.name === 'ValidationError' ? 400 : (error.status || 500);
+
+  res.status(status).json({
+    success: false,
+    error: message,
+    message: error.message
+  });
+}
+
+module.exports = {
+  listGoals,
+  getGoal,
+  createGoal,
+  updateGoal,
+  deleteGoal,
+  listRecords
+};
@@ -0,0 +1,185 @@
+/**
+ * Strava Service - Goal Progress
+ * Evaluates fitness goals against normalized Strava activities
+ */
+
+const FitnessGoal = require('../../models/FitnessGoal');
+const { cache } = require('../../shared/middleware/cache');
+const { loadActivitiesSince } = require('./sync');
+const { listAthletes } = require('./tokenStore');
+const { toDateKey, addDays, getWeekday, getTodayKey } = require('../calendar/utils');
+
+// Activities loaded for goal progress are cached per athlete (webhook events clear the owner's entries)
+const ACTIVITIES_CACHE_PREFIX = 'strava:goals:activities';
+const ACTIVITIES_CACHE_DURATION = 15 * 60;
+
+// Unit each metric's target and progress are expressed in
+const METRIC_UNITS = {
+  distance: 'km',
+  duration: 'minutes',
+  elevation: 'm',
+  count: 'activities'
+};
+
+/**
+ * Get the current period's first and last day
+ * @param {string} period - 'week' (Sunday to Saturday) | 'month' | 'year'
+ * @param {string} todayKey - Today's date key
+ * @returns {Object} { start, end } as YYYY-MM-DD
+ */
+function getPeriodRange(period, todayKey) {
+  if (period === 'week') {
+    const start = addDays(todayKey, -getWeekday(todayKey));
+    return { start, end: addDays(start, 6) };
+  }
+
+  if (period === 'month') {
+    const start = `${todayKey.slice(0, 7)}-01`;
+    const nextMonth = addDays(start, 31).slice(0, 7);
+    return { start, end: addDays(`${nextMonth}-01`, -1) };
+  }
+
+  return { start: `${todayKey.slice(0, 4)}-01-01`, end: `${todayKey.slice(0, 4)}-12-31` };
+}
+
+/**
+ * Get an activity's contribution to a metric, in the metric's unit
+ * @param {string} metric - Goal metric
+ * @param {Object} activity - Normalized activity
+ * @returns {number} Amount
+ * @private
+ */
+function getMetricValue(metric, activity) {
+  switch (metric) {
+    case 'distance': return (activity.distance || 0) / 1000;
+    case 'duration': return (activity.duration || 0) / 60;
+    case 'elevation': return activity.elevation_gain || 0;
+    default: return 1;
+  }
+}
+
+/**
+ * Count days between two date keys, inclusive
+ * @param {string} start - YYYY-MM-DD
+ * @param {string} end - YYYY-MM-DD
+ * @returns {number} Days
+ * @private
+ */
+function countDays(start, end) {
+  return Math.round((Date.parse(end) - Date.parse(start)) / (24 * 60 * 60 * 1000)) + 1;
+}
+
+/**
+ * Evaluate one goal for its current period
+ * onTrack compares progress with an even pace through the period.
+ * @param {Object} goal - FitnessGoal document
+ * @param {Array} activities - Normalized activities with dateKey
+ * @param {string} todayKey - Today's date key
+ * @returns {Object} { start, end, current, target, unit, percent, remaining, expected, achieved, onTrack, activities }
+ */
+function evaluateGoal(goal, activities, todayKey) {
+  const { start, end } = getPeriodRange(goal.period, todayKey);
+  const counted = activities.filter(activity =>
+    activity.dateKey >= start && activity.dateKey <= end && goal.matchesActivity(activity)
+  );
+
+  const current = counted.reduce((sum, activity) => sum + getMetricValue(goal.metric, activity), 0);
+  const expected = goal.target * countDays(start, todayKey) / countDays(start, end);
+  const round = value => Math.round(value * 100) / 100;
+
+  return {
+    start,
+    end,
+    current: round(current),
+    target: goal.target,
+    unit: METRIC_UNITS[goal.metric],
+    percent: Math.round((current / goal.target) * 100),
+    remaining: round(Math.max(goal.target - current, 0)),
+    expected: round(expected),
+    achieved: current >= goal.target,
+    onTrack: current >= expected,
+    activities: counted.length
+  };
+}
+
+/**
+ * Load an athlete's activities for goal progress, cached
+ * @param {string} athleteId - Strava athlete ID
+ * @param {string} startKey - First date needed (YYYY-MM-DD)
+ * @returns {Promise<Object>} { activities (with dateKey), source }
+ * @private
+ */
+async function loadGoalActivities(athleteId, startKey) {
+  const cacheKey = `${ACTIVITIES_CACHE_PREFIX}:${athleteId}:${startKey}`;
+  let loaded = cache.get(cacheKey);
+  if (!loaded) {
+    loaded = await loadActivitiesSince(athleteId, startKey);
+    cache.set(cacheKey, loaded, ACTIVITIES_CACHE_DURATION);
+  }
+
+  return {
+    source: loaded.source,
+    activities: loaded.activities
+      .filter(activity => activity.date)
+      .map(activity => ({ ...activity, dateKey: toDateKey(new Date(activity.date)) }))
+  };
+}
+
+/**
+ * Evaluate goals against activities for their current periods
+ * A goal counts its athlete's activities, or every authorized athlete's when it has none.
+ * @param {Array} goals - FitnessGoal documents
+ * @returns {Promise<Object>} { sources: { athleteId: 'history' | 'strava' }, goals: [{ ...goal, athleteIds, progress }] }
+ */
+async function evaluateGoals(goals) {
+  if (goals.length === 0) {
+    return { sources: {}, goals: [] };
+  }
+
+  const todayKey = getTodayKey();
+  const startKey = goals
+    .map(goal => getPeriodRange(goal.period, todayKey).start)
+    .sort()[0];
+
+  const everyone = goals.some(goal => !goal.athleteId)
+    ? (await listAthletes()).map(athlete => athlete.athleteId)
+    : [];
+  const athleteIds = [...new Set([...everyone, ...goals.map(goal => goal.athleteId).filter(Boolean)])];
+
+  // One athlete at a time keeps Strava requests (when history doesn't cover the period) sequential
+  const loaded = {};
+  for (const athleteId of athleteIds) {
+    loaded[athleteId] = await loadGoalActivities(athleteId, startKey);
+  }
+
+  return {
+    sources: Object.fromEntries(athleteIds.map(athleteId => [athleteId, loaded[athleteId].source])),
+    goals: goals.map(goal => {
+      const counted = goal.athleteId ? [goal.athleteId] : everyone;
+      const activities = counted.flatMap(athleteId => loaded[athleteId].activities);
+
+      return {
+        ...goal.toJSON(),
+        athleteIds: counted,
+        progress: evaluateGoal(goal, activities, todayKey)
+      };
+    })
+  };
+}
+
+/**
+ * Get progress for every enabled goal
+ * @param {Array<string>|null} athleteIds - Only combined goals and these athletes' goals (default: all goals)
+ * @returns {Promise<Object>} { sources, goals: [{ ...goal, athleteIds, progress }] }
+ */
+async function getGoalProgress(athleteIds = null) {
+  return evaluateGoals(await FitnessGoal.findEnabled(athleteIds));
+}
+
+module.exports = {
+  METRIC_UNITS,
+  getPeriodRange,
+  evaluateGoal,
+  evaluateGoals,
+  getGoalProgress
+};
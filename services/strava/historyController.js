@@ -0,0 +1,227 @@
+/**
+ * Strava Service - History Controller
+ * Handlers for activity history stored in MongoDB and its sync
+ */
+
+const StravaActivity = require('../../models/StravaActivity');
+const StravaSyncState = require('../../models/StravaSyncState');
+const { validateHistoryQuery } = require('./validation');
+const { resolveAthleteIds } = require('./tokenStore');
+const {
+  syncAll,
+  getSyncStatus: getHistorySyncStatus,
+  isSyncWorkerRunning,
+  isSyncing
+} = require('./sync');
+
+/**
+ * Validate the query for the requested athlete's history (req.athleteId)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} { athleteId, filter }, or null if a response was sent
+ * @private
+ */
+async function resolveHistoryQuery(req, res) {
+  const validation = validateHistoryQuery(req.query);
+
+  if (!validation.valid) {
+    res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      errors: validation.errors
+    });
+    return null;
+  }
+
+  const { athleteId } = req;
+
+  if (!await StravaSyncState.exists({ athleteId })) {
+    res.status(404).json({
+      success: false,
+      error: 'No Strava history stored',
+      message: `Athlete ${athleteId} hasn't been synced yet. Run a sync first: POST /api/strava/sync`
+    });
+    return null;
+  }
+
+  return { athleteId, filter: validation.filter };
+}
+
+/**
+ * List stored activities, newest first
+ * Query: type, start, end (YYYY-MM-DD) or year, page, limit
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getHistory(req, res) {
+  try {
+    const resolved = await resolveHistoryQuery(req, res);
+    if (!resolved) return;
+
+    const { athleteId, filter } = resolved;
+    const { activities, total } = await StravaActivity.findHistory(athleteId, {
+      type: filter.type,
+      start: filter.start,
+      end: filter.end,
+      limit: filter.limit,
+      skip: (filter.page - 1) * filter.limit
+    });
+
+    res.json({
+      success: true,
+      athleteId,
+      total,
+      count: activities.length,
+      page: filter.page,
+      limit: filter.limit,
+      activities
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch activity history');
+  }
+}
+
+/**
+ * Total stored activities per month or year and type
+ * Query: period (month | year), type, start, end (YYYY-MM-DD) or year
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getHistorySummary(req, res) {
+  try {
+    const resolved = await resolveHistoryQuery(req, res);
+    if (!resolved) return;
+
+    const { athleteId, filter } = resolved;
+    const summary = await StravaActivity.summarize(athleteId, filter);
+
+    res.json({
+      success: true,
+      athleteId,
+      period: filter.period,
+      count: summary.length,
+      summary
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to summarize activity history');
+  }
+}
+
+/**
+ * Get history sync status
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getSyncStatus(req, res) {
+  try {
+    const athletes = await getHistorySyncStatus();
+
+    res.json({
+      success: true,
+      worker: isSyncWorkerRunning() ? 'running' : 'stopped',
+      syncing: isSyncing(),
+      athletes
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to get sync status');
+  }
+}
+
+/**
+ * Sync activity history now
+ * Body: { athleteId (default: every authorized athlete), full: boolean } (full drops stored history and restarts the backfill)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function runSync(req, res) {
+  try {
+    if (isSyncing()) {
+      return res.status(409).json({
+        success: false,
+        error: 'Sync already running',
+        message: 'Wait for the current sync to finish'
+      });
+    }
+
+    let athleteIds = null;
+    if (req.body?.athleteId !== undefined) {
+      const resolved = await resolveAthleteIds(String(req.body.athleteId));
+
+      if (resolved.unknown.length > 0 || resolved.athleteIds.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Athlete not authorized',
+          message: `Strava athlete ${req.body.athleteId} has not authorized Lifestack (see GET /api/strava/athletes)`
+        });
+      }
+
+      athleteIds = resolved.athleteIds;
+    }
+
+    const results = await syncAll({ athleteIds, full: req.body?.full === true });
+
+    if (!results) {
+      return res.status(409).json({
+        success: false,
+        error: 'Sync already running',
+        message: 'Wait for the current sync to finish'
+      });
+    }
+
+    if (results.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No Strava athlete authorized',
+        message: 'Authorize an athlete first: GET /api/strava/oauth/authorize'
+      });
+    }
+
+    const failed = results.filter(result => result.error);
+
+    if (failed.length === results.length) {
+      return res.status(502).json({
+        success: false,
+        error: 'Failed to sync Strava history',
+        results
+      });
+    }
+
+    res.json({
+      success: failed.length === 0,
+      message: results.every(result => result.error || result.backfilled)
+        ? 'Strava history synced'
+        : 'Strava history synced; the backfill continues on the next sync',
+      results
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to sync Strava history');
+  }
+}
+
+/**
+ * Handle errors consistently
+ * @param {Object} res - Express response
+ * @param {Error} error - Error object
+ * @param {string} message - Error message
+ * @private
+ */
+function handleError(res, error, message) {
+  console.error(`❌ ${message}:`, error.message);
+
+  res.status(error.status || 500).json({
+    success: false,
+    error: message,
+    message: error.message
+  });
+}
+
+module.exports = {
+  getHistory,
+  getHistorySummary,
+  getSyncStatus,
+  runSync
+};
@@ -1,10 +1,25 @@
 /**
  * Strava Service - Main Entry Point
- * Exports the Strava service router
+ * Exports the Strava service router, history sync worker controls and token import
  */
 
 const router = require('./routes');
+const { startSyncWorker, stopSyncWorker } = require('./sync');
+const { listAthletes } = require('./tokenStore');
+const { importLegacyTokens } = require('./oauth');
+
+/**
+ * Check whether any athlete has authorized Strava access
+ * @returns {Promise<boolean>} True if tokens are stored for at least one athlete
+ */
+async function isStravaConfigured() {
+  return (await listAthletes()).length > 0;
+}
 
 module.exports = {
-  router
+  router,
+  isStravaConfigured,
+  importLegacyTokens,
+  startSyncWorker,
+  stopSyncWorker
 };
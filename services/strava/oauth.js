@@ -0,0 +1,240 @@
+/**
+ * Strava Service - OAuth
+ * Authorization code flow for adding athletes, token refresh and deauthorization
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { cache } = require('../../shared/middleware/cache');
+const { onActivityEvent } = require('./webhook');
+const {
+  saveAuthorization,
+  saveTokens,
+  loadTokens,
+  removeTokens,
+  loadLegacyTokens,
+  removeLegacyTokens,
+  migratePlaintextTokens
+} = require('./tokenStore');
+const oauthConfig = require('../../config/services').strava.oauth;
+
+const STRAVA_AUTHORIZE_URL = 'https://www.strava.com/oauth/authorize';
+const STRAVA_TOKEN_URL = 'https://www.strava.com/oauth/token';
+const STRAVA_DEAUTHORIZE_URL = 'https://www.strava.com/oauth/deauthorize';
+const STRAVA_ATHLETE_URL = 'https://www.strava.com/api/v3/athlete';
+
+// Authorization links (and their state) expire after 10 minutes
+const STATE_TTL = 10 * 60;
+const STATE_CACHE_PREFIX = 'oauth:strava:state';
+
+/**
+ * Check whether the Strava app credentials are configured
+ * @returns {boolean} True if STRAVA_CLIENT_ID and STRAVA_CLIENT_SECRET are set
+ */
+function isOAuthConfigured() {
+  return Boolean(oauthConfig.clientId && oauthConfig.clientSecret);
+}
+
+/**
+ * Create an authorization link
+ * The state ties the callback to a link issued to an API key holder, so only they can add athletes.
+ * @returns {Object} { authorizeUrl, redirectUri, expiresIn }
+ */
+function createAuthorizationUrl() {
+  const state = crypto.randomBytes(16).toString('hex');
+  cache.set(`${STATE_CACHE_PREFIX}:${state}`, true, STATE_TTL);
+
+  const params = new URLSearchParams({
+    client_id: oauthConfig.clientId,
+    redirect_uri: oauthConfig.redirectUri,
+    response_type: 'code',
+    approval_prompt: 'auto',
+    scope: oauthConfig.scope,
+    state
+  });
+
+  return {
+    authorizeUrl: `${STRAVA_AUTHORIZE_URL}?${params}`,
+    redirectUri: oauthConfig.redirectUri,
+    expiresIn: STATE_TTL
+  };
+}
+
+/**
+ * Check and use up an authorization state
+ * @param {string} state - State from the callback
+ * @returns {boolean} True if the state was issued and hasn't been used or expired
+ */
+function consumeState(state) {
+  if (!state) return false;
+
+  const key = `${STATE_CACHE_PREFIX}:${state}`;
+  if (!cache.get(key)) return false;
+
+  cache.del(key);
+  return true;
+}
+
+/**
+ * Exchange an authorization code for tokens and store the athlete
+ * @param {string} code - Code from the callback
+ * @param {string|null} scope - Scopes the athlete granted (callback "scope")
+ * @returns {Promise<Object>} StravaAthlete document
+ */
+async function exchangeCode(code, scope = null) {
+  const response = await axios.post(STRAVA_TOKEN_URL, {
+    client_id: oauthConfig.clientId,
+    client_secret: oauthConfig.clientSecret,
+    code,
+    grant_type: 'authorization_code'
+  });
+
+  return saveAuthorization(response.data.athlete, response.data, scope);
+}
+
+/**
+ * Get new tokens with a refresh token
+ * Strava may rotate the refresh token, so both tokens must be saved.
+ * @param {string} refreshToken - Current refresh token
+ * @returns {Promise<Object>} { access_token, refresh_token, expires_at }
+ */
+async function refreshAccessToken(refreshToken) {
+  const response = await axios.post(STRAVA_TOKEN_URL, {
+    client_id: oauthConfig.clientId,
+    client_secret: oauthConfig.clientSecret,
+    refresh_token: refreshToken,
+    grant_type: 'refresh_token'
+  });
+
+  return {
+    access_token: response.data.access_token,
+    refresh_token: response.data.refresh_token,
+    expires_at: response.data.expires_at
+  };
+}
+
+/**
+ * Get a usable access token from stored token data, refreshing it if expired
+ * @param {Object} tokens - { access_token, refresh_token, expires_at }
+ * @returns {Promise<Object>} { tokens, refreshed }
+ * @private
+ */
+async function ensureFreshTokens(tokens) {
+  if (tokens.expires_at > Math.floor(Date.now() / 1000) + 60) {
+    return { tokens, refreshed: false };
+  }
+
+  return { tokens: await refreshAccessToken(tokens.refresh_token), refreshed: true };
+}
+
+/**
+ * Revoke Lifestack's access for an athlete and remove their tokens
+ * Revoking at Strava is best effort; the tokens are removed either way.
+ * @param {string} athleteId - Strava athlete ID
+ * @returns {Promise<Object>} { removed, revoked }
+ */
+async function deauthorizeAthlete(athleteId) {
+  const stored = await loadTokens(athleteId);
+  if (!stored) {
+    return { removed: false, revoked: false };
+  }
+
+  let revoked = false;
+  try {
+    const { tokens } = await ensureFreshTokens(stored);
+    await axios.post(STRAVA_DEAUTHORIZE_URL, null, { params: { access_token: tokens.access_token } });
+    revoked = true;
+  } catch (error) {
+    console.error(`⚠️  Could not revoke Strava access for athlete ${athleteId}:`, error.response?.data || error.message);
+  }
+
+  await removeTokens(athleteId);
+  console.log(`🔌 Strava athlete ${athleteId} disconnected`);
+
+  return { removed: true, revoked };
+}
+
+/**
+ * Move tokens stored in plaintext into the credential vault
+ * Covers tokens on StravaAthlete documents and the .strava-tokens.json file written by the
+ * old setup script. The file doesn't say whose tokens they are, so the athlete is looked up with them.
+ * Without CREDENTIAL_MASTER_KEY, athletes keep their plaintext tokens and the file is imported as one.
+ * @returns {Promise<string|null>} Athlete ID imported from the file, or null if there was no file
+ */
+async function importLegacyTokens() {
+  await migratePlaintextTokens();
+
+  const stored = loadLegacyTokens();
+  if (!stored) return null;
+
+  const { tokens } = await ensureFreshTokens(stored);
+  const response = await axios.get(STRAVA_ATHLETE_URL, {
+    headers: { Authorization: `Bearer ${tokens.access_token}` }
+  });
+
+  const athlete = await saveAuthorization(response.data, tokens);
+  removeLegacyTokens();
+
+  console.log(`📥 Imported .strava-tokens.json for athlete ${athlete.athleteId} (plaintext file deleted)`);
+  return athlete.athleteId;
+}
+
+/**
+ * Check with Strava that an athlete's tokens no longer work
+ * @param {string} athleteId - Strava athlete ID
+ * @param {Object} stored - Stored token data
+ * @returns {Promise<boolean>} True if Strava answers 401
+ * @private
+ */
+async function isAccessRevoked(athleteId, stored) {
+  try {
+    const { tokens, refreshed } = await ensureFreshTokens(stored);
+    if (refreshed) {
+      await saveTokens(athleteId, tokens);
+    }
+
+    await axios.get(STRAVA_ATHLETE_URL, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` }
+    });
+    return false;
+  } catch (error) {
+    if (error.response?.status === 401) return true;
+    throw error;
+  }
+}
+
+/**
+ * Remove the tokens of an athlete who revoked access on Strava
+ * Events are unsigned, so the tokens are only removed once Strava rejects them.
+ * @param {Object} event - Normalized webhook event
+ * @returns {Promise<void>}
+ * @private
+ */
+async function handleDeauthorization(event) {
+  if (!event.deauthorized) return;
+
+  const stored = await loadTokens(event.ownerId);
+  if (!stored) return;
+
+  if (!await isAccessRevoked(event.ownerId, stored)) {
+    console.warn(`⚠️  Ignoring Strava deauthorization event for athlete ${event.ownerId}: their tokens still work`);
+    return;
+  }
+
+  if (await removeTokens(event.ownerId)) {
+    console.log(`🔌 Strava athlete ${event.ownerId} revoked access; tokens removed`);
+  }
+}
+
+// Athletes who revoke access on Strava are disconnected here too
+onActivityEvent(handleDeauthorization);
+
+module.exports = {
+  isOAuthConfigured,
+  createAuthorizationUrl,
+  consumeState,
+  exchangeCode,
+  refreshAccessToken,
+  deauthorizeAthlete,
+  importLegacyTokens
+};
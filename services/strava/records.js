@@ -0,0 +1,152 @@
+/**
+ * Strava Service - Personal Records
+ * Detects personal records (fastest 5k, longest ride...) as activities are stored
+ */
+
+const PersonalRecord = require('../../models/PersonalRecord');
+const StravaActivity = require('../../models/StravaActivity');
+
+// Fastest time over a distance (meters), per activity type
+const DISTANCE_RECORDS = {
+  Run: {
+    fastest_5k: 5000,
+    fastest_10k: 10000,
+    fastest_half_marathon: 21097.5,
+    fastest_marathon: 42195
+  },
+  Ride: {
+    fastest_40k: 40000
+  }
+};
+
+// Largest single activity total, for every activity type
+const TOTAL_RECORDS = {
+  longest_distance: { field: 'distance', unit: 'meters' },
+  longest_duration: { field: 'duration', unit: 'seconds' },
+  most_elevation: { field: 'elevation_gain', unit: 'meters' }
+};
+
+/**
+ * Get the record candidates an activity sets
+ * Summary activities carry no splits, so a fastest time is the activity's average
+ * moving pace over the record distance, for activities at least that long.
+ * @param {Object} activity - Normalized activity
+ * @returns {Array} [{ activityType, record, value, unit, lowerIsBetter }]
+ */
+function getRecordCandidates(activity) {
+  const activityType = activity.type || 'Unknown';
+  const candidates = [];
+
+  for (const [record, { field, unit }] of Object.entries(TOTAL_RECORDS)) {
+    if (activity[field] > 0) {
+      candidates.push({ activityType, record, value: activity[field], unit, lowerIsBetter: false });
+    }
+  }
+
+  if (activity.distance > 0 && activity.duration > 0) {
+    for (const [record, meters] of Object.entries(DISTANCE_RECORDS[activityType] || {})) {
+      if (activity.distance >= meters) {
+        const seconds = Math.round(activity.duration * meters / activity.distance);
+        candidates.push({ activityType, record, value: seconds, unit: 'seconds', lowerIsBetter: true });
+      }
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Check new activities for personal records and store any that beat the current ones
+ * @param {string} athleteId - Strava athlete ID
+ * @param {Array} activities - Normalized activities
+ * @returns {Promise<Array>} Records set (PersonalRecord documents)
+ */
+async function detectRecords(athleteId, activities) {
+  const best = await PersonalRecord.getByKey(athleteId);
+  const changed = new Map();
+
+  for (const activity of activities) {
+    for (const candidate of getRecordCandidates(activity)) {
+      const key = `${candidate.activityType}:${candidate.record}`;
+      const current = best[key];
+      const beats = !current ||
+        (candidate.lowerIsBetter ? candidate.value < current.value : candidate.value > current.value);
+
+      if (!beats) continue;
+
+      const record = current || new PersonalRecord({
+        athleteId: String(athleteId),
+        activityType: candidate.activityType,
+        record: candidate.record,
+        unit: candidate.unit
+      });
+
+      if (current) {
+        record.previous = { value: current.value, activityId: current.activityId, achievedAt: current.achievedAt };
+      }
+
+      record.value = candidate.value;
+      record.activityId = activity.id;
+      record.activityName = activity.name || null;
+      record.achievedAt = new Date(activity.date);
+
+      best[key] = record;
+      changed.set(key, record);
+    }
+  }
+
+  for (const record of changed.values()) {
+    await record.save();
+  }
+
+  if (changed.size > 0) {
+    console.log(`🏆 ${changed.size} personal record${changed.size === 1 ? '' : 's'} updated for athlete ${athleteId}`);
+  }
+
+  return [...changed.values()];
+}
+
+/**
+ * Recompute the records an activity held, after it was edited or deleted
+ * The replacement is the best stored activity (including the edited one).
+ * @param {string} athleteId - Strava athlete ID
+ * @param {string} activityId - Edited or deleted activity ID
+ * @returns {Promise<number>} Records recomputed
+ */
+async function recomputeRecordsFor(athleteId, activityId) {
+  const held = await PersonalRecord.find({ athleteId: String(athleteId), activityId: String(activityId) });
+  if (held.length === 0) return 0;
+
+  await PersonalRecord.deleteMany({ _id: { $in: held.map(record => record._id) } });
+
+  const heldKeys = new Set(held.map(record => `${record.activityType}:${record.record}`));
+  const activities = await StravaActivity.findSince(athleteId, null);
+  const relevant = activities.filter(activity =>
+    getRecordCandidates(activity).some(candidate => heldKeys.has(`${candidate.activityType}:${candidate.record}`))
+  );
+
+  // Other records are unchanged by this pass, since they already hold the best values
+  await detectRecords(athleteId, relevant);
+
+  return held.length;
+}
+
+/**
+ * List an athlete's records
+ * @param {string} athleteId - Strava athlete ID
+ * @param {Object} options - { activityType }
+ * @returns {Promise<Array>} Records sorted by activity type and record
+ */
+function listRecords(athleteId, { activityType = null } = {}) {
+  return PersonalRecord.find({
+    athleteId: String(athleteId),
+    ...(activityType && { activityType })
+  }).sort({ activityType: 1, record: 1 });
+}
+
+module.exports = {
+  getRecordCandidates,
+  detectRecords,
+  recomputeRecordsFor,
+  listRecords
+};
@@ -5,39 +5,112 @@
 
 const express = require('express');
 const controller = require('./controller');
+const historyController = require('./historyController');
+const goalController = require('./goalController');
+const athleteController = require('./athleteController');
+const { authenticateApiKey, requireScope } = require('../../shared/middleware/auth');
+const {
+  verifySubscriptionChallenge,
+  validateWebhookEvent,
+  normalizeWebhookEvent,
+  handleWebhookEvent
+} = require('./webhook');
+const { isSyncWorkerRunning } = require('./sync');
 
 const router = express.Router();
+const { resolveAthlete } = athleteController;
 
 /**
- * NOTE: Strava OAuth2 Token Management
- *
- * Strava uses OAuth2 for authentication with short-lived access tokens (6 hours).
- * For production use, you should implement the OAuth2 refresh flow:
- *
- * 1. Store refresh_token securely (database or environment)
- * 2. Check if access_token is expired before each request
- * 3. If expired, use refresh_token to get new access_token
- * 4. Update stored access_token
- *
- * OAuth2 Refresh Flow:
- * POST https://www.strava.com/oauth/token
- * {
- *   client_id: YOUR_CLIENT_ID,
- *   client_secret: YOUR_CLIENT_SECRET,
- *   grant_type: "refresh_token",
- *   refresh_token: YOUR_REFRESH_TOKEN
- * }
+ * GET /webhook
+ * Strava push subscription validation
+ * Strava can't send an API key, so the webhook routes are registered before authentication.
+ * Query: hub.mode, hub.verify_token (STRAVA_WEBHOOK_VERIFY_TOKEN), hub.challenge
+ */
+router.get('/webhook', (req, res) => {
+  const challenge = verifySubscriptionChallenge(req.query);
+
+  if (!challenge) {
+    return res.status(403).json({
+      success: false,
+      error: 'Invalid subscription validation request'
+    });
+  }
+
+  console.log('✅ Strava webhook subscription validated');
+  res.json({ 'hub.challenge': challenge });
+});
+
+/**
+ * POST /webhook
+ * Strava push subscription event receiver
+ * Strava expects a 200 within two seconds, so events are processed after responding.
+ * Body: { object_type, object_id, aspect_type, owner_id, subscription_id, event_time, updates }
+ */
+router.post('/webhook', (req, res) => {
+  const errors = validateWebhookEvent(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid webhook event',
+      errors
+    });
+  }
+
+  const event = normalizeWebhookEvent(req.body);
+  res.json({ success: true });
+
+  handleWebhookEvent(event).catch(error => {
+    console.error('❌ Error processing Strava webhook event:', error);
+  });
+});
+
+/**
+ * GET /oauth/callback
+ * Strava's redirect after an athlete approves access (STRAVA_REDIRECT_URI)
+ * Opened in the athlete's browser without an API key; the state from
+ * GET /oauth/authorize proves the link was issued to an API key holder.
+ * Query: code, scope, state, error
+ */
+router.get('/oauth/callback', athleteController.oauthCallback);
+
+// Apply authentication to all other strava routes
+router.use(authenticateApiKey);
+
+/**
+ * GET /oauth/authorize
+ * Create a link that adds (or re-authorizes) an athlete
+ * Open authorizeUrl in the athlete's browser; Strava redirects to /oauth/callback.
+ * Response: { authorizeUrl, redirectUri, expiresIn }
+ */
+router.get('/oauth/authorize', requireScope('strava:write'), athleteController.authorize);
+
+/**
+ * GET /athletes
+ * List authorized athletes and the default athlete (tokens are never returned)
+ */
+router.get('/athletes', requireScope('strava:read'), athleteController.listAthletes);
+
+/**
+ * DELETE /athletes/:athleteId
+ * Disconnect an athlete: revoke access at Strava and remove their tokens
  *
- * For now, this implementation uses a manually obtained long-lived access token
- * from the environment variables. Future enhancement should add automatic token refresh.
+ * Query params:
+ * - purge: true also deletes their stored history and records (default: false)
+ */
+router.delete('/athletes/:athleteId', requireScope('strava:write'), athleteController.disconnectAthlete);
+
+/**
+ * Every route below accepts an athleteId query parameter (see GET /athletes)
+ * and defaults to STRAVA_DEFAULT_ATHLETE_ID, or the first athlete authorized.
  */
 
 /**
  * GET /athlete
- * Get authenticated athlete's profile
+ * Get the athlete's profile
  * Cached for 1 hour
  */
-router.get('/athlete', controller.getAthlete);
+router.get('/athlete', requireScope('strava:read'), resolveAthlete, controller.getAthlete);
 
 /**
  * GET /activities
@@ -50,14 +123,31 @@ router.get('/athlete', controller.getAthlete);
  * - before: Epoch timestamp - activities before this time
  * - after: Epoch timestamp - activities after this time
  */
-router.get('/activities', controller.getActivities);
+router.get('/activities', requireScope('strava:read'), resolveAthlete, controller.getActivities);
 
 /**
  * GET /activities/:id
  * Get a specific activity by ID
  * Cached for 1 hour
  */
-router.get('/activities/:id', controller.getActivity);
+router.get('/activities/:id', requireScope('strava:read'), resolveAthlete, controller.getActivity);
+
+/**
+ * GET /activities/:id/streams
+ * Get an activity's per sample streams: time, latlng, altitude, heartrate, cadence, distance
+ * Cached for 1 hour
+ */
+router.get('/activities/:id/streams', requireScope('strava:read'), resolveAthlete, controller.getActivityStreams);
+
+/**
+ * GET /activities/:id/export
+ * Download an activity as a GPX or TCX file built from its streams
+ * Returns 422 when the activity has no samples (or no GPS data, for GPX)
+ *
+ * Query params:
+ * - format: gpx | tcx (default: gpx)
+ */
+router.get('/activities/:id/export', requireScope('strava:read'), resolveAthlete, controller.exportActivity);
 
 /**
  * GET /stats
@@ -65,9 +155,9 @@ router.get('/activities/:id', controller.getActivity);
  * Cached for 1 hour
  *
  * Query params:
- * - athleteId: Athlete ID (default: 'current' for authenticated athlete)
+ * - athleteId: Athlete ID (default: the default athlete)
  */
-router.get('/stats', controller.getAthleteStats);
+router.get('/stats', requireScope('strava:read'), resolveAthlete, controller.getAthleteStats);
 
 /**
  * GET /recent
@@ -77,19 +167,101 @@ router.get('/stats', controller.getAthleteStats);
  * Query params:
  * - limit: Number of activities to return (default: 10, max: 50)
  */
-router.get('/recent', controller.getRecentActivities);
+router.get('/recent', requireScope('strava:read'), resolveAthlete, controller.getRecentActivities);
+
+/**
+ * GET /analytics
+ * Training analytics grouped by activity type: weekly volume, acute/chronic load (ATL/CTL/TSB),
+ * pace and heart rate trends, and streaks
+ * Query: weeks (1-104, default: 12)
+ */
+router.get('/analytics', requireScope('strava:read'), resolveAthlete, controller.getAnalytics);
+
+/**
+ * GET /goals
+ * List fitness goals with progress for their current period
+ * Query: enabled (true | false), athleteId (that athlete's goals)
+ */
+router.get('/goals', requireScope('strava:read'), goalController.listGoals);
+
+/**
+ * POST /goals
+ * Create a fitness goal
+ * Body: {
+ *   name: "Run 100 km this month",
+ *   metric: "distance",          // distance (km) | duration (minutes) | elevation (m) | count (activities)
+ *   target: 100,
+ *   period: "month",             // week (Sunday-Saturday) | month | year
+ *   activityTypes: ["Run"],      // Optional, default: every type
+ *   athleteId: "12345",          // Optional, default: null (every athlete combined)
+ *   enabled: true                // Optional
+ * }
+ */
+router.post('/goals', requireScope('strava:write'), goalController.createGoal);
+
+/**
+ * GET /goals/:id
+ * Get a fitness goal with progress
+ */
+router.get('/goals/:id', requireScope('strava:read'), goalController.getGoal);
+
+/**
+ * PUT /goals/:id
+ * Update a fitness goal
+ */
+router.put('/goals/:id', requireScope('strava:write'), goalController.updateGoal);
+
+/**
+ * DELETE /goals/:id
+ * Delete a fitness goal
+ */
+router.delete('/goals/:id', requireScope('strava:write'), goalController.deleteGoal);
+
+/**
+ * GET /records
+ * Personal records detected from stored activities (fastest 5k, longest ride...)
+ * Query: type (activity type, e.g. Run)
+ */
+router.get('/records', requireScope('strava:read'), resolveAthlete, goalController.listRecords);
+
+/**
+ * GET /history
+ * Stored activity history from MongoDB, newest first (no Strava API calls)
+ * Query: type (e.g. Run), start, end (YYYY-MM-DD, athlete's local dates) or year, page, limit (max 200)
+ */
+router.get('/history', requireScope('strava:read'), resolveAthlete, historyController.getHistory);
+
+/**
+ * GET /history/summary
+ * Stored activity totals per period and type (count, distance, duration, elevation)
+ * Query: period (month | year, default: month), type, start, end or year
+ */
+router.get('/history/summary', requireScope('strava:read'), resolveAthlete, historyController.getHistorySummary);
+
+/**
+ * GET /sync/status
+ * History sync status per athlete
+ */
+router.get('/sync/status', requireScope('strava:read'), historyController.getSyncStatus);
+
+/**
+ * POST /sync
+ * Sync activity history now
+ * Body: { athleteId (default: every authorized athlete), full: boolean }
+ */
+router.post('/sync', requireScope('strava:write'), historyController.runSync);
 
 /**
  * POST /cache/clear
  * Clear all Strava cache entries
  */
-router.post('/cache/clear', controller.clearCache);
+router.post('/cache/clear', requireScope('strava:write'), controller.clearCache);
 
 /**
  * GET /cache/stats
  * Get Strava cache statistics
  */
-router.get('/cache/stats', controller.getCacheStats);
+router.get('/cache/stats', requireScope('strava:read'), controller.getCacheStats);
 
 /**
  * GET /health
@@ -100,6 +272,7 @@ router.get('/health', (req, res) => {
     success: true,
     service: 'strava',
     status: 'ok',
+    historySync: isSyncWorkerRunning() ? 'running' : 'stopped',
     timestamp: new Date().toISOString()
   });
 });
@@ -0,0 +1,364 @@
+/**
+ * Strava Service - History Sync
+ * Stores Strava activities in MongoDB (a paginated backfill, incremental syncs and webhook
+ * updates) and checks each stored activity for personal records
+ */
+
+const mongoose = require('mongoose');
+const StravaActivity = require('../../models/StravaActivity');
+const StravaSyncState = require('../../models/StravaSyncState');
+const { createStravaClient } = require('./client');
+const { onActivityEvent } = require('./webhook');
+const { detectRecords, recomputeRecordsFor } = require('./records');
+const { listAthletes } = require('./tokenStore');
+const { getDayBoundaries } = require('../calendar/utils');
+const { normalizeActivity } = require('../../shared/utils/normalize');
+const stravaConfig = require('../../config/services').strava;
+
+// How often the worker syncs
+const SYNC_INTERVAL_MS = stravaConfig.syncIntervalMinutes * 60 * 1000;
+
+// History older than this since the last sync is reported as stale
+const SYNC_STALE_AFTER_MS = 3 * SYNC_INTERVAL_MS;
+
+// Largest page Strava serves
+const PAGE_SIZE = 200;
+
+// Pages fetched live when stored history doesn't reach back far enough
+const MAX_LIVE_PAGES = 10;
+
+let syncTimer = null;
+let syncing = false;
+
+/**
+ * Convert a date to a Strava epoch timestamp
+ * @param {Date} date - Date
+ * @returns {number} Seconds since the epoch
+ * @private
+ */
+function toEpoch(date) {
+  return Math.floor(date.getTime() / 1000);
+}
+
+/**
+ * Store Strava activities and check them for personal records
+ * @param {string} athleteId - Strava athlete ID
+ * @param {Array} activities - Raw Strava activities
+ * @param {Date} syncedAt - Sync run timestamp
+ * @returns {Promise<number>} Activities stored
+ * @private
+ */
+async function storeActivities(athleteId, activities, syncedAt = new Date()) {
+  const result = await StravaActivity.applyActivities(athleteId, activities, syncedAt);
+  await detectRecords(athleteId, activities.map(normalizeActivity));
+  return result.upserted;
+}
+
+/**
+ * Pull activities newer than the newest stored one
+ * With "after", Strava returns activities oldest first, so pages run forward in time.
+ * @param {StravaClient} client - Strava client
+ * @param {string} athleteId - Strava athlete ID
+ * @param {Date} syncedAt - Sync run timestamp
+ * @returns {Promise<number>} Activities stored
+ * @private
+ */
+async function pullNewActivities(client, athleteId, syncedAt) {
+  const latest = await StravaActivity.getLatestStart(athleteId);
+  if (!latest) return 0;
+
+  let stored = 0;
+  let page = 1;
+  let activities;
+
+  do {
+    activities = await client.getActivities({ after: toEpoch(latest), page, per_page: PAGE_SIZE });
+    stored += await storeActivities(athleteId, activities, syncedAt);
+    page++;
+  } while (activities.length === PAGE_SIZE);
+
+  return stored;
+}
+
+/**
+ * Walk back through older activities, a limited number of pages per run
+ * Each page continues before the oldest stored activity, so an interrupted
+ * backfill (rate limit, restart) resumes where it stopped.
+ * @param {StravaClient} client - Strava client
+ * @param {string} athleteId - Strava athlete ID
+ * @param {Date} syncedAt - Sync run timestamp
+ * @returns {Promise<Object>} { stored, completed }
+ * @private
+ */
+async function backfill(client, athleteId, syncedAt) {
+  let stored = 0;
+
+  for (let run = 0; run < stravaConfig.backfillPagesPerRun; run++) {
+    const earliest = await StravaActivity.getEarliestStart(athleteId);
+    const activities = await client.getActivities({
+      ...(earliest && { before: toEpoch(earliest) }),
+      per_page: PAGE_SIZE
+    });
+
+    if (activities.length === 0) {
+      return { stored, completed: true };
+    }
+
+    stored += await storeActivities(athleteId, activities, syncedAt);
+  }
+
+  return { stored, completed: false };
+}
+
+/**
+ * Sync an athlete's activities into MongoDB
+ * Pulls new activities, then continues the backfill until it reaches the first activity.
+ * @param {string} athleteId - Strava athlete ID
+ * @param {Object} options - { full: boolean } (full drops stored history and restarts the backfill)
+ * @returns {Promise<Object>} { athleteId, changes, backfilled }
+ */
+async function syncActivities(athleteId, { full = false } = {}) {
+  const client = createStravaClient(athleteId);
+  const syncedAt = new Date();
+
+  let state = await StravaSyncState.findOne({ athleteId });
+
+  try {
+    // A full sync drops the stored history and backfills again from the newest activity
+    if (full) {
+      await StravaActivity.deleteMany({ athleteId });
+      state = null;
+    }
+
+    let changes = await pullNewActivities(client, athleteId, syncedAt);
+    const update = { lastSyncAt: syncedAt, lastError: null, lastErrorAt: null };
+
+    if (!state?.backfillCompletedAt) {
+      const result = await backfill(client, athleteId, syncedAt);
+      changes += result.stored;
+      update.backfillCount = await StravaActivity.countDocuments({ athleteId });
+      update.backfillCompletedAt = result.completed ? syncedAt : null;
+    }
+
+    update.lastChangeCount = changes;
+    state = await StravaSyncState.findOneAndUpdate(
+      { athleteId },
+      { $set: update },
+      { upsert: true, new: true }
+    );
+
+    console.log(`🔄 Strava athlete ${athleteId} synced (${changes} activities${state.isBackfilled ? '' : ', backfill in progress'})`);
+
+    return { athleteId, changes, backfilled: state.isBackfilled };
+  } catch (error) {
+    await StravaSyncState.updateOne(
+      { athleteId },
+      { $set: { lastError: error.message, lastErrorAt: new Date() } },
+      { upsert: true }
+    );
+    throw error;
+  }
+}
+
+/**
+ * Sync authorized athletes one at a time, skipping if a sync is already running
+ * @param {Object} options - { athleteIds (default: every authorized athlete), full }
+ * @returns {Promise<Array|null>} Per athlete results, or null if skipped
+ */
+async function syncAll({ athleteIds = null, full = false } = {}) {
+  if (syncing) return null;
+  syncing = true;
+
+  try {
+    const ids = athleteIds || (await listAthletes()).map(athlete => athlete.athleteId);
+    const results = [];
+
+    for (const athleteId of ids) {
+      try {
+        results.push(await syncActivities(athleteId, { full }));
+      } catch (error) {
+        console.error(`❌ Strava sync failed for athlete ${athleteId}:`, error.message);
+        results.push({ athleteId, error: error.message });
+      }
+    }
+
+    return results;
+  } catch (error) {
+    console.error('❌ Strava sync failed:', error.message);
+    return [{ error: error.message }];
+  } finally {
+    syncing = false;
+  }
+}
+
+/**
+ * Get an athlete's stored activities since a date, if the stored history reaches back that far
+ * @param {string} athleteId - Strava athlete ID
+ * @param {string} startKey - First local date needed (YYYY-MM-DD)
+ * @returns {Promise<Array|null>} Normalized activities, or null if the history doesn't cover startKey
+ */
+async function getStoredActivitiesSince(athleteId, startKey) {
+  const state = await StravaSyncState.findOne({ athleteId });
+  if (!state) return null;
+
+  if (!state.isBackfilled) {
+    const earliest = await StravaActivity.findOne({ athleteId }).sort({ localDate: 1 }).select('localDate').lean();
+    if (!earliest || earliest.localDate > startKey) return null;
+  }
+
+  return StravaActivity.findSince(athleteId, startKey);
+}
+
+/**
+ * Load an athlete's normalized activities since a date: stored history if it reaches back that far, else Strava
+ * @param {string} athleteId - Strava athlete ID
+ * @param {string} startKey - First date needed (YYYY-MM-DD)
+ * @returns {Promise<Object>} { activities, source: 'history' | 'strava' }
+ */
+async function loadActivitiesSince(athleteId, startKey) {
+  const stored = await getStoredActivitiesSince(athleteId, startKey);
+  if (stored) {
+    return { activities: stored, source: 'history' };
+  }
+
+  const client = createStravaClient(athleteId);
+  const after = toEpoch(getDayBoundaries(startKey).startOfDay);
+  const activities = [];
+
+  for (let page = 1; page <= MAX_LIVE_PAGES; page++) {
+    const batch = await client.getActivities({ after, page, per_page: PAGE_SIZE });
+    activities.push(...batch);
+    if (batch.length < PAGE_SIZE) break;
+  }
+
+  return { activities: activities.map(normalizeActivity), source: 'strava' };
+}
+
+/**
+ * Get sync status for the stored athletes
+ * @returns {Promise<Array>} Per athlete status
+ */
+async function getSyncStatus() {
+  const states = await StravaSyncState.find().sort({ lastSyncAt: -1 });
+
+  return Promise.all(states.map(async state => ({
+    athleteId: state.athleteId,
+    activities: await StravaActivity.countDocuments({ athleteId: state.athleteId }),
+    backfilled: state.isBackfilled,
+    backfillCompletedAt: state.backfillCompletedAt,
+    lastSyncAt: state.lastSyncAt,
+    lastChangeCount: state.lastChangeCount,
+    stale: state.isStale(SYNC_STALE_AFTER_MS),
+    lastError: state.lastError,
+    lastErrorAt: state.lastErrorAt
+  })));
+}
+
+/**
+ * Check with Strava that an activity no longer exists
+ * @param {string} athleteId - Strava athlete ID of the owner
+ * @param {string} activityId - Strava activity ID
+ * @returns {Promise<boolean>} True if Strava returns 404 for it
+ * @private
+ */
+async function isActivityDeleted(athleteId, activityId) {
+  try {
+    await createStravaClient(athleteId).getActivity(activityId);
+    return false;
+  } catch (error) {
+    if (error.status === 404) return true;
+    throw error;
+  }
+}
+
+/**
+ * Apply a webhook event to the stored history
+ * Only athletes that have been synced are kept current this way.
+ * Events are unsigned, so a delete is only applied once Strava confirms the activity is gone.
+ * @param {Object} event - Normalized webhook event
+ * @returns {Promise<void>}
+ * @private
+ */
+async function applyWebhookEvent(event) {
+  if (event.objectType !== 'activity' || mongoose.connection.readyState !== 1) return;
+
+  const state = await StravaSyncState.findOne({ athleteId: event.ownerId });
+  if (!state) return;
+
+  if (event.aspectType === 'delete') {
+    if (!await isActivityDeleted(event.ownerId, event.objectId)) {
+      console.warn(`⚠️  Ignoring Strava delete event for activity ${event.objectId}: Strava still returns it`);
+      return;
+    }
+
+    const { deletedCount } = await StravaActivity.deleteOne({ athleteId: event.ownerId, activityId: event.objectId });
+    if (deletedCount > 0) {
+      await recomputeRecordsFor(event.ownerId, event.objectId);
+    }
+    return;
+  }
+
+  const activity = await createStravaClient(event.ownerId).getActivity(event.objectId);
+  await storeActivities(event.ownerId, [activity]);
+
+  // An edit can lower a record the activity held
+  if (event.aspectType === 'update') {
+    await recomputeRecordsFor(event.ownerId, event.objectId);
+  }
+}
+
+/**
+ * Start the sync worker
+ */
+function startSyncWorker() {
+  if (syncTimer) return;
+
+  syncTimer = setInterval(() => syncAll(), SYNC_INTERVAL_MS);
+  syncAll();
+
+  console.log(`🔄 Strava sync worker started (every ${SYNC_INTERVAL_MS / 60000}m)`);
+}
+
+/**
+ * Stop the sync worker
+ */
+function stopSyncWorker() {
+  if (!syncTimer) return;
+
+  clearInterval(syncTimer);
+  syncTimer = null;
+
+  console.log('🛑 Strava sync worker stopped');
+}
+
+/**
+ * Check if the sync worker is running
+ * @returns {boolean} True if running
+ */
+function isSyncWorkerRunning() {
+  return syncTimer !== null;
+}
+
+/**
+ * Check if a sync is in progress
+ * @returns {boolean} True while syncing
+ */
+function isSyncing() {
+  return syncing;
+}
+
+// Pushed creates, edits and deletes keep the history current between syncs
+onActivityEvent(applyWebhookEvent);
+
+module.exports = {
+  SYNC_INTERVAL_MS,
+  syncActivities,
+  syncAll,
+  getStoredActivitiesSince,
+  loadActivitiesSince,
+  getSyncStatus,
+  startSyncWorker,
+  stopSyncWorker,
+  isSyncWorkerRunning,
+  isSyncing
+};
@@ -1,49 +1,241 @@
 /**
  * Strava Token Store
- * Manages OAuth tokens in .strava-tokens.json file
+ * Manages authorized athletes in MongoDB (StravaAthlete) and their OAuth tokens in the credential vault
+ * Without CREDENTIAL_MASTER_KEY, tokens stay in plaintext on StravaAthlete until a key is set.
  */
 
 const fs = require('fs');
 const path = require('path');
+const StravaAthlete = require('../../models/StravaAthlete');
+const {
+  isVaultConfigured,
+  storeCredential,
+  loadCredential,
+  recordRefreshError: recordVaultRefreshError,
+  removeCredential
+} = require('../../shared/utils/credentialVault');
+const stravaConfig = require('../../config/services').strava;
 
-const TOKEN_FILE = path.join(__dirname, '../../.strava-tokens.json');
+const PROVIDER = 'strava';
+
+// Single athlete token file written by the old oauth-setup.js script (imported once)
+const LEGACY_TOKEN_FILE = path.join(__dirname, '../../.strava-tokens.json');
+
+// Token fields stored in plaintext on StravaAthlete before the credential vault
+const PLAINTEXT_TOKEN_FIELDS = ['accessToken', 'refreshToken', 'expiresAt', 'scope', 'lastRefreshAt'];
+
+/**
+ * Convert a Strava expiry timestamp to a date
+ * @param {number} expiresAt - Unix timestamp (seconds)
+ * @returns {Date|null} Expiry date
+ * @private
+ */
+function toExpiryDate(expiresAt) {
+  return expiresAt ? new Date(expiresAt * 1000) : null;
+}
+
+/**
+ * Store an athlete's authorization (token exchange result)
+ * @param {Object} athlete - Strava athlete summary ({ id, firstname, lastname, username, profile })
+ * @param {Object} tokenData - { access_token, refresh_token, expires_at }
+ * @param {string|null} scope - Granted scopes
+ * @returns {Promise<Object>} StravaAthlete document
+ */
+async function saveAuthorization(athlete, tokenData, scope = null) {
+  const athleteId = String(athlete.id);
+  const profile = {
+    firstname: athlete.firstname || null,
+    lastname: athlete.lastname || null,
+    username: athlete.username || null,
+    profile: athlete.profile || null,
+    authorizedAt: new Date()
+  };
+
+  if (isVaultConfigured()) {
+    // Tokens first, so an athlete is never listed without them
+    await storeCredential(PROVIDER, athleteId, {
+      access_token: tokenData.access_token,
+      refresh_token: tokenData.refresh_token,
+      expires_at: tokenData.expires_at
+    }, {
+      scopes: scope ? scope.split(',') : [],
+      expiresAt: toExpiryDate(tokenData.expires_at)
+    });
+  } else {
+    console.warn(`⚠️  CREDENTIAL_MASTER_KEY not set: tokens of Strava athlete ${athleteId} are stored in plaintext`);
+    Object.assign(profile, {
+      accessToken: tokenData.access_token,
+      refreshToken: tokenData.refresh_token,
+      expiresAt: tokenData.expires_at,
+      scope
+    });
+  }
+
+  const saved = await StravaAthlete.findOneAndUpdate(
+    { athleteId },
+    { $set: profile },
+    { upsert: true, new: true }
+  );
+
+  console.log(`✅ Strava athlete ${saved.athleteId} (${saved.name}) authorized`);
+  return saved;
+}
 
 /**
- * Save tokens to file
+ * Save refreshed tokens for an athlete
+ * @param {string} athleteId - Strava athlete ID
  * @param {Object} tokenData - Token data to save
  * @param {string} tokenData.access_token - Access token
  * @param {string} tokenData.refresh_token - Refresh token
  * @param {number} tokenData.expires_at - Unix timestamp when token expires
  */
-function saveTokens(tokenData) {
+async function saveTokens(athleteId, tokenData) {
   try {
-    const data = {
-      access_token: tokenData.access_token,
-      refresh_token: tokenData.refresh_token,
-      expires_at: tokenData.expires_at,
-      updated_at: new Date().toISOString()
-    };
-
-    fs.writeFileSync(TOKEN_FILE, JSON.stringify(data, null, 2), 'utf8');
-    console.log('✅ Strava tokens saved successfully');
+    if (isVaultConfigured()) {
+      await storeCredential(PROVIDER, athleteId, {
+        access_token: tokenData.access_token,
+        refresh_token: tokenData.refresh_token,
+        expires_at: tokenData.expires_at
+      }, {
+        expiresAt: toExpiryDate(tokenData.expires_at),
+        refreshed: true
+      });
+    } else {
+      await StravaAthlete.updateOne(
+        { athleteId: String(athleteId) },
+        {
+          $set: {
+            accessToken: tokenData.access_token,
+            refreshToken: tokenData.refresh_token,
+            expiresAt: tokenData.expires_at,
+            lastRefreshAt: new Date()
+          }
+        }
+      );
+    }
+    console.log(`✅ Strava tokens saved for athlete ${athleteId}`);
   } catch (error) {
-    console.error('❌ Failed to save Strava tokens:', error.message);
+    console.error(`❌ Failed to save Strava tokens for athlete ${athleteId}:`, error.message);
     throw error;
   }
 }
 
 /**
- * Load tokens from file
- * @returns {Object|null} Token data or null if file doesn't exist
+ * Load an athlete's tokens
+ * @param {string} athleteId - Strava athlete ID
+ * @returns {Promise<Object|null>} Token data or null if the athlete hasn't authorized
  */
-function loadTokens() {
+async function loadTokens(athleteId) {
+  if (!isVaultConfigured()) {
+    const athlete = await StravaAthlete.findWithTokens(athleteId);
+
+    // Otherwise the tokens are in the vault, which reports that it's locked
+    if (athlete?.accessToken) {
+      return {
+        access_token: athlete.accessToken,
+        refresh_token: athlete.refreshToken,
+        expires_at: athlete.expiresAt
+      };
+    }
+  }
+
+  const tokens = await loadCredential(PROVIDER, athleteId);
+
+  if (!tokens) {
+    return null;
+  }
+
+  return {
+    access_token: tokens.access_token,
+    refresh_token: tokens.refresh_token,
+    expires_at: tokens.expires_at
+  };
+}
+
+/**
+ * Record a failed token refresh for an athlete (shown in the credential status)
+ * Plaintext tokens have no credential status, so nothing is recorded without a master key.
+ * @param {string} athleteId - Strava athlete ID
+ * @param {string} message - Failure reason
+ * @returns {Promise<void>}
+ */
+async function recordRefreshError(athleteId, message) {
+  if (!isVaultConfigured()) return;
+
+  await recordVaultRefreshError(PROVIDER, athleteId, message);
+}
+
+/**
+ * Remove an athlete's tokens (disconnect or revoked access)
+ * @param {string} athleteId - Strava athlete ID
+ * @returns {Promise<boolean>} True if the athlete was stored
+ */
+async function removeTokens(athleteId) {
+  const [result, hadTokens] = await Promise.all([
+    StravaAthlete.deleteOne({ athleteId: String(athleteId) }),
+    removeCredential(PROVIDER, athleteId)
+  ]);
+  return result.deletedCount > 0 || hadTokens;
+}
+
+/**
+ * List authorized athletes (without tokens)
+ * @returns {Promise<Array>} StravaAthlete documents, first authorized first
+ */
+function listAthletes() {
+  return StravaAthlete.findAll();
+}
+
+/**
+ * Get the athlete used when a request doesn't name one
+ * STRAVA_DEFAULT_ATHLETE_ID if that athlete is authorized, otherwise the first athlete authorized.
+ * @returns {Promise<string|null>} Strava athlete ID, or null if nobody has authorized
+ */
+async function getDefaultAthleteId() {
+  const athletes = await listAthletes();
+  const configured = athletes.find(athlete => athlete.athleteId === stravaConfig.defaultAthleteId);
+  const athlete = configured || athletes[0];
+
+  return athlete ? athlete.athleteId : null;
+}
+
+/**
+ * Resolve an athlete selection to authorized athlete IDs
+ * @param {string|undefined} selection - Athlete ID, comma-separated IDs, "all", or empty for the default athlete
+ * @returns {Promise<Object>} { athleteIds, unknown } (unknown: requested IDs that haven't authorized)
+ */
+async function resolveAthleteIds(selection) {
+  const athletes = await listAthletes();
+  const authorized = athletes.map(athlete => athlete.athleteId);
+
+  if (selection === 'all') {
+    return { athleteIds: authorized, unknown: [] };
+  }
+
+  if (!selection) {
+    const defaultId = await getDefaultAthleteId();
+    return { athleteIds: defaultId ? [defaultId] : [], unknown: [] };
+  }
+
+  const requested = [...new Set(String(selection).split(',').map(id => id.trim()).filter(Boolean))];
+
+  return {
+    athleteIds: requested.filter(id => authorized.includes(id)),
+    unknown: requested.filter(id => !authorized.includes(id))
+  };
+}
+
+/**
+ * Load tokens from the legacy single athlete token file
+ * @returns {Object|null} Token data or null if the file doesn't exist
+ */
+function loadLegacyTokens() {
   try {
-    if (!fs.existsSync(TOKEN_FILE)) {
+    if (!fs.existsSync(LEGACY_TOKEN_FILE)) {
       return null;
     }
 
-    const data = fs.readFileSync(TOKEN_FILE, 'utf8');
-    const tokens = JSON.parse(data);
+    const tokens = JSON.parse(fs.readFileSync(LEGACY_TOKEN_FILE, 'utf8'));
 
     return {
       access_token: tokens.access_token,
@@ -51,12 +243,93 @@ function loadTokens() {
       expires_at: tokens.expires_at
     };
   } catch (error) {
-    console.error('❌ Failed to load Strava tokens:', error.message);
+    console.error('❌ Failed to load legacy Strava tokens:', error.message);
     return null;
   }
 }
 
+/**
+ * Delete the legacy token file once its tokens are stored, so no second copy is left
+ */
+function removeLegacyTokens() {
+  fs.unlinkSync(LEGACY_TOKEN_FILE);
+}
+
+/**
+ * Move tokens stored in plaintext on StravaAthlete documents into the credential vault
+ * Does nothing until CREDENTIAL_MASTER_KEY is set.
+ * @returns {Promise<number>} Athletes migrated
+ */
+async function migratePlaintextTokens() {
+  const collection = StravaAthlete.collection;
+  const plaintext = await collection.find({ accessToken: { $exists: true } }).toArray();
+
+  if (plaintext.length === 0) {
+    return 0;
+  }
+
+  if (!isVaultConfigured()) {
+    console.warn(`⚠️  CREDENTIAL_MASTER_KEY not set: ${plaintext.length} Strava athlete(s) have plaintext tokens`);
+    return 0;
+  }
+
+  for (const athlete of plaintext) {
+    await storeCredential(PROVIDER, athlete.athleteId, {
+      access_token: athlete.accessToken,
+      refresh_token: athlete.refreshToken,
+      expires_at: athlete.expiresAt
+    }, {
+      scopes: athlete.scope ? athlete.scope.split(',') : [],
+      expiresAt: toExpiryDate(athlete.expiresAt)
+    });
+
+    await collection.updateOne(
+      { _id: athlete._id },
+      { $unset: Object.fromEntries(PLAINTEXT_TOKEN_FIELDS.map(field => [field, ''])) }
+    );
+  }
+
+  console.log(`🔐 Moved plaintext tokens of ${plaintext.length} Strava athlete(s) into the credential vault`);
+  return plaintext.length;
+}
+
+/**
+ * Get the status of athletes whose tokens are still in plaintext (never includes tokens)
+ * @returns {Promise<Array>} Credential status per athlete, in the format of the vault status
+ */
+async function getPlaintextTokenStatus() {
+  const athletes = await StravaAthlete.find({ accessToken: { $exists: true } }).select('+refreshToken');
+
+  return athletes.map(athlete => {
+    const expiresAt = toExpiryDate(athlete.expiresAt);
+
+    return {
+      provider: PROVIDER,
+      accountId: athlete.athleteId,
+      storage: 'mongodb',
+      scopes: athlete.scope ? athlete.scope.split(',') : [],
+      expiresAt,
+      expired: Boolean(expiresAt && expiresAt <= new Date()),
+      hasRefreshToken: Boolean(athlete.refreshToken),
+      lastRefreshAt: athlete.lastRefreshAt || null,
+      lastRefreshError: null,
+      lastRefreshErrorAt: null,
+      updatedAt: athlete.updatedAt
+    };
+  });
+}
+
 module.exports = {
+  saveAuthorization,
   saveTokens,
-  loadTokens
+  loadTokens,
+  recordRefreshError,
+  removeTokens,
+  listAthletes,
+  getDefaultAthleteId,
+  resolveAthleteIds,
+  loadLegacyTokens,
+  removeLegacyTokens,
+  migratePlaintextTokens,
+  getPlaintextTokenStatus
 };
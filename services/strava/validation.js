@@ -0,0 +1,178 @@
+/**
+ * Strava Service - Validation
+ * Validation utilities for stored history queries and fitness goals
+ */
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const YEAR_REGEX = /^\d{4}$/;
+const ATHLETE_ID_REGEX = /^\d+$/;
+
+// Largest page GET /history returns
+const MAX_HISTORY_LIMIT = 200;
+
+const SUMMARY_PERIODS = ['month', 'year'];
+
+const GOAL_METRICS = ['distance', 'duration', 'elevation', 'count'];
+const GOAL_PERIODS = ['week', 'month', 'year'];
+
+/**
+ * Validate and parse a history query
+ * Dates are the athlete's local dates; year is shorthand for start/end covering that year.
+ * @param {Object} query - Request query { type, start, end, year, page, limit, period }
+ * @returns {Object} { valid, errors, filter: { type, start, end, page, limit, period } }
+ */
+function validateHistoryQuery(query) {
+  const errors = [];
+  const filter = {
+    type: query.type || null,
+    start: query.start || null,
+    end: query.end || null,
+    page: 1,
+    limit: 50,
+    period: query.period || 'month'
+  };
+
+  if (query.year !== undefined) {
+    if (!YEAR_REGEX.test(query.year)) {
+      errors.push('year must be a four digit year');
+    } else if (query.start || query.end) {
+      errors.push('Provide either year or start/end, not both');
+    } else {
+      filter.start = `${query.year}-01-01`;
+      filter.end = `${query.year}-12-31`;
+    }
+  }
+
+  for (const field of ['start', 'end']) {
+    if (query[field] !== undefined && !DATE_REGEX.test(query[field])) {
+      errors.push(`${field} must be a date (YYYY-MM-DD)`);
+    }
+  }
+
+  if (filter.start && filter.end && filter.start > filter.end) {
+    errors.push('start must be on or before end');
+  }
+
+  if (query.page !== undefined) {
+    filter.page = parseInt(query.page);
+    if (!Number.isInteger(filter.page) || filter.page < 1) {
+      errors.push('page must be a positive integer');
+    }
+  }
+
+  if (query.limit !== undefined) {
+    filter.limit = parseInt(query.limit);
+    if (!Number.isInteger(filter.limit) || filter.limit < 1 || filter.limit > MAX_HISTORY_LIMIT) {
+      errors.push(`limit must be between 1 and ${MAX_HISTORY_LIMIT}`);
+    }
+  }
+
+  if (!SUMMARY_PERIODS.includes(filter.period)) {
+    errors.push(`period must be one of: ${SUMMARY_PERIODS.join(', ')}`);
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    filter
+  };
+}
+
+/**
+ * Validate fields shared by goal creation and update
+ * @param {Object} data - Goal data
+ * @param {Array} errors - Error list to append to
+ * @private
+ */
+function validateGoalFields(data, errors) {
+  if (data.name !== undefined && (typeof data.name !== 'string' || data.name.trim().length === 0)) {
+    errors.push('Goal name must be a non-empty string');
+  }
+
+  if (data.metric !== undefined && !GOAL_METRICS.includes(data.metric)) {
+    errors.push(`Metric must be one of: ${GOAL_METRICS.join(', ')}`);
+  }
+
+  if (data.target !== undefined && (typeof data.target !== 'number' || !(data.target > 0))) {
+    errors.push('Target must be a positive number (km, minutes, meters or activities, by metric)');
+  }
+
+  if (data.period !== undefined && !GOAL_PERIODS.includes(data.period)) {
+    errors.push(`Period must be one of: ${GOAL_PERIODS.join(', ')}`);
+  }
+
+  if (data.activityTypes !== undefined) {
+    if (!Array.isArray(data.activityTypes) || !data.activityTypes.every(type => typeof type === 'string' && type.trim().length > 0)) {
+      errors.push('activityTypes must be an array of activity types, e.g. ["Run"]');
+    }
+  }
+
+  if (data.enabled !== undefined && typeof data.enabled !== 'boolean') {
+    errors.push('Enabled must be a boolean');
+  }
+
+  if (data.athleteId !== undefined && data.athleteId !== null && !ATHLETE_ID_REGEX.test(String(data.athleteId))) {
+    errors.push('athleteId must be a Strava athlete ID, or null to combine every athlete');
+  }
+}
+
+/**
+ * Validate goal creation data
+ * @param {Object} data - Goal data to validate
+ * @returns {Object} Validation result { valid: boolean, errors: Array }
+ */
+function validateGoalCreate(data) {
+  const errors = [];
+
+  if (!data.name) {
+    errors.push('Goal name is required');
+  }
+
+  if (data.metric === undefined) {
+    errors.push('Metric is required');
+  }
+
+  if (data.target === undefined) {
+    errors.push('Target is required');
+  }
+
+  if (data.period === undefined) {
+    errors.push('Period is required');
+  }
+
+  validateGoalFields(data, errors);
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate goal update data
+ * @param {Object} data - Goal data to validate
+ * @returns {Object} Validation result { valid: boolean, errors: Array }
+ */
+function validateGoalUpdate(data) {
+  const errors = [];
+
+  const updateFields = ['name', 'enabled', 'metric', 'target', 'period', 'activityTypes', 'athleteId'];
+  const hasUpdateField = updateFields.some(field => data.hasOwnProperty(field));
+
+  if (!hasUpdateField) {
+    errors.push('At least one field must be provided for update');
+  }
+
+  validateGoalFields(data, errors);
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+module.exports = {
+  validateHistoryQuery,
+  validateGoalCreate,
+  validateGoalUpdate
+};
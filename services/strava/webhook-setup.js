@@ -0,0 +1,148 @@
+/**
+ * Strava Webhook Setup Script
+ * Registers, lists and deletes the Strava push subscription
+ *
+ * Usage:
+ *   node services/strava/webhook-setup.js create [callbackUrl]
+ *   node services/strava/webhook-setup.js list
+ *   node services/strava/webhook-setup.js delete <subscriptionId>
+ *
+ * Strava allows one subscription per app and calls the callback URL's
+ * GET /api/strava/webhook while creating it, so the server must be running
+ * and reachable from the internet first. The server rejects every event until
+ * STRAVA_WEBHOOK_SUBSCRIPTION_ID is set to the printed subscription ID.
+ */
+
+require('dotenv').config();
+const axios = require('axios');
+
+const CLIENT_ID = process.env.STRAVA_CLIENT_ID;
+const CLIENT_SECRET = process.env.STRAVA_CLIENT_SECRET;
+const VERIFY_TOKEN = process.env.STRAVA_WEBHOOK_VERIFY_TOKEN;
+const SUBSCRIPTIONS_URL = 'https://www.strava.com/api/v3/push_subscriptions';
+
+if (!CLIENT_ID || !CLIENT_SECRET) {
+  console.error('❌ Error: STRAVA_CLIENT_ID and STRAVA_CLIENT_SECRET must be set in .env');
+  console.error('Get your credentials from: https://www.strava.com/settings/api');
+  process.exit(1);
+}
+
+/**
+ * Print usage and exit
+ * @param {number} code - Exit code
+ */
+function printUsage(code) {
+  console.log('Usage:');
+  console.log('  node services/strava/webhook-setup.js create [callbackUrl]');
+  console.log('  node services/strava/webhook-setup.js list');
+  console.log('  node services/strava/webhook-setup.js delete <subscriptionId>');
+  process.exit(code);
+}
+
+/**
+ * Print the .env line the server needs to accept a subscription's events
+ * @param {number|string} subscriptionId - Subscription ID
+ */
+function printSubscriptionIdSetting(subscriptionId) {
+  console.log('');
+  console.log('⚠️  The server rejects every event until this is in its .env (then restart it):');
+  console.log(`STRAVA_WEBHOOK_SUBSCRIPTION_ID=${subscriptionId}`);
+  console.log('');
+}
+
+/**
+ * Register the push subscription
+ * @param {string} callbackUrl - Public URL of /api/strava/webhook
+ */
+async function createSubscription(callbackUrl) {
+  if (!callbackUrl) {
+    console.error('❌ Error: pass a callback URL or set STRAVA_WEBHOOK_CALLBACK_URL in .env');
+    console.error('Example: https://lifestack.example.com/api/strava/webhook');
+    process.exit(1);
+  }
+
+  if (!VERIFY_TOKEN) {
+    console.error('❌ Error: STRAVA_WEBHOOK_VERIFY_TOKEN must be set in .env (and on the running server)');
+    process.exit(1);
+  }
+
+  console.log(`🔄 Registering subscription for ${callbackUrl}...`);
+  console.log('   Strava will validate the callback URL now');
+
+  const response = await axios.post(SUBSCRIPTIONS_URL, new URLSearchParams({
+    client_id: CLIENT_ID,
+    client_secret: CLIENT_SECRET,
+    callback_url: callbackUrl,
+    verify_token: VERIFY_TOKEN
+  }));
+
+  console.log('');
+  console.log('✅ Success! Strava push subscription created');
+  console.log(`🆔 Subscription ID: ${response.data.id}`);
+  printSubscriptionIdSetting(response.data.id);
+}
+
+/**
+ * List the app's push subscriptions
+ */
+async function listSubscriptions() {
+  const response = await axios.get(SUBSCRIPTIONS_URL, {
+    params: { client_id: CLIENT_ID, client_secret: CLIENT_SECRET }
+  });
+
+  if (response.data.length === 0) {
+    console.log('📭 No push subscriptions registered');
+    return;
+  }
+
+  console.log('📋 Push subscriptions:');
+  for (const subscription of response.data) {
+    console.log(`   ${subscription.id}  ${subscription.callback_url}  (created ${subscription.created_at})`);
+  }
+
+  const configuredId = process.env.STRAVA_WEBHOOK_SUBSCRIPTION_ID;
+  if (!response.data.some(subscription => String(subscription.id) === configuredId)) {
+    printSubscriptionIdSetting(response.data[0].id);
+  }
+}
+
+/**
+ * Delete a push subscription
+ * @param {string} subscriptionId - Subscription ID (see list)
+ */
+async function deleteSubscription(subscriptionId) {
+  if (!subscriptionId) {
+    console.error('❌ Error: pass the subscription ID to delete (see: webhook-setup.js list)');
+    process.exit(1);
+  }
+
+  await axios.delete(`${SUBSCRIPTIONS_URL}/${encodeURIComponent(subscriptionId)}`, {
+    params: { client_id: CLIENT_ID, client_secret: CLIENT_SECRET }
+  });
+
+  console.log(`✅ Deleted push subscription ${subscriptionId}`);
+}
+
+console.log('');
+console.log('╔════════════════════════════════════════════╗');
+console.log('║     Strava Webhook Subscription Setup     ║');
+console.log('╚════════════════════════════════════════════╝');
+console.log('');
+
+const [command, arg] = process.argv.slice(2);
+const commands = {
+  create: () => createSubscription(arg || process.env.STRAVA_WEBHOOK_CALLBACK_URL),
+  list: () => listSubscriptions(),
+  delete: () => deleteSubscription(arg || process.env.STRAVA_WEBHOOK_SUBSCRIPTION_ID)
+};
+
+if (!commands[command]) {
+  printUsage(command ? 1 : 0);
+}
+
+commands[command]()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('❌ Strava request failed:', JSON.stringify(error.response?.data || error.message));
+    process.exit(1);
+  });
@@ -0,0 +1,164 @@
+/**
+ * Strava Service - Webhook Events
+ * Handles Strava push subscription events: cache invalidation and downstream hooks
+ */
+
+const { cache } = require('../../shared/middleware/cache');
+const stravaConfig = require('../../config/services').strava;
+
+// Handlers registered by other services, run after every event
+const activityHandlers = [];
+
+/**
+ * Register a downstream hook for Strava webhook events
+ * Handlers run in registration order after the Strava cache is invalidated;
+ * a failing handler is logged and does not stop the others.
+ * @param {Function} handler - async (event) => void, event as normalized by normalizeWebhookEvent
+ */
+function onActivityEvent(handler) {
+  activityHandlers.push(handler);
+}
+
+/**
+ * Check a subscription validation request (GET /webhook)
+ * @param {Object} query - Request query ({ 'hub.mode', 'hub.verify_token', 'hub.challenge' })
+ * @returns {string|null} Challenge to echo back, or null if the request isn't valid
+ */
+function verifySubscriptionChallenge(query) {
+  const verifyToken = stravaConfig.webhook.verifyToken;
+
+  if (!verifyToken) return null;
+  if (query['hub.mode'] !== 'subscribe') return null;
+  if (query['hub.verify_token'] !== verifyToken) return null;
+
+  return query['hub.challenge'] || null;
+}
+
+/**
+ * Validate an incoming webhook event body
+ * Strava doesn't sign events, so the subscription ID is the only check that an event came
+ * from our subscription; every event is rejected until STRAVA_WEBHOOK_SUBSCRIPTION_ID is set.
+ * @param {Object} body - Request body
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateWebhookEvent(body) {
+  const errors = [];
+  const subscriptionId = stravaConfig.webhook.subscriptionId;
+
+  if (!subscriptionId) {
+    return ['STRAVA_WEBHOOK_SUBSCRIPTION_ID is not set; events are rejected until it is (see webhook-setup.js list)'];
+  }
+
+  if (!body || typeof body !== 'object') {
+    return ['Event body must be a JSON object'];
+  }
+
+  if (!['activity', 'athlete'].includes(body.object_type)) {
+    errors.push('object_type must be "activity" or "athlete"');
+  }
+
+  if (!['create', 'update', 'delete'].includes(body.aspect_type)) {
+    errors.push('aspect_type must be "create", "update" or "delete"');
+  }
+
+  if (body.object_id === undefined || body.object_id === null) {
+    errors.push('object_id is required');
+  }
+
+  if (body.owner_id === undefined || body.owner_id === null) {
+    errors.push('owner_id is required');
+  }
+
+  if (String(body.subscription_id) !== String(subscriptionId)) {
+    errors.push('subscription_id does not match the configured subscription');
+  }
+
+  return errors;
+}
+
+/**
+ * Normalize a Strava webhook event
+ * @param {Object} body - Validated event body
+ * @returns {Object} { objectType, aspectType, objectId, ownerId, updates, eventTime, deauthorized }
+ */
+function normalizeWebhookEvent(body) {
+  const updates = body.updates || {};
+
+  return {
+    objectType: body.object_type,
+    aspectType: body.aspect_type,
+    objectId: String(body.object_id),
+    ownerId: String(body.owner_id),
+    updates,
+    eventTime: body.event_time ? new Date(body.event_time * 1000).toISOString() : new Date().toISOString(),
+    // Athlete updates with authorized "false" mean the athlete revoked access
+    deauthorized: body.object_type === 'athlete' && String(updates.authorized) === 'false'
+  };
+}
+
+/**
+ * Process a webhook event: drop affected cache entries, then run downstream hooks
+ * @param {Object} event - Normalized event (normalizeWebhookEvent)
+ * @returns {Promise<Object>} { keysCleared, handlersFailed }
+ */
+async function handleWebhookEvent(event) {
+  console.log(`📬 Strava webhook: ${event.objectType} ${event.aspectType} ${event.objectId}`);
+
+  const keysCleared = invalidateStravaCache(event);
+  let handlersFailed = 0;
+
+  for (const handler of activityHandlers) {
+    try {
+      await handler(event);
+    } catch (error) {
+      handlersFailed++;
+      console.error('❌ Strava webhook handler failed:', error.message);
+    }
+  }
+
+  return { keysCleared, handlersFailed };
+}
+
+/**
+ * Drop the Strava cache entries an event makes stale for the athlete who owns it
+ * Activity events drop activity lists, analytics, goal progress, the activity itself, its streams and athlete stats;
+ * athlete events drop the profile; a deauthorization drops everything.
+ * @param {Object} event - Normalized event
+ * @returns {number} Number of keys cleared
+ * @private
+ */
+function invalidateStravaCache(event) {
+  const owner = event.ownerId;
+
+  const keys = cache.keys().filter(key => {
+    if (event.deauthorized) {
+      return key.startsWith('strava:');
+    }
+
+    if (event.objectType === 'athlete') {
+      return key === `strava:athlete:${owner}` || key === `strava:stats:${owner}`;
+    }
+
+    return key.startsWith(`strava:activities:${owner}:`) ||
+      key.startsWith(`strava:analytics:${owner}:`) ||
+      key.startsWith(`strava:goals:activities:${owner}:`) ||
+      key === `strava:activity:${owner}:${event.objectId}` ||
+      key === `strava:streams:${owner}:${event.objectId}` ||
+      key === `strava:stats:${owner}`;
+  });
+
+  if (keys.length > 0) {
+    cache.del(keys);
+    console.log(`🗑️  Invalidated ${keys.length} Strava cache entries`);
+  }
+
+  return keys.length;
+}
+
+module.exports = {
+  onActivityEvent,
+  verifySubscriptionChallenge,
+  validateWebhookEvent,
+  normalizeWebhookEvent,
+  handleWebhookEvent
+};
@@ -48,6 +48,77 @@ class TodoistClient {
     }
   }
 
+  /**
+   * Get a single active task
+   * @param {string} taskId - Todoist task ID
+   * @returns {Promise<Object>} Task
+   */
+  async getTask(taskId) {
+    try {
+      const response = await this.client.get(`/tasks/${taskId}`);
+      return response.data;
+    } catch (error) {
+      this._handleError(error, 'Failed to fetch task');
+    }
+  }
+
+  /**
+   * Create a task
+   * @param {Object} data - Todoist task fields (content, due_date, priority, ...)
+   * @returns {Promise<Object>} Created task
+   */
+  async createTask(data) {
+    try {
+      const response = await this.client.post('/tasks', data);
+      return response.data;
+    } catch (error) {
+      this._handleError(error, 'Failed to create task');
+    }
+  }
+
+  /**
+   * Update a task
+   * @param {string} taskId - Todoist task ID
+   * @param {Object} data - Todoist task fields to change
+   * @returns {Promise<Object>} Updated task
+   */
+  async updateTask(taskId, data) {
+    try {
+      const response = await this.client.post(`/tasks/${taskId}`, data);
+      return response.data;
+    } catch (error) {
+      this._handleError(error, 'Failed to update task');
+    }
+  }
+
+  /**
+   * Complete a task
+   * @param {string} taskId - Todoist task ID
+   * @returns {Promise<boolean>} True on success
+   */
+  async closeTask(taskId) {
+    try {
+      await this.client.post(`/tasks/${taskId}/close`);
+      return true;
+    } catch (error) {
+      this._handleError(error, 'Failed to close task');
+    }
+  }
+
+  /**
+   * Reopen a completed task
+   * @param {string} taskId - Todoist task ID
+   * @returns {Promise<boolean>} True on success
+   */
+  async reopenTask(taskId) {
+    try {
+      await this.client.post(`/tasks/${taskId}/reopen`);
+      return true;
+    } catch (error) {
+      this._handleError(error, 'Failed to reopen task');
+    }
+  }
+
   /**
    * Get all projects
    * @returns {Promise<Array>} Array of projects
@@ -5,7 +5,20 @@
 
 const { createTodoistClient } = require('../todoist/client');
 const { createStravaClient } = require('../strava/client');
-const axios = require('axios');
+const { resolveAthleteIds } = require('../strava/tokenStore');
+const {
+  getDefaultCalendarIds,
+  getEventsForCalendars,
+  getEventsForRange
+} = require('../calendar/events');
+const {
+  getTodayKey,
+  getDateKey,
+  addDays,
+  getWeekday,
+  getDayBoundaries,
+  normalizeEvents
+} = require('../calendar/utils');
 
 /**
  * Normalize Todoist task to unified format
@@ -17,15 +30,54 @@ function normalizeTask(task, projectName = null) {
   return {
     id: `todoist:${task.id}`,
     title: task.content,
-    due: task.due?.date || null,
+    // Date-time when the task has a due time (offset-less for floating times), else the date
+    due: task.due?.datetime || task.due?.date || null,
     completed: task.is_completed || false,
     priority: 5 - task.priority, // Todoist: 4=urgent, we want 1=low, 4=urgent
     source: 'todoist',
     project: projectName || task.project_id,
-    labels: task.labels || []
+    labels: task.labels || [],
+    // Todoist estimate in minutes (null when unset or given in days)
+    duration: task.duration?.unit === 'minute' ? task.duration.amount : null
   };
 }
 
+/**
+ * Extract the Todoist ID from a unified task ID
+ * @param {string} id - Unified ID ("todoist:123") or raw Todoist ID
+ * @returns {string|null} Todoist task ID, or null if the ID belongs to another source
+ */
+function parseTaskId(id) {
+  if (typeof id !== 'string' || id.length === 0) return null;
+
+  const separator = id.indexOf(':');
+  if (separator === -1) return id;
+
+  const source = id.slice(0, separator);
+  const taskId = id.slice(separator + 1);
+
+  return source === 'todoist' && taskId.length > 0 ? taskId : null;
+}
+
+/**
+ * Get Todoist project names by ID
+ * @param {Object} todoistClient - Todoist client
+ * @returns {Promise<Object>} Map of project ID to name (empty if projects can't be fetched)
+ * @private
+ */
+async function fetchProjectNames(todoistClient) {
+  try {
+    const projectsList = await todoistClient.getProjects();
+    return projectsList.reduce((acc, p) => {
+      acc[p.id] = p.name;
+      return acc;
+    }, {});
+  } catch (err) {
+    console.warn('Could not fetch projects:', err.message);
+    return {};
+  }
+}
+
 /**
  * Fetch tasks from Todoist
  * @param {Object} options - Fetch options
@@ -37,16 +89,7 @@ async function fetchTodoistTasks(options = {}) {
     const tasks = await todoistClient.getTasks(options);
 
     // Get projects for task names
-    let projects = {};
-    try {
-      const projectsList = await todoistClient.getProjects();
-      projects = projectsList.reduce((acc, p) => {
-        acc[p.id] = p.name;
-        return acc;
-      }, {});
-    } catch (err) {
-      console.warn('Could not fetch projects:', err.message);
-    }
+    const projects = await fetchProjectNames(todoistClient);
 
     return tasks.map(task => normalizeTask(task, projects[task.project_id]));
   } catch (error) {
@@ -55,15 +98,113 @@ async function fetchTodoistTasks(options = {}) {
   }
 }
 
+/**
+ * Convert unified task fields to Todoist API fields
+ * Reverse of normalizeTask: priority is flipped back and project names are resolved to IDs.
+ * @param {Object} data - Unified fields { title, description, due, dueString, priority, labels, project }
+ * @param {Object} projects - Map of project ID to name
+ * @returns {Object} Todoist task fields
+ * @private
+ */
+function toTodoistFields(data, projects) {
+  const fields = {};
+
+  if (data.title !== undefined) fields.content = data.title;
+  if (data.description !== undefined) fields.description = data.description;
+  if (data.priority !== undefined) fields.priority = 5 - data.priority;
+  if (data.labels !== undefined) fields.labels = data.labels;
+
+  if (data.dueString !== undefined) {
+    fields.due_string = data.dueString;
+  } else if (data.due === null) {
+    fields.due_string = 'no date';
+  } else if (data.due !== undefined) {
+    if (data.due.includes('T')) {
+      fields.due_datetime = new Date(data.due).toISOString();
+    } else {
+      fields.due_date = data.due;
+    }
+  }
+
+  if (data.project !== undefined) {
+    const projectId = Object.keys(projects).find(id =>
+      id === String(data.project) || projects[id].toLowerCase() === String(data.project).toLowerCase()
+    );
+
+    if (!projectId) {
+      const error = new Error(`Unknown Todoist project: ${data.project}`);
+      error.status = 400;
+      throw error;
+    }
+
+    fields.project_id = projectId;
+  }
+
+  return fields;
+}
+
+/**
+ * Create a Todoist task
+ * @param {Object} data - Unified task fields
+ * @returns {Promise<Object>} Normalized task
+ */
+async function createTodoistTask(data) {
+  const todoistClient = createTodoistClient();
+  const projects = await fetchProjectNames(todoistClient);
+
+  const task = await todoistClient.createTask(toTodoistFields(data, projects));
+  return normalizeTask(task, projects[task.project_id]);
+}
+
+/**
+ * Update a Todoist task
+ * @param {string} taskId - Todoist task ID
+ * @param {Object} data - Unified task fields to change
+ * @returns {Promise<Object>} Normalized task
+ */
+async function updateTodoistTask(taskId, data) {
+  const todoistClient = createTodoistClient();
+  const projects = await fetchProjectNames(todoistClient);
+
+  const task = await todoistClient.updateTask(taskId, toTodoistFields(data, projects));
+  return normalizeTask(task, projects[task.project_id]);
+}
+
+/**
+ * Complete a Todoist task
+ * @param {string} taskId - Todoist task ID
+ * @returns {Promise<boolean>} True on success
+ */
+async function closeTodoistTask(taskId) {
+  return createTodoistClient().closeTask(taskId);
+}
+
+/**
+ * Reopen a completed Todoist task
+ * @param {string} taskId - Todoist task ID
+ * @returns {Promise<Object>} Normalized task
+ */
+async function reopenTodoistTask(taskId) {
+  const todoistClient = createTodoistClient();
+  await todoistClient.reopenTask(taskId);
+
+  const [task, projects] = await Promise.all([
+    todoistClient.getTask(taskId),
+    fetchProjectNames(todoistClient)
+  ]);
+  return normalizeTask(task, projects[task.project_id]);
+}
+
 /**
  * Fetch calendar events for today
- * @param {string} baseUrl - Base URL for calendar service
+ * Events are tagged with calendarId and calendarName.
+ * @param {Array<string>|null} calendarIds - Calendar IDs (null: configured calendars)
  * @returns {Promise<Array>} Calendar events
  */
-async function fetchTodayCalendarEvents(baseUrl = 'http://localhost:3000') {
+async function fetchTodayCalendarEvents(calendarIds = null) {
   try {
-    const response = await axios.get(`${baseUrl}/api/calendar/events/today`);
-    return response.data.events || [];
+    const events = await getEventsForCalendars(getTodayKey(), calendarIds || getDefaultCalendarIds());
+    return normalizeEvents(events);
   } catch (error) {
     console.error('❌ Failed to fetch calendar events:', error.message);
     throw error;
@@ -72,29 +213,25 @@ async function fetchTodayCalendarEvents(baseUrl = 'http://localhost:3000') {
 
 /**
  * Fetch calendar events for a date range
+ * One calendar query per calendar; events spanning several days are listed once.
  * @param {string} startDate - Start date (YYYY-MM-DD)
  * @param {string} endDate - End date (YYYY-MM-DD)
- * @param {string} baseUrl - Base URL
- * @returns {Promise<Array>} Calendar events
+ * @param {Array<string>|null} calendarIds - Calendar IDs (null: configured calendars)
+ * @returns {Promise<Array>} Calendar events tagged with calendarId and calendarName
  */
-async function fetchCalendarEventsRange(startDate, endDate, baseUrl = 'http://localhost:3000') {
+async function fetchCalendarEventsRange(startDate, endDate, calendarIds = null) {
   try {
-    // Fetch events for each day in range
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    const events = [];
-
-    for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
-      const dateStr = d.toISOString().split('T')[0];
-      try {
-        const response = await axios.get(`${baseUrl}/api/calendar/events/${dateStr}`);
-        events.push(...(response.data.events || []));
-      } catch (err) {
-        console.warn(`Could not fetch events for ${dateStr}:`, err.message);
-      }
-    }
+    const eventsByDay = await getEventsForRange(startDate, endDate, calendarIds || getDefaultCalendarIds());
+
+    const seen = new Set();
+    const events = Object.values(eventsByDay).flat().filter(event => {
+      const key = `${event.calendarId}:${event.id}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
 
-    return events;
+    return normalizeEvents(events);
   } catch (error) {
     console.error('❌ Failed to fetch calendar events range:', error.message);
     throw error;
@@ -102,23 +239,52 @@ async function fetchCalendarEventsRange(startDate, endDate, baseUrl = 'http://lo
 }
 
 /**
- * Fetch Strava activities
+ * Resolve the Strava athletes a unified view covers
+ * @param {string|undefined} selection - Athlete ID, comma-separated IDs, "all", or empty for the default athlete
+ * @returns {Promise<Array<string>>} Strava athlete IDs
+ * @throws {Error} If an athlete hasn't authorized, or nobody has
+ */
+async function resolveStravaAthletes(selection) {
+  const { athleteIds, unknown } = await resolveAthleteIds(selection);
+
+  if (unknown.length > 0) {
+    const error = new Error(`Strava athlete ${unknown.join(', ')} has not authorized Lifestack`);
+    error.status = 400;
+    throw error;
+  }
+
+  if (athleteIds.length === 0) {
+    const error = new Error('No Strava athlete authorized. Authorize one: GET /api/strava/oauth/authorize');
+    error.status = 401;
+    throw error;
+  }
+
+  return athleteIds;
+}
+
+/**
+ * Fetch Strava activities for one or more athletes, newest first
  * @param {number} daysBack - Number of days to look back
- * @returns {Promise<Array>} Strava activities
+ * @param {Array<string|null>} athleteIds - Strava athlete IDs (null: the default athlete)
+ * @returns {Promise<Array>} Strava activities (athlete_id tells whose)
  */
-async function fetchStravaActivities(daysBack = 7) {
+async function fetchStravaActivities(daysBack = 7, athleteIds = [null]) {
   try {
-    const stravaClient = createStravaClient();
-
     // Calculate timestamp for X days ago
     const afterTimestamp = Math.floor(Date.now() / 1000) - (daysBack * 24 * 60 * 60);
+    const activities = [];
 
-    const activities = await stravaClient.getActivities({
-      after: afterTimestamp,
-      per_page: 100
-    });
+    for (const athleteId of athleteIds) {
+      const stravaClient = createStravaClient(athleteId);
+      const batch = await stravaClient.getActivities({
+        after: afterTimestamp,
+        per_page: 100
+      });
+
+      activities.push(...stravaClient.normalizeActivities(batch));
+    }
 
-    return stravaClient.normalizeActivities(activities);
+    return activities.sort((a, b) => new Date(b.date) - new Date(a.date));
   } catch (error) {
     console.error('❌ Failed to fetch Strava activities:', error.message);
     throw error;
@@ -133,8 +299,8 @@ async function fetchStravaActivities(daysBack = 7) {
  * @returns {Array} Filtered tasks
  */
 function filterTasks(tasks, filter = 'all', completedOnly = null) {
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
+  // Due dates are compared as date keys in the user's timezone
+  const today = getTodayKey();
 
   let filtered = tasks;
 
@@ -147,23 +313,17 @@ function filterTasks(tasks, filter = 'all', completedOnly = null) {
   if (filter === 'today') {
     filtered = filtered.filter(task => {
       if (!task.due) return false;
-      const dueDate = new Date(task.due);
-      dueDate.setHours(0, 0, 0, 0);
-      return dueDate.getTime() === today.getTime();
+      return getDateKey(task.due) === today;
     });
   } else if (filter === 'overdue') {
     filtered = filtered.filter(task => {
       if (!task.due || task.completed) return false;
-      const dueDate = new Date(task.due);
-      dueDate.setHours(0, 0, 0, 0);
-      return dueDate < today;
+      return getDateKey(task.due) < today;
     });
   } else if (filter === 'upcoming') {
     filtered = filtered.filter(task => {
       if (!task.due) return false;
-      const dueDate = new Date(task.due);
-      dueDate.setHours(0, 0, 0, 0);
-      return dueDate > today;
+      return getDateKey(task.due) > today;
     });
   }
 
@@ -229,28 +389,33 @@ function calculateFitnessSummary(activities) {
 }
 
 /**
- * Get start and end of current week
- * @returns {Object} { start: Date, end: Date }
+ * Get start and end of current week (Sunday to Saturday in the user's timezone)
+ * @returns {Object} { start: Date, end: Date, startKey, endKey } (keys are YYYY-MM-DD)
  */
 function getCurrentWeekDates() {
-  const today = new Date();
-  const dayOfWeek = today.getDay();
-  const start = new Date(today);
-  start.setDate(today.getDate() - dayOfWeek); // Start of week (Sunday)
-  start.setHours(0, 0, 0, 0);
-
-  const end = new Date(start);
-  end.setDate(start.getDate() + 6); // End of week (Saturday)
-  end.setHours(23, 59, 59, 999);
+  const today = getTodayKey();
+  const startKey = addDays(today, -getWeekday(today)); // Start of week (Sunday)
+  const endKey = addDays(startKey, 6); // End of week (Saturday)
 
-  return { start, end };
+  return {
+    start: getDayBoundaries(startKey).startOfDay,
+    end: getDayBoundaries(endKey).endOfDay,
+    startKey,
+    endKey
+  };
 }
 
 module.exports = {
   normalizeTask,
+  parseTaskId,
   fetchTodoistTasks,
+  createTodoistTask,
+  updateTodoistTask,
+  closeTodoistTask,
+  reopenTodoistTask,
   fetchTodayCalendarEvents,
   fetchCalendarEventsRange,
+  resolveStravaAthletes,
   fetchStravaActivities,
   filterTasks,
   sortTasks,
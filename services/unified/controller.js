@@ -4,16 +4,45 @@
  */
 
 const { cache } = require('../../shared/middleware/cache');
+const calendarConfig = require('../../config/services').calendar;
 const {
+  parseTaskId,
   fetchTodoistTasks,
+  createTodoistTask,
+  updateTodoistTask,
+  closeTodoistTask,
+  reopenTodoistTask,
   fetchTodayCalendarEvents,
   fetchCalendarEventsRange,
+  resolveStravaAthletes,
   fetchStravaActivities,
   filterTasks,
   sortTasks,
   calculateFitnessSummary,
   getCurrentWeekDates
 } = require('./aggregator');
+const {
+  validateTaskCreate,
+  validateTaskUpdate,
+  validateQuickAdd,
+  validatePlanDay
+} = require('./validation');
+const { parseQuickAdd } = require('./quickAdd');
+const { DEFAULT_TASK_MINUTES, selectPlanTasks, planFocusBlocks } = require('./planner');
+const { hasScope } = require('../../shared/middleware/auth');
+const { isAuthenticated } = require('../calendar/auth');
+const { onActivityEvent } = require('../strava/webhook');
+const { getGoalProgress } = require('../strava/goals');
+const { createEvent, getDefaultCalendarIds } = require('../calendar/events');
+const { checkConflicts } = require('../calendar/conflicts');
+const {
+  getTodayKey,
+  getDateKey,
+  getDateRange,
+  eventOverlapsDay,
+  validateEventData,
+  parseCalendarIds
+} = require('../calendar/utils');
 
 // Cache duration: 5 minutes
 const CACHE_DURATION = 5 * 60;
@@ -73,6 +102,261 @@ async function getTasks(req, res) {
   }
 }
 
+/**
+ * Create a Todoist task
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function createTask(req, res) {
+  try {
+    const validation = validateTaskCreate(req.body);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: validation.errors
+      });
+    }
+
+    const task = await createTodoistTask(req.body);
+    invalidateTaskCache();
+
+    console.log(`✅ Created task: ${task.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Task created successfully',
+      task
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to create task');
+  }
+}
+
+/**
+ * Update a Todoist task
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function updateTask(req, res) {
+  try {
+    const taskId = getTodoistIdOr400(req, res);
+    if (!taskId) return;
+
+    const validation = validateTaskUpdate(req.body);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: validation.errors
+      });
+    }
+
+    const task = await updateTodoistTask(taskId, req.body);
+    invalidateTaskCache();
+
+    console.log(`✅ Updated task: ${task.id}`);
+
+    res.json({
+      success: true,
+      message: 'Task updated successfully',
+      task
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to update task');
+  }
+}
+
+/**
+ * Complete a Todoist task
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function closeTask(req, res) {
+  try {
+    const taskId = getTodoistIdOr400(req, res);
+    if (!taskId) return;
+
+    await closeTodoistTask(taskId);
+    invalidateTaskCache();
+
+    console.log(`✅ Closed task: todoist:${taskId}`);
+
+    res.json({
+      success: true,
+      message: 'Task completed',
+      task: {
+        id: `todoist:${taskId}`,
+        completed: true
+      }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to close task');
+  }
+}
+
+/**
+ * Reopen a completed Todoist task
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function reopenTask(req, res) {
+  try {
+    const taskId = getTodoistIdOr400(req, res);
+    if (!taskId) return;
+
+    const task = await reopenTodoistTask(taskId);
+    invalidateTaskCache();
+
+    console.log(`✅ Reopened task: ${task.id}`);
+
+    res.json({
+      success: true,
+      message: 'Task reopened',
+      task
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to reopen task');
+  }
+}
+
+/**
+ * Create a task or calendar event from free text
+ * Events are checked for conflicts like POST /api/calendar/events (allowConflicts in the query or body skips it).
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function quickAdd(req, res) {
+  try {
+    const validation = validateQuickAdd(req.body);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: validation.errors
+      });
+    }
+
+    const { text, kind, dryRun = false, allowConflicts = false } = req.body;
+    const interpretation = parseQuickAdd(text, { kind });
+
+    if (!interpretation.title) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nothing to add',
+        message: 'No title left after removing dates, times and markers',
+        interpretation
+      });
+    }
+
+    if (interpretation.kind === 'event' && !interpretation.start) {
+      return res.status(400).json({
+        success: false,
+        error: 'Event needs a time',
+        message: 'Add a time of day (e.g. "3pm") or create a task instead',
+        interpretation
+      });
+    }
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        dryRun: true,
+        interpretation
+      });
+    }
+
+    if (interpretation.kind === 'event') {
+      if (!hasScope(req.apiKey?.scopes, 'calendar:write')) {
+        return res.status(403).json({
+          success: false,
+          error: 'Insufficient scope',
+          message: 'Creating events requires the calendar:write scope',
+          requiredScopes: ['calendar:write'],
+          interpretation
+        });
+      }
+
+      if (!isAuthenticated()) {
+        return res.status(503).json({
+          success: false,
+          error: 'Calendar service unavailable',
+          message: 'Google Calendar is not configured',
+          interpretation
+        });
+      }
+
+      const eventData = {
+        summary: interpretation.title,
+        start: interpretation.start,
+        end: interpretation.end
+      };
+
+      const eventValidation = validateEventData(eventData);
+      if (!eventValidation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid event data',
+          errors: eventValidation.errors,
+          interpretation
+        });
+      }
+
+      if (!allowConflicts && req.query.allowConflicts !== 'true') {
+        const { conflicts, suggestions } = await checkConflicts(eventData);
+        if (conflicts.length > 0) {
+          return res.status(409).json({
+            success: false,
+            error: 'Event conflicts with existing events',
+            message: 'Pass allowConflicts=true to save it anyway',
+            conflicts,
+            suggestions,
+            interpretation
+          });
+        }
+      }
+
+      const event = await createEvent(eventData);
+      invalidateDashboardCache();
+
+      return res.status(201).json({
+        success: true,
+        dryRun: false,
+        interpretation,
+        created: { type: 'event', event }
+      });
+    }
+
+    const task = await createTodoistTask({
+      title: interpretation.title,
+      ...(interpretation.due && { due: interpretation.due }),
+      ...(interpretation.priority !== null && { priority: interpretation.priority }),
+      ...(interpretation.labels.length > 0 && { labels: interpretation.labels }),
+      ...(interpretation.project && { project: interpretation.project })
+    });
+    invalidateTaskCache();
+
+    console.log(`✅ Quick-added task: ${task.id}`);
+
+    res.status(201).json({
+      success: true,
+      dryRun: false,
+      interpretation,
+      created: { type: 'task', task }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to quick add');
+  }
+}
+
 /**
  * Get today's dashboard data
  * @param {Object} req - Express request
@@ -80,7 +364,8 @@ async function getTasks(req, res) {
  */
 async function getToday(req, res) {
   try {
-    const cacheKey = 'unified:today';
+    const calendarIds = parseCalendarIds(req.query.calendarId);
+    const cacheKey = getDashboardCacheKey('unified:today', calendarIds, req.query.athleteId);
 
     // Try cache
     const cached = cache.get(cacheKey);
@@ -92,14 +377,15 @@ async function getToday(req, res) {
       });
     }
 
-    const today = new Date().toISOString().split('T')[0];
+    const today = getTodayKey();
     const errors = [];
+    const stravaAthletes = resolveStravaAthletes(req.query.athleteId);
 
     // Fetch data in parallel
     const [calendarEvents, allTasks, stravaActivities] = await Promise.allSettled([
-      fetchTodayCalendarEvents(),
+      fetchTodayCalendarEvents(calendarIds),
       fetchTodoistTasks(),
-      fetchStravaActivities(7)
+      stravaAthletes.then(athleteIds => fetchStravaActivities(7, athleteIds))
     ]);
 
     // Process calendar events
@@ -145,6 +431,7 @@ async function getToday(req, res) {
 
     const result = {
       date: today,
+      calendars: calendarIds || getDefaultCalendarIds(),
       events,
       tasks,
       fitness,
@@ -183,7 +470,8 @@ async function getToday(req, res) {
  */
 async function getWeek(req, res) {
   try {
-    const cacheKey = 'unified:week';
+    const calendarIds = parseCalendarIds(req.query.calendarId);
+    const cacheKey = getDashboardCacheKey('unified:week', calendarIds, req.query.athleteId);
 
     // Try cache
     const cached = cache.get(cacheKey);
@@ -195,16 +483,15 @@ async function getWeek(req, res) {
       });
     }
 
-    const { start, end } = getCurrentWeekDates();
-    const startDate = start.toISOString().split('T')[0];
-    const endDate = end.toISOString().split('T')[0];
+    const { startKey: startDate, endKey: endDate } = getCurrentWeekDates();
     const errors = [];
+    const stravaAthletes = resolveStravaAthletes(req.query.athleteId);
 
     // Fetch data in parallel
     const [calendarEvents, allTasks, stravaActivities] = await Promise.allSettled([
-      fetchCalendarEventsRange(startDate, endDate),
+      fetchCalendarEventsRange(startDate, endDate, calendarIds),
       fetchTodoistTasks(),
-      fetchStravaActivities(7)
+      stravaAthletes.then(athleteIds => fetchStravaActivities(7, athleteIds))
     ]);
 
     // Process calendar events
@@ -219,8 +506,8 @@ async function getWeek(req, res) {
       const taskList = allTasks.value;
       tasks = taskList.filter(t => {
         if (!t.due) return false;
-        const dueDate = new Date(t.due);
-        return dueDate >= start && dueDate <= end;
+        const dueDate = getDateKey(t.due);
+        return dueDate >= startDate && dueDate <= endDate;
       });
       tasks = sortTasks(tasks);
     } else {
@@ -252,7 +539,13 @@ async function getWeek(req, res) {
         start: startDate,
         end: endDate
       },
+      calendars: calendarIds || getDefaultCalendarIds(),
       events,
+      // Event IDs per day; multi-day events are listed on every day they span
+      days: getDateRange(startDate, endDate).reduce((days, dateKey) => {
+        days[dateKey] = events.filter(event => eventOverlapsDay(event, dateKey)).map(event => event.id);
+        return days;
+      }, {}),
       tasks,
       fitness,
       summary: {
@@ -284,12 +577,13 @@ async function getWeek(req, res) {
 
 /**
  * Get fitness summary
+ * Query: athleteId (athlete ID, comma-separated IDs or "all" to combine athletes; default: the default athlete)
  * @param {Object} req - Express request
  * @param {Object} res - Express response
  */
 async function getFitnessSummary(req, res) {
   try {
-    const cacheKey = 'unified:fitness';
+    const cacheKey = `unified:fitness:${req.query.athleteId || 'default'}`;
 
     // Try cache
     const cached = cache.get(cacheKey);
@@ -301,16 +595,22 @@ async function getFitnessSummary(req, res) {
       });
     }
 
-    // Fetch activities in parallel
-    const [last7Days, last30Days] = await Promise.allSettled([
-      fetchStravaActivities(7),
-      fetchStravaActivities(30)
+    const stravaAthletes = resolveStravaAthletes(req.query.athleteId);
+
+    // Fetch activities and goal progress in parallel
+    const [athleteIds, last7Days, last30Days, goalProgress] = await Promise.allSettled([
+      stravaAthletes,
+      stravaAthletes.then(ids => fetchStravaActivities(7, ids)),
+      stravaAthletes.then(ids => fetchStravaActivities(30, ids)),
+      stravaAthletes.then(ids => getGoalProgress(ids))
     ]);
 
     let summary = {
+      athletes: athleteIds.status === 'fulfilled' ? athleteIds.value : [],
       last_7_days: { activities_count: 0, total_distance: 0, total_duration: 0 },
       last_30_days: { activities_count: 0, total_distance: 0, total_duration: 0 },
-      recent_activities: []
+      recent_activities: [],
+      goals: []
     };
 
     if (last7Days.status === 'fulfilled') {
@@ -332,6 +632,23 @@ async function getFitnessSummary(req, res) {
         total_distance: summary30.total_distance,
         total_duration: summary30.total_duration
       };
+
+      // Combined views also break the last 30 days down per athlete
+      if (summary.athletes.length > 1) {
+        summary.by_athlete = summary.athletes.map(athleteId => {
+          const athleteSummary = calculateFitnessSummary(activities30.filter(activity => activity.athlete_id === athleteId));
+          return {
+            athleteId,
+            activities_count: athleteSummary.activities_count,
+            total_distance: athleteSummary.total_distance,
+            total_duration: athleteSummary.total_duration
+          };
+        });
+      }
+    }
+
+    if (goalProgress.status === 'fulfilled') {
+      summary.goals = goalProgress.value.goals;
     }
 
     const errors = [];
@@ -341,6 +658,9 @@ async function getFitnessSummary(req, res) {
     if (last30Days.status === 'rejected') {
       errors.push({ period: '30_days', error: last30Days.reason.message });
     }
+    if (goalProgress.status === 'rejected') {
+      errors.push({ period: 'goals', error: goalProgress.reason.message });
+    }
 
     const result = {
       ...summary,
@@ -366,8 +686,245 @@ async function getFitnessSummary(req, res) {
   }
 }
 
+/**
+ * Plan a day: place open tasks into free calendar gaps as focus blocks
+ * Preview returns the proposal; commit also creates the events (linked by taskId).
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function planDay(req, res) {
+  try {
+    const validation = validatePlanDay(req.body);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: validation.errors
+      });
+    }
+
+    const {
+      date = getTodayKey(),
+      mode = 'preview',
+      defaultMinutes = DEFAULT_TASK_MINUTES,
+      buffer = calendarConfig.bufferMinutes,
+      calendarId = 'primary',
+      taskIds = null,
+      includeUndated = false
+    } = req.body;
+
+    if (mode === 'commit' && !hasScope(req.apiKey?.scopes, 'calendar:write')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient scope',
+        message: 'Committing a plan requires the calendar:write scope',
+        requiredScopes: ['calendar:write']
+      });
+    }
+
+    if (!isAuthenticated()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Calendar service unavailable',
+        message: 'Google Calendar is not configured'
+      });
+    }
+
+    // The caller picked the day, so working days don't apply; working hours do
+    const workingHours = {
+      start: req.body.workStart || calendarConfig.workingHours.start,
+      end: req.body.workEnd || calendarConfig.workingHours.end,
+      days: [0, 1, 2, 3, 4, 5, 6]
+    };
+
+    const calendarIds = [...new Set([calendarId, ...getDefaultCalendarIds()])];
+    const [events, allTasks] = await Promise.all([
+      fetchCalendarEventsRange(date, date, calendarIds),
+      fetchTodoistTasks()
+    ]);
+
+    // Tasks that already have a focus block that day aren't planned again
+    const scheduledTaskIds = new Set(events.map(event => event.taskId).filter(Boolean));
+    const tasks = selectPlanTasks(allTasks, { dateKey: date, taskIds, includeUndated, scheduledTaskIds });
+
+    const plan = planFocusBlocks(tasks, events, {
+      dateKey: date,
+      workingHours,
+      bufferMinutes: buffer,
+      defaultMinutes
+    });
+
+    const result = {
+      date,
+      mode,
+      calendarId,
+      workingHours: { start: workingHours.start, end: workingHours.end },
+      bufferMinutes: buffer,
+      freeMinutes: plan.freeMinutes,
+      plannedMinutes: plan.blocks.reduce((sum, block) => sum + block.minutes, 0),
+      alreadyScheduled: [...scheduledTaskIds],
+      blocks: plan.blocks,
+      unscheduled: plan.unscheduled
+    };
+
+    if (mode === 'preview') {
+      return res.json({ success: true, ...result });
+    }
+
+    // One event at a time; a failed block doesn't undo the others
+    const errors = [];
+    for (const block of plan.blocks) {
+      try {
+        const event = await createEvent({
+          summary: `Focus: ${block.title}`,
+          start: block.start,
+          end: block.end,
+          description: `Focus block for task ${block.taskId}`,
+          taskId: block.taskId
+        }, calendarId);
+
+        block.eventId = event.id;
+        block.htmlLink = event.htmlLink;
+      } catch (error) {
+        errors.push({ taskId: block.taskId, error: error.message });
+      }
+    }
+
+    invalidateDashboardCache();
+
+    const created = plan.blocks.filter(block => block.eventId).length;
+    console.log(`✅ Planned ${created} focus blocks on ${date} in ${calendarId}`);
+
+    res.status(created > 0 ? 201 : 200).json({
+      success: errors.length === 0,
+      ...result,
+      created,
+      ...(errors.length > 0 && { errors })
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to plan day');
+  }
+}
+
+/**
+ * Build a dashboard cache key for a calendar and Strava athlete selection
+ * @param {string} prefix - 'unified:today' or 'unified:week'
+ * @param {Array<string>|null} calendarIds - Selected calendars (null: configured calendars)
+ * @param {string|undefined} athletes - athleteId query (empty: the default athlete)
+ * @returns {string} Cache key
+ * @private
+ */
+function getDashboardCacheKey(prefix, calendarIds, athletes) {
+  const calendars = calendarIds ? [...calendarIds].sort().join(',') : 'default';
+  return `${prefix}:${calendars}:${athletes || 'default'}`;
+}
+
+/**
+ * Check whether a cache key belongs to the today/week dashboards
+ * @param {string} key - Cache key
+ * @returns {boolean} True for dashboard keys (any calendar selection)
+ * @private
+ */
+function isDashboardCacheKey(key) {
+  return key.startsWith('unified:today:') || key.startsWith('unified:week:');
+}
+
+/**
+ * Drop cached today/week dashboards for every calendar selection
+ * @private
+ */
+function invalidateDashboardCache() {
+  const keys = cache.keys().filter(isDashboardCacheKey);
+
+  if (keys.length > 0) {
+    cache.del(keys);
+  }
+}
+
+/**
+ * Drop cached views that include Strava activities (fitness summary and dashboards)
+ * @private
+ */
+function invalidateFitnessCache() {
+  const keys = cache.keys().filter(key =>
+    key.startsWith('unified:fitness:') || isDashboardCacheKey(key)
+  );
+
+  if (keys.length > 0) {
+    cache.del(keys);
+    console.log(`🗑️  Invalidated ${keys.length} unified fitness cache entries`);
+  }
+}
+
+/**
+ * Drop cached task lists and dashboards that include tasks
+ * @private
+ */
+function invalidateTaskCache() {
+  const keys = cache.keys().filter(key =>
+    key.startsWith('unified:tasks:') || isDashboardCacheKey(key)
+  );
+
+  if (keys.length > 0) {
+    cache.del(keys);
+    console.log(`🗑️  Invalidated ${keys.length} unified task cache entries`);
+  }
+}
+
+/**
+ * Resolve req.params.id to a Todoist task ID, responding 400 when it isn't one
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {string|null} Todoist task ID or null if a response was sent
+ * @private
+ */
+function getTodoistIdOr400(req, res) {
+  const taskId = parseTaskId(req.params.id);
+
+  if (!taskId) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid task ID',
+      message: 'Task IDs must be Todoist tasks, e.g. "todoist:1234567890"'
+    });
+    return null;
+  }
+
+  return taskId;
+}
+
+/**
+ * Handle errors consistently
+ * @param {Object} res - Express response
+ * @param {Error} error - Error object
+ * @param {string} message - Error message
+ * @private
+ */
+function handleError(res, error, message) {
+  console.error(`❌ ${message}:`, error.message);
+
+  const status = error.status || 500;
+
+  res.status(status).json({
+    success: false,
+    error: message,
+    message: error.message
+  });
+}
+
+// Activities pushed by Strava show up in the next fitness summary and dashboard
+onActivityEvent(() => invalidateFitnessCache());
+
 module.exports = {
   getTasks,
+  createTask,
+  updateTask,
+  closeTask,
+  reopenTask,
+  quickAdd,
+  planDay,
   getToday,
   getWeek,
   getFitnessSummary
@@ -0,0 +1,132 @@
+/**
+ * Unified Service - Day Planner
+ * Places open tasks into free calendar gaps as focus blocks
+ */
+
+const { findFreeSlots } = require('../calendar/availability');
+const { getDateKey } = require('../calendar/utils');
+const { sortTasks } = require('./aggregator');
+
+// Focus block length for tasks without an estimate
+const DEFAULT_TASK_MINUTES = 30;
+
+// Shortest gap worth planning into
+const MIN_GAP_MINUTES = 5;
+
+// Estimate labels: 30m, 45min, 1h, 1.5h, 1h30m, 1h30
+const ESTIMATE_LABEL_REGEX = /^(?:(\d+(?:\.\d+)?)h)?(?:(\d+)(?:m|min|mins)?)?$/i;
+
+/**
+ * Get a task's estimated minutes
+ * Todoist's duration field wins; otherwise a label such as "30m", "1h" or "1h30m".
+ * @param {Object} task - Unified task
+ * @param {number} defaultMinutes - Estimate when the task has none
+ * @returns {Object} { minutes, source: 'duration' | 'label' | 'default' }
+ */
+function getTaskEstimate(task, defaultMinutes = DEFAULT_TASK_MINUTES) {
+  if (task.duration > 0) {
+    return { minutes: task.duration, source: 'duration' };
+  }
+
+  for (const label of task.labels || []) {
+    const minutes = parseEstimateLabel(label);
+    if (minutes) {
+      return { minutes, source: 'label' };
+    }
+  }
+
+  return { minutes: defaultMinutes, source: 'default' };
+}
+
+/**
+ * Parse an estimate label
+ * @param {string} label - Task label
+ * @returns {number|null} Minutes, or null if the label isn't an estimate
+ * @private
+ */
+function parseEstimateLabel(label) {
+  const match = label.trim().match(ESTIMATE_LABEL_REGEX);
+  if (!match || (!match[1] && !match[2])) return null;
+
+  // A bare number only counts with a unit ("30" is not an estimate)
+  if (!match[1] && /^\d+$/.test(label.trim())) return null;
+
+  const minutes = Math.round(parseFloat(match[1] || 0) * 60) + parseInt(match[2] || 0);
+  return minutes > 0 ? minutes : null;
+}
+
+/**
+ * Pick the tasks a day plan considers
+ * Open tasks due on or before the day, plus undated tasks when asked; tasks that
+ * already have a focus block on the day are left out.
+ * @param {Array} tasks - Unified tasks
+ * @param {Object} options - { dateKey, taskIds, includeUndated, scheduledTaskIds }
+ * @returns {Array} Candidate tasks in sortTasks order
+ */
+function selectPlanTasks(tasks, { dateKey, taskIds = null, includeUndated = false, scheduledTaskIds = new Set() }) {
+  const candidates = tasks.filter(task => {
+    if (task.completed || scheduledTaskIds.has(task.id)) return false;
+    if (taskIds) return taskIds.includes(task.id);
+    if (!task.due) return includeUndated;
+    return getDateKey(task.due) <= dateKey;
+  });
+
+  return sortTasks(candidates);
+}
+
+/**
+ * Propose focus blocks for tasks inside a day's free gaps
+ * Tasks are placed in order, each in the earliest gap that fits it, with the
+ * buffer kept between blocks. Tasks that fit nowhere are returned as unscheduled.
+ * @param {Array} tasks - Candidate tasks (selectPlanTasks)
+ * @param {Array} events - Normalized events for the day
+ * @param {Object} options - { dateKey, workingHours, bufferMinutes, defaultMinutes, now }
+ * @returns {Object} { blocks: [{ taskId, title, start, end, minutes, estimateSource }], unscheduled, freeMinutes }
+ */
+function planFocusBlocks(tasks, events, { dateKey, workingHours, bufferMinutes = 0, defaultMinutes = DEFAULT_TASK_MINUTES, now = new Date() }) {
+  const bufferMs = bufferMinutes * 60 * 1000;
+  const gaps = findFreeSlots({ [dateKey]: events }, {
+    durationMinutes: MIN_GAP_MINUTES,
+    workingHours,
+    bufferMinutes,
+    now
+  }).map(slot => ({ start: new Date(slot.start), end: new Date(slot.end) }));
+
+  const freeMinutes = gaps.reduce((sum, gap) => sum + Math.floor((gap.end - gap.start) / 60000), 0);
+  const blocks = [];
+  const unscheduled = [];
+
+  for (const task of tasks) {
+    const { minutes, source } = getTaskEstimate(task, defaultMinutes);
+    const durationMs = minutes * 60 * 1000;
+    const gap = gaps.find(candidate => candidate.end - candidate.start >= durationMs);
+
+    if (!gap) {
+      unscheduled.push({ taskId: task.id, title: task.title, minutes, reason: 'No free gap long enough' });
+      continue;
+    }
+
+    const start = gap.start;
+    const end = new Date(start.getTime() + durationMs);
+    blocks.push({
+      taskId: task.id,
+      title: task.title,
+      start: start.toISOString(),
+      end: end.toISOString(),
+      minutes,
+      estimateSource: source
+    });
+
+    // The rest of the gap starts after the block and its buffer
+    gap.start = new Date(end.getTime() + bufferMs);
+  }
+
+  return { blocks, unscheduled, freeMinutes };
+}
+
+module.exports = {
+  DEFAULT_TASK_MINUTES,
+  getTaskEstimate,
+  selectPlanTasks,
+  planFocusBlocks
+};
@@ -0,0 +1,365 @@
+/**
+ * Unified Service - Quick Add Parser
+ * Local natural-language parsing of free text into a task or calendar event
+ * Dates and times are read in the user's timezone (USER_TIMEZONE).
+ */
+
+const {
+  zonedTime,
+  toDateKey,
+  getMinutesOfDay,
+  addDays,
+  getWeekday
+} = require('../calendar/utils');
+
+// Event length when the text gives a time but no duration
+const DEFAULT_EVENT_MINUTES = 60;
+
+const WEEKDAYS = {
+  sun: 0, sunday: 0,
+  mon: 1, monday: 1,
+  tue: 2, tues: 2, tuesday: 2,
+  wed: 3, wednesday: 3,
+  thu: 4, thur: 4, thurs: 4, thursday: 4,
+  fri: 5, friday: 5,
+  sat: 6, saturday: 6
+};
+
+const MONTHS = {
+  jan: 0, january: 0,
+  feb: 1, february: 1,
+  mar: 2, march: 2,
+  apr: 3, april: 3,
+  may: 4,
+  jun: 5, june: 5,
+  jul: 6, july: 6,
+  aug: 7, august: 7,
+  sep: 8, sept: 8, september: 8,
+  oct: 9, october: 9,
+  nov: 10, november: 10,
+  dec: 11, december: 11
+};
+
+const WEEKDAY_PATTERN = Object.keys(WEEKDAYS).sort((a, b) => b.length - a.length).join('|');
+const MONTH_PATTERN = Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|');
+
+// Words left dangling at either end once dates and times are removed
+const CONNECTOR_REGEX = /^(on|at|by|for|from|due|in)\s+|\s+(on|at|by|for|from|due|in)$/i;
+
+/**
+ * Remove the first match of a pattern from the working text
+ * @param {Object} state - Parser state { rest }
+ * @param {RegExp} pattern - Pattern to find
+ * @returns {Array|null} Match or null
+ * @private
+ */
+function take(state, pattern) {
+  const match = state.rest.match(pattern);
+  if (!match) return null;
+
+  state.rest = `${state.rest.slice(0, match.index)} ${state.rest.slice(match.index + match[0].length)}`;
+  return match;
+}
+
+/**
+ * Build a date key, rolling over out-of-range days (e.g. Feb 30 is Mar 2)
+ * @param {number} year - Year
+ * @param {number} month - Month (0-11)
+ * @param {number} day - Day of month
+ * @returns {string} Date in YYYY-MM-DD format
+ * @private
+ */
+function toKey(year, month, day) {
+  return new Date(Date.UTC(year, month, day)).toISOString().split('T')[0];
+}
+
+/**
+ * Convert an hour with optional am/pm to 24-hour time
+ * @param {number} hour - Hour as written
+ * @param {string} meridiem - "am", "pm" or undefined
+ * @returns {number} Hour 0-23
+ * @private
+ */
+function to24Hour(hour, meridiem) {
+  if (!meridiem) return hour;
+  const isPm = meridiem.toLowerCase() === 'pm';
+  if (hour === 12) return isPm ? 12 : 0;
+  return isPm ? hour + 12 : hour;
+}
+
+/**
+ * Format hours and minutes as HH:MM
+ * @param {number} hours - Hours (0-23)
+ * @param {number} minutes - Minutes (0-59)
+ * @returns {string} Time in HH:MM format
+ * @private
+ */
+function formatTime(hours, minutes) {
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Parse the date part of the text
+ * Weekday names always mean the next such day after today ("friday" on a Friday is a week away).
+ * @param {Object} state - Parser state
+ * @param {string} today - Today's date key in the user's timezone
+ * @private
+ */
+function parseDate(state, today) {
+  let match;
+
+  // 2025-01-06
+  if ((match = take(state, /\b(\d{4})-(\d{2})-(\d{2})\b/))) {
+    state.date = toKey(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return;
+  }
+
+  // jan 6, january 6th / 6 jan, 6th of january
+  const monthDay = take(state, new RegExp(`\\b(${MONTH_PATTERN})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`, 'i'));
+  const dayMonth = !monthDay && take(state, new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${MONTH_PATTERN})\\b`, 'i'));
+  if (monthDay || dayMonth) {
+    const month = MONTHS[(monthDay ? monthDay[1] : dayMonth[2]).toLowerCase()];
+    const day = Number(monthDay ? monthDay[2] : dayMonth[1]);
+    const year = Number(today.slice(0, 4));
+    let date = toKey(year, month, day);
+    // Dates already past this year mean next year
+    if (date < today) {
+      date = toKey(year + 1, month, day);
+    }
+    state.date = date;
+    return;
+  }
+
+  if (take(state, /\b(?:the\s+)?day\s+after\s+tomorrow\b/i)) {
+    state.date = addDays(today, 2);
+    return;
+  }
+
+  if ((match = take(state, /\b(today|tonight)\b/i))) {
+    state.date = today;
+    state.evening = match[1].toLowerCase() === 'tonight';
+    return;
+  }
+
+  if (take(state, /\b(?:tomorrow|tmrw|tmr)\b/i)) {
+    state.date = addDays(today, 1);
+    return;
+  }
+
+  // in 3 days, in 2 weeks
+  if ((match = take(state, /\bin\s+(\d+)\s+(days?|weeks?)\b/i))) {
+    const amount = Number(match[1]);
+    state.date = addDays(today, match[2].toLowerCase().startsWith('week') ? amount * 7 : amount);
+    return;
+  }
+
+  // next week = next Monday
+  if (take(state, /\bnext\s+week\b/i)) {
+    const daysUntilMonday = ((1 - getWeekday(today) + 7) % 7) || 7;
+    state.date = addDays(today, daysUntilMonday);
+    return;
+  }
+
+  // tuesday, next tuesday, this fri
+  if ((match = take(state, new RegExp(`\\b(?:(?:next|this|on)\\s+)?(${WEEKDAY_PATTERN})\\b`, 'i')))) {
+    const target = WEEKDAYS[match[1].toLowerCase()];
+    const daysAhead = ((target - getWeekday(today) + 7) % 7) || 7;
+    state.date = addDays(today, daysAhead);
+  }
+}
+
+/**
+ * Parse times, time ranges and relative times
+ * @param {Object} state - Parser state
+ * @param {Date} now - Reference time
+ * @private
+ */
+function parseTime(state, now) {
+  let match;
+
+  // in 30 minutes, in 2 hours (sets both date and time)
+  if ((match = take(state, /\bin\s+(\d+)\s*(minutes?|mins?|hours?|hrs?)\b/i))) {
+    const minutes = Number(match[1]) * (match[2].toLowerCase().startsWith('h') ? 60 : 1);
+    const at = new Date(now.getTime() + minutes * 60 * 1000);
+    const timeOfDay = getMinutesOfDay(at);
+    state.date = state.date || toDateKey(at);
+    state.time = formatTime(Math.floor(timeOfDay / 60), timeOfDay % 60);
+    return;
+  }
+
+  // 3pm-4:30pm, from 3 to 4pm (start inherits the end's am/pm)
+  if ((match = take(state, /\b(?:from\s+)?(\d{1,2})(?::([0-5]\d))?\s*(am|pm)?\s*(?:-|–|to|until)\s*(\d{1,2})(?::([0-5]\d))?\s*(am|pm)\b/i))) {
+    const endHour = to24Hour(Number(match[4]), match[6]);
+    let startHour = to24Hour(Number(match[1]), match[3] || match[6]);
+    if (!match[3] && startHour > endHour) {
+      startHour -= 12;
+    }
+    const startMinutes = startHour * 60 + Number(match[2] || 0);
+    const endMinutes = endHour * 60 + Number(match[5] || 0);
+
+    state.time = formatTime(startHour, Number(match[2] || 0));
+    state.durationMinutes = state.durationMinutes || Math.max(endMinutes - startMinutes, 0) || null;
+    return;
+  }
+
+  // 15:00-16:30
+  if ((match = take(state, /\b(?:from\s+)?([01]?\d|2[0-3]):([0-5]\d)\s*(?:-|–|to|until)\s*([01]?\d|2[0-3]):([0-5]\d)\b/i))) {
+    const startMinutes = Number(match[1]) * 60 + Number(match[2]);
+    const endMinutes = Number(match[3]) * 60 + Number(match[4]);
+
+    state.time = formatTime(Number(match[1]), Number(match[2]));
+    state.durationMinutes = state.durationMinutes || Math.max(endMinutes - startMinutes, 0) || null;
+    return;
+  }
+
+  // 3pm, at 3:30pm
+  if ((match = take(state, /\b(?:at\s+)?(\d{1,2})(?::([0-5]\d))?\s*(am|pm)\b/i))) {
+    const hour = Number(match[1]);
+    if (hour >= 1 && hour <= 12) {
+      state.time = formatTime(to24Hour(hour, match[3]), Number(match[2] || 0));
+    }
+    return;
+  }
+
+  // 15:00, at 9:30
+  if ((match = take(state, /\b(?:at\s+)?([01]?\d|2[0-3]):([0-5]\d)\b/))) {
+    state.time = formatTime(Number(match[1]), Number(match[2]));
+    return;
+  }
+
+  // at 7 (a bare hour: 1-7 mean pm, as does any hour "tonight")
+  if ((match = take(state, /\bat\s+(1[0-2]|[1-9])\b(?![:.]\d)/i))) {
+    const hour = Number(match[1]);
+    const isPm = hour !== 12 && (state.evening || hour <= 7);
+    state.time = formatTime(isPm ? hour + 12 : hour, 0);
+    return;
+  }
+
+  if (take(state, /\b(?:at\s+)?noon\b/i)) {
+    state.time = '12:00';
+  }
+}
+
+/**
+ * Parse a duration such as "for 1h", "for 90 minutes" or "for 1h30m"
+ * @param {Object} state - Parser state
+ * @private
+ */
+function parseDuration(state) {
+  const match = take(state, /\bfor\s+(\d+(?:\.\d+)?)\s*(hours?|hrs?|h|minutes?|mins?|m)(?![a-z])(?:\s*(?:and\s+)?(\d+)\s*(?:minutes?|mins?|m)(?![a-z]))?/i);
+  if (!match) return;
+
+  const isHours = match[2].toLowerCase().startsWith('h');
+  const minutes = Number(match[1]) * (isHours ? 60 : 1) + Number(match[3] || 0);
+
+  if (minutes > 0) {
+    state.durationMinutes = Math.round(minutes);
+  }
+}
+
+/**
+ * Parse free text into a task or event interpretation
+ * @param {string} text - Free text, e.g. "dentist next Tuesday 3pm for 1h"
+ * @param {Object} options - { kind: 'task'|'event' to override, now: reference time }
+ * @returns {Object} Interpretation { kind, reasons, title, date, time, start, end, durationMinutes, due, priority, labels, project }
+ */
+function parseQuickAdd(text, options = {}) {
+  const now = options.now || new Date();
+  const state = {
+    rest: ` ${text} `,
+    date: null,
+    time: null,
+    evening: false,
+    durationMinutes: null,
+    priority: null,
+    labels: [],
+    project: null
+  };
+
+  // Todoist-style markers: p1 (urgent) .. p4, @label, #project
+  const priorityMatch = take(state, /(?:^|\s)p([1-4])(?=\s)/i);
+  if (priorityMatch) {
+    state.priority = 5 - Number(priorityMatch[1]);
+  }
+
+  let labelMatch;
+  while ((labelMatch = take(state, /(?:^|\s)@([\w-]+)/))) {
+    state.labels.push(labelMatch[1]);
+  }
+
+  const projectMatch = take(state, /(?:^|\s)#([\w-]+)/);
+  if (projectMatch) {
+    state.project = projectMatch[1];
+  }
+
+  const today = toDateKey(now);
+
+  parseDuration(state);
+  parseDate(state, today);
+  parseTime(state, now);
+
+  let title = state.rest.replace(/\s+/g, ' ').trim();
+  while (CONNECTOR_REGEX.test(title)) {
+    title = title.replace(CONNECTOR_REGEX, '').trim();
+  }
+
+  // A time without a date means the next time it comes round
+  if (state.time && !state.date) {
+    const [hours, minutes] = state.time.split(':').map(Number);
+    state.date = hours * 60 + minutes > getMinutesOfDay(now) ? today : addDays(today, 1);
+  }
+
+  const reasons = [];
+  let kind = options.kind || null;
+
+  if (kind) {
+    reasons.push(`kind "${kind}" requested`);
+  } else if (state.priority !== null || state.labels.length > 0 || state.project) {
+    kind = 'task';
+    reasons.push('has task markers (priority, labels or project)');
+  } else if (state.time) {
+    kind = 'event';
+    reasons.push('has a time of day');
+  } else {
+    kind = 'task';
+    reasons.push(state.date ? 'has a date but no time of day' : 'has no date or time');
+  }
+
+  const date = state.date;
+  let start = null;
+  let end = null;
+  let due = date;
+
+  if (state.time) {
+    const [hours, minutes] = state.time.split(':').map(Number);
+    const startDate = zonedTime(state.date, hours * 60 + minutes);
+    start = startDate.toISOString();
+    due = start;
+
+    if (kind === 'event') {
+      const length = state.durationMinutes || DEFAULT_EVENT_MINUTES;
+      end = new Date(startDate.getTime() + length * 60 * 1000).toISOString();
+    }
+  }
+
+  return {
+    input: text,
+    kind,
+    reasons,
+    title,
+    date,
+    time: state.time,
+    start,
+    end,
+    durationMinutes: kind === 'event' && start ? (state.durationMinutes || DEFAULT_EVENT_MINUTES) : state.durationMinutes,
+    due: kind === 'task' ? due : null,
+    priority: state.priority,
+    labels: state.labels,
+    project: state.project
+  };
+}
+
+module.exports = {
+  DEFAULT_EVENT_MINUTES,
+  parseQuickAdd
+};
@@ -5,9 +5,13 @@
 
 const express = require('express');
 const controller = require('./controller');
+const { authenticateApiKey, requireScope } = require('../../shared/middleware/auth');
 
 const router = express.Router();
 
+// Apply authentication to all unified routes
+router.use(authenticateApiKey);
+
 /**
  * GET /tasks
  * Get tasks from Todoist with filtering and normalization
@@ -29,13 +33,96 @@ const router = express.Router();
  *   labels: string[]
  * }
  */
-router.get('/tasks', controller.getTasks);
+router.get('/tasks', requireScope('unified:read'), controller.getTasks);
+
+/**
+ * POST /tasks
+ * Create a Todoist task
+ *
+ * Body (unified task fields):
+ * {
+ *   title: "string",            // Required
+ *   description: "string",      // Optional
+ *   due: "2025-01-06",          // Optional: date, ISO date-time or null
+ *   dueString: "every monday",  // Optional: Todoist natural language (instead of due)
+ *   priority: 1-4,              // Optional: 1=low, 4=urgent
+ *   labels: ["string"],         // Optional
+ *   project: "Work"             // Optional: project name or ID (default: Inbox)
+ * }
+ *
+ * Invalidates cached task lists and dashboards.
+ */
+router.post('/tasks', requireScope('unified:write'), controller.createTask);
+
+/**
+ * PATCH /tasks/:id
+ * Update a Todoist task (id: "todoist:123" or "123")
+ * Body: any of title, description, due, dueString, priority, labels
+ */
+router.patch('/tasks/:id', requireScope('unified:write'), controller.updateTask);
+
+/**
+ * POST /tasks/:id/close
+ * Complete a Todoist task (recurring tasks move to their next date)
+ */
+router.post('/tasks/:id/close', requireScope('unified:write'), controller.closeTask);
+
+/**
+ * POST /tasks/:id/reopen
+ * Reopen a completed Todoist task
+ */
+router.post('/tasks/:id/reopen', requireScope('unified:write'), controller.reopenTask);
+
+/**
+ * POST /quick-add
+ * Create a Todoist task or calendar event from free text (parsed locally)
+ *
+ * Body:
+ * {
+ *   text: "dentist next Tuesday 3pm for 1h",  // Required
+ *   kind: "task" | "event",                   // Optional: skip the task/event decision
+ *   dryRun: true                              // Optional: only return the interpretation
+ * }
+ *
+ * Understands dates (today, tomorrow, friday, next week, in 3 days, jan 6, 2025-01-06),
+ * times and ranges (3pm, 15:00, 3-4pm, in 2 hours), durations (for 1h, for 90 minutes),
+ * priorities (p1 = urgent ... p4), @labels and #project.
+ * Text with a time of day becomes an event unless it has task markers; everything else is a task.
+ * Events also need the calendar:write scope. The response includes the interpretation.
+ */
+router.post('/quick-add', requireScope('unified:write'), controller.quickAdd);
+
+/**
+ * POST /plan-day
+ * Place open Todoist tasks into free calendar gaps as focus blocks
+ *
+ * Body (all optional):
+ * {
+ *   date: "2025-01-06",          // Default: today
+ *   mode: "preview" | "commit",  // Default: preview; commit creates the events (needs calendar:write)
+ *   defaultMinutes: 30,          // Estimate for tasks without one
+ *   workStart: "09:00",          // Default: CALENDAR_WORK_START
+ *   workEnd: "17:00",            // Default: CALENDAR_WORK_END
+ *   buffer: 10,                  // Minutes between blocks and events (default: CALENDAR_BUFFER_MINUTES)
+ *   calendarId: "primary",       // Calendar the blocks are created in
+ *   taskIds: ["todoist:123"],    // Plan only these tasks (default: open tasks due on or before date)
+ *   includeUndated: false        // Also plan tasks without a due date
+ * }
+ *
+ * Tasks are taken in sortTasks order. Estimates come from Todoist's duration field or a
+ * label such as "30m", "1h" or "1h30m". Each committed event stores the task ID
+ * (extendedProperties.private.taskId, returned as taskId on events).
+ */
+router.post('/plan-day', requireScope('unified:write'), controller.planDay);
 
 /**
  * GET /today
  * Get combined data for today's dashboard
  * Cached for 5 minutes
  *
+ * Query params:
+ * - athleteId: Strava athlete ID, comma-separated IDs or "all" (default: the default athlete)
+ *
  * Returns:
  * {
  *   date: "2025-01-06",
@@ -60,13 +147,16 @@ router.get('/tasks', controller.getTasks);
  *   errors: [...]                      // Optional: if any service failed
  * }
  */
-router.get('/today', controller.getToday);
+router.get('/today', requireScope('unified:read'), controller.getToday);
 
 /**
  * GET /week
  * Get combined data for this week
  * Cached for 5 minutes
  *
+ * Query params:
+ * - athleteId: Strava athlete ID, comma-separated IDs or "all" (default: the default athlete)
+ *
  * Returns:
  * {
  *   week: {
@@ -89,15 +179,19 @@ router.get('/today', controller.getToday);
  *   errors: [...]                      // Optional: if any service failed
  * }
  */
-router.get('/week', controller.getWeek);
+router.get('/week', requireScope('unified:read'), controller.getWeek);
 
 /**
  * GET /fitness-summary
  * Get aggregated fitness data
  * Cached for 5 minutes
  *
+ * Query params:
+ * - athleteId: Strava athlete ID, comma-separated IDs or "all" to combine athletes (default: the default athlete)
+ *
  * Returns:
  * {
+ *   athletes: [...],                   // Strava athlete IDs included
  *   last_7_days: {
  *     activities_count: number,
  *     total_distance: number,          // meters
@@ -108,11 +202,13 @@ router.get('/week', controller.getWeek);
  *     total_distance: number,
  *     total_duration: number
  *   },
+ *   by_athlete: [...],                 // Optional: last 30 days per athlete, when combining athletes
  *   recent_activities: [...],          // Last 5 activities
- *   errors: [...]                      // Optional: if any period failed
+ *   goals: [...],                      // Enabled combined goals and the athletes' goals, with progress (see /api/strava/goals)
+ *   errors: [...]                      // Optional: if any period or goal progress failed
  * }
  */
-router.get('/fitness-summary', controller.getFitnessSummary);
+router.get('/fitness-summary', requireScope('unified:read'), controller.getFitnessSummary);
 
 /**
  * GET /health
@@ -131,6 +227,9 @@ router.get('/health', (req, res) => {
     },
     features: [
       'Normalized task format',
+      'Task create, update, close and reopen',
+      'Natural-language quick add',
+      'Day planning into calendar gaps',
       'Multi-source daily dashboard',
       'Weekly summary',
       'Fitness aggregation',
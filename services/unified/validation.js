@@ -0,0 +1,201 @@
+/**
+ * Unified Service - Validation
+ * Validation utilities for task writes, quick add and day planning
+ */
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Validate fields shared by task creation and update
+ * @param {Object} data - Task data
+ * @param {Array} errors - Error list to append to
+ * @private
+ */
+function validateTaskFields(data, errors) {
+  if (data.description !== undefined && typeof data.description !== 'string') {
+    errors.push('Description must be a string');
+  }
+
+  if (data.due !== undefined && data.due !== null) {
+    const validDate = typeof data.due === 'string' &&
+      (DATE_REGEX.test(data.due) || (data.due.includes('T') && !isNaN(new Date(data.due).getTime())));
+    if (!validDate) {
+      errors.push('Due must be a date (YYYY-MM-DD), an ISO date-time or null');
+    }
+  }
+
+  if (data.dueString !== undefined) {
+    if (typeof data.dueString !== 'string' || data.dueString.trim().length === 0) {
+      errors.push('dueString must be a non-empty string');
+    }
+    if (data.due !== undefined) {
+      errors.push('Provide either due or dueString, not both');
+    }
+  }
+
+  if (data.priority !== undefined) {
+    if (!Number.isInteger(data.priority) || data.priority < 1 || data.priority > 4) {
+      errors.push('Priority must be an integer between 1 (low) and 4 (urgent)');
+    }
+  }
+
+  if (data.labels !== undefined) {
+    if (!Array.isArray(data.labels) || !data.labels.every(label => typeof label === 'string' && label.trim().length > 0)) {
+      errors.push('Labels must be an array of non-empty strings');
+    }
+  }
+}
+
+/**
+ * Validate task creation data
+ * @param {Object} data - Task data to validate
+ * @returns {Object} Validation result { valid: boolean, errors: Array }
+ */
+function validateTaskCreate(data) {
+  const errors = [];
+
+  if (!data.title || typeof data.title !== 'string' || data.title.trim().length === 0) {
+    errors.push('Task title is required');
+  }
+
+  if (data.project !== undefined && (typeof data.project !== 'string' || data.project.trim().length === 0)) {
+    errors.push('Project must be a project name or ID');
+  }
+
+  validateTaskFields(data, errors);
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate task update data
+ * @param {Object} data - Task data to validate
+ * @returns {Object} Validation result { valid: boolean, errors: Array }
+ */
+function validateTaskUpdate(data) {
+  const errors = [];
+
+  const updateFields = ['title', 'description', 'due', 'dueString', 'priority', 'labels'];
+  const hasUpdateField = updateFields.some(field => data.hasOwnProperty(field));
+
+  if (!hasUpdateField) {
+    errors.push('At least one field must be provided for update');
+  }
+
+  if (data.title !== undefined && (typeof data.title !== 'string' || data.title.trim().length === 0)) {
+    errors.push('Task title cannot be empty');
+  }
+
+  // Todoist's REST API can't move tasks between projects
+  if (data.project !== undefined) {
+    errors.push('Project cannot be changed after creation');
+  }
+
+  validateTaskFields(data, errors);
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate quick add data
+ * @param {Object} data - { text, kind, dryRun }
+ * @returns {Object} Validation result { valid: boolean, errors: Array }
+ */
+function validateQuickAdd(data) {
+  const errors = [];
+
+  if (!data.text || typeof data.text !== 'string' || data.text.trim().length === 0) {
+    errors.push('Text is required');
+  } else if (data.text.length > 500) {
+    errors.push('Text must be 500 characters or less');
+  }
+
+  if (data.kind !== undefined && !['task', 'event'].includes(data.kind)) {
+    errors.push('Kind must be "task" or "event"');
+  }
+
+  if (data.dryRun !== undefined && typeof data.dryRun !== 'boolean') {
+    errors.push('dryRun must be a boolean');
+  }
+
+  if (data.allowConflicts !== undefined && typeof data.allowConflicts !== 'boolean') {
+    errors.push('allowConflicts must be a boolean');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate day plan data
+ * @param {Object} data - { date, mode, defaultMinutes, workStart, workEnd, buffer, calendarId, taskIds, includeUndated }
+ * @returns {Object} Validation result { valid: boolean, errors: Array }
+ */
+function validatePlanDay(data) {
+  const errors = [];
+
+  if (data.date !== undefined && (typeof data.date !== 'string' || !DATE_REGEX.test(data.date))) {
+    errors.push('Date must be in YYYY-MM-DD format');
+  }
+
+  if (data.mode !== undefined && !['preview', 'commit'].includes(data.mode)) {
+    errors.push('Mode must be "preview" or "commit"');
+  }
+
+  if (data.defaultMinutes !== undefined &&
+      (!Number.isInteger(data.defaultMinutes) || data.defaultMinutes < 5 || data.defaultMinutes > 480)) {
+    errors.push('defaultMinutes must be a whole number between 5 and 480');
+  }
+
+  if (data.workStart !== undefined && !TIME_REGEX.test(data.workStart)) {
+    errors.push('workStart must be in HH:MM format');
+  }
+
+  if (data.workEnd !== undefined && !TIME_REGEX.test(data.workEnd)) {
+    errors.push('workEnd must be in HH:MM format');
+  }
+
+  if (data.workStart && data.workEnd && TIME_REGEX.test(data.workStart) && TIME_REGEX.test(data.workEnd) &&
+      data.workEnd <= data.workStart) {
+    errors.push('workEnd must be after workStart');
+  }
+
+  if (data.buffer !== undefined && (!Number.isInteger(data.buffer) || data.buffer < 0 || data.buffer > 120)) {
+    errors.push('buffer must be a whole number of minutes between 0 and 120');
+  }
+
+  if (data.calendarId !== undefined && (typeof data.calendarId !== 'string' || data.calendarId.trim().length === 0)) {
+    errors.push('calendarId must be a single calendar ID');
+  }
+
+  if (data.taskIds !== undefined &&
+      (!Array.isArray(data.taskIds) || data.taskIds.length === 0 ||
+       !data.taskIds.every(id => typeof id === 'string' && id.trim().length > 0))) {
+    errors.push('taskIds must be a non-empty array of task IDs');
+  }
+
+  if (data.includeUndated !== undefined && typeof data.includeUndated !== 'boolean') {
+    errors.push('includeUndated must be a boolean');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+module.exports = {
+  validateTaskCreate,
+  validateTaskUpdate,
+  validateQuickAdd,
+  validatePlanDay
+};
@@ -1,18 +1,172 @@
 /**
  * Authentication Middleware
- * Simple API key-based authentication
+ * API key-based authentication with per-key scopes
+ * Keys come from environment variables or the MongoDB-backed ApiKey collection
  */
 
+const mongoose = require('mongoose');
+const ApiKey = require('../../models/ApiKey');
+
+/**
+ * Known scopes
+ * Keys may also be granted '*' (everything) or '<service>:*' (all scopes of a service)
+ */
+const SCOPES = [
+  'admin',
+  'calendar:read',
+  'calendar:write',
+  'memory:read',
+  'memory:write',
+  'strava:read',
+  'strava:write',
+  'pavlok:read',
+  'pavlok:beep',
+  'pavlok:vibrate',
+  'pavlok:shock',
+  'pavlok:rules',
+  'notion:read',
+  'notion:write',
+  'unified:read',
+  'unified:write'
+];
+
+/**
+ * Parse configured API keys from environment variables
+ *
+ * API_KEYS format: entries separated by ";", each entry is "name:key:scope1,scope2"
+ * Example: API_KEYS=agent:abc123:memory:read,calendar:read;phone:def456:pavlok:*
+ *
+ * The legacy API_KEY variable is still honored as a full-access key named "default".
+ *
+ * @returns {Map<string, Object>} Map of key string to { name, scopes }
+ */
+function loadApiKeys() {
+  const keys = new Map();
+
+  if (process.env.API_KEY) {
+    keys.set(process.env.API_KEY, { name: 'default', scopes: ['*'] });
+  }
+
+  const entries = (process.env.API_KEYS || '')
+    .split(';')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+  entries.forEach(entry => {
+    const [name, key, ...rest] = entry.split(':');
+    const scopes = rest.join(':')
+      .split(',')
+      .map(scope => scope.trim())
+      .filter(Boolean);
+
+    if (!name || !key || scopes.length === 0) {
+      console.warn(`⚠️  Ignoring malformed API_KEYS entry: ${name || '(unnamed)'}`);
+      return;
+    }
+
+    keys.set(key, { name, scopes });
+  });
+
+  return keys;
+}
+
+// Environment keys are read once at startup
+const apiKeys = loadApiKeys();
+
+/**
+ * Extract API key from request headers
+ * @param {Object} req - Express request object
+ * @returns {string|undefined} API key
+ */
+function getRequestApiKey(req) {
+  return req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
+}
+
+/**
+ * Resolve an API key to its name and scopes
+ * Environment keys are checked first, then issued keys stored in MongoDB
+ * @param {string} apiKey - Plaintext API key
+ * @returns {Promise<Object|null>} { id, name, scopes, source } or null if unknown
+ */
+async function resolveApiKey(apiKey) {
+  const envKey = apiKeys.get(apiKey);
+  if (envKey) {
+    return { id: null, ...envKey, source: 'env' };
+  }
+
+  // Issued keys are unavailable while MongoDB is down
+  if (mongoose.connection.readyState !== 1) {
+    return null;
+  }
+
+  const storedKey = await ApiKey.findActiveByKey(apiKey);
+  if (!storedKey) {
+    return null;
+  }
+
+  // Track usage without delaying the request
+  ApiKey.updateOne({ _id: storedKey._id }, { lastUsedAt: new Date() })
+    .catch(err => console.error('❌ Failed to update API key usage:', err.message));
+
+  return {
+    id: storedKey._id.toString(),
+    name: storedKey.label,
+    scopes: storedKey.scopes,
+    source: 'database'
+  };
+}
+
+/**
+ * Validate a list of scopes against the known scopes
+ * @param {Array<string>} scopes - Scopes to validate
+ * @returns {Array<string>} Unknown scopes (empty if all valid)
+ */
+function findUnknownScopes(scopes) {
+  const services = new Set(SCOPES.map(scope => scope.split(':')[0]));
+
+  return scopes.filter(scope => {
+    if (scope === '*' || SCOPES.includes(scope)) return false;
+    const [service, action] = scope.split(':');
+    return !(action === '*' && services.has(service));
+  });
+}
+
+/**
+ * Check whether a set of granted scopes satisfies a required scope
+ * @param {Array<string>} granted - Scopes granted to the key
+ * @param {string} required - Scope required by the route
+ * @returns {boolean} True if allowed
+ */
+function hasScope(granted, required) {
+  if (!Array.isArray(granted)) {
+    return false;
+  }
+
+  const [service] = required.split(':');
+
+  return granted.some(scope =>
+    scope === '*' ||
+    scope === required ||
+    scope === `${service}:*`
+  );
+}
+
 /**
  * Middleware to verify API key from request headers
+ * Attaches { id, name, scopes, source } to req.apiKey on success
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  */
-const authenticateApiKey = (req, res, next) => {
+const authenticateApiKey = async (req, res, next) => {
   try {
+    // Already authenticated further up the chain
+    if (req.apiKey) {
+      return next();
+    }
+
     // Get API key from request header
-    const apiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
+    const apiKey = getRequestApiKey(req);
 
     // Check if API key is provided
     if (!apiKey) {
@@ -23,11 +177,8 @@ const authenticateApiKey = (req, res, next) => {
       });
     }
 
-    // Verify API key against environment variable
-    const validApiKey = process.env.API_KEY;
-
-    if (!validApiKey) {
-      console.error('⚠️  API_KEY not configured in environment variables');
+    if (apiKeys.size === 0 && mongoose.connection.readyState !== 1) {
+      console.error('⚠️  No API keys available: API_KEY/API_KEYS not configured and MongoDB not connected');
       return res.status(500).json({
         success: false,
         error: 'Server configuration error'
@@ -35,7 +186,9 @@ const authenticateApiKey = (req, res, next) => {
     }
 
     // Validate API key
-    if (apiKey !== validApiKey) {
+    const keyInfo = await resolveApiKey(apiKey);
+
+    if (!keyInfo) {
       return res.status(403).json({
         success: false,
         error: 'Invalid API key',
@@ -43,7 +196,8 @@ const authenticateApiKey = (req, res, next) => {
       });
     }
 
-    // API key is valid, proceed to next middleware
+    // API key is valid, attach key context and proceed
+    req.apiKey = keyInfo;
     next();
 
   } catch (error) {
@@ -56,6 +210,31 @@ const authenticateApiKey = (req, res, next) => {
   }
 };
 
+/**
+ * Scope check middleware factory
+ * Must run after authenticateApiKey. Passes if the key holds any of the given scopes.
+ * @param {...string} scopes - Accepted scopes
+ * @returns {Function} Express middleware function
+ */
+const requireScope = (...scopes) => {
+  return (req, res, next) => {
+    const granted = req.apiKey?.scopes || [];
+
+    if (scopes.some(scope => hasScope(granted, scope))) {
+      return next();
+    }
+
+    console.warn(`⚠️  API key "${req.apiKey?.name}" denied ${req.method} ${req.originalUrl} (needs ${scopes.join(' or ')})`);
+
+    res.status(403).json({
+      success: false,
+      error: 'Insufficient scope',
+      message: 'This API key is not allowed to perform this action',
+      requiredScopes: scopes
+    });
+  };
+};
+
 /**
  * Optional authentication middleware
  * Adds user/auth context if valid API key is provided, but doesn't block the request
@@ -63,13 +242,16 @@ const authenticateApiKey = (req, res, next) => {
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  */
-const optionalAuth = (req, res, next) => {
+const optionalAuth = async (req, res, next) => {
   try {
-    const apiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
-    const validApiKey = process.env.API_KEY;
+    const apiKey = getRequestApiKey(req);
+    const keyInfo = apiKey ? await resolveApiKey(apiKey) : null;
 
     // Mark request as authenticated if valid key provided
-    req.isAuthenticated = apiKey && apiKey === validApiKey;
+    req.isAuthenticated = Boolean(keyInfo);
+    if (keyInfo) {
+      req.apiKey = keyInfo;
+    }
 
     next();
   } catch (error) {
@@ -80,6 +262,10 @@ const optionalAuth = (req, res, next) => {
 };
 
 module.exports = {
+  SCOPES,
   authenticateApiKey,
-  optionalAuth
+  requireScope,
+  optionalAuth,
+  hasScope,
+  findUnknownScopes
 };
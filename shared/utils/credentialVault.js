@@ -0,0 +1,274 @@
+/**
+ * Credential Vault
+ * Encrypts provider OAuth tokens (AES-256-GCM) with a master key from CREDENTIAL_MASTER_KEY
+ * and stores them in MongoDB (Credential), alongside status that is safe to expose
+ */
+
+const crypto = require('crypto');
+const Credential = require('../../models/Credential');
+
+const ALGORITHM = 'aes-256-gcm';
+const PAYLOAD_VERSION = 'v1';
+const IV_BYTES = 12;
+
+// Fixed salt: the master key itself is expected to be random (openssl rand -hex 32)
+const KEY_SALT = 'lifestack-credential-vault';
+
+// Master keys shorter than this are refused, as are the placeholders from .env.example and the README
+const MIN_MASTER_KEY_BYTES = 32;
+const PLACEHOLDER_KEYS = ['your_credential_master_key_here', 'your_secure_random_key_here'];
+
+let derivedKey = null;
+let derivedFrom = null;
+
+/**
+ * Check whether a master key is configured
+ * @returns {boolean} True if CREDENTIAL_MASTER_KEY is set
+ */
+function isVaultConfigured() {
+  return Boolean(process.env.CREDENTIAL_MASTER_KEY);
+}
+
+/**
+ * Check a master key for the placeholder and the minimum length
+ * @param {string} masterKey - CREDENTIAL_MASTER_KEY
+ * @returns {string|null} Reason the key is refused, or null if it is usable
+ * @private
+ */
+function getMasterKeyError(masterKey) {
+  if (PLACEHOLDER_KEYS.includes(masterKey)) {
+    return 'CREDENTIAL_MASTER_KEY is still the example placeholder; generate one with: openssl rand -hex 32';
+  }
+
+  if (Buffer.byteLength(masterKey) < MIN_MASTER_KEY_BYTES) {
+    return `CREDENTIAL_MASTER_KEY must be at least ${MIN_MASTER_KEY_BYTES} bytes; generate one with: openssl rand -hex 32`;
+  }
+
+  return null;
+}
+
+/**
+ * Get the encryption key derived from the master key
+ * @returns {Buffer} 256-bit key
+ * @private
+ */
+function getKey() {
+  const masterKey = process.env.CREDENTIAL_MASTER_KEY;
+
+  if (!masterKey) {
+    const error = new Error('Credential vault is locked: set CREDENTIAL_MASTER_KEY');
+    error.status = 503;
+    error.vaultLocked = true;
+    throw error;
+  }
+
+  const keyError = getMasterKeyError(masterKey);
+  if (keyError) {
+    const error = new Error(`Credential vault is locked: ${keyError}`);
+    error.status = 503;
+    error.vaultLocked = true;
+    throw error;
+  }
+
+  if (derivedFrom !== masterKey) {
+    derivedKey = crypto.scryptSync(masterKey, KEY_SALT, 32);
+    derivedFrom = masterKey;
+  }
+
+  return derivedKey;
+}
+
+/**
+ * Get a fingerprint of the current key, stored with each credential to detect key changes
+ * @returns {string} Key fingerprint
+ * @private
+ */
+function getKeyId() {
+  return crypto.createHash('sha256').update(getKey()).digest('hex').slice(0, 12);
+}
+
+/**
+ * Additional authenticated data binding a payload to its credential,
+ * so a payload copied onto another credential fails to decrypt
+ * @param {string} provider - Provider
+ * @param {string} accountId - Account ID
+ * @returns {Buffer} AAD
+ * @private
+ */
+function getAad(provider, accountId) {
+  return Buffer.from(`${provider}:${accountId}`);
+}
+
+/**
+ * Encrypt a token payload
+ * @param {Object} secret - Token payload
+ * @param {string} provider - Provider
+ * @param {string} accountId - Account ID
+ * @returns {string} "v1.<iv>.<tag>.<ciphertext>" (base64url parts)
+ * @private
+ */
+function encrypt(secret, provider, accountId) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  cipher.setAAD(getAad(provider, accountId));
+
+  const data = Buffer.concat([cipher.update(JSON.stringify(secret), 'utf8'), cipher.final()]);
+
+  return [PAYLOAD_VERSION, iv, cipher.getAuthTag(), data]
+    .map(part => typeof part === 'string' ? part : part.toString('base64url'))
+    .join('.');
+}
+
+/**
+ * Decrypt a token payload
+ * @param {string} ciphertext - Encrypted payload
+ * @param {string} provider - Provider
+ * @param {string} accountId - Account ID
+ * @returns {Object} Token payload
+ * @private
+ */
+function decrypt(ciphertext, provider, accountId) {
+  const [version, iv, tag, data] = ciphertext.split('.');
+
+  if (version !== PAYLOAD_VERSION) {
+    throw new Error(`Unsupported credential payload version: ${version}`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64url'));
+  decipher.setAAD(getAad(provider, accountId));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+
+  const plaintext = Buffer.concat([decipher.update(Buffer.from(data, 'base64url')), decipher.final()]);
+  return JSON.parse(plaintext.toString('utf8'));
+}
+
+/**
+ * Encrypt and store a provider's tokens
+ * @param {string} provider - 'google' or 'strava'
+ * @param {string} accountId - Account within the provider
+ * @param {Object} secret - Token payload (must include refresh_token for hasRefreshToken)
+ * @param {Object} status - { scopes, expiresAt, refreshed } (scopes are kept if omitted; refreshed sets lastRefreshAt)
+ * @returns {Promise<Object>} Credential document (without the payload)
+ */
+async function storeCredential(provider, accountId, secret, { scopes, expiresAt = null, refreshed = false } = {}) {
+  accountId = String(accountId);
+
+  const update = {
+    ciphertext: encrypt(secret, provider, accountId),
+    keyId: getKeyId(),
+    expiresAt,
+    hasRefreshToken: Boolean(secret.refresh_token)
+  };
+
+  if (scopes !== undefined) {
+    update.scopes = scopes;
+  }
+
+  if (refreshed) {
+    update.lastRefreshAt = new Date();
+    update.lastRefreshError = null;
+    update.lastRefreshErrorAt = null;
+  }
+
+  return Credential.findOneAndUpdate(
+    { provider, accountId },
+    { $set: update },
+    { upsert: true, new: true }
+  );
+}
+
+/**
+ * Load and decrypt a provider's tokens
+ * @param {string} provider - 'google' or 'strava'
+ * @param {string} accountId - Account within the provider
+ * @returns {Promise<Object|null>} Token payload, or null if none is stored
+ */
+async function loadCredential(provider, accountId) {
+  const credential = await Credential.findWithSecret(provider, accountId);
+  if (!credential) return null;
+
+  try {
+    return decrypt(credential.ciphertext, provider, credential.accountId);
+  } catch (error) {
+    const keyChanged = credential.keyId !== getKeyId();
+    const formattedError = new Error(keyChanged
+      ? `Stored ${provider} tokens were encrypted with a different CREDENTIAL_MASTER_KEY; restore that key or re-authorize`
+      : `Stored ${provider} tokens could not be decrypted: ${error.message}`);
+    formattedError.status = 500;
+    throw formattedError;
+  }
+}
+
+/**
+ * Record a failed token refresh
+ * @param {string} provider - 'google' or 'strava'
+ * @param {string} accountId - Account within the provider
+ * @param {string} message - Failure reason
+ * @returns {Promise<void>}
+ */
+async function recordRefreshError(provider, accountId, message) {
+  await Credential.updateOne(
+    { provider, accountId: String(accountId) },
+    { $set: { lastRefreshError: message, lastRefreshErrorAt: new Date() } }
+  );
+}
+
+/**
+ * Remove a provider's tokens
+ * @param {string} provider - 'google' or 'strava'
+ * @param {string} accountId - Account within the provider
+ * @returns {Promise<boolean>} True if tokens were stored
+ */
+async function removeCredential(provider, accountId) {
+  const result = await Credential.deleteOne({ provider, accountId: String(accountId) });
+  return result.deletedCount > 0;
+}
+
+/**
+ * Check whether a stored payload decrypts with the current master key
+ * @param {Object} credential - Credential document with ciphertext selected
+ * @returns {boolean} True if it decrypts
+ * @private
+ */
+function isDecryptable(credential) {
+  try {
+    decrypt(credential.ciphertext, credential.provider, credential.accountId);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the status of every stored credential (never includes tokens)
+ * @returns {Promise<Array>} Per credential status
+ */
+async function getCredentialStatus() {
+  const configured = isVaultConfigured();
+  const credentials = await Credential.findAll({ withSecret: configured });
+
+  return credentials.map(credential => ({
+    provider: credential.provider,
+    accountId: credential.accountId,
+    storage: 'vault',
+    scopes: credential.scopes,
+    expiresAt: credential.expiresAt,
+    expired: credential.expired,
+    hasRefreshToken: credential.hasRefreshToken,
+    lastRefreshAt: credential.lastRefreshAt,
+    lastRefreshError: credential.lastRefreshError,
+    lastRefreshErrorAt: credential.lastRefreshErrorAt,
+    updatedAt: credential.updatedAt,
+    decryptable: configured ? isDecryptable(credential) : false
+  }));
+}
+
+module.exports = {
+  ALGORITHM,
+  isVaultConfigured,
+  storeCredential,
+  loadCredential,
+  recordRefreshError,
+  removeCredential,
+  getCredentialStatus
+};
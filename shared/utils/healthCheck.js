@@ -5,7 +5,7 @@
 
 const mongoose = require('mongoose');
 const { createTodoistClient } = require('../../services/todoist/client');
-const { createStravaClient } = require('../../services/strava/client');
+const { listAthletes } = require('../../services/strava/tokenStore');
 const { cache, getCacheStats } = require('../middleware/cache');
 
 /**
@@ -99,12 +99,30 @@ async function checkTodoist() {
  */
 async function checkStrava() {
   try {
-    const stravaClient = createStravaClient();
+    // Athlete tokens live in MongoDB
+    if (mongoose.connection.readyState !== 1) {
+      return {
+        status: 'degraded',
+        available: false,
+        error: 'MongoDB not connected (Strava tokens are stored there)'
+      };
+    }
+
+    const athletes = await listAthletes();
+
+    // Quick check - just verify an athlete has authorized
+    if (athletes.length === 0) {
+      return {
+        status: 'degraded',
+        available: false,
+        error: 'No Strava athlete authorized'
+      };
+    }
 
-    // Quick check - just verify client can be created
     return {
       status: 'healthy',
-      available: true
+      available: true,
+      athletes: athletes.length
     };
   } catch (error) {
     return {
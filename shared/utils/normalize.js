@@ -180,6 +180,29 @@ const sanitizeObject = (obj, sensitiveFields = ['password', 'token', 'apiKey', '
   return sanitized;
 };
 
+/**
+ * Normalize a Strava activity to a consistent format
+ * Used for API responses and for activities stored in MongoDB (StravaActivity)
+ * @param {Object} activity - Raw Strava activity
+ * @returns {Object} Normalized activity
+ */
+const normalizeActivity = (activity) => ({
+  id: activity.id?.toString(),
+  name: activity.name,
+  type: activity.type || activity.sport_type,
+  date: activity.start_date || activity.start_date_local,
+  distance: activity.distance || 0, // meters
+  duration: activity.moving_time || activity.elapsed_time || 0, // seconds
+  elevation_gain: activity.total_elevation_gain || 0, // meters
+  average_speed: activity.average_speed || 0, // meters/second
+  max_speed: activity.max_speed || 0, // meters/second
+  average_heartrate: activity.average_heartrate || null,
+  max_heartrate: activity.max_heartrate || null,
+  calories: activity.calories || null,
+  athlete_id: activity.athlete?.id?.toString() || null,
+  source: 'strava'
+});
+
 module.exports = {
   normalizeDate,
   normalizeString,
@@ -190,5 +213,6 @@ module.exports = {
   deepClone,
   toCamelCase,
   toSnakeCase,
-  sanitizeObject
+  sanitizeObject,
+  normalizeActivity
 };